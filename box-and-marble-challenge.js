@@ -0,0 +1,533 @@
+// ============================================================================
+// TIMED CHALLENGE & LEADERBOARD
+// ============================================================================
+// A timed challenge is a series of rounds played under the same settings. Each
+// round is timed from the moment its puzzle is on screen until the answers are
+// checked, and scored on the boxes answered correctly, the time taken and
+// whether the box opened could guarantee the answer. At the end of the series
+// the player enters a name and the total goes on a leaderboard kept in the
+// browser, with a separate table for every mode (settings and series length).
+
+const CHALLENGE_CONFIG = {
+  STORAGE_KEY: 'box-and-marble-leaderboard',
+  NAME_STORAGE_KEY: 'box-and-marble-player-name',
+  SERIES_LENGTHS: [1, 3, 5, 10],
+  DEFAULT_SERIES_LENGTH: 5,
+  LEADERBOARD_SIZE: 10,      // Entries kept per mode
+  MAX_NAME_LENGTH: 20,
+  POINTS_PER_BOX: 100,       // For every box labelled correctly
+  PERFECT_BONUS: 200,        // For a round with every box correct
+  TIME_BONUS_SECONDS: 120,   // Rounds faster than this earn a time bonus...
+  TIME_BONUS_PER_SECOND: 5,  // ...of this many points per second to spare, scaled by accuracy
+  GUESS_PENALTY: 150         // For opening a box that can't guarantee the answer when one could
+};
+
+const ChallengeState = {
+  series: null,          // The challenge being played (see createSeries), or null
+  roundStartedAt: null,  // When the puzzle of the current round was shown
+  timerId: null          // Interval that refreshes the clock on screen
+};
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Scores one round of a challenge
+ * @param {Object} results - The results from calculateResults
+ * @param {number} elapsedMs - How long the round took, in milliseconds
+ * @returns {Object} The score breakdown: boxPoints, perfectBonus, timeBonus, guessPenalty and total
+ */
+function scoreRound(results, elapsedMs) {
+  const { correct, total, firstPeek } = results;
+  const accuracy = total > 0 ? correct / total : 0;
+  const secondsToSpare = Math.max(0, CHALLENGE_CONFIG.TIME_BONUS_SECONDS - elapsedMs / 1000);
+
+  // Some puzzles have no box that guarantees the answer under the round's peek rules;
+  // guessing there is no mistake
+  const couldHaveGuaranteed = firstPeek.guaranteedBoxes.length > 0;
+  const boxPoints = correct * CHALLENGE_CONFIG.POINTS_PER_BOX;
+  const perfectBonus = correct === total ? CHALLENGE_CONFIG.PERFECT_BONUS : 0;
+  const timeBonus = Math.round(secondsToSpare * CHALLENGE_CONFIG.TIME_BONUS_PER_SECOND * accuracy);
+  const guessPenalty = couldHaveGuaranteed && !firstPeek.wasGuaranteed ? CHALLENGE_CONFIG.GUESS_PENALTY : 0;
+
+  return {
+    boxPoints,
+    perfectBonus,
+    timeBonus,
+    guessPenalty,
+    total: Math.max(0, boxPoints + perfectBonus + timeBonus - guessPenalty)
+  };
+}
+
+/**
+ * Identifies the leaderboard table a challenge belongs to
+ * @param {Object} settings - The game settings the challenge is played with
+ * @param {number} roundCount - The number of rounds in the series
+ * @returns {string} The mode id (e.g., "3x2-1.1-fair-5"); truth rules other than the classic
+ * one add their name (e.g., "3x2-2.1-fair-one-label-right-5"), and so does a difficulty
+ * asked for (e.g., "3x2-1.1-fair-hard-5")
+ */
+function getChallengeModeId(settings, roundCount) {
+  const peekRules = `${settings.peekDraws}.${settings.peekBoxes}${settings.drawWithReplacement ? 'r' : ''}`;
+  const professor = settings.adversarial ? 'adversarial' : 'fair';
+  const truthRule = settings.truthRule && settings.truthRule !== 'all-labels-wrong' ? `-${settings.truthRule}` : '';
+  const difficulty = settings.difficulty && settings.difficulty !== 'any' ? `-${settings.difficulty}` : '';
+  return `${settings.boxCount}x${settings.colorCount}-${peekRules}-${professor}${truthRule}${difficulty}-${roundCount}`;
+}
+
+/**
+ * Starts a new series of rounds
+ * @param {Object} settings - The game settings every round is played with
+ * @param {number} roundCount - The number of rounds in the series
+ * @returns {Object} The series: { modeId, settings, roundCount, rounds }
+ */
+function createSeries(settings, roundCount) {
+  return {
+    modeId: getChallengeModeId(settings, roundCount),
+    settings: { ...settings },
+    roundCount,
+    rounds: []
+  };
+}
+
+/**
+ * Adds a finished round to a series
+ * @param {Object} series - The series
+ * @param {Object} round - The round: { seed, elapsedMs, correct, total, score }
+ * @returns {Object} A new series including the round
+ */
+function addSeriesRound(series, round) {
+  return { ...series, rounds: [...series.rounds, round] };
+}
+
+/**
+ * Checks whether every round of a series has been played
+ * @param {Object} series - The series
+ * @returns {boolean} True once the last round is finished
+ */
+function isSeriesFinished(series) {
+  return series.rounds.length >= series.roundCount;
+}
+
+/**
+ * Adds up the rounds of a series
+ * @param {Object} series - The series
+ * @returns {Object} The total score, the total time in milliseconds and the number of perfect rounds
+ */
+function summarizeSeries(series) {
+  return {
+    score: series.rounds.reduce((sum, round) => sum + round.score.total, 0),
+    elapsedMs: series.rounds.reduce((sum, round) => sum + round.elapsedMs, 0),
+    perfectRounds: series.rounds.filter(round => round.correct === round.total).length
+  };
+}
+
+// ============================================================================
+// LEADERBOARD
+// ============================================================================
+
+/**
+ * Builds the leaderboard entry for a finished series
+ * @param {string} name - The name the player entered
+ * @param {Object} series - The finished series
+ * @param {number} [timestamp] - When the series finished, in milliseconds since the epoch
+ * @returns {Object} The leaderboard entry
+ */
+function createLeaderboardEntry(name, series, timestamp = Date.now()) {
+  return {
+    name: String(name).trim().slice(0, CHALLENGE_CONFIG.MAX_NAME_LENGTH),
+    modeId: series.modeId,
+    settings: { ...series.settings },
+    roundCount: series.roundCount,
+    ...summarizeSeries(series),
+    timestamp: new Date(timestamp).toISOString()
+  };
+}
+
+/**
+ * Ranks two leaderboard entries: higher scores first, then faster times, then earlier entries
+ * @param {Object} a - A leaderboard entry
+ * @param {Object} b - Another leaderboard entry
+ * @returns {number} Negative if a ranks above b
+ */
+function compareLeaderboardEntries(a, b) {
+  return b.score - a.score || a.elapsedMs - b.elapsedMs || a.timestamp.localeCompare(b.timestamp);
+}
+
+/**
+ * Adds an entry to the leaderboard, keeping only the best entries of each mode
+ * @param {Array<Object>} leaderboard - Every saved entry
+ * @param {Object} entry - The new entry
+ * @returns {Array<Object>} The new leaderboard
+ */
+function addLeaderboardEntry(leaderboard, entry) {
+  const sameMode = [...leaderboard.filter(other => other.modeId === entry.modeId), entry]
+    .sort(compareLeaderboardEntries)
+    .slice(0, CHALLENGE_CONFIG.LEADERBOARD_SIZE);
+  return [...leaderboard.filter(other => other.modeId !== entry.modeId), ...sameMode];
+}
+
+/**
+ * Gets the ranked table of one mode
+ * @param {Array<Object>} leaderboard - Every saved entry
+ * @param {string} modeId - The mode to show
+ * @returns {Array<Object>} The entries of that mode, best first
+ */
+function getLeaderboardTable(leaderboard, modeId) {
+  return leaderboard.filter(entry => entry.modeId === modeId).sort(compareLeaderboardEntries);
+}
+
+/**
+ * Loads the saved leaderboard
+ * @returns {Array<Object>} Every saved entry
+ */
+function loadLeaderboard() {
+  try {
+    const leaderboard = JSON.parse(localStorage.getItem(CHALLENGE_CONFIG.STORAGE_KEY));
+    return Array.isArray(leaderboard) ? leaderboard : [];
+  } catch (error) {
+    // Storage can be unavailable (private browsing) or hold unreadable data
+    return [];
+  }
+}
+
+/**
+ * Saves the leaderboard
+ * @param {Array<Object>} leaderboard - Every entry to keep
+ */
+function saveLeaderboard(leaderboard) {
+  try {
+    localStorage.setItem(CHALLENGE_CONFIG.STORAGE_KEY, JSON.stringify(leaderboard));
+  } catch (error) {
+    // Without storage the leaderboard won't outlive the page
+  }
+}
+
+// ============================================================================
+// CHALLENGE CONTROLS
+// ============================================================================
+
+/**
+ * Fills the challenge controls and the leaderboard and listens for changes
+ */
+function initializeChallengeControls() {
+  const roundsSelect = document.getElementById('challenge-rounds-select');
+  if (!roundsSelect) return;
+
+  CHALLENGE_CONFIG.SERIES_LENGTHS.forEach(count => {
+    roundsSelect.appendChild(new Option('', count));
+  });
+  roundsSelect.value = CHALLENGE_CONFIG.DEFAULT_SERIES_LENGTH;
+
+  document.getElementById('challenge-start-btn').addEventListener('click', () => startChallenge(Number(roundsSelect.value)));
+  document.getElementById('challenge-quit-btn').addEventListener('click', quitChallenge);
+  document.getElementById('leaderboard-mode-select').addEventListener('change', renderLeaderboard);
+
+  updateChallengeBar();
+  renderLeaderboard();
+}
+
+/**
+ * Starts a timed challenge with the current settings, beginning with a new puzzle
+ * @param {number} roundCount - The number of rounds to play
+ */
+function startChallenge(roundCount) {
+  exitReplay();
+  ChallengeState.series = createSeries(GameState.settings, roundCount);
+  resetGame();
+}
+
+/**
+ * Abandons the challenge in progress; the current puzzle stays on screen
+ */
+function quitChallenge() {
+  stopRoundTimer();
+  ChallengeState.series = null;
+  updateChallengeBar();
+  updateSettingsControls();
+}
+
+/**
+ * Checks whether a timed challenge is being played
+ * @returns {boolean} True while a series is in progress or waiting for a name
+ */
+function isChallengeActive() {
+  return ChallengeState.series !== null;
+}
+
+/**
+ * Checks whether the challenge in progress has rounds left to play
+ * @returns {boolean} True during a challenge whose last round is not finished yet
+ */
+function hasChallengeRoundsLeft() {
+  return isChallengeActive() && !isSeriesFinished(ChallengeState.series);
+}
+
+/**
+ * Starts the clock of a challenge round (called whenever a puzzle is shown)
+ */
+function startRoundTimer() {
+  stopRoundTimer();
+  if (!isChallengeActive() || isSeriesFinished(ChallengeState.series)) return;
+
+  ChallengeState.roundStartedAt = Date.now();
+  ChallengeState.timerId = setInterval(updateChallengeBar, 1000);
+  updateChallengeBar();
+}
+
+/**
+ * Stops the clock of the current round
+ * @returns {number} The milliseconds the round took, or 0 if no round was being timed
+ */
+function stopRoundTimer() {
+  clearInterval(ChallengeState.timerId);
+  ChallengeState.timerId = null;
+
+  const elapsedMs = ChallengeState.roundStartedAt === null ? 0 : Date.now() - ChallengeState.roundStartedAt;
+  ChallengeState.roundStartedAt = null;
+  return elapsedMs;
+}
+
+/**
+ * Scores a submitted round and adds it to the challenge (called when answers are checked)
+ * @param {Object} state - The submitted game state
+ */
+function recordChallengeRound(state) {
+  if (!isChallengeActive() || ChallengeState.roundStartedAt === null) return;
+
+  const elapsedMs = stopRoundTimer();
+  ChallengeState.series = addSeriesRound(ChallengeState.series, {
+    seed: state.seed,
+    elapsedMs,
+    correct: state.results.correct,
+    total: state.results.total,
+    score: scoreRound(state.results, elapsedMs)
+  });
+  updateChallengeBar();
+}
+
+/**
+ * Formats a duration for display
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The duration as minutes and seconds (e.g., "1:05")
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Shows the round, clock and score of the challenge in progress, or the button to start one
+ */
+function updateChallengeBar() {
+  const bar = document.getElementById('challenge-bar');
+  if (!bar) return;
+
+  const { series } = ChallengeState;
+  document.querySelectorAll('#challenge-rounds-select option').forEach(option => {
+    option.textContent = translate('challenge.roundCount', { count: Number(option.value) });
+  });
+  bar.classList.toggle('active', series !== null);
+  if (!series) return;
+
+  const elapsedMs = ChallengeState.roundStartedAt === null ? 0 : Date.now() - ChallengeState.roundStartedAt;
+  const roundNumber = Math.min(series.rounds.length + (ChallengeState.roundStartedAt === null ? 0 : 1), series.roundCount);
+
+  document.getElementById('challenge-round').innerText =
+    translate('challenge.round', { number: Math.max(roundNumber, 1), total: series.roundCount });
+  document.getElementById('challenge-timer').innerText = formatDuration(elapsedMs);
+  document.getElementById('challenge-score').innerText =
+    translate('challenge.score', { score: summarizeSeries(series).score });
+}
+
+/**
+ * Describes the score of a round just finished in a challenge, for the results screen
+ * @param {Object} state - The submitted game state being shown
+ * @returns {string} HTML string with the score breakdown, or '' outside a challenge
+ */
+function getChallengeResultSummary(state) {
+  const { series } = ChallengeState;
+  const round = series && series.rounds[series.rounds.length - 1];
+  if (!round || round.seed !== state.seed) return '';
+
+  const { score } = round;
+  const finished = isSeriesFinished(series);
+  const rows = [
+    [translate('challenge.boxPoints', { count: round.correct }), `+${score.boxPoints}`],
+    [translate('challenge.perfectBonus'), `+${score.perfectBonus}`],
+    [translate('challenge.timeBonus', { time: formatDuration(round.elapsedMs) }), `+${score.timeBonus}`],
+    [translate('challenge.guessPenalty'), `−${score.guessPenalty}`]
+  ].filter(([, points]) => !/^[+−]0$/.test(points));
+
+  const nameForm = finished ? `
+    <form class="challenge-name-form" id="challenge-name-form">
+      <label for="challenge-name-input">${translate('challenge.nameLabel')}</label>
+      <input id="challenge-name-input" type="text" maxlength="${CHALLENGE_CONFIG.MAX_NAME_LENGTH}" required
+        value="${escapeHtml(loadPlayerName())}">
+      <button type="submit" class="stats-btn">${translate('challenge.saveScore')}</button>
+    </form>
+  ` : '';
+
+  return `
+    <div class="challenge-summary">
+      <h4>${translate('challenge.roundScore', { number: series.rounds.length, total: series.roundCount, score: score.total })}</h4>
+      <table class="stats-table challenge-breakdown">
+        ${rows.map(([name, points]) => `<tr><td>${name}</td><td>${points}</td></tr>`).join('')}
+      </table>
+      ${finished ? `<p class="challenge-total">${translate('challenge.seriesTotal', { score: summarizeSeries(series).score })}</p>` : ''}
+      ${nameForm}
+    </div>
+  `;
+}
+
+/**
+ * Adds the listener that saves the finished challenge to the leaderboard
+ * @param {AbortSignal} signal - Removes the listener when the results are unmounted
+ */
+function addChallengeResultListeners(signal) {
+  const form = document.getElementById('challenge-name-form');
+  if (!form) return;
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const name = document.getElementById('challenge-name-input').value.trim();
+    if (!name || !isChallengeActive()) return;
+
+    const entry = createLeaderboardEntry(name, ChallengeState.series);
+    saveLeaderboard(addLeaderboardEntry(loadLeaderboard(), entry));
+    savePlayerName(name);
+    quitChallenge();
+
+    form.replaceWith(Object.assign(document.createElement('p'), {
+      className: 'challenge-saved',
+      innerText: translate('challenge.saved')
+    }));
+    renderLeaderboard(entry.modeId);
+    document.getElementById('leaderboard-panel').open = true;
+    document.getElementById('play-again-btn').innerText = translate('results.playAgain');
+  }, { signal });
+}
+
+/**
+ * Gets the name last entered on the leaderboard
+ * @returns {string} The name, or '' if none was saved
+ */
+function loadPlayerName() {
+  try {
+    return localStorage.getItem(CHALLENGE_CONFIG.NAME_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Remembers the name entered on the leaderboard for the next challenge
+ * @param {string} name - The player's name
+ */
+function savePlayerName(name) {
+  try {
+    localStorage.setItem(CHALLENGE_CONFIG.NAME_STORAGE_KEY, name);
+  } catch (error) {
+    // The name will simply have to be typed again
+  }
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Any text, such as a name the player typed
+ * @returns {string} The text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// ============================================================================
+// LEADERBOARD PANEL
+// ============================================================================
+
+/**
+ * Describes a challenge mode for the leaderboard
+ * @param {Object} entry - A leaderboard entry of that mode
+ * @returns {string} The mode, such as "3 boxes · 2 colors · 1 marble from 1 box · 5 rounds"
+ */
+function describeChallengeMode(entry) {
+  const { settings } = entry;
+  return [
+    translate('settings.boxCount', { count: settings.boxCount }),
+    translate('settings.colorCount', { count: settings.colorCount }),
+    `${translate('settings.peekDraws', { count: settings.peekDraws })} ${translate('settings.peekBoxes', { count: settings.peekBoxes })}`,
+    settings.drawWithReplacement ? translate('settings.withReplacement') : null,
+    settings.truthRule && settings.truthRule !== 'all-labels-wrong' ? translate(`settings.truth.${settings.truthRule}`) : null,
+    settings.adversarial ? translate('settings.adversarialProfessor') : null,
+    settings.difficulty && settings.difficulty !== 'any' ? translate(`settings.difficulty.${settings.difficulty}`) : null,
+    translate('challenge.roundCount', { count: entry.roundCount })
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Renders the leaderboard table of one mode, with a menu of every mode played
+ * @param {string|Event} [modeId] - The mode to show; defaults to the one chosen in the menu
+ */
+function renderLeaderboard(modeId) {
+  const content = document.getElementById('leaderboard-content');
+  const modeSelect = document.getElementById('leaderboard-mode-select');
+  if (!content || !modeSelect) return;
+
+  const leaderboard = loadLeaderboard();
+  const modes = [...new Map(leaderboard.map(entry => [entry.modeId, entry])).values()];
+  const selectedModeId = typeof modeId === 'string' ? modeId : modeSelect.value;
+
+  modeSelect.innerHTML = '';
+  modes.forEach(entry => modeSelect.appendChild(new Option(describeChallengeMode(entry), entry.modeId)));
+  modeSelect.hidden = modes.length === 0;
+  if (modes.some(entry => entry.modeId === selectedModeId)) {
+    modeSelect.value = selectedModeId;
+  }
+
+  if (modes.length === 0) {
+    content.innerHTML = `<p class="stats-empty">${translate('leaderboard.empty')}</p>`;
+    return;
+  }
+
+  const rows = getLeaderboardTable(leaderboard, modeSelect.value).map((entry, index) => `
+    <tr>
+      <td>${index + 1}</td>
+      <td>${escapeHtml(entry.name)}</td>
+      <td>${entry.score}</td>
+      <td>${formatDuration(entry.elapsedMs)}</td>
+      <td>${entry.perfectRounds} / ${entry.roundCount}</td>
+    </tr>
+  `).join('');
+
+  content.innerHTML = `
+    <table class="stats-table leaderboard-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>${translate('leaderboard.name')}</th>
+          <th>${translate('leaderboard.score')}</th>
+          <th>${translate('leaderboard.time')}</th>
+          <th>${translate('leaderboard.perfectRounds')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHALLENGE_CONFIG,
+    scoreRound,
+    getChallengeModeId,
+    createSeries,
+    addSeriesRound,
+    isSeriesFinished,
+    summarizeSeries,
+    createLeaderboardEntry,
+    addLeaderboardEntry,
+    getLeaderboardTable
+  };
+}
@@ -0,0 +1,1715 @@
+// ============================================================================
+// BOX AND MARBLE GAME CORE
+// ============================================================================
+// The rules of the game with no dependency on the page. Every function here is
+// pure: game state is a plain object, and each transition (create, peek, assign
+// label, submit, restart) returns a new state instead of changing the old one.
+// The page script is one client of this core; the Node test suite is another.
+
+// In the browser the solver is loaded by its own script tag and shares the
+// global scope; under Node it is required like any other module
+const Solver = typeof module !== 'undefined' && module.exports
+  ? require('./box-and-marble-solver.js')
+  : globalThis;
+
+// ============================================================================
+// GAME CONFIGURATION & CONSTANTS
+// ============================================================================
+// All game configuration values are centralized here for easy modification
+
+const GAME_CONFIG = {
+  COLORS: ['red', 'white', 'blue', 'green'], // Marble colors, in the order they are introduced
+  MARBLES_PER_BOX: 2,  // Number of marbles in every box
+  MIN_BOX_COUNT: 3,    // Smallest puzzle offered in the settings
+  MAX_BOX_COUNT: 6,    // Largest puzzle offered in the settings
+  MIN_COLOR_COUNT: 2,  // Fewest marble colors offered in the settings
+  DEFAULT_BOX_COUNT: 3,   // The classic puzzle: three boxes...
+  DEFAULT_COLOR_COUNT: 2, // ...with red and white marbles
+  DIFFICULTY_SCORES: { medium: 2, hard: 3.5 }, // Lowest board score of each grade above easy (see gradeBoard)
+  MAX_PEEK_DRAWS: 4, // Most marbles a player may be allowed to draw
+  MAX_PEEK_BOXES: 3, // Most boxes a player may be allowed to draw from
+  HINT_LEVELS: 3     // Hints in each phase get more specific up to this level
+};
+
+// The phases a game moves through, in order
+const GAME_PHASES = {
+  PEEK: 'peek',           // Waiting for the player to check a box
+  LABEL: 'label',         // A marble has been seen; the player is assigning labels (and may
+                          // keep drawing while the peek rules allow it)
+  SUBMITTED: 'submitted'  // Answers have been checked and results are available
+};
+
+// ============================================================================
+// SEEDED RANDOMNESS
+// ============================================================================
+// Every random choice in the game is drawn from a seeded generator so that a
+// puzzle (including the marble drawn from each box) can be reproduced exactly
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32)
+ * @param {number} seed - The seed, treated as an unsigned 32-bit integer
+ * @returns {Function} A function returning numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derives an independent seed from a base seed and a salt (e.g. a box index)
+ * @param {number} seed - The base seed
+ * @param {number} salt - A small integer distinguishing the derived stream
+ * @returns {number} An unsigned 32-bit seed
+ */
+function deriveSeed(seed, salt) {
+  let hash = (seed ^ Math.imul(salt + 1, 0x9E3779B1)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Picks a fresh seed for a new puzzle
+ * @returns {number} An unsigned 32-bit seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Shuffles a list, every order being equally likely (Fisher-Yates)
+ * @param {Array} items - The items to shuffle; left unchanged
+ * @param {Function} random - Seeded random function
+ * @returns {Array} The items in a new order
+ */
+function shuffleItems(items, random) {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled;
+}
+
+/**
+ * Picks an item with a probability proportional to its weight
+ * @param {Array} items - The items to pick from; at least one must have a positive weight
+ * @param {Function} getWeight - Gives the weight of an item
+ * @param {Function} random - Seeded random function
+ * @returns {*} The item picked
+ */
+function pickWeighted(items, getWeight, random) {
+  const total = items.reduce((sum, item) => sum + getWeight(item), 0);
+  let target = random() * total;
+  return items.find(item => {
+    target -= getWeight(item);
+    return target < 0;
+  }) || items[items.length - 1];
+}
+
+/**
+ * Gets the random stream used to draw marbles from a box. Each box has its own
+ * stream so the drawn marble does not depend on anything else the player did.
+ * @param {number} seed - The puzzle seed
+ * @param {number} boxIndex - The index of the box to draw from
+ * @returns {Function} A seeded random function
+ */
+function getBoxRandom(seed, boxIndex) {
+  return createSeededRandom(deriveSeed(seed, boxIndex));
+}
+
+/**
+ * Draws a random marble from a box
+ * @param {Array<string>} contents - The marble colors in the box (e.g., ['red', 'white'])
+ * @param {Function} random - Seeded random function used to pick the marble
+ * @returns {string} The color of the drawn marble
+ */
+function drawMarble(contents, random) {
+  const randomIndex = Math.floor(random() * contents.length);
+  return contents[randomIndex];
+}
+
+/**
+ * Draws the next marble from a box, continuing the box's own random stream
+ * @param {number} seed - The puzzle seed
+ * @param {number} boxIndex - The index of the box to draw from
+ * @param {Array<string>} contents - The marble colors in the box
+ * @param {Array<string>} drawn - The marbles already drawn from this box, in order
+ * @param {boolean} withReplacement - Whether drawn marbles were put back
+ * @returns {string} The color of the drawn marble
+ */
+function drawNextMarble(seed, boxIndex, contents, drawn, withReplacement) {
+  const random = getBoxRandom(seed, boxIndex);
+
+  // Every earlier draw used one number from the stream
+  drawn.forEach(() => random());
+
+  const remaining = [...contents];
+  if (!withReplacement) {
+    drawn.forEach(marble => remaining.splice(remaining.indexOf(marble), 1));
+  }
+
+  return drawMarble(remaining, random);
+}
+
+// ============================================================================
+// LABELS & MARBLE COMBINATIONS
+// ============================================================================
+// A label is identified by the combination it names, written as a contents key
+// (e.g., "red-white"). Colors are identified by the ids in GAME_CONFIG.COLORS.
+// The text players see for either comes from the page's message catalog.
+
+/**
+ * Validates that a box's contents match its label
+ * @param {Object} box - The box object to validate
+ * @param {string} box.label - The label id on the box (e.g., "red-white")
+ * @param {Array<string>} box.contents - The actual contents of the box (e.g., ['red', 'white'])
+ * @returns {boolean} True if the contents match the label, false otherwise
+ */
+function checkContentsMatchLabel(box) {
+  return getLabelId(box.contents) === box.label;
+}
+
+/**
+ * Determines the correct label for a box based on its actual contents
+ * @param {Object} box - The box object
+ * @returns {string} The id of the correct label for the box
+ */
+function getCorrectLabelForBox(box) {
+  return getLabelId(box.contents);
+}
+
+/**
+ * Gets the id of the label naming a combination of marbles
+ * @param {Array<string>} contents - The marble colors, in any order (e.g., ['white', 'red'])
+ * @returns {string} The label id (e.g., "red-white")
+ */
+function getLabelId(contents) {
+  return getContentsKey(sortColors(contents));
+}
+
+/**
+ * Converts a label id into the contents it describes
+ * @param {string} label - The label id (e.g., "red-white")
+ * @returns {Array<string>} The marble colors named by the label (e.g., ['red', 'white'])
+ */
+function parseLabel(label) {
+  return label.split('-');
+}
+
+/**
+ * Builds a compact key for a set of contents, used in puzzle links
+ * @param {Array<string>} contents - The marble colors (e.g., ['red', 'white'])
+ * @returns {string} The contents key (e.g., "red-white")
+ */
+function getContentsKey(contents) {
+  return contents.join('-');
+}
+
+/**
+ * Sorts marble colors into the order they appear in GAME_CONFIG.COLORS
+ * @param {Array<string>} colors - The colors to sort
+ * @returns {Array<string>} A new, sorted array
+ */
+function sortColors(colors) {
+  return [...colors].sort((a, b) => GAME_CONFIG.COLORS.indexOf(a) - GAME_CONFIG.COLORS.indexOf(b));
+}
+
+/**
+ * Lists every distinct set of marbles a box can hold with the given colors
+ * @param {Array<string>} colors - The marble colors available
+ * @param {number} [size] - Number of marbles per box
+ * @returns {Array<Array<string>>} Each combination as a sorted array of colors
+ */
+function getMarbleCombinations(colors, size = GAME_CONFIG.MARBLES_PER_BOX) {
+  if (size === 0) {
+    return [[]];
+  }
+
+  return colors.flatMap((color, index) =>
+    getMarbleCombinations(colors.slice(index), size - 1).map(rest => [color, ...rest])
+  );
+}
+
+/**
+ * Gets the largest puzzle that can be built from a number of colors
+ * @param {number} colorCount - Number of marble colors
+ * @returns {number} The maximum box count allowed for that many colors
+ */
+function getMaxBoxCount(colorCount) {
+  const combinationCount = getMarbleCombinations(GAME_CONFIG.COLORS.slice(0, colorCount)).length;
+  return Math.min(GAME_CONFIG.MAX_BOX_COUNT, combinationCount);
+}
+
+/**
+ * Reads a puzzle size, keeping it within what the settings offer
+ * @param {Object} settings - Settings whose boxCount and colorCount may be missing or out of range
+ * @returns {Object} A size that can be generated, as { boxCount, colorCount }
+ */
+function normalizePuzzleSize(settings) {
+  const clamp = (value, fallback, min, max) =>
+    Number.isInteger(value) ? Math.min(Math.max(value, min), max) : Math.min(fallback, max);
+
+  const colorCount = clamp(settings.colorCount, GAME_CONFIG.DEFAULT_COLOR_COUNT,
+    GAME_CONFIG.MIN_COLOR_COUNT, GAME_CONFIG.COLORS.length);
+  return {
+    boxCount: clamp(settings.boxCount, GAME_CONFIG.DEFAULT_BOX_COUNT, GAME_CONFIG.MIN_BOX_COUNT, getMaxBoxCount(colorCount)),
+    colorCount
+  };
+}
+
+// ============================================================================
+// PUZZLE GENERATION
+// ============================================================================
+
+/**
+ * Creates empty boxes for a puzzle of the given size
+ * @param {number} count - Number of matchboxes in the puzzle
+ * @returns {Array<Object>} Boxes with an id and empty label and contents
+ */
+function createBoxes(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `matchbox-${index + 1}`,
+    contents: [],
+    label: ''
+  }));
+}
+
+// A board is one way the professor can set out the boxes: which combination
+// each label names and which combination each box holds. Rather than dealing
+// boards at random until one fits the rules, the generator lists every set of
+// labels the puzzle size allows with every number of right labels the truth
+// rule allows. Each of these board families stands for all the boards that
+// lay it out in some order, and whether the peek rules can solve it (and how
+// hard it is) doesn't depend on the order. A family is picked in proportion
+// to its number of boards and then laid out uniformly, so every valid board
+// is equally likely. Swapping colors around doesn't change a family's grade
+// either, so families are only graded once per color pattern.
+
+// How hard a board is, from the easiest. The settings may also ask for 'any'.
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Board families listed so far, by puzzle size, truth rule and peek rules
+const BOARD_FAMILIES = new Map();
+
+// The peek rules (as encodePeekRules writes them) that can solve some board of a
+// puzzle size and truth rule, for those that can't be solved under every rule the
+// settings offer. An empty list means no peek rules can. Worked out with
+// listBoardFamilies, which takes too long to ask for every rule while the
+// settings are drawn; the tests check the two agree either way.
+const LIMITED_PEEK_RULES = {
+  '3x2 one-label-right': ['2-1', '2-2', '2-2-r', '3-1', '3-2', '3-2-r', '3-3', '3-3-r', '4-1', '4-2', '4-2-r', '4-3', '4-3-r'],
+  '4x3 all-labels-wrong': ['3-2', '3-3', '4-2', '4-3'],
+  '4x3 one-label-right': ['3-2', '3-3', '3-3-r', '4-2', '4-3', '4-3-r'],
+  '4x3 card': ['3-2', '3-3', '3-3-r', '4-2', '4-3', '4-3-r'],
+  '5x3 all-labels-wrong': [],
+  '5x3 one-label-right': [],
+  '5x3 card': [],
+  '6x3 all-labels-wrong': [],
+  '6x3 one-label-right': [],
+  '6x3 card': [],
+  '4x4 all-labels-wrong': ['2-2', '2-2-r', '3-2', '3-2-r', '3-3', '3-3-r', '4-2', '4-2-r', '4-3', '4-3-r'],
+  '4x4 one-label-right': ['2-2', '2-2-r', '3-2', '3-2-r', '3-3', '3-3-r', '4-2', '4-2-r', '4-3', '4-3-r'],
+  '4x4 card': ['2-2', '2-2-r', '3-2', '3-2-r', '3-3', '3-3-r', '4-2', '4-2-r', '4-3', '4-3-r'],
+  '5x4 all-labels-wrong': [],
+  '5x4 one-label-right': ['4-3'],
+  '5x4 card': ['4-3'],
+  '6x4 all-labels-wrong': [],
+  '6x4 one-label-right': [],
+  '6x4 card': []
+};
+
+/**
+ * Checks whether the settings allow some board that can be solved by logic
+ * @param {Object} settings - The puzzle size ({ boxCount, colorCount }), peek rules and truth rule
+ * @returns {boolean} False when every board of this size and truth rule may leave a guess
+ * under these peek rules
+ */
+function hasSolvableBoard(settings) {
+  const { boxCount, colorCount } = normalizePuzzleSize(settings);
+  const limited = LIMITED_PEEK_RULES[`${boxCount}x${colorCount} ${normalizeTruthRule(settings.truthRule)}`];
+  return !limited || limited.includes(encodePeekRules(normalizePeekRules(settings, boxCount)));
+}
+
+/**
+ * Finds the fewest peek rules, no stricter than those chosen, under which some board
+ * of this size and truth rule can be solved by logic, keeping the draws with or without
+ * replacement where possible. Only ever suggested to the player, never dealt with for them.
+ * @param {Object} settings - The game settings
+ * @returns {Object|null} The peek rules, as { peekDraws, peekBoxes, drawWithReplacement },
+ * or null when no peek rules can solve this size and truth rule
+ */
+function findSolvablePeekRules(settings) {
+  const { boxCount, colorCount } = normalizePuzzleSize(settings);
+  const peekRules = normalizePeekRules(settings, boxCount);
+  const limited = LIMITED_PEEK_RULES[`${boxCount}x${colorCount} ${normalizeTruthRule(settings.truthRule)}`];
+  if (!limited || limited.includes(encodePeekRules(peekRules))) {
+    return peekRules;
+  }
+
+  const raised = limited.map(decodePeekRules).filter(rules =>
+    rules.peekDraws >= peekRules.peekDraws && rules.peekBoxes >= peekRules.peekBoxes);
+  return raised.find(rules => rules.drawWithReplacement === peekRules.drawWithReplacement) || raised[0] || null;
+}
+
+/**
+ * Generates a puzzle that the player can solve by logic, every board the
+ * settings allow being equally likely
+ * @param {Object} settings - The puzzle size ({ boxCount, colorCount }), peek rules, truth rule
+ * and the difficulty asked for
+ * @param {Function} random - Seeded random function driving every choice
+ * @returns {Object} The puzzle, as { colors, combinations, boxes, difficulty }. When the settings
+ * allow no solvable puzzle any valid board may be dealt (see isPuzzleSolvable), and when they
+ * allow none of the difficulty asked for the closest difficulty is dealt.
+ */
+function generatePuzzleConfiguration(settings, random) {
+  const families = listBoardFamilies(settings);
+  const solvable = families.filter(family => family.solvable);
+  const candidates = solvable.length > 0 ? solvable : families;
+
+  const wanted = DIFFICULTIES.indexOf(normalizeDifficulty(settings.difficulty));
+  const distance = family => (wanted === -1 ? 0 : Math.abs(DIFFICULTIES.indexOf(family.difficulty) - wanted));
+  const closest = Math.min(...candidates.map(distance));
+
+  const family = pickWeighted(candidates.filter(candidate => distance(candidate) === closest), candidate => candidate.boardCount, random);
+  const colors = GAME_CONFIG.COLORS.slice(0, settings.colorCount);
+  return {
+    colors,
+    combinations: getMarbleCombinations(colors).filter(combination =>
+      family.labels.some(label => getContentsKey(label) === getContentsKey(combination))),
+    boxes: layOutBoard(family, random),
+    difficulty: family.difficulty
+  };
+}
+
+/**
+ * Lists every board family a puzzle can be dealt from
+ * @param {Object} settings - The puzzle size ({ boxCount, colorCount }), peek rules and truth rule
+ * @returns {Array<Object>} Each family as { labels, correctCount, boardCount, solvable, difficulty }:
+ * the combinations on its labels, how many labels are right, how many boards it stands for,
+ * whether the peek rules can settle it without guessing and its grade
+ */
+function listBoardFamilies(settings) {
+  const { boxCount, colorCount } = settings;
+  const truthRule = normalizeTruthRule(settings.truthRule);
+  const peekRules = normalizePeekRules(settings, boxCount);
+  const key = [boxCount, colorCount, truthRule, encodePeekRules(peekRules)].join('|');
+  if (BOARD_FAMILIES.has(key)) {
+    return BOARD_FAMILIES.get(key);
+  }
+
+  const colors = GAME_CONFIG.COLORS.slice(0, colorCount);
+  const grades = new Map();
+  const families = [];
+  chooseItems(getMarbleCombinations(colors), boxCount).forEach(labels => {
+    const pattern = getColorPattern(labels, colors);
+    getPossibleCorrectCounts(truthRule, boxCount).forEach(correctCount => {
+      const gradeKey = `${pattern}|${correctCount}`;
+      if (!grades.has(gradeKey)) {
+        grades.set(gradeKey, gradeBoard(labels, peekRules, getCorrectLabelCounts(truthRule, boxCount, correctCount)));
+      }
+      const { solvable, difficulty } = grades.get(gradeKey);
+      families.push({ labels, correctCount, boardCount: countBoards(boxCount, correctCount), solvable, difficulty });
+    });
+  });
+
+  BOARD_FAMILIES.set(key, families);
+  return families;
+}
+
+/**
+ * Grades a board by what it takes to solve: the fewest marbles that always settle
+ * it, how few boxes are worth opening first and how many boxes there are
+ * @param {Array<Array<string>>} labels - The combination on each label, by box index
+ * @param {Object} peekRules - The peek rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ * @param {Array<number>} correctCounts - How many labels may be right (the truth rule)
+ * @returns {Object} { solvable, difficulty, score, draws, firstBoxes }: whether the peek rules
+ * can settle it, its grade from DIFFICULTIES and the score behind it, the fewest draws that
+ * settle it (one more than the rules allow if none do) and the number of boxes a player can
+ * open first and still be sure
+ */
+function gradeBoard(labels, peekRules, correctCounts) {
+  // Labels that leave a single arrangement need no marble at all. Fewer draws never
+  // settle what the whole budget can't, so an unsolvable board is only tried once.
+  const isSingle = Solver.findConsistentAssignments(labels, [], false, correctCounts).length <= 1;
+  const solvable = isSingle || Solver.canGuaranteeSolution(labels, peekRules, correctCounts);
+  let draws = isSingle ? 0 : solvable ? 1 : peekRules.peekDraws + 1;
+  while (draws > 0 && draws < peekRules.peekDraws && !Solver.canGuaranteeSolution(labels,
+    { ...peekRules, peekDraws: draws, peekBoxes: Math.min(peekRules.peekBoxes, draws) }, correctCounts)) {
+    draws++;
+  }
+
+  const firstBoxes = solvable ? Solver.findGuaranteedFirstBoxes(labels, peekRules, correctCounts).length : 0;
+  const score = draws + 2 * (1 - firstBoxes / labels.length) + (labels.length - GAME_CONFIG.MIN_BOX_COUNT) / 2;
+
+  const { medium, hard } = GAME_CONFIG.DIFFICULTY_SCORES;
+  const difficulty = score >= hard ? 'hard' : score >= medium ? 'medium' : 'easy';
+  return { solvable, difficulty, score, draws, firstBoxes };
+}
+
+/**
+ * Reads a difficulty, falling back to any difficulty
+ * @param {*} difficulty - A difficulty from the settings
+ * @returns {string} One of DIFFICULTIES, or 'any'
+ */
+function normalizeDifficulty(difficulty) {
+  return DIFFICULTIES.includes(difficulty) ? difficulty : 'any';
+}
+
+/**
+ * Lays out a board family as one of its boards, each equally likely: the labels
+ * in a random order, the right ones on random boxes and the other boxes holding
+ * a random derangement of the rest
+ * @param {Object} family - A board family from listBoardFamilies
+ * @param {Function} random - Seeded random function
+ * @returns {Array<Object>} The boxes, with their label and contents
+ */
+function layOutBoard(family, random) {
+  const labels = shuffleItems(family.labels, random);
+  const wrongIndexes = shuffleItems(labels.map((_, index) => index), random).slice(family.correctCount);
+
+  // Shuffle the wrong boxes' contents until none holds what its label says;
+  // every derangement is as likely as every other
+  let order = wrongIndexes;
+  while (order.some((boxIndex, position) => boxIndex === wrongIndexes[position])) {
+    order = shuffleItems(wrongIndexes, random);
+  }
+
+  const contents = [...labels];
+  wrongIndexes.forEach((boxIndex, position) => {
+    contents[boxIndex] = labels[order[position]];
+  });
+  return createBoxes(labels.length).map((box, index) => ({
+    ...box,
+    contents: contents[index],
+    label: getLabelId(labels[index])
+  }));
+}
+
+/**
+ * Counts the boards of a family: every order of its labels, times every choice of
+ * right labels, times every way the other boxes can all hold the wrong contents
+ * @param {number} boxCount - Number of boxes
+ * @param {number} correctCount - Number of right labels
+ * @returns {number} The number of boards
+ */
+function countBoards(boxCount, correctCount) {
+  const factorial = count => (count <= 1 ? 1 : count * factorial(count - 1));
+  const derangements = count => (count === 0 ? 1 : count === 1 ? 0 : (count - 1) * (derangements(count - 1) + derangements(count - 2)));
+  const choices = factorial(boxCount) / (factorial(correctCount) * factorial(boxCount - correctCount));
+  return factorial(boxCount) * choices * derangements(boxCount - correctCount);
+}
+
+/**
+ * Lists every way to choose some items, keeping their order
+ * @param {Array} items - The items to choose from
+ * @param {number} count - How many to choose
+ * @returns {Array<Array>} The choices
+ */
+function chooseItems(items, count) {
+  if (count === 0) {
+    return [[]];
+  }
+  return items.flatMap((item, index) =>
+    chooseItems(items.slice(index + 1), count - 1).map(rest => [item, ...rest])
+  );
+}
+
+/**
+ * Describes a set of labels without its colors, so sets that only differ by which
+ * color is which (red and red, white and blue... against white and white, red and
+ * blue...) get the same description
+ * @param {Array<Array<string>>} labels - The combinations on the labels
+ * @param {Array<string>} colors - The colors of the puzzle
+ * @returns {string} The smallest key of the set among every renaming of the colors
+ */
+function getColorPattern(labels, colors) {
+  return getOrderings(colors)
+    .map(renaming => labels
+      .map(label => label.map(color => colors.indexOf(renaming[colors.indexOf(color)])).sort().join(''))
+      .sort()
+      .join('.'))
+    .sort()[0];
+}
+
+/**
+ * Lists every order of some items
+ * @param {Array} items - The items
+ * @returns {Array<Array>} Every permutation of the items
+ */
+function getOrderings(items) {
+  if (items.length <= 1) {
+    return [items];
+  }
+  return items.flatMap((item, index) =>
+    getOrderings([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+// ============================================================================
+// PEEK RULES
+// ============================================================================
+// The classic puzzle allows a single marble from a single box. The peek rules
+// in the settings relax that for easier puzzles:
+//   peekDraws            - how many marbles the player may draw in total
+//   peekBoxes            - how many different boxes those marbles may come from
+//   drawWithReplacement  - whether each marble is put back before the next draw;
+//                          without replacement a box runs out after its marbles
+
+/**
+ * Gets the peek rules of the classic puzzle
+ * @returns {Object} The rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ */
+function getDefaultPeekRules() {
+  return {
+    peekDraws: 1,
+    peekBoxes: 1,
+    drawWithReplacement: false
+  };
+}
+
+/**
+ * Reads the peek rules from settings, filling in and clamping missing or invalid values
+ * @param {Object} settings - The game settings
+ * @param {number} boxCount - Number of boxes in the puzzle
+ * @returns {Object} Valid rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ */
+function normalizePeekRules(settings, boxCount) {
+  const defaults = getDefaultPeekRules();
+  const clamp = (value, fallback, max) =>
+    Number.isInteger(value) ? Math.min(Math.max(value, 1), max) : fallback;
+
+  const peekDraws = clamp(settings.peekDraws, defaults.peekDraws, GAME_CONFIG.MAX_PEEK_DRAWS);
+  return {
+    peekDraws,
+    // A box is only opened by drawing from it
+    peekBoxes: clamp(settings.peekBoxes, defaults.peekBoxes, Math.min(peekDraws, boxCount, GAME_CONFIG.MAX_PEEK_BOXES)),
+    drawWithReplacement: settings.drawWithReplacement === true
+  };
+}
+
+/**
+ * Encodes peek rules for a puzzle link
+ * @param {Object} rules - The peek rules
+ * @returns {string} "<draws>-<boxes>", with "-r" appended for draws with replacement
+ */
+function encodePeekRules(rules) {
+  return `${rules.peekDraws}-${rules.peekBoxes}${rules.drawWithReplacement ? '-r' : ''}`;
+}
+
+/**
+ * Decodes peek rules from a puzzle link
+ * @param {string} text - Rules written by encodePeekRules
+ * @returns {Object|null} The peek rules, or null if the text is not valid
+ */
+function decodePeekRules(text) {
+  const match = /^(\d)-(\d)(-r)?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const rules = {
+    peekDraws: Number(match[1]),
+    peekBoxes: Number(match[2]),
+    drawWithReplacement: Boolean(match[3])
+  };
+  const isValid = rules.peekDraws >= 1 && rules.peekDraws <= GAME_CONFIG.MAX_PEEK_DRAWS &&
+    rules.peekBoxes >= 1 && rules.peekBoxes <= Math.min(rules.peekDraws, GAME_CONFIG.MAX_PEEK_BOXES);
+  return isValid ? rules : null;
+}
+
+// ============================================================================
+// TRUTH RULES
+// ============================================================================
+// The classic puzzle has every label wrong. The other truth rules change how
+// many labels tell the truth:
+//   all-labels-wrong   - no label is right
+//   one-label-right    - exactly one label is right
+//   at-most-one-wrong  - no more than one label is wrong
+//   card               - a card from the professor says how many labels are right
+// Every label names what one of the boxes holds, so a wrong label always leaves
+// another box with the wrong label too: "at most one wrong" means every label is
+// right, which the player has to realize. The card states the true number of
+// right labels, so it is read off the boxes rather than stored.
+
+const TRUTH_RULES = ['all-labels-wrong', 'one-label-right', 'at-most-one-wrong', 'card'];
+
+/**
+ * Reads a truth rule, falling back to the classic one
+ * @param {*} truthRule - A truth rule from the settings or a link
+ * @returns {string} One of TRUTH_RULES
+ */
+function normalizeTruthRule(truthRule) {
+  return TRUTH_RULES.includes(truthRule) ? truthRule : TRUTH_RULES[0];
+}
+
+/**
+ * Lists how many labels may be right under a truth rule, the form the solver takes
+ * @param {string} truthRule - One of TRUTH_RULES
+ * @param {number} boxCount - Number of boxes in the puzzle
+ * @param {number} cardCount - The number of right labels the card states (card rule only)
+ * @returns {Array<number>} The numbers of right labels the rule allows
+ */
+function getCorrectLabelCounts(truthRule, boxCount, cardCount) {
+  switch (truthRule) {
+    case 'one-label-right':
+      return [1];
+    case 'at-most-one-wrong':
+      return [boxCount - 1, boxCount];
+    case 'card':
+      return [cardCount];
+    default:
+      return [0];
+  }
+}
+
+/**
+ * Lists how many labels a generated puzzle may have right under a truth rule.
+ * A single wrong label is impossible, and the card never says every label is right.
+ * @param {string} truthRule - One of TRUTH_RULES
+ * @param {number} boxCount - Number of boxes in the puzzle
+ * @returns {Array<number>} The numbers of right labels to choose from
+ */
+function getPossibleCorrectCounts(truthRule, boxCount) {
+  if (truthRule === 'card') {
+    return Array.from({ length: boxCount - 1 }, (_, count) => count);
+  }
+  return getCorrectLabelCounts(truthRule, boxCount, 0).filter(count => count !== boxCount - 1);
+}
+
+/**
+ * Counts the boxes that hold what their label says
+ * @param {Array<Object>} boxes - The puzzle's boxes
+ * @returns {number} The number of right labels
+ */
+function countCorrectLabels(boxes) {
+  return boxes.filter(checkContentsMatchLabel).length;
+}
+
+// ============================================================================
+// PUZZLE LINKS
+// ============================================================================
+// A puzzle link carries the seed and the box layout in the URL hash, e.g.
+// #seed=123&layout=red-red.white-white,red-white.red-red,white-white.red-white
+// where each box is written as "<label>.<contents>" using contents keys (colors
+// joined by '-'), so any box count and any colors can be shared. The layout is included so a
+// link rebuilds the same boxes even if the generator changes; the seed alone
+// decides which marble each box shows. Puzzles played with other than the classic
+// peek rules add them as e.g. &peeks=2-1-r (see encodePeekRules), puzzles with
+// another truth rule add e.g. &truth=one-label-right, and puzzles set by the
+// adversarial professor add &professor=adversarial.
+
+/**
+ * Encodes a game's puzzle as a URL hash (without the leading '#')
+ * @param {Object} state - The game state
+ * @returns {string} The encoded seed and layout
+ */
+function encodePuzzleHash(state) {
+  const layout = state.boxes
+    .map(box => `${box.label}.${getContentsKey(box.contents)}`)
+    .join(',');
+  const peekRules = encodePeekRules(state.settings);
+  const truthRule = normalizeTruthRule(state.settings.truthRule);
+  return `seed=${state.seed}&layout=${layout}` +
+    (peekRules === encodePeekRules(getDefaultPeekRules()) ? '' : `&peeks=${peekRules}`) +
+    (truthRule === TRUTH_RULES[0] ? '' : `&truth=${truthRule}`) +
+    (state.settings.adversarial ? '&professor=adversarial' : '');
+}
+
+/**
+ * Parses a URL hash produced by encodePuzzleHash
+ * @param {string} hash - The URL hash (with or without the leading '#')
+ * @returns {Object|null} The puzzle link ({ seed, layout, rules }), or null if the hash holds no
+ * valid seed. The layout is null when missing or invalid, in which case the seed regenerates the
+ * puzzle. The rules are the peek rules, the truth rule and the professor mode
+ * ({ ...peekRules, truthRule, adversarial }); links without valid rules get the classic ones.
+ */
+function parsePuzzleHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const seedText = params.get('seed');
+  if (!seedText || !/^\d+$/.test(seedText) || Number(seedText) > 4294967295) {
+    return null;
+  }
+
+  const truthRule = normalizeTruthRule(params.get('truth'));
+  return {
+    seed: Number(seedText),
+    layout: decodeLayout(params.get('layout') || '', truthRule),
+    rules: {
+      ...(decodePeekRules(params.get('peeks') || '') || getDefaultPeekRules()),
+      truthRule,
+      adversarial: params.get('professor') === 'adversarial'
+    }
+  };
+}
+
+/**
+ * Decodes and validates a layout string from a puzzle link
+ * @param {string} layoutText - Comma separated "<label>.<contents>" pairs
+ * @param {string} [truthRule] - The truth rule the labels follow (see TRUTH RULES)
+ * @returns {Array|null} Array of { label, contents } per box, or null if the layout is not a valid puzzle
+ */
+function decodeLayout(layoutText, truthRule = TRUTH_RULES[0]) {
+  const layout = layoutText.split(',').map(pair => {
+    const [labelKey = '', contentsKey = ''] = pair.split('.');
+    return {
+      label: getLabelId(labelKey.split('-')),
+      contents: sortColors(contentsKey.split('-'))
+    };
+  });
+
+  const isCombination = colors =>
+    colors.length === GAME_CONFIG.MARBLES_PER_BOX &&
+    colors.every(color => GAME_CONFIG.COLORS.includes(color));
+  const labelSet = new Set(layout.map(box => box.label));
+  const contentsSet = new Set(layout.map(box => getLabelId(box.contents)));
+  const validSize = layout.length >= GAME_CONFIG.MIN_BOX_COUNT &&
+    layout.length <= GAME_CONFIG.MAX_BOX_COUNT;
+
+  // Labels and contents must each be distinct combinations, the labels must
+  // name exactly the combinations that are in the boxes, and as many of them
+  // may be right as the truth rule allows
+  const correctCount = countCorrectLabels(layout);
+  if (!validSize ||
+    !layout.every(box => isCombination(parseLabel(box.label)) && isCombination(box.contents)) ||
+    labelSet.size !== layout.length ||
+    contentsSet.size !== layout.length ||
+    [...labelSet].some(label => !contentsSet.has(label)) ||
+    !getCorrectLabelCounts(normalizeTruthRule(truthRule), layout.length, correctCount).includes(correctCount)) {
+    return null;
+  }
+
+  return layout;
+}
+
+/**
+ * Builds a puzzle from a decoded layout, adopting its size and colors
+ * @param {Array} layout - Array of { label, contents } per box, from decodeLayout
+ * @returns {Object} The puzzle, as { colors, combinations, boxes }
+ */
+function createPuzzleFromLayout(layout) {
+  const layoutContents = layout.map(box => box.contents);
+  const colors = sortColors([...new Set(layoutContents.flat())]);
+  const combinations = getMarbleCombinations(colors)
+    .filter(combination => layoutContents.some(contents => contents.join() === combination.join()));
+
+  const boxes = createBoxes(layout.length);
+  boxes.forEach((box, index) => {
+    box.label = layout[index].label;
+    box.contents = layout[index].contents;
+  });
+
+  return { colors, combinations, boxes };
+}
+
+// ============================================================================
+// PUZZLE DEFINITIONS
+// ============================================================================
+// Puzzle authors can write a puzzle as JSON instead of having it generated:
+//   {
+//     "format": "box-and-marble-puzzle",
+//     "version": 1,
+//     "title": "The Classic",                           (optional)
+//     "intro": "A professor hands you three boxes...",  (optional)
+//     "marbles": { "colors": ["red", "white"], "perBox": 2 },
+//     "rule": "all-labels-wrong",                      (optional)
+//     "peek": { "draws": 1, "boxes": 1, "withReplacement": false },  (optional)
+//     "boxes": [
+//       { "label": ["red", "white"], "contents": ["red", "red"] },
+//       { "label": ["red", "red"], "contents": ["white", "white"] },
+//       { "label": ["white", "white"], "contents": ["red", "white"] }
+//     ]
+//   }
+// The title and intro may also be objects with a text per language code, e.g.
+// { "en": "...", "es": "..." }. The marble pool lists the colors in play; the rule
+// is one of the truth rules (see TRUTH RULES), and the labels must name exactly the
+// combinations that are in the boxes. The rule defaults to every label being
+// wrong and the peek rules to the classic single marble. A definition is rejected
+// if it contradicts itself or if no way of peeking within its rules can settle
+// every box without guessing.
+
+const PUZZLE_DEFINITION = {
+  FORMAT: 'box-and-marble-puzzle',
+  VERSION: 1,
+  RULES: TRUTH_RULES
+};
+
+/**
+ * Describes one problem found in a puzzle definition
+ * @param {string} code - Identifies the problem (the page words it in the player's language)
+ * @param {string} message - The problem in English
+ * @param {Object} [params] - Details such as the box number, for the message
+ * @returns {Object} The problem, as { code, message, params }
+ */
+function createDefinitionError(code, message, params = {}) {
+  return { code, message, params };
+}
+
+/**
+ * Checks a puzzle definition and builds the puzzle it describes
+ * @param {*} definition - The parsed JSON of a puzzle definition
+ * @returns {Object} { errors, puzzle }: the problems found (see createDefinitionError), and when
+ * there are none the puzzle, as { layout, rules, title, intro }. The layout is ready for
+ * createGame, the rules are game settings ({ ...peekRules, truthRule, adversarial: false }), and the title
+ * and intro are null, a string, or an object of strings per language.
+ */
+function validatePuzzleDefinition(definition) {
+  const fail = (...errors) => ({ errors, puzzle: null });
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return fail(createDefinitionError('not-object', 'A puzzle definition must be a JSON object.'));
+  }
+  if (definition.format !== PUZZLE_DEFINITION.FORMAT || definition.version !== PUZZLE_DEFINITION.VERSION) {
+    return fail(createDefinitionError('format',
+      `"format" must be "${PUZZLE_DEFINITION.FORMAT}" and "version" must be ${PUZZLE_DEFINITION.VERSION}.`,
+      { format: PUZZLE_DEFINITION.FORMAT, version: PUZZLE_DEFINITION.VERSION }));
+  }
+
+  const errors = [];
+  const isText = text => text === undefined || typeof text === 'string' ||
+    (text !== null && typeof text === 'object' && !Array.isArray(text) &&
+      Object.values(text).every(value => typeof value === 'string'));
+  if (!isText(definition.title) || !isText(definition.intro)) {
+    errors.push(createDefinitionError('text',
+      '"title" and "intro" must be text, or an object with a text for each language code.'));
+  }
+
+  // The marble pool
+  const marbles = definition.marbles || {};
+  const colors = Array.isArray(marbles.colors) ? marbles.colors : [];
+  const validColors = colors.length >= GAME_CONFIG.MIN_COLOR_COUNT &&
+    colors.length <= GAME_CONFIG.COLORS.length &&
+    new Set(colors).size === colors.length &&
+    colors.every(color => GAME_CONFIG.COLORS.includes(color));
+  if (!validColors) {
+    errors.push(createDefinitionError('colors',
+      `"marbles.colors" must list ${GAME_CONFIG.MIN_COLOR_COUNT} to ${GAME_CONFIG.COLORS.length} different colors out of ${GAME_CONFIG.COLORS.join(', ')}.`,
+      { min: GAME_CONFIG.MIN_COLOR_COUNT, max: GAME_CONFIG.COLORS.length, colors: GAME_CONFIG.COLORS }));
+  }
+  if (marbles.perBox !== undefined && marbles.perBox !== GAME_CONFIG.MARBLES_PER_BOX) {
+    errors.push(createDefinitionError('per-box',
+      `"marbles.perBox" must be ${GAME_CONFIG.MARBLES_PER_BOX}: every box holds ${GAME_CONFIG.MARBLES_PER_BOX} marbles.`,
+      { count: GAME_CONFIG.MARBLES_PER_BOX }));
+  }
+
+  const rule = definition.rule === undefined ? PUZZLE_DEFINITION.RULES[0] : definition.rule;
+  if (!PUZZLE_DEFINITION.RULES.includes(rule)) {
+    errors.push(createDefinitionError('rule',
+      `"rule" must be one of: ${PUZZLE_DEFINITION.RULES.join(', ')}.`,
+      { rules: PUZZLE_DEFINITION.RULES }));
+  }
+
+  // The peek rules, checked the same way as those in a puzzle link
+  const peek = definition.peek || {};
+  const boxes = Array.isArray(definition.boxes) ? definition.boxes : [];
+  const peekRules = {
+    peekDraws: peek.draws === undefined ? 1 : peek.draws,
+    peekBoxes: peek.boxes === undefined ? 1 : peek.boxes,
+    drawWithReplacement: peek.withReplacement === true
+  };
+  const isValidPeek = Number.isInteger(peekRules.peekDraws) && Number.isInteger(peekRules.peekBoxes) &&
+    decodePeekRules(encodePeekRules(peekRules)) !== null &&
+    peekRules.peekBoxes <= Math.max(boxes.length, 1) &&
+    (peek.withReplacement === undefined || typeof peek.withReplacement === 'boolean');
+  if (!isValidPeek) {
+    errors.push(createDefinitionError('peek',
+      `"peek.draws" must be 1 to ${GAME_CONFIG.MAX_PEEK_DRAWS}, and "peek.boxes" 1 to the smallest of the draws, ${GAME_CONFIG.MAX_PEEK_BOXES} and the number of boxes.`,
+      { maxDraws: GAME_CONFIG.MAX_PEEK_DRAWS, maxBoxes: GAME_CONFIG.MAX_PEEK_BOXES }));
+  }
+
+  // The boxes
+  if (boxes.length < GAME_CONFIG.MIN_BOX_COUNT || boxes.length > GAME_CONFIG.MAX_BOX_COUNT) {
+    errors.push(createDefinitionError('box-count',
+      `"boxes" must list ${GAME_CONFIG.MIN_BOX_COUNT} to ${GAME_CONFIG.MAX_BOX_COUNT} boxes.`,
+      { min: GAME_CONFIG.MIN_BOX_COUNT, max: GAME_CONFIG.MAX_BOX_COUNT }));
+  }
+  const isCombination = value => Array.isArray(value) &&
+    value.length === GAME_CONFIG.MARBLES_PER_BOX &&
+    value.every(color => colors.includes(color));
+  // Boxes can only be checked against a valid marble pool
+  boxes.forEach((box, index) => {
+    if (validColors && (!box || !isCombination(box.label) || !isCombination(box.contents))) {
+      errors.push(createDefinitionError('box-shape',
+        `Box ${index + 1} needs a "label" and "contents", each a list of ${GAME_CONFIG.MARBLES_PER_BOX} colors from the marble pool.`,
+        { number: index + 1, count: GAME_CONFIG.MARBLES_PER_BOX }));
+    }
+  });
+  if (errors.length > 0) {
+    return fail(...errors);
+  }
+
+  // The boxes must be a puzzle: distinct contents, labels naming exactly those contents
+  const layout = boxes.map(box => ({ label: getLabelId(box.label), contents: sortColors(box.contents) }));
+  const findRepeat = keys => {
+    const second = keys.findIndex((key, index) => keys.indexOf(key) !== index);
+    return second === -1 ? null : { first: keys.indexOf(keys[second]) + 1, second: second + 1 };
+  };
+  const contentsKeys = layout.map(box => getLabelId(box.contents));
+  const repeatedContents = findRepeat(contentsKeys);
+  if (repeatedContents) {
+    errors.push(createDefinitionError('duplicate-contents',
+      `Boxes ${repeatedContents.first} and ${repeatedContents.second} hold the same marbles.`, repeatedContents));
+  }
+  const repeatedLabel = findRepeat(layout.map(box => box.label));
+  if (repeatedLabel) {
+    errors.push(createDefinitionError('duplicate-label',
+      `Boxes ${repeatedLabel.first} and ${repeatedLabel.second} have the same label.`, repeatedLabel));
+  }
+  layout.forEach((box, index) => {
+    if (!contentsKeys.includes(box.label)) {
+      errors.push(createDefinitionError('label-not-in-boxes',
+        `The label of box ${index + 1} names marbles that no box holds; every label must name what one of the boxes holds.`,
+        { number: index + 1 }));
+    }
+    if (rule === TRUTH_RULES[0] && checkContentsMatchLabel(box)) {
+      errors.push(createDefinitionError('rule-broken',
+        `Box ${index + 1} holds what its label says, which breaks the rule that every label is wrong.`,
+        { number: index + 1 }));
+    }
+  });
+  const correctCount = countCorrectLabels(layout);
+  if (rule !== TRUTH_RULES[0] && !getCorrectLabelCounts(rule, layout.length, correctCount).includes(correctCount)) {
+    errors.push(createDefinitionError('rule-count',
+      `${correctCount} of the labels are right, which the rule "${rule}" does not allow.`,
+      { count: correctCount, rule }));
+  }
+  colors.filter(color => !layout.some(box => box.contents.includes(color))).forEach(color => {
+    errors.push(createDefinitionError('unused-color',
+      `The marble pool includes ${color}, but no box holds a ${color} marble.`, { color }));
+  });
+  if (errors.length > 0) {
+    return fail(...errors);
+  }
+
+  const correctCounts = getCorrectLabelCounts(rule, layout.length, correctCount);
+  if (!Solver.canGuaranteeSolution(layout.map(box => parseLabel(box.label)), peekRules, correctCounts)) {
+    return fail(createDefinitionError('unsolvable',
+      'No way of peeking allowed by the peek rules is sure to reveal what every box holds, so the puzzle cannot be solved without guessing.'));
+  }
+
+  return {
+    errors: [],
+    puzzle: {
+      layout,
+      rules: { ...peekRules, truthRule: rule, adversarial: false },
+      title: definition.title === undefined ? null : definition.title,
+      intro: definition.intro === undefined ? null : definition.intro
+    }
+  };
+}
+
+// ============================================================================
+// GAME STATE TRANSITIONS
+// ============================================================================
+// A game state looks like:
+//   {
+//     phase,                // One of GAME_PHASES
+//     settings,             // { boxCount, colorCount, truthRule, adversarial, difficulty } and the
+//                           // peek rules (see PEEK RULES, TRUTH RULES and PUZZLE GENERATION)
+//     seed,                 // Seed the puzzle and every marble draw come from
+//     colors, combinations, // Marble colors and possible contents in this puzzle
+//     boxes,                // [{ id, label, contents }]
+//     difficulty,           // How hard the board is under the peek rules, one of DIFFICULTIES
+//     observations,         // Marbles drawn so far, in order, as [{ boxId, marble }]
+//     userLabelSelections,  // { [boxId]: label } with '' for unanswered boxes
+//     hints,                // Hints taken, in order, as [{ phase, level }] (see HINTS)
+//     results               // calculateResults output once submitted, else null
+//   }
+// Transitions that are not allowed in the current phase return the state unchanged.
+
+/**
+ * Creates a new game, either generated from a seed or rebuilt from a shared layout
+ * @param {Object} [options] - How to create the game
+ * @param {Object} [options.settings] - The puzzle size ({ boxCount, colorCount }), peek rules,
+ * truth rule ({ truthRule }), professor mode ({ adversarial }) and the difficulty asked for
+ * ({ difficulty })
+ * @param {number} [options.seed] - The seed to use; a fresh one is picked if omitted
+ * @param {Array} [options.layout] - A layout from decodeLayout to rebuild instead of generating
+ * @returns {Object} The new game state, waiting for a peek
+ */
+function createGame({ settings = getDefaultSettings(), seed = generateSeed(), layout = null } = {}) {
+  const puzzle = layout
+    ? createPuzzleFromLayout(layout)
+    : generatePuzzleConfiguration({ ...settings, ...normalizePuzzleSize(settings) }, createSeededRandom(seed));
+  const boxCount = puzzle.boxes.length;
+  const peekRules = normalizePeekRules(settings, boxCount);
+  const truthRule = normalizeTruthRule(settings.truthRule);
+
+  return {
+    phase: GAME_PHASES.PEEK,
+    settings: {
+      boxCount,
+      colorCount: puzzle.colors.length,
+      ...peekRules,
+      truthRule,
+      adversarial: settings.adversarial === true,
+      difficulty: normalizeDifficulty(settings.difficulty)
+    },
+    seed,
+    colors: puzzle.colors,
+    combinations: puzzle.combinations,
+    boxes: puzzle.boxes,
+    // A shared layout or a puzzle file is graded like a generated board
+    difficulty: puzzle.difficulty || gradeBoard(
+      puzzle.boxes.map(box => parseLabel(box.label)),
+      peekRules,
+      getCorrectLabelCounts(truthRule, boxCount, countCorrectLabels(puzzle.boxes))
+    ).difficulty,
+    observations: [],
+    userLabelSelections: puzzle.boxes.reduce((acc, box) => {
+      acc[box.id] = '';
+      return acc;
+    }, {}),
+    hints: [],
+    results: null
+  };
+}
+
+/**
+ * Gets the settings for the classic puzzle
+ * @returns {Object} The default puzzle size ({ boxCount, colorCount }), peek rules, every label
+ * wrong, a fair professor and boards of any difficulty
+ */
+function getDefaultSettings() {
+  return {
+    boxCount: GAME_CONFIG.DEFAULT_BOX_COUNT,
+    colorCount: GAME_CONFIG.DEFAULT_COLOR_COUNT,
+    ...getDefaultPeekRules(),
+    truthRule: TRUTH_RULES[0],
+    adversarial: false,
+    difficulty: 'any'
+  };
+}
+
+/**
+ * Peeks into a box, drawing one more marble for the player to see
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box to draw from
+ * @returns {Object} The new game state, with the drawn marble added to the observations
+ */
+function peekIntoBox(state, boxId) {
+  const boxIndex = state.boxes.findIndex(box => box.id === boxId);
+
+  // Marbles can be drawn until the answers are submitted, within the peek rules
+  if (state.phase === GAME_PHASES.SUBMITTED || boxIndex === -1 || !canPeekIntoBox(state, boxId)) {
+    return state;
+  }
+
+  // The adversarial professor picks the marble, then settles on contents that fit it
+  const marble = state.settings.adversarial
+    ? chooseAdversarialMarble(state, boxId)
+    : drawNextMarble(
+      state.seed,
+      boxIndex,
+      state.boxes[boxIndex].contents,
+      getObservedMarbles(state, boxId),
+      state.settings.drawWithReplacement
+    );
+  const observations = [...state.observations, { boxId, marble }];
+
+  return {
+    ...state,
+    phase: GAME_PHASES.LABEL,
+    boxes: state.settings.adversarial ? keepConsistentContents(state, observations) : state.boxes,
+    observations
+  };
+}
+
+/**
+ * Assigns (or clears) the player's answer for a box
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box being labelled
+ * @param {string} label - A label from this puzzle, or '' to clear the answer
+ * @returns {Object} The new game state
+ */
+function assignLabel(state, boxId, label) {
+  const takenByOtherBox = Object.entries(state.userLabelSelections)
+    .some(([otherId, otherLabel]) => otherId !== boxId && otherLabel === label);
+
+  // Labels can only be assigned while labelling, and each label only once
+  if (state.phase !== GAME_PHASES.LABEL ||
+    !(boxId in state.userLabelSelections) ||
+    (label !== '' && (!getPuzzleLabels(state).includes(label) || takenByOtherBox))) {
+    return state;
+  }
+
+  return {
+    ...state,
+    userLabelSelections: { ...state.userLabelSelections, [boxId]: label }
+  };
+}
+
+/**
+ * Moves the label on one box onto another, the way labels are rearranged on the
+ * physical boxes: if the target box already shows a label, the two swap places.
+ * Both boxes keep the label they end up with as the player's answer.
+ * @param {Object} state - The game state
+ * @param {string} fromBoxId - The box whose label is moved
+ * @param {string} toBoxId - The box the label is put on
+ * @returns {Object} The new game state (unchanged if the move is not allowed)
+ */
+function moveLabel(state, fromBoxId, toBoxId) {
+  const movedLabel = getLabelOnBox(state, fromBoxId);
+
+  if (state.phase !== GAME_PHASES.LABEL ||
+    fromBoxId === toBoxId ||
+    !(fromBoxId in state.userLabelSelections) ||
+    !(toBoxId in state.userLabelSelections) ||
+    movedLabel === '') {
+    return state;
+  }
+
+  return {
+    ...state,
+    userLabelSelections: {
+      ...state.userLabelSelections,
+      [fromBoxId]: getLabelOnBox(state, toBoxId),
+      [toBoxId]: movedLabel
+    }
+  };
+}
+
+/**
+ * Takes a hint. Each hint in a phase is one level more specific than the last,
+ * up to GAME_CONFIG.HINT_LEVELS; getHint says what it is.
+ * @param {Object} state - The game state
+ * @returns {Object} The new game state (unchanged once the answers are submitted)
+ */
+function takeHint(state) {
+  if (state.phase === GAME_PHASES.SUBMITTED) {
+    return state;
+  }
+
+  const takenInPhase = state.hints.filter(hint => hint.phase === state.phase).length;
+  const level = Math.min(takenInPhase + 1, GAME_CONFIG.HINT_LEVELS);
+  return {
+    ...state,
+    hints: [...state.hints, { phase: state.phase, level }]
+  };
+}
+
+/**
+ * Submits the player's answers once every box has a label
+ * @param {Object} state - The game state
+ * @returns {Object} The new game state, with results
+ */
+function submitAnswers(state) {
+  if (state.phase !== GAME_PHASES.LABEL || !areAllLabelsSelected(state)) {
+    return state;
+  }
+
+  // The adversarial professor only now commits to the contents that beat the answers
+  const finalState = state.settings.adversarial
+    ? { ...state, boxes: chooseAdversarialContents(state) }
+    : state;
+
+  return {
+    ...finalState,
+    phase: GAME_PHASES.SUBMITTED,
+    results: calculateResults(finalState)
+  };
+}
+
+/**
+ * Starts a new game with the same settings and a fresh seed
+ * @param {Object} state - The game state
+ * @param {number} [seed] - The seed for the new puzzle; a fresh one is picked if omitted
+ * @returns {Object} The new game state, waiting for a peek
+ */
+function restartGame(state, seed = generateSeed()) {
+  return createGame({ settings: state.settings, seed });
+}
+
+// ============================================================================
+// GAME QUERIES & SCORING
+// ============================================================================
+
+/**
+ * Lists every label used in a puzzle, one per possible combination
+ * @param {Object} state - The game state
+ * @returns {Array<string>} The label ids
+ */
+function getPuzzleLabels(state) {
+  return state.combinations.map(getLabelId);
+}
+
+/**
+ * Checks whether the player has given every box an answer
+ * @param {Object} state - The game state
+ * @returns {boolean} True if no box is left without a label
+ */
+function areAllLabelsSelected(state) {
+  return Object.values(state.userLabelSelections).every(label => label !== '');
+}
+
+/**
+ * Gets the label a box shows while the player rearranges labels: their answer if
+ * they gave one, otherwise the label printed on the box, unless that label has
+ * already been moved to another box
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box
+ * @returns {string} The label id, or '' if the box shows no label
+ */
+function getLabelOnBox(state, boxId) {
+  const answer = state.userLabelSelections[boxId];
+  if (answer) {
+    return answer;
+  }
+
+  const printedLabel = getBox(state, boxId).label;
+  return Object.values(state.userLabelSelections).includes(printedLabel) ? '' : printedLabel;
+}
+
+/**
+ * Gets a box by its id
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box
+ * @returns {Object|undefined} The box
+ */
+function getBox(state, boxId) {
+  return state.boxes.find(box => box.id === boxId);
+}
+
+/**
+ * Lists the boxes the player has drawn from, in the order they were first opened
+ * @param {Object} state - The game state
+ * @returns {Array<string>} The ids of the opened boxes
+ */
+function getPeekedBoxIds(state) {
+  return [...new Set(state.observations.map(observation => observation.boxId))];
+}
+
+/**
+ * Lists the marbles drawn from a box
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box
+ * @returns {Array<string>} The drawn marble colors, in order
+ */
+function getObservedMarbles(state, boxId) {
+  return state.observations
+    .filter(observation => observation.boxId === boxId)
+    .map(observation => observation.marble);
+}
+
+/**
+ * Counts how many more marbles the player may draw
+ * @param {Object} state - The game state
+ * @returns {number} The marbles left in the peek budget
+ */
+function getRemainingDraws(state) {
+  return state.settings.peekDraws - state.observations.length;
+}
+
+/**
+ * Checks whether the peek rules allow drawing a marble from a box
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box
+ * @returns {boolean} True if the box may be drawn from now
+ */
+function canPeekIntoBox(state, boxId) {
+  const peekedBoxIds = getPeekedBoxIds(state);
+  const isOpen = peekedBoxIds.includes(boxId);
+
+  return state.phase !== GAME_PHASES.SUBMITTED &&
+    getRemainingDraws(state) > 0 &&
+    (isOpen || peekedBoxIds.length < state.settings.peekBoxes) &&
+    (state.settings.drawWithReplacement || getObservedMarbles(state, boxId).length < GAME_CONFIG.MARBLES_PER_BOX);
+}
+
+/**
+ * Runs the deduction solver on what the player has seen
+ * @param {Object} state - The game state
+ * @returns {Object} The solver's step-by-step analysis, see explainDeduction
+ */
+function analyzeDeduction(state) {
+  return Solver.explainDeduction(
+    getPuzzleLabelContents(state),
+    toSolverObservations(state, state.observations),
+    state.settings.drawWithReplacement,
+    getPuzzleCorrectCounts(state)
+  );
+}
+
+/**
+ * Works out which boxes could be opened first and still settle every box under the
+ * round's own peek rules, and whether the box the player opened first was one of them
+ * @param {Object} state - The game state
+ * @returns {Object} { guaranteedBoxes, wasGuaranteed }, with the boxes as indexes
+ */
+function analyzeFirstPeek(state) {
+  const guaranteedBoxes = Solver.findGuaranteedFirstBoxes(
+    getPuzzleLabelContents(state), state.settings, getPuzzleCorrectCounts(state));
+  const [firstObservation] = state.observations;
+  const firstBoxIndex = firstObservation ? state.boxes.findIndex(box => box.id === firstObservation.boxId) : -1;
+  return { guaranteedBoxes, wasGuaranteed: guaranteedBoxes.includes(firstBoxIndex) };
+}
+
+/**
+ * Computes how likely each arrangement of contents is, before and after the marbles drawn
+ * @param {Object} state - The game state
+ * @returns {Array<Object>} One { assignment, prior, likelihood, posterior } per arrangement
+ * the truth rule allows, see computePosterior
+ */
+function analyzePosterior(state) {
+  return Solver.computePosterior(
+    getPuzzleLabelContents(state),
+    toSolverObservations(state, state.observations),
+    state.settings.drawWithReplacement,
+    getPuzzleCorrectCounts(state)
+  );
+}
+
+/**
+ * Checks whether the player can settle every box by logic under the game's peek rules
+ * @param {Object} state - The game state
+ * @returns {boolean} False when even the best way of peeking can leave a guess
+ */
+function isPuzzleSolvable(state) {
+  return Solver.canGuaranteeSolution(getPuzzleLabelContents(state), state.settings, getPuzzleCorrectCounts(state));
+}
+
+/**
+ * Gets how many labels may be right in a game, the form the solver takes its truth rule in
+ * @param {Object} state - The game state
+ * @returns {Array<number>} The numbers of right labels the truth rule allows
+ */
+function getPuzzleCorrectCounts(state) {
+  return getCorrectLabelCounts(state.settings.truthRule, state.boxes.length, countCorrectLabels(state.boxes));
+}
+
+/**
+ * Gets the colors named on each box's label, the form the solver reasons about
+ * @param {Object} state - The game state
+ * @returns {Array<Array<string>>} The label colors, by box index
+ */
+function getPuzzleLabelContents(state) {
+  return state.boxes.map(box => parseLabel(box.label));
+}
+
+/**
+ * Converts observations to the form the solver takes
+ * @param {Object} state - The game state
+ * @param {Array<Object>} observations - Marbles drawn, as { boxId, marble }
+ * @returns {Array<Object>} The same marbles, as { boxIndex, marble }
+ */
+function toSolverObservations(state, observations) {
+  return observations.map(observation => ({
+    boxIndex: state.boxes.findIndex(box => box.id === observation.boxId),
+    marble: observation.marble
+  }));
+}
+
+/**
+ * Calculates the results of the user's label selections
+ * @param {Object} state - The game state
+ * @returns {Object} Results object with correct/incorrect information
+ */
+function calculateResults(state) {
+  const results = {
+    correct: 0,
+    total: state.boxes.length,
+    details: [],
+    deduction: analyzeDeduction(state),
+    firstPeek: analyzeFirstPeek(state),
+    hintsUsed: state.hints.length
+  };
+
+  state.boxes.forEach((box, index) => {
+    const userSelection = state.userLabelSelections[box.id];
+    const correctLabel = getCorrectLabelForBox(box);
+    const isCorrect = userSelection === correctLabel;
+
+    if (isCorrect) {
+      results.correct++;
+    }
+
+    results.details.push({
+      boxId: box.id,
+      boxNumber: index + 1,
+      userSelection: userSelection,
+      correctLabel: correctLabel,
+      actualContents: box.contents,
+      isCorrect: isCorrect
+    });
+  });
+
+  return results;
+}
+
+// ============================================================================
+// HINTS
+// ============================================================================
+// Hints depend on the phase and get more specific with every hint taken in it.
+// Before the peek they steer the player towards a box worth opening: what the
+// labels rule out, what makes a box worth opening, and finally a box to start
+// with. Once marbles have been drawn they work from the box the player opened:
+// look at it, what it can still hold, and finally a check of the labels chosen
+// so far against the marbles seen and the rule that every label is wrong.
+// A hint is plain data so the page can word it:
+//   { type: 'think' }                                    - consider what each label rules out
+//   { type: 'informative' }                              - a good box tells the whole story whatever it shows
+//   { type: 'first-box', boxIndex } or { type: 'no-first-box' } - a box that guarantees the answer, or none does
+//   { type: 'opened', boxIndex, marbles }                - start from the box opened and the marbles it showed
+//   { type: 'contents', boxIndex, options }              - what that box can still hold (one option if settled)
+//   { type: 'contradiction', boxIndex, label, reason, marble } - a chosen label that cannot be right,
+//     because of a marble seen in the box ('marble') or because it is the box's own label ('rule')
+//   { type: 'consistent' }                               - nothing chosen so far contradicts what is known
+
+/**
+ * Describes the last hint taken, as it applies to the game now
+ * @param {Object} state - The game state
+ * @returns {Object|null} The hint (see above), or null if no hint has been taken
+ */
+function getHint(state) {
+  const hint = state.hints[state.hints.length - 1];
+  if (!hint) {
+    return null;
+  }
+
+  if (hint.phase === GAME_PHASES.PEEK) {
+    return getPeekHint(state, hint.level);
+  }
+
+  const boxIndex = state.boxes.findIndex(box => box.id === state.observations[0].boxId);
+  if (hint.level === 1) {
+    return { type: 'opened', boxIndex, marbles: getObservedMarbles(state, state.boxes[boxIndex].id) };
+  }
+  if (hint.level === 2) {
+    const options = [...new Set(getConsistentArrangements(state, state.observations)
+      .map(arrangement => getLabelId(arrangement[boxIndex])))];
+    return { type: 'contents', boxIndex, options };
+  }
+
+  const [contradiction] = findLabelContradictions(state);
+  return contradiction
+    ? { type: 'contradiction', ...contradiction }
+    : { type: 'consistent' };
+}
+
+/**
+ * Describes a hint for a player who has not drawn a marble yet
+ * @param {Object} state - The game state
+ * @param {number} level - How specific the hint is
+ * @returns {Object} The hint
+ */
+function getPeekHint(state, level) {
+  if (level === 1) {
+    return { type: 'think' };
+  }
+  if (level === 2) {
+    return { type: 'informative' };
+  }
+
+  const [boxIndex] = Solver.findGuaranteedFirstBoxes(getPuzzleLabelContents(state), state.settings, getPuzzleCorrectCounts(state));
+  return boxIndex === undefined ? { type: 'no-first-box' } : { type: 'first-box', boxIndex };
+}
+
+/**
+ * Finds the labels chosen so far that cannot be right: a label without room for the
+ * marbles seen in its box, or, when every label is wrong, the label the box came with
+ * @param {Object} state - The game state
+ * @returns {Array<Object>} One { boxIndex, label, reason, marble } per contradiction, by box
+ */
+function findLabelContradictions(state) {
+  const everyLabelWrong = Math.max(...getPuzzleCorrectCounts(state)) === 0;
+  const count = (marbles, color) => marbles.filter(marble => marble === color).length;
+
+  return state.boxes.flatMap((box, boxIndex) => {
+    const label = state.userLabelSelections[box.id];
+    if (!label) {
+      return [];
+    }
+
+    // Without replacement a box must hold every marble drawn from it; with
+    // replacement it only has to hold each color seen
+    const contents = parseLabel(label);
+    const marbles = getObservedMarbles(state, box.id);
+    const marble = marbles.find(color => (state.settings.drawWithReplacement
+      ? !contents.includes(color)
+      : count(marbles, color) > count(contents, color)));
+
+    if (marble) {
+      return [{ boxIndex, label, reason: 'marble', marble }];
+    }
+    if (everyLabelWrong && label === box.label) {
+      return [{ boxIndex, label, reason: 'rule', marble: null }];
+    }
+    return [];
+  });
+}
+
+// ============================================================================
+// ADVERSARIAL PROFESSOR
+// ============================================================================
+// In adversarial mode the professor never commits to the contents of the boxes
+// until forced, like the host of "evil hangman". The generated contents are
+// only a placeholder that is swapped for another arrangement whenever it stops
+// fitting. Each peek shows the marble that keeps the most arrangements possible,
+// and on submission the professor picks the arrangement that scores the
+// player's answers worst. Only a peek that forces a unique answer wins reliably.
+
+/**
+ * Gets the random stream the professor uses to break ties, one per decision
+ * @param {Object} state - The game state
+ * @returns {Function} A seeded random function
+ */
+function getProfessorRandom(state) {
+  // Salted clear of the box indexes used by the marble streams
+  return createSeededRandom(deriveSeed(state.seed, 1000 + state.observations.length));
+}
+
+/**
+ * Lists every arrangement of contents that fits the labels and the marbles drawn
+ * @param {Object} state - The game state
+ * @param {Array<Object>} observations - Marbles drawn, as { boxId, marble }
+ * @returns {Array<Array<Array<string>>>} Each arrangement as the contents of every box
+ */
+function getConsistentArrangements(state, observations) {
+  return Solver.findConsistentAssignments(
+    getPuzzleLabelContents(state),
+    toSolverObservations(state, observations),
+    state.settings.drawWithReplacement,
+    getPuzzleCorrectCounts(state)
+  );
+}
+
+/**
+ * Picks the marble that leaves the player with the most arrangements to choose from
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box being drawn from
+ * @returns {string} The color of the marble the professor shows
+ */
+function chooseAdversarialMarble(state, boxId) {
+  const candidates = state.colors
+    .map(marble => ({
+      marble,
+      remaining: getConsistentArrangements(state, [...state.observations, { boxId, marble }]).length
+    }))
+    .filter(candidate => candidate.remaining > 0);
+
+  const mostRemaining = Math.max(...candidates.map(candidate => candidate.remaining));
+  const best = candidates.filter(candidate => candidate.remaining === mostRemaining);
+  return best[Math.floor(getProfessorRandom(state)() * best.length)].marble;
+}
+
+/**
+ * Keeps the current contents if they still fit the marbles drawn, or switches to an arrangement that does
+ * @param {Object} state - The game state
+ * @param {Array<Object>} observations - Marbles drawn, as { boxId, marble }, including the latest
+ * @returns {Array<Object>} The boxes with contents that fit every observation
+ */
+function keepConsistentContents(state, observations) {
+  const arrangements = getConsistentArrangements(state, observations);
+  const fitsCurrent = arrangements.some(arrangement =>
+    arrangement.every((contents, index) => contents.join() === state.boxes[index].contents.join())
+  );
+  return fitsCurrent ? state.boxes : withContents(state.boxes, arrangements[0]);
+}
+
+/**
+ * Picks the arrangement that gets as few of the player's answers right as possible
+ * @param {Object} state - The game state, with every label selected
+ * @returns {Array<Object>} The boxes with their final contents
+ */
+function chooseAdversarialContents(state) {
+  const scored = getConsistentArrangements(state, state.observations).map(arrangement => ({
+    arrangement,
+    correct: state.boxes.filter((box, index) =>
+      state.userLabelSelections[box.id] === getLabelId(arrangement[index])
+    ).length
+  }));
+
+  const fewestCorrect = Math.min(...scored.map(candidate => candidate.correct));
+  const worst = scored.filter(candidate => candidate.correct === fewestCorrect);
+  return withContents(state.boxes, worst[Math.floor(getProfessorRandom(state)() * worst.length)].arrangement);
+}
+
+/**
+ * Puts an arrangement of contents into a puzzle's boxes
+ * @param {Array<Object>} boxes - The boxes
+ * @param {Array<Array<string>>} arrangement - The contents of every box, by box index
+ * @returns {Array<Object>} New boxes holding the arrangement
+ */
+function withContents(boxes, arrangement) {
+  return boxes.map((box, index) => ({ ...box, contents: [...arrangement[index]] }));
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GAME_CONFIG,
+    GAME_PHASES,
+    createSeededRandom,
+    deriveSeed,
+    generateSeed,
+    getBoxRandom,
+    shuffleItems,
+    pickWeighted,
+    drawMarble,
+    drawNextMarble,
+    checkContentsMatchLabel,
+    getCorrectLabelForBox,
+    getLabelId,
+    parseLabel,
+    getContentsKey,
+    sortColors,
+    getMarbleCombinations,
+    getMaxBoxCount,
+    normalizePuzzleSize,
+    hasSolvableBoard,
+    findSolvablePeekRules,
+    DIFFICULTIES,
+    generatePuzzleConfiguration,
+    listBoardFamilies,
+    gradeBoard,
+    normalizeDifficulty,
+    countBoards,
+    getDefaultPeekRules,
+    normalizePeekRules,
+    encodePeekRules,
+    decodePeekRules,
+    TRUTH_RULES,
+    normalizeTruthRule,
+    getCorrectLabelCounts,
+    countCorrectLabels,
+    encodePuzzleHash,
+    parsePuzzleHash,
+    decodeLayout,
+    createPuzzleFromLayout,
+    PUZZLE_DEFINITION,
+    validatePuzzleDefinition,
+    createGame,
+    getDefaultSettings,
+    peekIntoBox,
+    assignLabel,
+    moveLabel,
+    takeHint,
+    submitAnswers,
+    restartGame,
+    getPuzzleLabels,
+    areAllLabelsSelected,
+    getLabelOnBox,
+    getBox,
+    getPeekedBoxIds,
+    getObservedMarbles,
+    getRemainingDraws,
+    canPeekIntoBox,
+    analyzeDeduction,
+    analyzeFirstPeek,
+    analyzePosterior,
+    isPuzzleSolvable,
+    getPuzzleCorrectCounts,
+    calculateResults,
+    getHint,
+    findLabelContradictions,
+    getConsistentArrangements,
+    chooseAdversarialMarble,
+    chooseAdversarialContents
+  };
+}
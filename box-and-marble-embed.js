@@ -0,0 +1,368 @@
+// ============================================================================
+// EMBEDDING API
+// ============================================================================
+// Pages that embed the puzzle can drive it and follow the player through
+// window.BoxAndMarble when they share the window, or through postMessage when
+// the puzzle is in an iframe. Both carry the same commands and events.
+//
+// Commands (window.BoxAndMarble methods, or messages sent to the iframe):
+//   newPuzzle(settings)   Deals a generated puzzle, e.g. { boxCount: 4, colorCount: 3 }
+//   loadPuzzle(puzzle)    Plays a puzzle file definition (see validatePuzzleDefinition
+//                         in the game core) or a puzzle link ('seed=...&layout=...')
+//   getState()            Reads the current game (see getEmbedState)
+// Each returns the state of the game afterwards.
+//
+// Events (window.BoxAndMarble.on(name, listener), or messages posted to the parent):
+//   ready, puzzleGenerated, boxChecked, labelChanged, labelMoved, undone, redone,
+//   hintTaken and answersSubmitted. Apart from ready, which only carries the state, the
+//   data is the event of the game log (see box-and-marble-replay.js) plus the state
+//   after it; answersSubmitted also carries the results from calculateResults.
+//
+// Messages to the iframe look like:
+//   { target: 'box-and-marble', type: 'command', id: 1, command: 'newPuzzle', params: { settings } }
+// and messages from it like:
+//   { source: 'box-and-marble', version: 1, type: 'event', event: 'boxChecked', data }
+//   { source: 'box-and-marble', version: 1, type: 'response', id: 1, command: 'newPuzzle', result }
+//   { source: 'box-and-marble', version: 1, type: 'response', id: 1, command: 'newPuzzle', error: { code, message, errors } }
+// The id is chosen by the parent to match responses to its commands. Adding
+// ?parentOrigin=https://lms.example to the iframe address limits both
+// directions to that origin; otherwise any parent may talk to the puzzle.
+// Since any page may then have framed it, messages to a parent of any origin
+// leave out what would give the puzzle away until the answers are checked:
+// the contents of the boxes, and the puzzle link and seed they can be rebuilt
+// from (see hideEmbedAnswers). Listeners in the same window get everything.
+
+// In the browser the game core shares the global scope (where the replay
+// script has already taken the name Core); under Node it is required like any other module
+const GameCore = typeof module !== 'undefined' && module.exports
+  ? require('./box-and-marble-core.js')
+  : globalThis;
+
+const EMBED_CONFIG = {
+  PROTOCOL_VERSION: 1,
+  MESSAGE_SOURCE: 'box-and-marble',  // The source of messages sent by the puzzle...
+  MESSAGE_TARGET: 'box-and-marble',  // ...and the target of the commands it accepts
+  COMMANDS: ['newPuzzle', 'loadPuzzle', 'getState'],
+  SETTING_KEYS: ['boxCount', 'colorCount', 'peekDraws', 'peekBoxes', 'drawWithReplacement', 'truthRule', 'adversarial', 'difficulty']
+};
+
+const EmbedState = {
+  listeners: {},      // Listeners added with BoxAndMarble.on, by event name
+  parentOrigin: '*'   // The only origin the puzzle talks to, or '*' for any
+};
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Creates the error thrown for a command that cannot be carried out. The code
+ * lets the host tell the problems apart without parsing the message.
+ * @param {string} code - 'unknown-command', 'invalid-puzzle' or 'invalid-link'
+ * @param {string} message - English description of the problem
+ * @param {Array<Object>} [errors] - The problems found in a puzzle definition ({ code, params })
+ * @returns {Error} The error, with code and errors properties
+ */
+function createEmbedError(code, message, errors = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Wraps an event or a response in a message for the parent page
+ * @param {string} type - 'event' or 'response'
+ * @param {Object} details - The rest of the message (e.g., { event, data })
+ * @returns {Object} The message to post
+ */
+function createEmbedMessage(type, details) {
+  return {
+    source: EMBED_CONFIG.MESSAGE_SOURCE,
+    version: EMBED_CONFIG.PROTOCOL_VERSION,
+    type,
+    ...details
+  };
+}
+
+/**
+ * Leaves out of a message what would give the puzzle away, unless the answers have been
+ * checked: the contents of the boxes and the puzzle link and seed of the state, and the
+ * puzzle link puzzleGenerated carries
+ * @param {Object} message - A message from createEmbedMessage
+ * @returns {Object} The message to post to a parent of any origin
+ */
+function hideEmbedAnswers(message) {
+  const hideState = ({ puzzle, seed, boxes, ...state }) =>
+    ({ ...state, boxes: boxes.map(({ contents, ...box }) => box) });
+  const isHidden = state => state && state.phase !== 'submitted';
+
+  if (message.type === 'event' && isHidden(message.data.state)) {
+    const { puzzle, state, ...details } = message.data;
+    return { ...message, data: { ...details, state: hideState(state) } };
+  }
+  if (message.type === 'response' && isHidden(message.result)) {
+    return { ...message, result: hideState(message.result) };
+  }
+  return message;
+}
+
+/**
+ * Reads a command sent by the parent page
+ * @param {*} message - The data of a message event
+ * @returns {Object|null} The command ({ id, command, params }), or null if the message is not a command for the puzzle
+ */
+function parseEmbedCommand(message) {
+  if (!message || typeof message !== 'object' ||
+    message.target !== EMBED_CONFIG.MESSAGE_TARGET || message.type !== 'command') {
+    return null;
+  }
+
+  const params = message.params && typeof message.params === 'object' ? message.params : {};
+  return { id: message.id === undefined ? null : message.id, command: String(message.command), params };
+}
+
+/**
+ * Merges settings requested by the host into the current ones, keeping the puzzle
+ * size within what the settings offer. The core normalizes the other rules itself.
+ * @param {Object} settings - The current settings
+ * @param {Object} [requested] - The settings asked for; unknown keys are ignored
+ * @returns {Object} The settings to deal the next puzzle with
+ */
+function mergeRequestedSettings(settings, requested = {}) {
+  const merged = EMBED_CONFIG.SETTING_KEYS
+    .filter(key => requested && requested[key] !== undefined)
+    .reduce((acc, key) => ({ ...acc, [key]: requested[key] }), { ...settings });
+
+  return { ...merged, ...GameCore.normalizePuzzleSize(merged) };
+}
+
+/**
+ * Copies a game state into plain data for the host. It includes the contents of
+ * the boxes (as the puzzle link does), so hosts should not show it to the player.
+ * @param {Object} state - The game state
+ * @returns {Object} { phase, settings, seed, puzzle, difficulty, boxes, observations, labels, hints, results },
+ * where puzzle is the puzzle link and labels the player's answers by box id
+ */
+function getEmbedState(state) {
+  return {
+    phase: state.phase,
+    settings: { ...state.settings },
+    seed: state.seed,
+    puzzle: GameCore.encodePuzzleHash(state),
+    difficulty: state.difficulty,
+    boxes: state.boxes.map(box => ({ id: box.id, label: box.label, contents: [...box.contents] })),
+    observations: state.observations.map(observation => ({ ...observation })),
+    labels: { ...state.userLabelSelections },
+    hints: state.hints.map(hint => ({ ...hint })),
+    results: state.results
+  };
+}
+
+/**
+ * Builds the data an event carries to the host
+ * @param {Object} event - The event of the game log
+ * @param {Object} state - The game state after the event
+ * @returns {Object} The event's details, the state and, once answers are submitted, the results
+ */
+function getEmbedEventData(event, state) {
+  const { type, ...details } = event;
+  const data = { ...details, state: getEmbedState(state) };
+  return type === 'answersSubmitted' ? { ...data, results: state.results } : data;
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+/**
+ * Publishes window.BoxAndMarble and starts listening for commands from a parent page
+ */
+function initializeEmbedApi() {
+  EmbedState.parentOrigin = new URLSearchParams(window.location.search).get('parentOrigin') || '*';
+
+  window.BoxAndMarble = Object.freeze({
+    version: EMBED_CONFIG.PROTOCOL_VERSION,
+    newPuzzle: settings => runEmbedCommand('newPuzzle', { settings }),
+    loadPuzzle: (puzzle, name) => runEmbedCommand('loadPuzzle', { puzzle, name }),
+    getState: () => runEmbedCommand('getState', {}),
+    on: addEmbedListener,
+    off: removeEmbedListener
+  });
+
+  window.addEventListener('message', receiveEmbedCommand);
+}
+
+/**
+ * Tells the host the puzzle is on screen and ready for commands
+ */
+function announceEmbedReady() {
+  emitEmbedEvent('ready', { state: getEmbedState(GameState.current) });
+}
+
+/**
+ * Passes an event of the game to the host
+ * @param {Object} event - The event, as added to the game log
+ * @param {Object} state - The game state after the event
+ */
+function emitGameEvent(event, state) {
+  emitEmbedEvent(event.type, getEmbedEventData(event, state));
+}
+
+/**
+ * Calls the listeners of an event and posts it to the parent page
+ * @param {string} name - The event name
+ * @param {Object} data - The event data
+ */
+function emitEmbedEvent(name, data) {
+  (EmbedState.listeners[name] || []).forEach(listener => {
+    // A failing listener on the host must not break the game, but is reported like
+    // any uncaught error once the game has carried on
+    try {
+      listener(data);
+    } catch (error) {
+      setTimeout(() => {
+        throw error;
+      });
+    }
+  });
+
+  if (window.parent !== window) {
+    postToParent(createEmbedMessage('event', { event: name, data }));
+  }
+}
+
+/**
+ * Posts a message to the parent page, hiding the puzzle's answers from a parent of
+ * any origin (see hideEmbedAnswers)
+ * @param {Object} message - A message from createEmbedMessage
+ */
+function postToParent(message) {
+  const { parentOrigin } = EmbedState;
+  window.parent.postMessage(parentOrigin === '*' ? hideEmbedAnswers(message) : message, parentOrigin);
+}
+
+/**
+ * Adds a listener for an event of the game
+ * @param {string} name - The event name (e.g., 'answersSubmitted')
+ * @param {Function} listener - Called with the event data
+ * @returns {Function} A function that removes the listener again
+ */
+function addEmbedListener(name, listener) {
+  EmbedState.listeners[name] = [...(EmbedState.listeners[name] || []), listener];
+  return () => removeEmbedListener(name, listener);
+}
+
+/**
+ * Removes a listener added with addEmbedListener
+ * @param {string} name - The event name
+ * @param {Function} listener - The listener to remove
+ */
+function removeEmbedListener(name, listener) {
+  EmbedState.listeners[name] = (EmbedState.listeners[name] || []).filter(existing => existing !== listener);
+}
+
+/**
+ * Carries out a command from the parent page and posts back the result or the error
+ * @param {MessageEvent} event - The message event
+ */
+function receiveEmbedCommand(event) {
+  if (event.source !== window.parent || window.parent === window) return;
+  if (EmbedState.parentOrigin !== '*' && event.origin !== EmbedState.parentOrigin) return;
+
+  const command = parseEmbedCommand(event.data);
+  if (!command) return;
+
+  const reply = { id: command.id, command: command.command };
+  let message;
+  try {
+    message = createEmbedMessage('response', { ...reply, result: runEmbedCommand(command.command, command.params) });
+  } catch (error) {
+    message = createEmbedMessage('response', {
+      ...reply,
+      error: { code: error.code || 'failed', message: error.message, errors: error.errors || [] }
+    });
+  }
+  postToParent(message);
+}
+
+/**
+ * Carries out a command of the embedding API
+ * @param {string} command - One of EMBED_CONFIG.COMMANDS
+ * @param {Object} params - The command's parameters
+ * @returns {Object} The state of the game afterwards (see getEmbedState)
+ * @throws {Error} If the command is unknown or its puzzle is not valid (see createEmbedError)
+ */
+function runEmbedCommand(command, params) {
+  switch (command) {
+    case 'newPuzzle':
+      startEmbeddedPuzzle(params.settings);
+      break;
+    case 'loadPuzzle':
+      loadEmbeddedPuzzle(params.puzzle, params.name);
+      break;
+    case 'getState':
+      break;
+    default:
+      throw createEmbedError('unknown-command', `Unknown command "${command}". Commands are ${EMBED_CONFIG.COMMANDS.join(', ')}.`);
+  }
+
+  // Replay mode only shows a recording; the host always gets the game being played
+  return getEmbedState(isReplaying() ? ReplayState.savedGame : GameState.current);
+}
+
+/**
+ * Deals a generated puzzle, putting away any puzzle file, replay or challenge
+ * @param {Object} [settings] - Settings to change first (see mergeRequestedSettings)
+ */
+function startEmbeddedPuzzle(settings) {
+  exitReplay();
+  if (isChallengeActive()) {
+    quitChallenge();
+  }
+  GameState.settings = mergeRequestedSettings(GameState.settings, settings);
+  startPuzzleWithSettings();
+}
+
+/**
+ * Plays a puzzle sent by the host
+ * @param {Object|string} puzzle - A puzzle file definition or a puzzle link
+ * @param {string} [name] - What to call a puzzle that has no title
+ * @throws {Error} If the puzzle is not valid
+ */
+function loadEmbeddedPuzzle(puzzle, name) {
+  if (typeof puzzle !== 'string') {
+    const errors = playPuzzleDefinition(puzzle, name || translate('definition.embedded'));
+    if (errors.length > 0) {
+      throw createEmbedError('invalid-puzzle', 'The puzzle definition is not valid.', errors);
+    }
+    return;
+  }
+
+  const puzzleLink = GameCore.parsePuzzleHash(puzzle);
+  if (!puzzleLink) {
+    throw createEmbedError('invalid-link', 'The puzzle link has no valid seed.');
+  }
+
+  exitReplay();
+  if (isChallengeActive()) {
+    quitChallenge();
+  }
+  GameState.definition = null;
+  updatePuzzleFileStatus();
+  resetGame(puzzleLink);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EMBED_CONFIG,
+    createEmbedError,
+    createEmbedMessage,
+    hideEmbedAnswers,
+    parseEmbedCommand,
+    mergeRequestedSettings,
+    getEmbedState,
+    getEmbedEventData
+  };
+}
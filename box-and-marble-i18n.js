@@ -0,0 +1,1332 @@
+// ============================================================================
+// LOCALIZATION
+// ============================================================================
+// Every text the page shows comes from the message catalog below. Messages are
+// looked up by key and may hold {placeholders}; a message that depends on a
+// number is an object keyed by plural category ('one', 'other', and for some
+// languages 'zero', 'two', 'few' or 'many'), chosen with Intl.PluralRules.
+// Keys missing from a locale fall back to English.
+//
+// Static text in index.html is marked with data-i18n (text) or data-i18n-html
+// (text with markup) attributes and data-i18n-aria-label for accessible names.
+
+const I18N_CONFIG = {
+  DEFAULT_LOCALE: 'en',
+  STORAGE_KEY: 'box-and-marble-locale'
+};
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+      'page.title': 'Box and Marble Logic Puzzle',
+      'header.title': '🎯 Box and Marble Logic Puzzle',
+      'header.subtitle': 'A classic logical reasoning challenge',
+      'language.label': 'Language',
+      'motion.label': 'Animations',
+      'motion.auto': 'Like my device',
+      'motion.on': 'On',
+      'motion.off': 'Off',
+      'quote': '"{text}"',
+
+      'color.red': 'Red',
+      'color.white': 'White',
+      'color.blue': 'Blue',
+      'color.green': 'Green',
+      'marbleColor.red': 'red',
+      'marbleColor.white': 'white',
+      'marbleColor.blue': 'blue',
+      'marbleColor.green': 'green',
+      'label.pair': '{first} and {second}',
+
+      'description.heading': 'The Problem',
+      'description.intro': {
+        one: 'You are given {count} matchbox by a professor with a conspicuous grin. Each box contains exactly {marbles} marbles which are either {colors}. The boxes are each <strong>incorrectly</strong> labeled as follows:',
+        other: 'You are given {count} matchboxes by a professor with a conspicuous grin. Each box contains exactly {marbles} marbles which are either {colors}. The boxes are each <strong>incorrectly</strong> labeled as follows:'
+      },
+      'description.labelsWrong': 'The labels correctly outline the only possible combinations of marble colors in the boxes, but are currently <strong>incorrect</strong>.',
+      'description.challenge': '<strong>Challenge:</strong> {rules} Can you figure out what\'s in each box?',
+      'description.introLabelled': {
+        one: 'You are given {count} matchbox by a professor with a conspicuous grin. Each box contains exactly {marbles} marbles which are either {colors}. The box is labeled as follows:',
+        other: 'You are given {count} matchboxes by a professor with a conspicuous grin. Each box contains exactly {marbles} marbles which are either {colors}. The boxes are labeled as follows:'
+      },
+      'description.unsolvable': '⚠️ No puzzle of this size can be solved by logic alone with these peek rules and labels: whichever box you open, you may be left to guess. Draw more marbles or use fewer boxes for a fair puzzle.',
+      'description.difficulty': 'Difficulty: {difficulty}',
+      'description.difficultyUnavailable': 'No puzzle of the difficulty you chose fits these settings, so this is the closest one.',
+      'truth.one-label-right': 'The labels correctly outline the only possible combinations of marble colors in the boxes, and <strong>exactly one</strong> of them is correct.',
+      'truth.at-most-one-wrong': 'The labels correctly outline the only possible combinations of marble colors in the boxes, and <strong>at most one</strong> of them is wrong.',
+      'truth.card': {
+        one: 'The labels correctly outline the only possible combinations of marble colors in the boxes. The professor also hands you a card that reads: <strong>"Exactly {count} of these labels is correct."</strong>',
+        other: 'The labels correctly outline the only possible combinations of marble colors in the boxes. The professor also hands you a card that reads: <strong>"Exactly {count} of these labels are correct."</strong>'
+      },
+
+      'rules.classic': 'You can peek inside ONE box and look at exactly ONE marble.',
+      'rules.bothMarbles': 'You can peek inside ONE box and look at both of its marbles.',
+      'rules.oneBox': 'You can peek inside ONE box and draw {count} marbles.',
+      'rules.oneBoxWithReplacement': 'You can peek inside ONE box and draw {count} marbles, putting each marble back before the next draw.',
+      'rules.severalBoxes': 'You can draw {count} marbles from up to {boxes} different boxes.',
+      'rules.severalBoxesWithReplacement': 'You can draw {count} marbles from up to {boxes} different boxes, putting each marble back before the next draw.',
+      'rules.oneBoxOnly': 'Once you check a box, you cannot check any others.',
+
+      'settings.size': 'Puzzle size',
+      'settings.colors': 'Marble colors',
+      'settings.peek': 'Peek',
+      'settings.boxCount': { one: '{count} box', other: '{count} boxes' },
+      'settings.colorCount': { one: '{count} color', other: '{count} colors' },
+      'settings.peekDraws': { one: '{count} marble', other: '{count} marbles' },
+      'settings.peekBoxes': { one: 'from {count} box', other: 'from up to {count} boxes' },
+      'settings.peekBoxesLabel': 'Boxes you may draw from',
+      'settings.withoutReplacement': 'without replacement',
+      'settings.withReplacement': 'with replacement',
+      'settings.replacementLabel': 'Put marbles back',
+      'settings.fairProfessor': 'Fair professor',
+      'settings.adversarialProfessor': 'Adversarial professor',
+      'settings.professorLabel': 'Professor',
+      'settings.truthLabel': 'Labels',
+      'settings.truth.all-labels-wrong': 'Every label wrong',
+      'settings.truth.one-label-right': 'Exactly one label right',
+      'settings.truth.at-most-one-wrong': 'At most one label wrong',
+      'settings.truth.card': 'A card says how many are right',
+      'settings.difficultyLabel': 'Difficulty',
+      'settings.difficulty.any': 'Any difficulty',
+      'settings.difficulty.easy': 'Easy',
+      'settings.difficulty.medium': 'Medium',
+      'settings.difficulty.hard': 'Hard',
+      'settings.unsolvablePeekRules': '⚠️ No puzzle of this size can be solved by logic alone with these peek rules and labels, so you may be left to guess. Peeking at {peekRules} is enough for a fair puzzle.',
+      'settings.unsolvableSize': '⚠️ No puzzle of this size can be solved by logic alone with these labels, whatever the peek rules, so you may be left to guess.',
+
+      'matchbox.check': 'Check Box',
+      'matchbox.drawAgain': 'Draw Again',
+      'box.number': 'Box {number}',
+
+      'placeholder.title': 'Select a Matchbox',
+      'placeholder.body': 'Click on any {button} button above to see the contents of that matchbox.',
+      'placeholder.remember': 'Remember: {rules}',
+
+      'detail.selectedBox': 'Selected Box: {label}',
+      'detail.selectedBoxes': 'Selected Boxes',
+      'detail.marbles': { one: 'Marble', other: 'Marbles' },
+      'detail.drawsLeft': { one: 'You may draw {count} more marble.', other: 'You may draw {count} more marbles.' },
+
+      'labels.heading': 'Now select the correct labels for each box:',
+      'labels.placeholder': 'Select label...',
+      'labels.submit': 'Check My Answers',
+      'labels.reset': 'Reset Puzzle',
+      'labels.dragHint': 'You can also drag the labels between the matchboxes, or tap a label and then the box to put it on. Putting a label on a box that has one swaps them.',
+      'labels.empty': 'No label',
+      'labels.labelOnBox': '{label}, on Box {number}',
+      'labels.picked': 'Picked up the label {label}. Choose the box to put it on.',
+      'labels.putBack': 'Put the label {label} back.',
+      'labels.moved': 'Moved the label {label} to Box {number}.',
+      'labels.undo': '↶ Undo',
+      'labels.redo': 'Redo ↷',
+      'labels.undone': 'Undid the last label change.',
+      'labels.redone': 'Redid the label change.',
+
+      'hint.button': '💡 Hint',
+      'hint.heading': 'Hint {level} of {total}:',
+      'hint.think': 'Every label tells you something about its own box. Before you open one, work out what each box could hold.',
+      'hint.informative': 'Look for a box where any marble you could draw tells you what is inside it, and from there what is inside every other box.',
+      'hint.first-box': 'Start with Box {number}, labelled {label}: whatever it shows you, you can work out every box.',
+      'hint.no-first-box': 'No box guarantees the answer with these rules, so you may have to guess. Open the box whose marble rules out the most.',
+      'hint.opened': 'Start from Box {number}, labelled {label}. The marbles you saw in it: {marbles}. Given its label, what could it hold?',
+      'hint.contents': { one: 'Box {number} can only hold {options}.', other: 'Box {number} could still hold {options}.' },
+      'hint.contradiction.marble': 'The label {label} on Box {number} cannot be right: you saw a {marble} marble in that box.',
+      'hint.contradiction.rule': 'The label {label} on Box {number} cannot be right: that box came with it, and every label is wrong.',
+      'hint.consistent': 'Nothing you have chosen so far contradicts the marbles you saw or the rules.',
+
+      'results.perfect': '🎉 Congratulations!',
+      'results.heading': '📝 Results',
+      'results.score': 'You got {correct} out of {total} correct!',
+      'results.hintsUsed': { one: 'You used {count} hint.', other: 'You used {count} hints.' },
+      'results.noHints': 'You solved it without hints.',
+      'results.yourAnswer': 'Your answer:',
+      'results.correctAnswer': 'Correct answer:',
+      'results.actualContents': 'Actual contents:',
+      'results.playAgain': 'Play Again',
+      'results.copyLink': 'Copy link to this puzzle',
+      'results.linkCopied': 'Link copied!',
+      'results.copyLinkPrompt': 'Copy this link to share the puzzle:',
+      'results.downloadLog': 'Download game log',
+      'results.share': '📣 Share result',
+      'results.downloadCard': '🖼️ Download result card',
+      'share.copied': 'Result copied!',
+      'share.fallback': 'Your browser would not copy the result. Select the text below and copy it yourself:',
+      'share.peeked': 'Peeked at {labels}',
+      'share.score': '{marks} {correct}/{total}',
+      'share.cardScore': '{correct} of {total} boxes right',
+      'share.time': '⏱️ {time}',
+      'share.hints': { one: '💡 {count} hint', other: '💡 {count} hints' },
+      'share.noHints': '💡 No hints',
+
+      'deduction.forced': {
+        one: '🧠 Your peek forced a unique answer: only one arrangement fits the marble you saw.',
+        other: '🧠 Your peek forced a unique answer: only one arrangement fits the marbles you saw.'
+      },
+      'deduction.remaining': '🎲 Your peek left {count} possible arrangements.',
+      'deduction.luckyGuess': 'Your perfect score was a lucky guess.',
+      'deduction.noGuarantee': 'No amount of reasoning could have guaranteed a perfect score from this peek.',
+      'deduction.adversarial': 'The adversarial professor waited until you answered, then picked the arrangement that fit your answers worst.',
+
+      'posterior.title': '🎲 Show the probabilities',
+      'posterior.intro': 'Before any marble is drawn, each of the {count} arrangements the labels allow is equally likely. Each marble then makes the arrangements that would often produce it more likely, and rules out those that could not.',
+      'posterior.arrangement': 'Arrangement',
+      'posterior.prior': 'Before',
+      'posterior.posterior': 'After the marbles',
+      'posterior.certain': '✅ Only one arrangement fits the marbles: you can work out every box.',
+      'posterior.uncertain': {
+        one: '🎲 {count} arrangement still fits the marbles.',
+        other: '🎲 {count} arrangements still fit the marbles. The most likely has a {chance} chance.'
+      },
+      'posterior.more': {
+        one: '…and {count} more arrangement, none likelier than those shown.',
+        other: '…and {count} more arrangements, none likelier than those shown.'
+      },
+      'posterior.adversarial': 'These chances assume the boxes were filled at random. The adversarial professor does not commit to the contents until you answer, so they are only a guide.',
+
+      'reasoning.heading': 'How to reason it out',
+      'reasoning.box': 'the box labelled {label}',
+      'reasoning.marble': '{color}',
+      'reasoning.peekForced': 'You peeked in {box} and saw {marbles}. Because that label is wrong and the box holds {marbles}, it must be {contents}.',
+      'reasoning.peekOptions': 'You peeked in {box} and saw {marbles}. Because that label is wrong and the box holds {marbles}, it could still be {options}.',
+      'reasoning.onlyBox': '{contents} can only be in {box}: every other box is either labelled with it or already accounted for.',
+      'reasoning.onlyOption': 'So {box} can\'t be what its label says, which leaves only {contents}.',
+      'reasoning.onlyOptionTaken': {
+        one: 'So {box} can\'t be what its label says and {taken} is already accounted for, which leaves only {contents}.',
+        other: 'So {box} can\'t be what its label says and {taken} are already accounted for, which leaves only {contents}.'
+      },
+      'reasoning.peekForcedAnyLabel': 'You peeked in {box} and saw {marbles}. Only {contents} holds {marbles}, so that is what the box holds.',
+      'reasoning.peekOptionsAnyLabel': 'You peeked in {box} and saw {marbles}, so it could be {options}.',
+      'reasoning.onlyBoxAnyLabel': '{contents} can only be in {box}: every other box is already accounted for or ruled out.',
+      'reasoning.onlyOptionAnyLabel': 'So {box} can only be {contents}.',
+      'reasoning.onlyOptionTakenAnyLabel': 'With {taken} already accounted for, {box} can only be {contents}.',
+      'reasoning.caseAnalysis': 'No single box is forced any more, but trying every remaining arrangement shows only one works: {placements}.',
+      'reasoning.placement': '{box} holds {contents}',
+      'reasoning.stuck': 'That\'s as far as logic goes: {count} arrangements still fit everything you know, so the contents of {boxes} come down to a guess.',
+      'reasoning.notGuaranteed': 'Opening {boxes} can\'t guarantee a solution: a {marbles} marble from it fits more than one arrangement.',
+      'reasoning.notGuaranteedLucky': 'Opening {boxes} can\'t guarantee a solution: a {marbles} marble from it fits more than one arrangement, so you got a helpful marble this time.',
+      'reasoning.betterPeek': 'Peeking in {boxes} would have guaranteed the answer, whichever marble came out.',
+      'reasoning.noGuaranteedPeek': 'In this puzzle no single peek guarantees the answer.',
+
+      'stats.title': '📊 Your Statistics',
+      'stats.export': 'Export history',
+      'stats.clear': 'Clear history',
+      'stats.confirmClear': 'Delete your saved game history? This cannot be undone.',
+      'stats.empty': 'Finish a round to start tracking your statistics.',
+      'stats.percent': '{value}%',
+      'stats.gamesPlayed': 'Games played',
+      'stats.perfectSolves': 'Perfect solves',
+      'stats.currentStreak': 'Current streak',
+      'stats.bestStreak': 'Best streak',
+      'stats.byLabelHeading': 'Results by the box you opened first',
+      'stats.labelColumn': 'Label on the box',
+      'stats.gamesColumn': 'Games',
+      'stats.perfectColumn': 'Perfect solves',
+      'stats.accuracyColumn': 'Boxes correct',
+      'stats.insight': 'Opening a box that guarantees the answer: <strong>{guaranteedRate}</strong> perfect ({guaranteedGames} games). Any other box: <strong>{otherRate}</strong> perfect ({otherGames} games).',
+
+      'challenge.label': 'Timed challenge',
+      'challenge.start': '⏱️ Start challenge',
+      'challenge.quit': 'Quit challenge',
+      'challenge.roundCount': { one: '{count} round', other: '{count} rounds' },
+      'challenge.round': 'Round {number} of {total}',
+      'challenge.score': 'Score: {score}',
+      'challenge.nextRound': 'Next round',
+      'challenge.roundScore': 'Round {number} of {total}: {score} points',
+      'challenge.boxPoints': { one: '{count} box correct', other: '{count} boxes correct' },
+      'challenge.perfectBonus': 'Every box correct',
+      'challenge.timeBonus': 'Time bonus ({time})',
+      'challenge.guessPenalty': 'Opened a box that could not guarantee the answer',
+      'challenge.seriesTotal': 'Challenge complete! Total score: {score}',
+      'challenge.nameLabel': 'Your name for the leaderboard',
+      'challenge.saveScore': 'Save score',
+      'challenge.saved': 'Saved to the leaderboard.',
+
+      'leaderboard.title': '🏆 Leaderboard',
+      'leaderboard.mode': 'Challenge mode',
+      'leaderboard.empty': 'Finish a timed challenge to get on the leaderboard.',
+      'leaderboard.name': 'Name',
+      'leaderboard.score': 'Score',
+      'leaderboard.time': 'Time',
+      'leaderboard.perfectRounds': 'Perfect rounds',
+      'race.title': '🏁 Race',
+      'race.intro': 'Race other players on the same puzzle. One player creates a room and the others join it with its code from other tabs or windows of this browser. To race across computers, start the relay with "node race-relay.js" and everyone enters its address.',
+      'race.name': 'Your name',
+      'race.relay': 'Relay (optional)',
+      'race.create': 'Create a room',
+      'race.code': 'Room code',
+      'race.join': 'Join',
+      'race.start': 'Start the race',
+      'race.nextRound': 'Start the next round',
+      'race.leave': 'Leave the room',
+      'race.close': 'Close the room',
+      'race.host': '(host)',
+      'race.rankColumn': 'Place',
+      'race.playerColumn': 'Player',
+      'race.progressColumn': 'Progress',
+      'race.waiting': 'Waiting for the start',
+      'race.notPeeked': 'No box opened',
+      'race.playing': 'playing',
+      'race.finished': '{correct} of {total} correct in {time}',
+      'race.lobbyHost': 'Room {code} is open. Tell the other players to join with this code, then start the race.',
+      'race.lobbyPlayer': 'You are in room {code}. Waiting for the host to start the race.',
+      'race.racing': 'Room {code}, round {round}: the puzzle above is the race. Go!',
+      'race.done': 'Room {code}, round {round}: you have finished. Watch the others come in.',
+      'race.joining': 'Joining room {code}…',
+      'race.notFound': 'No room {code} answered. Check the code, and the relay if you use one.',
+      'race.closed': 'The host closed the room.',
+      'race.relayLost': 'The relay at {address} could not be reached or stopped answering.',
+
+      'offline.updateAvailable': 'A new version of the puzzle is available.',
+      'offline.reload': 'Reload',
+
+      'worksheet.link': '🖨️ Printable worksheets for teachers',
+      'worksheet.pageTitle': 'Box and Marble Worksheets',
+      'worksheet.heading': '🖨️ Worksheet Generator',
+      'worksheet.intro': 'Print a batch of puzzles for a class, with a separate answer key. Every puzzle shows the marbles drawn from some of its boxes, and those marbles are always enough to work out what every box holds.',
+      'worksheet.backToGame': '← Back to the game',
+      'worksheet.difficulty': 'Difficulty',
+      'worksheet.difficulty.easy': 'Easy: 3 boxes, one marble',
+      'worksheet.difficulty.medium': 'Medium: 4 boxes, 3 colors, two marbles from each of two boxes',
+      'worksheet.difficulty.hard': 'Hard: 4 boxes, 4 colors, one marble from each of three boxes',
+      'worksheet.count': 'Puzzles',
+      'worksheet.puzzleCount': { one: '{count} puzzle', other: '{count} puzzles' },
+      'worksheet.paper': 'Paper',
+      'worksheet.paper.a4': 'A4',
+      'worksheet.paper.letter': 'US Letter',
+      'worksheet.generate': '🔄 New puzzles',
+      'worksheet.printWorksheet': '🖨️ Print worksheet',
+      'worksheet.printAnswers': '🖨️ Print answer key',
+      'worksheet.title': 'Box and Marble Puzzles',
+      'worksheet.answerTitle': 'Box and Marble Puzzles: Answer Key',
+      'worksheet.nameLine': 'Name: ____________________   Date: ____________',
+      'worksheet.instructions': 'In every puzzle all the labels are wrong, but each label names what one of the boxes really holds. Some boxes were opened and the marbles drawn from them are shown. Write down what each box really holds.',
+      'worksheet.noReplacement': 'When two marbles were drawn from a box, the first was not put back before the second was drawn.',
+      'worksheet.puzzle': 'Puzzle {number}',
+      'worksheet.drawn': { one: 'Marble drawn:', other: 'Marbles drawn:' },
+      'worksheet.answerLine': 'Really holds: ______________',
+      'worksheet.code': 'Worksheet {code}',
+      'worksheet.answerBox': 'Box',
+      'worksheet.answerLabel': 'Label',
+      'worksheet.answerContents': 'Really holds',
+
+      'replay.load': '🎬 Replay a game log',
+      'replay.previous': '◀ Previous',
+      'replay.next': 'Next ▶',
+      'replay.exit': 'Exit replay',
+      'replay.stepCount': 'Step {number} of {total}',
+      'replay.event.puzzleGenerated': '{time} - A puzzle with {count} boxes was dealt.',
+      'replay.event.boxChecked': '{time} - Checked Box {number} (labelled {label}) and saw a {marble} marble.',
+      'replay.event.labelChanged': '{time} - Labelled Box {number} as {label}.',
+      'replay.event.labelCleared': '{time} - Cleared the label of Box {number}.',
+      'replay.event.labelMoved': '{time} - Moved the label {label} from Box {from} to Box {to}.',
+      'replay.event.answersSubmitted': '{time} - Submitted the answers: {correct} of {total} correct.',
+      'replay.event.undone': '{time} - Undid the last label change.',
+      'replay.event.redone': '{time} - Redid the label change.',
+      'replay.event.hintTaken': '{time} - Asked for hint {level}.',
+      'replay.error': 'Could not replay {file}: {reason}',
+      'replay.error.unreadable': 'the file is not valid JSON.',
+      'replay.error.invalid-log': 'it is not a game log this version of the game can read.',
+      'replay.error.no-puzzle': 'the log does not start with a puzzle.',
+      'replay.error.invalid-puzzle': 'the puzzle in the log is not valid.',
+      'replay.error.event-mismatch': 'event {number} does not fit the game at that point.',
+      'replay.error.marble-mismatch': 'event {number} records a marble this puzzle could not have drawn.',
+
+      'debug.title': '🛠️ Time travel',
+      'debug.intro': 'Every action of this round. Choose one to see the game as it was right after it.',
+      'debug.copy': 'Copy the actions',
+      'debug.copied': 'Actions copied!',
+
+      'definition.load': '📂 Load a puzzle file',
+      'definition.playing': 'Playing {name}, loaded from a puzzle file.',
+      'definition.clear': 'Back to generated puzzles',
+      'definition.embedded': 'the puzzle from the host page',
+      'definition.error': 'Could not load the puzzle {file}:',
+      'definition.error.unreadable': 'The file is not valid JSON.',
+      'definition.error.download': 'The file could not be downloaded.',
+      'definition.error.not-object': 'A puzzle definition must be a JSON object.',
+      'definition.error.format': '"format" must be "{format}" and "version" must be {version}.',
+      'definition.error.text': '"title" and "intro" must be text, or an object with a text for each language code.',
+      'definition.error.colors': '"marbles.colors" must list {min} to {max} different colors out of {colors}.',
+      'definition.error.per-box': '"marbles.perBox" must be {count}: every box holds {count} marbles.',
+      'definition.error.rule': '"rule" must be one of: {rules}.',
+      'definition.error.peek': '"peek.draws" must be 1 to {maxDraws}, and "peek.boxes" 1 to the smallest of the draws, {maxBoxes} and the number of boxes.',
+      'definition.error.box-count': '"boxes" must list {min} to {max} boxes.',
+      'definition.error.box-shape': 'Box {number} needs a "label" and "contents", each a list of {count} colors from the marble pool.',
+      'definition.error.duplicate-contents': 'Boxes {first} and {second} hold the same marbles.',
+      'definition.error.duplicate-label': 'Boxes {first} and {second} have the same label.',
+      'definition.error.label-not-in-boxes': 'The label of box {number} names marbles that no box holds; every label must name what one of the boxes holds.',
+      'definition.error.rule-broken': 'Box {number} holds what its label says, which breaks the rule that every label is wrong.',
+      'definition.error.rule-count': {
+        one: '{count} of the labels is right, which the rule "{rule}" does not allow.',
+        other: '{count} of the labels are right, which the rule "{rule}" does not allow.'
+      },
+      'definition.error.unused-color': 'The marble pool includes {color}, but no box holds a marble of that color.',
+      'definition.error.unsolvable': 'No way of peeking allowed by the peek rules is sure to reveal what every box holds, so the puzzle cannot be solved without guessing.'
+    }
+  },
+
+  es: {
+    name: 'Español',
+    dir: 'ltr',
+    messages: {
+      'page.title': 'Rompecabezas lógico de cajas y canicas',
+      'header.title': '🎯 Rompecabezas lógico de cajas y canicas',
+      'header.subtitle': 'Un desafío clásico de razonamiento lógico',
+      'language.label': 'Idioma',
+      'motion.label': 'Animaciones',
+      'motion.auto': 'Como mi dispositivo',
+      'motion.on': 'Activadas',
+      'motion.off': 'Desactivadas',
+      'quote': '«{text}»',
+
+      'color.red': 'Rojo',
+      'color.white': 'Blanco',
+      'color.blue': 'Azul',
+      'color.green': 'Verde',
+      'marbleColor.red': 'roja',
+      'marbleColor.white': 'blanca',
+      'marbleColor.blue': 'azul',
+      'marbleColor.green': 'verde',
+      'label.pair': '{first} y {second}',
+
+      'description.heading': 'El problema',
+      'description.intro': {
+        one: 'Un profesor con una sonrisa sospechosa te entrega {count} caja de cerillas. Cada caja contiene exactamente {marbles} canicas, cada una {colors}. Cada caja está etiquetada <strong>incorrectamente</strong> de esta forma:',
+        other: 'Un profesor con una sonrisa sospechosa te entrega {count} cajas de cerillas. Cada caja contiene exactamente {marbles} canicas, cada una {colors}. Cada caja está etiquetada <strong>incorrectamente</strong> de esta forma:'
+      },
+      'description.labelsWrong': 'Las etiquetas describen correctamente las únicas combinaciones posibles de colores en las cajas, pero ahora mismo son <strong>incorrectas</strong>.',
+      'description.challenge': '<strong>Desafío:</strong> {rules} ¿Puedes averiguar qué hay en cada caja?',
+      'description.introLabelled': {
+        one: 'Un profesor con una sonrisa sospechosa te entrega {count} caja de cerillas. Cada caja contiene exactamente {marbles} canicas, cada una {colors}. La caja está etiquetada de esta forma:',
+        other: 'Un profesor con una sonrisa sospechosa te entrega {count} cajas de cerillas. Cada caja contiene exactamente {marbles} canicas, cada una {colors}. Las cajas están etiquetadas de esta forma:'
+      },
+      'description.unsolvable': '⚠️ Con estas reglas para mirar y estas etiquetas, ningún rompecabezas de este tamaño se puede resolver solo con lógica: abras la caja que abras, puede que tengas que adivinar. Saca más canicas o usa menos cajas para que sea justo.',
+      'description.difficulty': 'Dificultad: {difficulty}',
+      'description.difficultyUnavailable': 'Ningún rompecabezas de la dificultad elegida encaja con estos ajustes, así que este es el más parecido.',
+      'truth.one-label-right': 'Las etiquetas describen correctamente las únicas combinaciones posibles de colores en las cajas, y <strong>exactamente una</strong> de ellas es correcta.',
+      'truth.at-most-one-wrong': 'Las etiquetas describen correctamente las únicas combinaciones posibles de colores en las cajas, y <strong>como mucho una</strong> de ellas está equivocada.',
+      'truth.card': {
+        one: 'Las etiquetas describen correctamente las únicas combinaciones posibles de colores en las cajas. El profesor también te da una tarjeta que dice: <strong>«Exactamente {count} de estas etiquetas es correcta.»</strong>',
+        other: 'Las etiquetas describen correctamente las únicas combinaciones posibles de colores en las cajas. El profesor también te da una tarjeta que dice: <strong>«Exactamente {count} de estas etiquetas son correctas.»</strong>'
+      },
+
+      'rules.classic': 'Puedes mirar dentro de UNA caja y ver exactamente UNA canica.',
+      'rules.bothMarbles': 'Puedes mirar dentro de UNA caja y ver sus dos canicas.',
+      'rules.oneBox': 'Puedes mirar dentro de UNA caja y sacar {count} canicas.',
+      'rules.oneBoxWithReplacement': 'Puedes mirar dentro de UNA caja y sacar {count} canicas, devolviendo cada canica antes de sacar la siguiente.',
+      'rules.severalBoxes': 'Puedes sacar {count} canicas de hasta {boxes} cajas distintas.',
+      'rules.severalBoxesWithReplacement': 'Puedes sacar {count} canicas de hasta {boxes} cajas distintas, devolviendo cada canica antes de sacar la siguiente.',
+      'rules.oneBoxOnly': 'Cuando revises una caja, ya no podrás revisar ninguna otra.',
+
+      'settings.size': 'Tamaño',
+      'settings.colors': 'Colores',
+      'settings.peek': 'Mirar',
+      'settings.boxCount': { one: '{count} caja', other: '{count} cajas' },
+      'settings.colorCount': { one: '{count} color', other: '{count} colores' },
+      'settings.peekDraws': { one: '{count} canica', other: '{count} canicas' },
+      'settings.peekBoxes': { one: 'de {count} caja', other: 'de hasta {count} cajas' },
+      'settings.peekBoxesLabel': 'Cajas de las que puedes sacar',
+      'settings.withoutReplacement': 'sin devolución',
+      'settings.withReplacement': 'con devolución',
+      'settings.replacementLabel': 'Devolver las canicas',
+      'settings.fairProfessor': 'Profesor justo',
+      'settings.adversarialProfessor': 'Profesor tramposo',
+      'settings.professorLabel': 'Profesor',
+      'settings.truthLabel': 'Etiquetas',
+      'settings.truth.all-labels-wrong': 'Todas las etiquetas equivocadas',
+      'settings.truth.one-label-right': 'Exactamente una etiqueta correcta',
+      'settings.truth.at-most-one-wrong': 'Como mucho una etiqueta equivocada',
+      'settings.truth.card': 'Una tarjeta dice cuántas son correctas',
+      'settings.difficultyLabel': 'Dificultad',
+      'settings.difficulty.any': 'Cualquier dificultad',
+      'settings.difficulty.easy': 'Fácil',
+      'settings.difficulty.medium': 'Media',
+      'settings.difficulty.hard': 'Difícil',
+      'settings.unsolvablePeekRules': '⚠️ Con estas reglas para mirar y estas etiquetas, ningún rompecabezas de este tamaño se puede resolver solo con lógica, así que puede que tengas que adivinar. Para que sea justo basta con mirar {peekRules}.',
+      'settings.unsolvableSize': '⚠️ Con estas etiquetas, ningún rompecabezas de este tamaño se puede resolver solo con lógica, mires como mires, así que puede que tengas que adivinar.',
+
+      'matchbox.check': 'Revisar caja',
+      'matchbox.drawAgain': 'Sacar otra',
+      'box.number': 'Caja {number}',
+
+      'placeholder.title': 'Elige una caja',
+      'placeholder.body': 'Pulsa cualquier botón {button} de arriba para ver el contenido de esa caja.',
+      'placeholder.remember': 'Recuerda: {rules}',
+
+      'detail.selectedBox': 'Caja elegida: {label}',
+      'detail.selectedBoxes': 'Cajas elegidas',
+      'detail.marbles': { one: 'Canica', other: 'Canicas' },
+      'detail.drawsLeft': { one: 'Puedes sacar {count} canica más.', other: 'Puedes sacar {count} canicas más.' },
+
+      'labels.heading': 'Ahora elige la etiqueta correcta para cada caja:',
+      'labels.placeholder': 'Elige una etiqueta...',
+      'labels.submit': 'Comprobar respuestas',
+      'labels.reset': 'Reiniciar',
+      'labels.dragHint': 'También puedes arrastrar las etiquetas entre las cajas, o tocar una etiqueta y después la caja donde ponerla. Si la caja ya tiene etiqueta, se intercambian.',
+      'labels.empty': 'Sin etiqueta',
+      'labels.labelOnBox': '{label}, en la caja {number}',
+      'labels.picked': 'Has cogido la etiqueta {label}. Elige la caja donde ponerla.',
+      'labels.putBack': 'Has devuelto la etiqueta {label} a su sitio.',
+      'labels.moved': 'Has movido la etiqueta {label} a la caja {number}.',
+      'labels.undo': '↶ Deshacer',
+      'labels.redo': 'Rehacer ↷',
+      'labels.undone': 'Has deshecho el último cambio de etiqueta.',
+      'labels.redone': 'Has rehecho el cambio de etiqueta.',
+
+      'hint.button': '💡 Pista',
+      'hint.heading': 'Pista {level} de {total}:',
+      'hint.think': 'Cada etiqueta te dice algo sobre su propia caja. Antes de abrir una, piensa qué podría contener cada caja.',
+      'hint.informative': 'Busca una caja en la que cualquier canica que saques te diga qué hay dentro y, a partir de ahí, qué hay en todas las demás.',
+      'hint.first-box': 'Empieza por la caja {number}, con la etiqueta {label}: muestre lo que muestre, podrás deducir todas las cajas.',
+      'hint.no-first-box': 'Con estas reglas ninguna caja garantiza la respuesta, así que quizá tengas que adivinar. Abre la caja cuya canica descarte más.',
+      'hint.opened': 'Empieza por la caja {number}, con la etiqueta {label}. Las canicas que viste en ella: {marbles}. Según su etiqueta, ¿qué podría contener?',
+      'hint.contents': { one: 'La caja {number} solo puede contener {options}.', other: 'La caja {number} todavía podría contener {options}.' },
+      'hint.contradiction.marble': 'La etiqueta {label} de la caja {number} no puede ser correcta: viste una canica {marble} en esa caja.',
+      'hint.contradiction.rule': 'La etiqueta {label} de la caja {number} no puede ser correcta: es la que traía esa caja, y todas las etiquetas están equivocadas.',
+      'hint.consistent': 'Nada de lo que has elegido hasta ahora contradice las canicas que viste ni las reglas.',
+
+      'results.perfect': '🎉 ¡Enhorabuena!',
+      'results.heading': '📝 Resultados',
+      'results.score': '¡Has acertado {correct} de {total}!',
+      'results.hintsUsed': { one: 'Usaste {count} pista.', other: 'Usaste {count} pistas.' },
+      'results.noHints': 'Lo resolviste sin pistas.',
+      'results.yourAnswer': 'Tu respuesta:',
+      'results.correctAnswer': 'Respuesta correcta:',
+      'results.actualContents': 'Contenido real:',
+      'results.playAgain': 'Jugar otra vez',
+      'results.copyLink': 'Copiar enlace a este rompecabezas',
+      'results.linkCopied': '¡Enlace copiado!',
+      'results.copyLinkPrompt': 'Copia este enlace para compartir el rompecabezas:',
+      'results.downloadLog': 'Descargar registro de la partida',
+      'results.share': '📣 Compartir resultado',
+      'results.downloadCard': '🖼️ Descargar tarjeta del resultado',
+      'share.copied': '¡Resultado copiado!',
+      'share.fallback': 'Tu navegador no ha permitido copiar el resultado. Selecciona el texto de abajo y cópialo tú:',
+      'share.peeked': 'Miré en {labels}',
+      'share.score': '{marks} {correct}/{total}',
+      'share.cardScore': '{correct} de {total} cajas acertadas',
+      'share.time': '⏱️ {time}',
+      'share.hints': { one: '💡 {count} pista', other: '💡 {count} pistas' },
+      'share.noHints': '💡 Sin pistas',
+
+      'deduction.forced': {
+        one: '🧠 Tu vistazo obligaba a una única respuesta: solo una distribución encaja con la canica que viste.',
+        other: '🧠 Tu vistazo obligaba a una única respuesta: solo una distribución encaja con las canicas que viste.'
+      },
+      'deduction.remaining': '🎲 Tu vistazo dejó {count} distribuciones posibles.',
+      'deduction.luckyGuess': 'Tu puntuación perfecta fue una suposición afortunada.',
+      'deduction.noGuarantee': 'Ningún razonamiento podía garantizar una puntuación perfecta con este vistazo.',
+      'deduction.adversarial': 'El profesor tramposo esperó a tus respuestas y eligió la distribución que peor encajaba con ellas.',
+
+      'posterior.title': '🎲 Mostrar las probabilidades',
+      'posterior.intro': 'Antes de sacar ninguna canica, cada una de las {count} distribuciones que permiten las etiquetas es igual de probable. Después, cada canica hace más probables las distribuciones que la darían a menudo y descarta las que no podrían darla.',
+      'posterior.arrangement': 'Distribución',
+      'posterior.prior': 'Antes',
+      'posterior.posterior': 'Tras las canicas',
+      'posterior.certain': '✅ Solo una distribución encaja con las canicas: puedes deducir todas las cajas.',
+      'posterior.uncertain': {
+        one: '🎲 Todavía encaja {count} distribución con las canicas.',
+        other: '🎲 Todavía encajan {count} distribuciones con las canicas. La más probable tiene una probabilidad del {chance}.'
+      },
+      'posterior.more': {
+        one: '…y {count} distribución más, ninguna más probable que las mostradas.',
+        other: '…y {count} distribuciones más, ninguna más probable que las mostradas.'
+      },
+      'posterior.adversarial': 'Estas probabilidades suponen que las cajas se llenaron al azar. El profesor tramposo no decide el contenido hasta que respondes, así que solo sirven de orientación.',
+
+      'reasoning.heading': 'Cómo razonarlo',
+      'reasoning.box': 'la caja con la etiqueta {label}',
+      'reasoning.marble': 'una canica {color}',
+      'reasoning.peekForced': 'Miraste en {box} y viste {marbles}. Como esa etiqueta es incorrecta y la caja contiene {marbles}, tiene que ser {contents}.',
+      'reasoning.peekOptions': 'Miraste en {box} y viste {marbles}. Como esa etiqueta es incorrecta y la caja contiene {marbles}, todavía puede ser {options}.',
+      'reasoning.onlyBox': '{contents} solo puede estar en {box}: todas las demás cajas o llevan esa etiqueta o ya están resueltas.',
+      'reasoning.onlyOption': 'Así que {box} no puede ser lo que dice su etiqueta, lo que deja solo {contents}.',
+      'reasoning.onlyOptionTaken': {
+        one: 'Así que {box} no puede ser lo que dice su etiqueta y {taken} ya está en otra caja, lo que deja solo {contents}.',
+        other: 'Así que {box} no puede ser lo que dice su etiqueta y {taken} ya están en otras cajas, lo que deja solo {contents}.'
+      },
+      'reasoning.peekForcedAnyLabel': 'Miraste en {box} y viste {marbles}. Solo {contents} contiene {marbles}, así que eso es lo que hay en la caja.',
+      'reasoning.peekOptionsAnyLabel': 'Miraste en {box} y viste {marbles}, así que puede ser {options}.',
+      'reasoning.onlyBoxAnyLabel': '{contents} solo puede estar en {box}: todas las demás cajas ya están resueltas o descartadas.',
+      'reasoning.onlyOptionAnyLabel': 'Así que {box} solo puede ser {contents}.',
+      'reasoning.onlyOptionTakenAnyLabel': {
+        one: 'Como {taken} ya está en otra caja, {box} solo puede ser {contents}.',
+        other: 'Como {taken} ya están en otras cajas, {box} solo puede ser {contents}.'
+      },
+      'reasoning.caseAnalysis': 'Ya no hay ninguna caja obligada, pero al probar todas las distribuciones restantes solo una funciona: {placements}.',
+      'reasoning.placement': '{box} contiene {contents}',
+      'reasoning.stuck': 'La lógica no llega más lejos: {count} distribuciones siguen encajando con todo lo que sabes, así que el contenido de {boxes} depende de una suposición.',
+      'reasoning.notGuaranteed': 'Abrir {boxes} no garantiza la solución: una canica {marbles} de esa caja encaja con más de una distribución.',
+      'reasoning.notGuaranteedLucky': 'Abrir {boxes} no garantiza la solución: una canica {marbles} de esa caja encaja con más de una distribución, así que esta vez te tocó una canica útil.',
+      'reasoning.betterPeek': 'Mirar en {boxes} habría garantizado la respuesta, saliera la canica que saliera.',
+      'reasoning.noGuaranteedPeek': 'En este rompecabezas ningún vistazo garantiza la respuesta.',
+
+      'stats.title': '📊 Tus estadísticas',
+      'stats.export': 'Exportar historial',
+      'stats.clear': 'Borrar historial',
+      'stats.confirmClear': '¿Borrar el historial de partidas guardado? No se puede deshacer.',
+      'stats.empty': 'Termina una ronda para empezar a registrar tus estadísticas.',
+      'stats.percent': '{value} %',
+      'stats.gamesPlayed': 'Partidas jugadas',
+      'stats.perfectSolves': 'Partidas perfectas',
+      'stats.currentStreak': 'Racha actual',
+      'stats.bestStreak': 'Mejor racha',
+      'stats.byLabelHeading': 'Resultados según la primera caja que abriste',
+      'stats.labelColumn': 'Etiqueta de la caja',
+      'stats.gamesColumn': 'Partidas',
+      'stats.perfectColumn': 'Perfectas',
+      'stats.accuracyColumn': 'Cajas acertadas',
+      'stats.insight': 'Abriendo una caja que garantiza la respuesta: <strong>{guaranteedRate}</strong> perfectas ({guaranteedGames} partidas). Cualquier otra caja: <strong>{otherRate}</strong> perfectas ({otherGames} partidas).',
+
+      'challenge.label': 'Desafío contrarreloj',
+      'challenge.start': '⏱️ Empezar desafío',
+      'challenge.quit': 'Abandonar desafío',
+      'challenge.roundCount': { one: '{count} ronda', other: '{count} rondas' },
+      'challenge.round': 'Ronda {number} de {total}',
+      'challenge.score': 'Puntos: {score}',
+      'challenge.nextRound': 'Siguiente ronda',
+      'challenge.roundScore': 'Ronda {number} de {total}: {score} puntos',
+      'challenge.boxPoints': { one: '{count} caja acertada', other: '{count} cajas acertadas' },
+      'challenge.perfectBonus': 'Todas las cajas acertadas',
+      'challenge.timeBonus': 'Bonificación por tiempo ({time})',
+      'challenge.guessPenalty': 'Abriste una caja que no garantizaba la respuesta',
+      'challenge.seriesTotal': '¡Desafío completado! Puntuación total: {score}',
+      'challenge.nameLabel': 'Tu nombre para la clasificación',
+      'challenge.saveScore': 'Guardar puntuación',
+      'challenge.saved': 'Guardado en la clasificación.',
+
+      'leaderboard.title': '🏆 Clasificación',
+      'leaderboard.mode': 'Modalidad del desafío',
+      'leaderboard.empty': 'Termina un desafío contrarreloj para entrar en la clasificación.',
+      'leaderboard.name': 'Nombre',
+      'leaderboard.score': 'Puntos',
+      'leaderboard.time': 'Tiempo',
+      'leaderboard.perfectRounds': 'Rondas perfectas',
+      'race.title': '🏁 Carrera',
+      'race.intro': 'Compite con otros jugadores en el mismo acertijo. Un jugador crea una sala y los demás entran con su código desde otras pestañas o ventanas de este navegador. Para competir entre ordenadores, arranca el repetidor con "node race-relay.js" y que todos escriban su dirección.',
+      'race.name': 'Tu nombre',
+      'race.relay': 'Repetidor (opcional)',
+      'race.create': 'Crear una sala',
+      'race.code': 'Código de la sala',
+      'race.join': 'Entrar',
+      'race.start': 'Empezar la carrera',
+      'race.nextRound': 'Empezar la siguiente ronda',
+      'race.leave': 'Salir de la sala',
+      'race.close': 'Cerrar la sala',
+      'race.host': '(anfitrión)',
+      'race.rankColumn': 'Puesto',
+      'race.playerColumn': 'Jugador',
+      'race.progressColumn': 'Progreso',
+      'race.waiting': 'Esperando la salida',
+      'race.notPeeked': 'Ninguna caja abierta',
+      'race.playing': 'jugando',
+      'race.finished': '{correct} de {total} correctas en {time}',
+      'race.lobbyHost': 'La sala {code} está abierta. Di a los demás que entren con este código y luego empieza la carrera.',
+      'race.lobbyPlayer': 'Estás en la sala {code}. Esperando a que el anfitrión empiece la carrera.',
+      'race.racing': 'Sala {code}, ronda {round}: el acertijo de arriba es la carrera. ¡Adelante!',
+      'race.done': 'Sala {code}, ronda {round}: has terminado. Mira cómo llegan los demás.',
+      'race.joining': 'Entrando en la sala {code}…',
+      'race.notFound': 'Ninguna sala {code} ha respondido. Revisa el código, y el repetidor si usas uno.',
+      'race.closed': 'El anfitrión ha cerrado la sala.',
+      'race.relayLost': 'No se pudo contactar con el repetidor en {address} o ha dejado de responder.',
+
+      'offline.updateAvailable': 'Hay una nueva versión del rompecabezas.',
+      'offline.reload': 'Recargar',
+
+      'worksheet.link': '🖨️ Fichas imprimibles para docentes',
+      'worksheet.pageTitle': 'Fichas de cajas y canicas',
+      'worksheet.heading': '🖨️ Generador de fichas',
+      'worksheet.intro': 'Imprime una serie de acertijos para la clase, con una hoja de soluciones aparte. Cada acertijo muestra las canicas sacadas de algunas de sus cajas, y esas canicas siempre bastan para deducir qué contiene cada caja.',
+      'worksheet.backToGame': '← Volver al juego',
+      'worksheet.difficulty': 'Dificultad',
+      'worksheet.difficulty.easy': 'Fácil: 3 cajas, una canica',
+      'worksheet.difficulty.medium': 'Media: 4 cajas, 3 colores, dos canicas de cada una de dos cajas',
+      'worksheet.difficulty.hard': 'Difícil: 4 cajas, 4 colores, una canica de cada una de tres cajas',
+      'worksheet.count': 'Acertijos',
+      'worksheet.puzzleCount': { one: '{count} acertijo', other: '{count} acertijos' },
+      'worksheet.paper': 'Papel',
+      'worksheet.paper.a4': 'A4',
+      'worksheet.paper.letter': 'Carta (EE. UU.)',
+      'worksheet.generate': '🔄 Nuevos acertijos',
+      'worksheet.printWorksheet': '🖨️ Imprimir ficha',
+      'worksheet.printAnswers': '🖨️ Imprimir soluciones',
+      'worksheet.title': 'Acertijos de cajas y canicas',
+      'worksheet.answerTitle': 'Acertijos de cajas y canicas: soluciones',
+      'worksheet.nameLine': 'Nombre: ____________________   Fecha: ____________',
+      'worksheet.instructions': 'En cada acertijo todas las etiquetas están equivocadas, pero cada etiqueta nombra lo que contiene realmente una de las cajas. Se abrieron algunas cajas y se muestran las canicas que se sacaron. Escribe qué contiene realmente cada caja.',
+      'worksheet.noReplacement': 'Cuando se sacaron dos canicas de una caja, la primera no se devolvió antes de sacar la segunda.',
+      'worksheet.puzzle': 'Acertijo {number}',
+      'worksheet.drawn': { one: 'Canica sacada:', other: 'Canicas sacadas:' },
+      'worksheet.answerLine': 'Contiene: ______________',
+      'worksheet.code': 'Ficha {code}',
+      'worksheet.answerBox': 'Caja',
+      'worksheet.answerLabel': 'Etiqueta',
+      'worksheet.answerContents': 'Contiene realmente',
+
+      'replay.load': '🎬 Ver la repetición de una partida',
+      'replay.previous': '◀ Anterior',
+      'replay.next': 'Siguiente ▶',
+      'replay.exit': 'Salir de la repetición',
+      'replay.stepCount': 'Paso {number} de {total}',
+      'replay.event.puzzleGenerated': '{time} - Se repartió un rompecabezas de {count} cajas.',
+      'replay.event.boxChecked': '{time} - Se revisó la caja {number} (con la etiqueta {label}) y salió una canica {marble}.',
+      'replay.event.labelChanged': '{time} - Se etiquetó la caja {number} como {label}.',
+      'replay.event.labelCleared': '{time} - Se quitó la etiqueta de la caja {number}.',
+      'replay.event.labelMoved': '{time} - Se movió la etiqueta {label} de la caja {from} a la caja {to}.',
+      'replay.event.answersSubmitted': '{time} - Se enviaron las respuestas: {correct} de {total} correctas.',
+      'replay.event.undone': '{time} - Se deshizo el último cambio de etiqueta.',
+      'replay.event.redone': '{time} - Se rehízo el cambio de etiqueta.',
+      'replay.event.hintTaken': '{time} - Se pidió la pista {level}.',
+      'replay.error': 'No se pudo reproducir {file}: {reason}',
+      'replay.error.unreadable': 'el archivo no es JSON válido.',
+      'replay.error.invalid-log': 'no es un registro de partida que esta versión del juego pueda leer.',
+      'replay.error.no-puzzle': 'el registro no empieza con un rompecabezas.',
+      'replay.error.invalid-puzzle': 'el rompecabezas del registro no es válido.',
+      'replay.error.event-mismatch': 'el evento {number} no encaja con la partida en ese momento.',
+      'replay.error.marble-mismatch': 'el evento {number} registra una canica que este rompecabezas no podía dar.',
+
+      'debug.title': '🛠️ Viaje en el tiempo',
+      'debug.intro': 'Todas las acciones de esta ronda. Elige una para ver la partida tal como quedó justo después.',
+      'debug.copy': 'Copiar las acciones',
+      'debug.copied': '¡Acciones copiadas!',
+
+      'definition.load': '📂 Cargar un archivo de rompecabezas',
+      'definition.playing': 'Jugando {name}, cargado desde un archivo de rompecabezas.',
+      'definition.clear': 'Volver a los rompecabezas generados',
+      'definition.embedded': 'el rompecabezas de la página anfitriona',
+      'definition.error': 'No se pudo cargar el rompecabezas {file}:',
+      'definition.error.unreadable': 'El archivo no es JSON válido.',
+      'definition.error.download': 'No se pudo descargar el archivo.',
+      'definition.error.not-object': 'La definición de un rompecabezas debe ser un objeto JSON.',
+      'definition.error.format': '"format" debe ser "{format}" y "version" debe ser {version}.',
+      'definition.error.text': '"title" e "intro" deben ser texto, o un objeto con un texto por cada código de idioma.',
+      'definition.error.colors': '"marbles.colors" debe enumerar entre {min} y {max} colores distintos de entre {colors}.',
+      'definition.error.per-box': '"marbles.perBox" debe ser {count}: cada caja contiene {count} canicas.',
+      'definition.error.rule': '"rule" debe ser uno de: {rules}.',
+      'definition.error.peek': '"peek.draws" debe estar entre 1 y {maxDraws}, y "peek.boxes" entre 1 y el menor de las extracciones, {maxBoxes} y el número de cajas.',
+      'definition.error.box-count': '"boxes" debe enumerar entre {min} y {max} cajas.',
+      'definition.error.box-shape': 'La caja {number} necesita "label" y "contents", cada uno una lista de {count} colores de la bolsa de canicas.',
+      'definition.error.duplicate-contents': 'Las cajas {first} y {second} contienen las mismas canicas.',
+      'definition.error.duplicate-label': 'Las cajas {first} y {second} tienen la misma etiqueta.',
+      'definition.error.label-not-in-boxes': 'La etiqueta de la caja {number} nombra canicas que no contiene ninguna caja; cada etiqueta debe nombrar lo que contiene una de las cajas.',
+      'definition.error.rule-broken': 'La caja {number} contiene lo que dice su etiqueta, y la regla dice que todas las etiquetas están equivocadas.',
+      'definition.error.rule-count': {
+        one: '{count} de las etiquetas es correcta, y la regla "{rule}" no lo permite.',
+        other: '{count} de las etiquetas son correctas, y la regla "{rule}" no lo permite.'
+      },
+      'definition.error.unused-color': 'La bolsa de canicas incluye el color {color}, pero ninguna caja tiene una canica de ese color.',
+      'definition.error.unsolvable': 'Ninguna forma de mirar permitida por las reglas asegura descubrir qué contiene cada caja, así que el rompecabezas no se puede resolver sin adivinar.'
+    }
+  },
+
+  ar: {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+      'page.title': 'لغز الصناديق والكرات الزجاجية',
+      'header.title': '🎯 لغز الصناديق والكرات الزجاجية',
+      'header.subtitle': 'تحدٍّ كلاسيكي في التفكير المنطقي',
+      'language.label': 'اللغة',
+      'motion.label': 'الحركة',
+      'motion.auto': 'حسب جهازي',
+      'motion.on': 'تشغيل',
+      'motion.off': 'إيقاف',
+      'quote': '«{text}»',
+
+      'color.red': 'أحمر',
+      'color.white': 'أبيض',
+      'color.blue': 'أزرق',
+      'color.green': 'أخضر',
+      'marbleColor.red': 'حمراء',
+      'marbleColor.white': 'بيضاء',
+      'marbleColor.blue': 'زرقاء',
+      'marbleColor.green': 'خضراء',
+      'label.pair': '{first} و{second}',
+
+      'description.heading': 'المسألة',
+      'description.intro': {
+        one: 'يعطيك أستاذ بابتسامة مريبة علبة كبريت واحدة. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وكل علبة عليها ملصق <strong>خاطئ</strong> كما يلي:',
+        two: 'يعطيك أستاذ بابتسامة مريبة علبتي كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وكل علبة عليها ملصق <strong>خاطئ</strong> كما يلي:',
+        few: 'يعطيك أستاذ بابتسامة مريبة {count} علب كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وكل علبة عليها ملصق <strong>خاطئ</strong> كما يلي:',
+        other: 'يعطيك أستاذ بابتسامة مريبة {count} علبة كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وكل علبة عليها ملصق <strong>خاطئ</strong> كما يلي:'
+      },
+      'description.labelsWrong': 'تصف الملصقات بدقة التركيبات الوحيدة الممكنة لألوان الكرات في العلب، لكنها حاليًا <strong>خاطئة</strong>.',
+      'description.challenge': '<strong>التحدي:</strong> {rules} هل تستطيع معرفة ما في كل علبة؟',
+      'description.introLabelled': {
+        one: 'يعطيك أستاذ بابتسامة مريبة علبة كبريت واحدة. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وعلى العلبة ملصق كما يلي:',
+        two: 'يعطيك أستاذ بابتسامة مريبة علبتي كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وعلى كل علبة ملصق كما يلي:',
+        few: 'يعطيك أستاذ بابتسامة مريبة {count} علب كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وعلى كل علبة ملصق كما يلي:',
+        other: 'يعطيك أستاذ بابتسامة مريبة {count} علبة كبريت. تحتوي كل علبة على {marbles} كرات بالضبط، وهي {colors}. وعلى كل علبة ملصق كما يلي:'
+      },
+      'description.unsolvable': '⚠️ لا يمكن حل أي لغز بهذا الحجم بالمنطق وحده مع قواعد النظر والملصقات هذه: أيًا كانت العلبة التي تفتحها، قد تضطر إلى التخمين. اسحب كرات أكثر أو استخدم علبًا أقل ليكون اللغز عادلًا.',
+      'description.difficulty': 'الصعوبة: {difficulty}',
+      'description.difficultyUnavailable': 'لا يوجد لغز بالصعوبة التي اخترتها يناسب هذه الإعدادات، لذا هذا أقرب لغز إليها.',
+      'truth.one-label-right': 'تصف الملصقات بدقة التركيبات الوحيدة الممكنة لألوان الكرات في العلب، و<strong>ملصق واحد فقط</strong> منها صحيح.',
+      'truth.at-most-one-wrong': 'تصف الملصقات بدقة التركيبات الوحيدة الممكنة لألوان الكرات في العلب، و<strong>ملصق واحد على الأكثر</strong> منها خاطئ.',
+      'truth.card': 'تصف الملصقات بدقة التركيبات الوحيدة الممكنة لألوان الكرات في العلب. ويعطيك الأستاذ أيضًا بطاقة مكتوب عليها: <strong>«عدد الملصقات الصحيحة هنا {count} بالضبط.»</strong>',
+
+      'rules.classic': 'يمكنك النظر داخل علبة واحدة فقط ورؤية كرة واحدة فقط.',
+      'rules.bothMarbles': 'يمكنك النظر داخل علبة واحدة فقط ورؤية كرتيها كلتيهما.',
+      'rules.oneBox': 'يمكنك النظر داخل علبة واحدة فقط وسحب {count} كرات.',
+      'rules.oneBoxWithReplacement': 'يمكنك النظر داخل علبة واحدة فقط وسحب {count} كرات، مع إعادة كل كرة قبل السحبة التالية.',
+      'rules.severalBoxes': 'يمكنك سحب {count} كرات من {boxes} علب مختلفة على الأكثر.',
+      'rules.severalBoxesWithReplacement': 'يمكنك سحب {count} كرات من {boxes} علب مختلفة على الأكثر، مع إعادة كل كرة قبل السحبة التالية.',
+      'rules.oneBoxOnly': 'بعد فحص علبة لا يمكنك فحص أي علبة أخرى.',
+
+      'settings.size': 'حجم اللغز',
+      'settings.colors': 'ألوان الكرات',
+      'settings.peek': 'النظر',
+      'settings.boxCount': { few: '{count} علب', other: '{count} علبة' },
+      'settings.colorCount': { two: 'لونان', few: '{count} ألوان', other: '{count} لونًا' },
+      'settings.peekDraws': { one: 'كرة واحدة', two: 'كرتان', few: '{count} كرات', other: '{count} كرة' },
+      'settings.peekBoxes': { one: 'من علبة واحدة', two: 'من علبتين على الأكثر', few: 'من {count} علب على الأكثر', other: 'من {count} علبة على الأكثر' },
+      'settings.peekBoxesLabel': 'العلب التي يمكنك السحب منها',
+      'settings.withoutReplacement': 'دون إعادة',
+      'settings.withReplacement': 'مع الإعادة',
+      'settings.replacementLabel': 'إعادة الكرات',
+      'settings.fairProfessor': 'أستاذ منصف',
+      'settings.adversarialProfessor': 'أستاذ مخادع',
+      'settings.professorLabel': 'الأستاذ',
+      'settings.truthLabel': 'الملصقات',
+      'settings.truth.all-labels-wrong': 'كل الملصقات خاطئة',
+      'settings.truth.one-label-right': 'ملصق واحد فقط صحيح',
+      'settings.truth.at-most-one-wrong': 'ملصق واحد خاطئ على الأكثر',
+      'settings.truth.card': 'بطاقة تقول كم ملصقًا صحيحًا',
+      'settings.difficultyLabel': 'الصعوبة',
+      'settings.difficulty.any': 'أي صعوبة',
+      'settings.difficulty.easy': 'سهل',
+      'settings.difficulty.medium': 'متوسط',
+      'settings.difficulty.hard': 'صعب',
+      'settings.unsolvablePeekRules': '⚠️ لا يمكن حل أي لغز بهذا الحجم بالمنطق وحده مع قواعد النظر والملصقات هذه، لذا قد تضطر إلى التخمين. يكفي النظر إلى {peekRules} ليكون اللغز عادلًا.',
+      'settings.unsolvableSize': '⚠️ لا يمكن حل أي لغز بهذا الحجم بالمنطق وحده مع هذه الملصقات، مهما كانت قواعد النظر، لذا قد تضطر إلى التخمين.',
+
+      'matchbox.check': 'افحص العلبة',
+      'matchbox.drawAgain': 'اسحب مرة أخرى',
+      'box.number': 'العلبة {number}',
+
+      'placeholder.title': 'اختر علبة',
+      'placeholder.body': 'انقر على أي زر {button} في الأعلى لترى محتوى تلك العلبة.',
+      'placeholder.remember': 'تذكّر: {rules}',
+
+      'detail.selectedBox': 'العلبة المختارة: {label}',
+      'detail.selectedBoxes': 'العلب المختارة',
+      'detail.marbles': { one: 'الكرة', other: 'الكرات' },
+      'detail.drawsLeft': {
+        one: 'يمكنك سحب كرة واحدة أخرى.',
+        two: 'يمكنك سحب كرتين أخريين.',
+        few: 'يمكنك سحب {count} كرات أخرى.',
+        other: 'يمكنك سحب {count} كرة أخرى.'
+      },
+
+      'labels.heading': 'والآن اختر الملصق الصحيح لكل علبة:',
+      'labels.placeholder': 'اختر ملصقًا...',
+      'labels.submit': 'تحقق من إجاباتي',
+      'labels.reset': 'أعد اللغز',
+      'labels.dragHint': 'يمكنك أيضًا سحب الملصقات بين العلب، أو النقر على ملصق ثم على العلبة التي تضعه عليها. وضع ملصق على علبة عليها ملصق يبادل بينهما.',
+      'labels.empty': 'بلا ملصق',
+      'labels.labelOnBox': '{label}، على العلبة {number}',
+      'labels.picked': 'التقطت الملصق {label}. اختر العلبة التي تضعه عليها.',
+      'labels.putBack': 'أعدت الملصق {label} إلى مكانه.',
+      'labels.moved': 'نقلت الملصق {label} إلى العلبة {number}.',
+      'labels.undo': '↶ تراجع',
+      'labels.redo': 'إعادة ↷',
+      'labels.undone': 'تراجعت عن آخر تغيير في الملصقات.',
+      'labels.redone': 'أعدت تغيير الملصق.',
+
+      'hint.button': '💡 تلميح',
+      'hint.heading': 'التلميح {level} من {total}:',
+      'hint.think': 'كل ملصق يخبرك بشيء عن علبته. قبل أن تفتح علبة، فكّر فيما يمكن أن تحتويه كل علبة.',
+      'hint.informative': 'ابحث عن علبة تخبرك أي كرة تسحبها منها بما في داخلها، ومن ثم بما في داخل كل العلب الأخرى.',
+      'hint.first-box': 'ابدأ بالعلبة {number} ذات الملصق {label}: مهما أظهرت لك، يمكنك استنتاج كل العلب.',
+      'hint.no-first-box': 'لا توجد علبة تضمن الإجابة بهذه القواعد، لذا قد تضطر إلى التخمين. افتح العلبة التي تستبعد كرتها أكثر الاحتمالات.',
+      'hint.opened': 'ابدأ من العلبة {number} ذات الملصق {label}. الكرات التي رأيتها فيها: {marbles}. بالنظر إلى ملصقها، ماذا يمكن أن تحتوي؟',
+      'hint.contents': { one: 'لا يمكن أن تحتوي العلبة {number} إلا {options}.', other: 'لا يزال يمكن أن تحتوي العلبة {number} {options}.' },
+      'hint.contradiction.marble': 'لا يمكن أن يكون الملصق {label} على العلبة {number} صحيحًا: رأيت كرة {marble} في تلك العلبة.',
+      'hint.contradiction.rule': 'لا يمكن أن يكون الملصق {label} على العلبة {number} صحيحًا: فهو ملصق تلك العلبة الأصلي، وكل الملصقات خاطئة.',
+      'hint.consistent': 'لا شيء مما اخترته حتى الآن يناقض الكرات التي رأيتها أو القواعد.',
+
+      'results.perfect': '🎉 تهانينا!',
+      'results.heading': '📝 النتائج',
+      'results.score': 'أجبت إجابة صحيحة عن {correct} من {total}!',
+      'results.hintsUsed': {
+        one: 'استخدمت تلميحًا واحدًا.',
+        two: 'استخدمت تلميحين.',
+        few: 'استخدمت {count} تلميحات.',
+        other: 'استخدمت {count} تلميحًا.'
+      },
+      'results.noHints': 'حللته دون تلميحات.',
+      'results.yourAnswer': 'إجابتك:',
+      'results.correctAnswer': 'الإجابة الصحيحة:',
+      'results.actualContents': 'المحتوى الفعلي:',
+      'results.playAgain': 'العب مرة أخرى',
+      'results.copyLink': 'انسخ رابط هذا اللغز',
+      'results.linkCopied': 'تم نسخ الرابط!',
+      'results.copyLinkPrompt': 'انسخ هذا الرابط لمشاركة اللغز:',
+      'results.downloadLog': 'نزّل سجل اللعبة',
+      'results.share': '📣 شارك النتيجة',
+      'results.downloadCard': '🖼️ نزّل بطاقة النتيجة',
+      'share.copied': 'نُسخت النتيجة!',
+      'share.fallback': 'لم يسمح متصفحك بنسخ النتيجة. حدّد النص أدناه وانسخه بنفسك:',
+      'share.peeked': 'نظرتُ في {labels}',
+      'share.score': '{marks} {correct}/{total}',
+      'share.cardScore': '{correct} من {total} علب صحيحة',
+      'share.time': '⏱️ {time}',
+      'share.hints': {
+        one: '💡 تلميح واحد',
+        two: '💡 تلميحان',
+        few: '💡 {count} تلميحات',
+        other: '💡 {count} تلميحًا'
+      },
+      'share.noHints': '💡 بلا تلميحات',
+
+      'deduction.forced': {
+        one: '🧠 نظرتك فرضت إجابة واحدة: ترتيب واحد فقط يتفق مع الكرة التي رأيتها.',
+        other: '🧠 نظرتك فرضت إجابة واحدة: ترتيب واحد فقط يتفق مع الكرات التي رأيتها.'
+      },
+      'deduction.remaining': '🎲 تركت نظرتك {count} ترتيبات ممكنة.',
+      'deduction.luckyGuess': 'كانت علامتك الكاملة تخمينًا موفقًا.',
+      'deduction.noGuarantee': 'لم يكن بوسع أي استدلال أن يضمن علامة كاملة من هذه النظرة.',
+      'deduction.adversarial': 'انتظر الأستاذ المخادع حتى أجبت، ثم اختار الترتيب الأسوأ لإجاباتك.',
+
+      'posterior.title': '🎲 اعرض الاحتمالات',
+      'posterior.intro': 'قبل سحب أي كرة، تتساوى احتمالات الترتيبات التي تسمح بها الملصقات وعددها {count}. ثم تزيد كل كرة احتمال الترتيبات التي كثيرًا ما تنتجها، وتستبعد تلك التي لا يمكن أن تنتجها.',
+      'posterior.arrangement': 'الترتيب',
+      'posterior.prior': 'قبل',
+      'posterior.posterior': 'بعد الكرات',
+      'posterior.certain': '✅ ترتيب واحد فقط يتفق مع الكرات: يمكنك استنتاج كل العلب.',
+      'posterior.uncertain': {
+        one: '🎲 ما زال ترتيب واحد يتفق مع الكرات.',
+        two: '🎲 ما زال ترتيبان يتفقان مع الكرات. احتمال أرجحهما {chance}.',
+        few: '🎲 ما زالت {count} ترتيبات تتفق مع الكرات. احتمال أرجحها {chance}.',
+        other: '🎲 ما زال {count} ترتيبًا يتفق مع الكرات. احتمال أرجحها {chance}.'
+      },
+      'posterior.more': {
+        one: '…وترتيب آخر، ليس أرجح من المعروضة.',
+        two: '…وترتيبان آخران، ليس أيٌّ منهما أرجح من المعروضة.',
+        few: '…و{count} ترتيبات أخرى، ليس أيٌّ منها أرجح من المعروضة.',
+        other: '…و{count} ترتيبًا آخر، ليس أيٌّ منها أرجح من المعروضة.'
+      },
+      'posterior.adversarial': 'تفترض هذه الاحتمالات أن العلب مُلئت عشوائيًا. الأستاذ المخادع لا يحدد المحتويات حتى تجيب، لذا فهي للاسترشاد فقط.',
+
+      'reasoning.heading': 'كيف تستنتج الحل',
+      'reasoning.box': 'العلبة ذات الملصق {label}',
+      'reasoning.marble': 'كرة {color}',
+      'reasoning.peekForced': 'نظرت في {box} ورأيت {marbles}. بما أن ذلك الملصق خاطئ وفي العلبة {marbles}، فلا بد أنها {contents}.',
+      'reasoning.peekOptions': 'نظرت في {box} ورأيت {marbles}. بما أن ذلك الملصق خاطئ وفي العلبة {marbles}، فما زال يمكن أن تكون {options}.',
+      'reasoning.onlyBox': '{contents} لا يمكن أن تكون إلا في {box}: كل علبة أخرى إما تحمل هذا الملصق أو عُرف محتواها.',
+      'reasoning.onlyOption': 'إذن لا يمكن أن تحتوي {box} على ما يقوله ملصقها، فلا يبقى إلا {contents}.',
+      'reasoning.onlyOptionTaken': 'إذن لا يمكن أن تحتوي {box} على ما يقوله ملصقها، و{taken} عُرف مكانها، فلا يبقى إلا {contents}.',
+      'reasoning.peekForcedAnyLabel': 'نظرت في {box} ورأيت {marbles}. لا تحتوي على {marbles} إلا {contents}، فهذا ما في العلبة.',
+      'reasoning.peekOptionsAnyLabel': 'نظرت في {box} ورأيت {marbles}، فيمكن أن تكون {options}.',
+      'reasoning.onlyBoxAnyLabel': '{contents} لا يمكن أن تكون إلا في {box}: كل علبة أخرى عُرف محتواها أو استُبعدت.',
+      'reasoning.onlyOptionAnyLabel': 'إذن لا يمكن أن تكون {box} إلا {contents}.',
+      'reasoning.onlyOptionTakenAnyLabel': 'بما أن {taken} عُرف مكانها، فلا يمكن أن تكون {box} إلا {contents}.',
+      'reasoning.caseAnalysis': 'لم تعد أي علبة محسومة وحدها، لكن تجربة كل الترتيبات المتبقية تُظهر أن ترتيبًا واحدًا فقط يصح: {placements}.',
+      'reasoning.placement': '{box} فيها {contents}',
+      'reasoning.stuck': 'هذا أقصى ما يصل إليه المنطق: ما زالت {count} ترتيبات تتفق مع كل ما تعرفه، فمحتوى {boxes} يعتمد على التخمين.',
+      'reasoning.notGuaranteed': 'فتح {boxes} لا يضمن الحل: كرة {marbles} منها تتفق مع أكثر من ترتيب.',
+      'reasoning.notGuaranteedLucky': 'فتح {boxes} لا يضمن الحل: كرة {marbles} منها تتفق مع أكثر من ترتيب، لذا حصلت هذه المرة على كرة مفيدة.',
+      'reasoning.betterPeek': 'النظر في {boxes} كان سيضمن الإجابة أيًّا كانت الكرة التي تخرج.',
+      'reasoning.noGuaranteedPeek': 'في هذا اللغز لا توجد نظرة واحدة تضمن الإجابة.',
+
+      'stats.title': '📊 إحصاءاتك',
+      'stats.export': 'صدّر السجل',
+      'stats.clear': 'امسح السجل',
+      'stats.confirmClear': 'هل تريد حذف سجل ألعابك المحفوظ؟ لا يمكن التراجع عن ذلك.',
+      'stats.empty': 'أنهِ جولة لتبدأ متابعة إحصاءاتك.',
+      'stats.percent': '{value}٪',
+      'stats.gamesPlayed': 'الألعاب',
+      'stats.perfectSolves': 'الحلول الكاملة',
+      'stats.currentStreak': 'السلسلة الحالية',
+      'stats.bestStreak': 'أفضل سلسلة',
+      'stats.byLabelHeading': 'النتائج حسب أول علبة فتحتها',
+      'stats.labelColumn': 'ملصق العلبة',
+      'stats.gamesColumn': 'الألعاب',
+      'stats.perfectColumn': 'الحلول الكاملة',
+      'stats.accuracyColumn': 'العلب الصحيحة',
+      'stats.insight': 'عند فتح علبة تضمن الإجابة: <strong>{guaranteedRate}</strong> حلول كاملة ({guaranteedGames} ألعاب). أي علبة أخرى: <strong>{otherRate}</strong> حلول كاملة ({otherGames} ألعاب).',
+
+      'challenge.label': 'تحدٍّ موقوت',
+      'challenge.start': '⏱️ ابدأ التحدي',
+      'challenge.quit': 'انسحب من التحدي',
+      'challenge.roundCount': { one: 'جولة واحدة', two: 'جولتان', few: '{count} جولات', other: '{count} جولة' },
+      'challenge.round': 'الجولة {number} من {total}',
+      'challenge.score': 'النقاط: {score}',
+      'challenge.nextRound': 'الجولة التالية',
+      'challenge.roundScore': 'الجولة {number} من {total}: {score} نقطة',
+      'challenge.boxPoints': { one: 'علبة واحدة صحيحة', two: 'علبتان صحيحتان', few: '{count} علب صحيحة', other: '{count} علبة صحيحة' },
+      'challenge.perfectBonus': 'كل العلب صحيحة',
+      'challenge.timeBonus': 'مكافأة الوقت ({time})',
+      'challenge.guessPenalty': 'فتحت علبة لا تضمن الإجابة',
+      'challenge.seriesTotal': 'اكتمل التحدي! مجموع النقاط: {score}',
+      'challenge.nameLabel': 'اسمك في لوحة المتصدرين',
+      'challenge.saveScore': 'احفظ النتيجة',
+      'challenge.saved': 'حُفظت في لوحة المتصدرين.',
+
+      'leaderboard.title': '🏆 لوحة المتصدرين',
+      'leaderboard.mode': 'نوع التحدي',
+      'leaderboard.empty': 'أنهِ تحديًا موقوتًا لتدخل لوحة المتصدرين.',
+      'leaderboard.name': 'الاسم',
+      'leaderboard.score': 'النقاط',
+      'leaderboard.time': 'الوقت',
+      'leaderboard.perfectRounds': 'الجولات الكاملة',
+      'race.title': '🏁 سباق',
+      'race.intro': 'تسابق مع لاعبين آخرين على اللغز نفسه. ينشئ أحد اللاعبين غرفة وينضم الآخرون إليها برمزها من علامات تبويب أو نوافذ أخرى في هذا المتصفح. للتسابق بين أجهزة مختلفة، شغّل المُرحِّل بالأمر "node race-relay.js" وليكتب الجميع عنوانه.',
+      'race.name': 'اسمك',
+      'race.relay': 'المُرحِّل (اختياري)',
+      'race.create': 'إنشاء غرفة',
+      'race.code': 'رمز الغرفة',
+      'race.join': 'انضمام',
+      'race.start': 'ابدأ السباق',
+      'race.nextRound': 'ابدأ الجولة التالية',
+      'race.leave': 'مغادرة الغرفة',
+      'race.close': 'إغلاق الغرفة',
+      'race.host': '(المضيف)',
+      'race.rankColumn': 'المركز',
+      'race.playerColumn': 'اللاعب',
+      'race.progressColumn': 'التقدم',
+      'race.waiting': 'في انتظار البدء',
+      'race.notPeeked': 'لم يفتح أي علبة',
+      'race.playing': 'يلعب',
+      'race.finished': '{correct} من {total} صحيحة في {time}',
+      'race.lobbyHost': 'الغرفة {code} مفتوحة. أخبر اللاعبين الآخرين أن ينضموا بهذا الرمز، ثم ابدأ السباق.',
+      'race.lobbyPlayer': 'أنت في الغرفة {code}. في انتظار أن يبدأ المضيف السباق.',
+      'race.racing': 'الغرفة {code}، الجولة {round}: اللغز في الأعلى هو السباق. انطلق!',
+      'race.done': 'الغرفة {code}، الجولة {round}: لقد أنهيت. تابع وصول الآخرين.',
+      'race.joining': 'جارٍ الانضمام إلى الغرفة {code}…',
+      'race.notFound': 'لم تُجب أي غرفة بالرمز {code}. تحقق من الرمز، ومن المُرحِّل إن كنت تستخدمه.',
+      'race.closed': 'أغلق المضيف الغرفة.',
+      'race.relayLost': 'تعذّر الوصول إلى المُرحِّل على {address} أو توقف عن الاستجابة.',
+
+      'offline.updateAvailable': 'يتوفر إصدار جديد من اللغز.',
+      'offline.reload': 'إعادة التحميل',
+
+      'worksheet.link': '🖨️ أوراق عمل قابلة للطباعة للمعلمين',
+      'worksheet.pageTitle': 'أوراق عمل العلب والكرات',
+      'worksheet.heading': '🖨️ مولّد أوراق العمل',
+      'worksheet.intro': 'اطبع مجموعة من الألغاز لصفك مع ورقة حلول منفصلة. يعرض كل لغز الكرات المسحوبة من بعض علبه، وهذه الكرات تكفي دائمًا لمعرفة محتوى كل علبة.',
+      'worksheet.backToGame': 'العودة إلى اللعبة →',
+      'worksheet.difficulty': 'الصعوبة',
+      'worksheet.difficulty.easy': 'سهل: 3 علب، كرة واحدة',
+      'worksheet.difficulty.medium': 'متوسط: 4 علب، 3 ألوان، كرتان من كل علبة من علبتين',
+      'worksheet.difficulty.hard': 'صعب: 4 علب، 4 ألوان، كرة من كل علبة من ثلاث علب',
+      'worksheet.count': 'الألغاز',
+      'worksheet.puzzleCount': {
+        one: 'لغز واحد',
+        two: 'لغزان',
+        few: '{count} ألغاز',
+        other: '{count} لغزًا'
+      },
+      'worksheet.paper': 'الورق',
+      'worksheet.paper.a4': 'A4',
+      'worksheet.paper.letter': 'Letter الأمريكي',
+      'worksheet.generate': '🔄 ألغاز جديدة',
+      'worksheet.printWorksheet': '🖨️ اطبع ورقة العمل',
+      'worksheet.printAnswers': '🖨️ اطبع ورقة الحلول',
+      'worksheet.title': 'ألغاز العلب والكرات',
+      'worksheet.answerTitle': 'ألغاز العلب والكرات: الحلول',
+      'worksheet.nameLine': 'الاسم: ____________________   التاريخ: ____________',
+      'worksheet.instructions': 'في كل لغز جميع الملصقات خاطئة، لكن كل ملصق يسمّي ما تحتويه إحدى العلب فعلًا. فُتحت بعض العلب وتظهر الكرات المسحوبة منها. اكتب ما تحتويه كل علبة فعلًا.',
+      'worksheet.noReplacement': 'عند سحب كرتين من علبة، لم تُرجع الأولى قبل سحب الثانية.',
+      'worksheet.puzzle': 'اللغز {number}',
+      'worksheet.drawn': { one: 'الكرة المسحوبة:', two: 'الكرتان المسحوبتان:', other: 'الكرات المسحوبة:' },
+      'worksheet.answerLine': 'تحتوي فعلًا: ______________',
+      'worksheet.code': 'ورقة العمل {code}',
+      'worksheet.answerBox': 'العلبة',
+      'worksheet.answerLabel': 'الملصق',
+      'worksheet.answerContents': 'تحتوي فعلًا',
+
+      'replay.load': '🎬 أعد عرض سجل لعبة',
+      'replay.previous': '▶ السابق',
+      'replay.next': 'التالي ◀',
+      'replay.exit': 'أنهِ إعادة العرض',
+      'replay.stepCount': 'الخطوة {number} من {total}',
+      'replay.event.puzzleGenerated': '{time} - وُزّع لغز من {count} علب.',
+      'replay.event.boxChecked': '{time} - فُحصت العلبة {number} (ذات الملصق {label}) وظهرت كرة {marble}.',
+      'replay.event.labelChanged': '{time} - أُعطيت العلبة {number} الملصق {label}.',
+      'replay.event.labelCleared': '{time} - أُزيل ملصق العلبة {number}.',
+      'replay.event.labelMoved': '{time} - نُقل الملصق {label} من العلبة {from} إلى العلبة {to}.',
+      'replay.event.answersSubmitted': '{time} - أُرسلت الإجابات: {correct} من {total} صحيحة.',
+      'replay.event.undone': '{time} - تم التراجع عن آخر تغيير في الملصقات.',
+      'replay.event.redone': '{time} - أُعيد تغيير الملصق.',
+      'replay.event.hintTaken': '{time} - طُلب التلميح {level}.',
+      'replay.error': 'تعذّرت إعادة عرض {file}: {reason}',
+      'replay.error.unreadable': 'الملف ليس JSON صالحًا.',
+      'replay.error.invalid-log': 'ليس سجل لعبة يمكن لهذا الإصدار قراءته.',
+      'replay.error.no-puzzle': 'السجل لا يبدأ بلغز.',
+      'replay.error.invalid-puzzle': 'اللغز في السجل غير صالح.',
+      'replay.error.event-mismatch': 'الحدث {number} لا يتفق مع اللعبة في تلك اللحظة.',
+      'replay.error.marble-mismatch': 'الحدث {number} يسجل كرة لا يمكن أن يعطيها هذا اللغز.',
+
+      'debug.title': '🛠️ السفر عبر الزمن',
+      'debug.intro': 'كل إجراءات هذه الجولة. اختر واحدًا لترى اللعبة كما كانت بعده مباشرة.',
+      'debug.copy': 'انسخ الإجراءات',
+      'debug.copied': 'تم نسخ الإجراءات!',
+
+      'definition.load': '📂 حمّل ملف لغز',
+      'definition.playing': 'تلعب {name}، المحمّل من ملف لغز.',
+      'definition.clear': 'العودة إلى الألغاز المولّدة',
+      'definition.embedded': 'لغز الصفحة المضيفة',
+      'definition.error': 'تعذّر تحميل اللغز {file}:',
+      'definition.error.unreadable': 'الملف ليس JSON صالحًا.',
+      'definition.error.download': 'تعذّر تنزيل الملف.',
+      'definition.error.not-object': 'يجب أن يكون تعريف اللغز كائن JSON.',
+      'definition.error.format': 'يجب أن تكون قيمة "format" هي "{format}" وقيمة "version" هي {version}.',
+      'definition.error.text': 'يجب أن يكون "title" و"intro" نصًا، أو كائنًا فيه نص لكل رمز لغة.',
+      'definition.error.colors': 'يجب أن يسرد "marbles.colors" من {min} إلى {max} ألوان مختلفة من بين {colors}.',
+      'definition.error.per-box': 'يجب أن تكون قيمة "marbles.perBox" هي {count}: كل علبة تحتوي على {count} كرات.',
+      'definition.error.rule': 'يجب أن تكون قيمة "rule" إحدى: {rules}.',
+      'definition.error.peek': 'يجب أن تكون قيمة "peek.draws" من 1 إلى {maxDraws}، وقيمة "peek.boxes" من 1 إلى أصغر عدد السحبات و{maxBoxes} وعدد العلب.',
+      'definition.error.box-count': 'يجب أن يسرد "boxes" من {min} إلى {max} علب.',
+      'definition.error.box-shape': 'العلبة {number} تحتاج إلى "label" و"contents"، كل منهما قائمة من {count} ألوان من مجموعة الكرات.',
+      'definition.error.duplicate-contents': 'العلبتان {first} و{second} تحتويان على الكرات نفسها.',
+      'definition.error.duplicate-label': 'العلبتان {first} و{second} تحملان الملصق نفسه.',
+      'definition.error.label-not-in-boxes': 'ملصق العلبة {number} يسمّي كرات لا تحتويها أي علبة؛ يجب أن يسمّي كل ملصق ما تحتويه إحدى العلب.',
+      'definition.error.rule-broken': 'العلبة {number} تحتوي ما يقوله ملصقها، وهذا يخالف قاعدة أن كل الملصقات خاطئة.',
+      'definition.error.rule-count': 'عدد الملصقات الصحيحة {count}، والقاعدة "{rule}" لا تسمح بذلك.',
+      'definition.error.unused-color': 'مجموعة الكرات تتضمن اللون {color}، لكن لا توجد علبة فيها كرة بهذا اللون.',
+      'definition.error.unsolvable': 'لا توجد طريقة نظر تسمح بها القواعد تضمن معرفة محتوى كل علبة، لذا لا يمكن حل اللغز دون تخمين.'
+    }
+  }
+};
+
+const I18nState = {
+  locale: I18N_CONFIG.DEFAULT_LOCALE
+};
+
+// ============================================================================
+// MESSAGE LOOKUP & FORMATTING
+// ============================================================================
+
+/**
+ * Looks up a message in the current locale and fills in its placeholders
+ * @param {string} key - The message key (e.g., "results.score")
+ * @param {Object} [params] - Values for the {placeholders}; count also selects the plural form
+ * @param {string} [locale] - The locale to use (defaults to the current one)
+ * @returns {string} The translated text, or the key itself if no locale has the message
+ */
+function translate(key, params = {}, locale = I18nState.locale) {
+  const catalog = (LOCALES[locale] || LOCALES[I18N_CONFIG.DEFAULT_LOCALE]).messages;
+  let message = key in catalog ? catalog[key] : LOCALES[I18N_CONFIG.DEFAULT_LOCALE].messages[key];
+
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(params.count);
+    message = message[category] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Gets the display name of a marble color, as used on labels
+ * @param {string} color - The color id (e.g., "red")
+ * @returns {string} The color name (e.g., "Red")
+ */
+function formatColor(color) {
+  return translate(`color.${color}`);
+}
+
+/**
+ * Formats box contents for display
+ * @param {Array<string>} contents - The marble colors (e.g., ['red', 'white'])
+ * @returns {string} Formatted contents string (e.g., "Red and White")
+ */
+function formatContents(contents) {
+  const [first, second] = contents.map(formatColor);
+  return second === undefined ? first : translate('label.pair', { first, second });
+}
+
+/**
+ * Formats a label id for display
+ * @param {string} label - The label id (e.g., "red-white")
+ * @returns {string} The label text (e.g., "Red and White")
+ */
+function formatLabel(label) {
+  return formatContents(parseLabel(label));
+}
+
+/**
+ * Puts text in the quotation marks of the current locale
+ * @param {string} text - The text to quote
+ * @returns {string} The quoted text
+ */
+function quote(text) {
+  return translate('quote', { text });
+}
+
+/**
+ * Joins items into a list the way the current language writes it (e.g., "A, B and C")
+ * @param {Array<string>} items - The items to list
+ * @param {string} [type] - 'conjunction' for "and" lists, 'disjunction' for "or" lists
+ * @returns {string} The list
+ */
+function formatList(items, type = 'conjunction') {
+  if (typeof Intl.ListFormat === 'function') {
+    return new Intl.ListFormat(I18nState.locale, { style: 'long', type }).format(items);
+  }
+  return items.join(', ');
+}
+
+// ============================================================================
+// DEDUCTION WORDING
+// ============================================================================
+// The solver's explanation steps are plain data (see explainDeduction); these
+// turn them into sentences for the game's results and the worksheet answer key.
+
+/**
+ * Names a box by its label, as the reasoning refers to boxes
+ * @param {Object} box - The box, with its label id
+ * @returns {string} E.g. 'the box labelled "Red and White"'
+ */
+function describeLabelledBox(box) {
+  return translate('reasoning.box', { label: quote(formatLabel(box.label)) });
+}
+
+/**
+ * Words the solver's deduction steps as sentences
+ * @param {Array<Object>} steps - The steps from explainDeduction
+ * @param {Array<Object>} boxes - The puzzle's boxes, by box index
+ * @param {boolean} [everyLabelWrong] - Whether the steps ruled boxes out of their own label
+ * (see explainDeduction); other truth rules are worded without it
+ * @returns {Array<string>} One sentence per step
+ */
+function describeDeductionSteps(steps, boxes, everyLabelWrong = true) {
+  const wording = key => (everyLabelWrong ? key : `${key}AnyLabel`);
+  const describeBox = boxIndex => describeLabelledBox(boxes[boxIndex]);
+  const formatMarble = marble => translate(`marbleColor.${marble}`);
+  const formatCombination = contents => quote(formatContents(contents));
+  const listCombinations = (combinations, type) => formatList(combinations.map(formatCombination), type);
+
+  return steps.map(step => {
+    switch (step.type) {
+      case 'peek': {
+        const params = {
+          box: describeBox(step.boxIndex),
+          marbles: formatList(step.marbles.map(marble => translate('reasoning.marble', { color: formatMarble(marble) })))
+        };
+        return step.options.length === 1
+          ? translate(wording('reasoning.peekForced'), { ...params, contents: formatCombination(step.options[0]) })
+          : translate(wording('reasoning.peekOptions'), { ...params, options: listCombinations(step.options, 'disjunction') });
+      }
+      case 'settle': {
+        const params = { box: describeBox(step.boxIndex), contents: formatCombination(step.contents) };
+        if (step.reason === 'only-box') {
+          return translate(wording('reasoning.onlyBox'), params);
+        }
+        return step.taken.length > 0
+          ? translate(wording('reasoning.onlyOptionTaken'), { ...params, count: step.taken.length, taken: listCombinations(step.taken) })
+          : translate(wording('reasoning.onlyOption'), params);
+      }
+      case 'case-analysis': {
+        const placements = step.boxIndexes.map(boxIndex => translate('reasoning.placement', {
+          box: describeBox(boxIndex),
+          contents: formatCombination(step.assignment[boxIndex])
+        }));
+        return translate('reasoning.caseAnalysis', { placements: formatList(placements) });
+      }
+      case 'stuck':
+        return translate('reasoning.stuck', {
+          count: step.remainingCount,
+          boxes: formatList(step.boxIndexes.map(describeBox))
+        });
+      default:
+        return '';
+    }
+  });
+}
+
+// ============================================================================
+// LOCALE SELECTION
+// ============================================================================
+
+/**
+ * Picks the locale to start with: the saved choice, else the browser's language
+ * @returns {string} A supported locale code
+ */
+function getInitialLocale() {
+  let savedLocale = null;
+  try {
+    savedLocale = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    // Storage can be unavailable (private browsing)
+  }
+
+  const preferred = [savedLocale, ...(navigator.languages || [navigator.language])]
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0]);
+  return preferred.find(language => language in LOCALES) || I18N_CONFIG.DEFAULT_LOCALE;
+}
+
+/**
+ * Switches the page to a locale and remembers the choice
+ * @param {string} locale - A supported locale code
+ */
+function setLocale(locale) {
+  I18nState.locale = locale in LOCALES ? locale : I18N_CONFIG.DEFAULT_LOCALE;
+  try {
+    localStorage.setItem(I18N_CONFIG.STORAGE_KEY, I18nState.locale);
+  } catch (error) {
+    // Without storage the choice lasts until the page is closed
+  }
+  applyTranslations();
+}
+
+/**
+ * Translates the static text of the page and sets its language and direction
+ */
+function applyTranslations() {
+  const { dir } = LOCALES[I18nState.locale];
+  document.documentElement.lang = I18nState.locale;
+  document.documentElement.dir = dir;
+  document.title = translate('page.title');
+
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = translate(element.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-html]').forEach(element => {
+    element.innerHTML = translate(element.dataset.i18nHtml);
+  });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', translate(element.dataset.i18nAriaLabel));
+  });
+}
+
+/**
+ * Fills the language switcher and applies the initial locale
+ * @param {Function} onChange - Called after the player switches language, to redraw dynamic content
+ */
+function initializeLanguageSwitcher(onChange) {
+  I18nState.locale = getInitialLocale();
+  applyTranslations();
+
+  const localeSelect = document.getElementById('locale-select');
+  if (!localeSelect) return;
+
+  Object.entries(LOCALES).forEach(([locale, { name }]) => {
+    const option = new Option(name, locale);
+    option.lang = locale;
+    localeSelect.appendChild(option);
+  });
+  localeSelect.value = I18nState.locale;
+
+  localeSelect.addEventListener('change', () => {
+    setLocale(localeSelect.value);
+    onChange();
+  });
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    I18N_CONFIG,
+    LOCALES,
+    I18nState,
+    translate
+  };
+}
@@ -0,0 +1,202 @@
+// ============================================================================
+// OFFLINE PLAY & SAVED ROUNDS
+// ============================================================================
+// The page can be installed as an app (see manifest.webmanifest) and played
+// without a connection: service-worker.js keeps every file of the site in a
+// cache named after its CACHE_VERSION and answers from it first. A new version
+// of the site is installed next to the old one and waits; the page then shows
+// a "new version available" banner, and only when the player chooses to reload
+// does the waiting worker take over and the page load the new files.
+//
+// So that reloading (for an update or otherwise) doesn't lose the round being
+// played, the game log of an unfinished round (see box-and-marble-replay.js) is
+// saved to localStorage after every action and replayed when the page opens
+// again: the boxes checked, the marbles drawn, the labels chosen and the undo
+// history all come back. The time played so far is saved with it, and the
+// restored log's clock carries on from there, so the time the page was closed
+// doesn't count towards the round (or its shared result). Submitted rounds are
+// not kept, and neither are the rounds of a timed challenge or a race, whose
+// clocks a reload cannot resume.
+
+// In the browser the replay script shares the global scope; under Node it is
+// required like any other module
+const Replay = typeof module !== 'undefined' && module.exports
+  ? require('./box-and-marble-replay.js')
+  : globalThis;
+
+const OFFLINE_CONFIG = {
+  SERVICE_WORKER_URL: 'service-worker.js',
+  ROUND_STORAGE_KEY: 'box-and-marble-round'
+};
+
+const OfflineState = {
+  waitingWorker: null,  // A service worker with a new version of the site, waiting to take over
+  updating: false       // Set once the player asks for the new version, so the page reloads for it
+};
+
+// ============================================================================
+// SAVED ROUNDS
+// ============================================================================
+
+/**
+ * Reads a saved round back into the undo history it was played with
+ * @param {string|null} text - The saved round, as JSON: { log, playedMs }, the game log and
+ * the time played, in milliseconds
+ * @param {string} hash - The URL hash the page was opened with; a hash for another
+ * puzzle means the player followed a link, so the saved round is not brought back
+ * @param {number} [now] - When the round is brought back, in milliseconds since the epoch
+ * @returns {Object|null} { log, history } of the unfinished round, or null if there is
+ * none, it was for another puzzle, it was finished or it can't be replayed. The log
+ * starts playedMs before now, so later events are timed without the time away.
+ */
+function getSavedRoundHistory(text, hash, now = Date.now()) {
+  try {
+    const saved = JSON.parse(text);
+    // Rounds saved before the time played was kept are the log alone
+    const log = saved.log || saved;
+    const puzzle = hash.replace(/^#/, '');
+    if (puzzle && log.events[0].puzzle !== puzzle) {
+      return null;
+    }
+
+    // Submitting cannot be undone, so a round with results is finished
+    const history = Replay.restoreGameHistory(log);
+    if (Replay.getHistoryState(history).results) {
+      return null;
+    }
+
+    const lastEvent = log.events[log.events.length - 1];
+    const playedMs = Math.max(Number(saved.playedMs) || 0, lastEvent.time);
+    return { log: { ...log, startedAt: new Date(now - playedMs).toISOString() }, history };
+  } catch (error) {
+    // Nothing saved, or a log this version of the game can't replay
+    return null;
+  }
+}
+
+/**
+ * Saves the round being played so a reload can bring it back, or forgets it once
+ * there is nothing to bring back (called after every action, whenever a puzzle is
+ * dealt and when the page is closed)
+ */
+function saveRoundProgress() {
+  if (isReplaying()) return;
+
+  const finished = !GameState.current || GameState.current.phase === GAME_PHASES.SUBMITTED;
+  try {
+    if (finished || isChallengeActive() || RaceState.room || !ReplayState.log) {
+      localStorage.removeItem(OFFLINE_CONFIG.ROUND_STORAGE_KEY);
+    } else {
+      const { log } = ReplayState;
+      const playedMs = Date.now() - Date.parse(log.startedAt);
+      localStorage.setItem(OFFLINE_CONFIG.ROUND_STORAGE_KEY, JSON.stringify({ log, playedMs }));
+    }
+  } catch (error) {
+    // Without storage a reload simply starts a new round
+  }
+}
+
+/**
+ * Brings back the round saved before the page was last closed, if there is one, and
+ * saves the round again whenever the page is closed so the time since the last action counts
+ * @returns {boolean} True if a round was restored; otherwise the caller deals a puzzle
+ */
+function restoreSavedRound() {
+  window.addEventListener('pagehide', saveRoundProgress);
+
+  let text = null;
+  try {
+    text = localStorage.getItem(OFFLINE_CONFIG.ROUND_STORAGE_KEY);
+  } catch (error) {
+    return false;
+  }
+
+  const saved = getSavedRoundHistory(text, window.location.hash);
+  if (!saved) return false;
+
+  GameState.history = saved.history;
+  GameState.current = getHistoryState(saved.history);
+  GameState.settings = { ...GameState.current.settings };
+  GameState.restored = true;
+  ReplayState.log = saved.log;
+
+  renderGameState(true);
+  updatePuzzleHash();
+  renderTimeTravelPanel();
+  startRoundTimer();
+  return true;
+}
+
+// ============================================================================
+// SERVICE WORKER & UPDATES
+// ============================================================================
+
+/**
+ * Registers the service worker that lets the page work offline, and listens for new
+ * versions of it. Pages opened from file:// or in browsers without service workers
+ * keep working as before, online only.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+  document.getElementById('update-reload-btn').addEventListener('click', applyUpdate);
+
+  // The new worker has taken over because the player asked for it: load the new files
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (OfflineState.updating) {
+      window.location.reload();
+    }
+  });
+
+  navigator.serviceWorker.register(OFFLINE_CONFIG.SERVICE_WORKER_URL)
+    .then(registration => {
+      // A new version may have been installed during an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdateBanner(worker);
+          }
+        });
+      });
+    })
+    .catch(() => {
+      // The page still works online without its service worker
+    });
+}
+
+/**
+ * Tells the player a new version of the site is ready
+ * @param {ServiceWorker} worker - The installed worker waiting to take over
+ */
+function showUpdateBanner(worker) {
+  OfflineState.waitingWorker = worker;
+  document.getElementById('update-banner').hidden = false;
+}
+
+/**
+ * Lets the waiting service worker take over; the page reloads once it has. The round
+ * being played is saved after every action, so it comes back after the reload.
+ */
+function applyUpdate() {
+  if (!OfflineState.waitingWorker) return;
+
+  OfflineState.updating = true;
+  saveRoundProgress();
+  OfflineState.waitingWorker.postMessage({ type: 'skipWaiting' });
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OFFLINE_CONFIG,
+    getSavedRoundHistory
+  };
+}
@@ -0,0 +1,673 @@
+// ============================================================================
+// RACE MODE
+// ============================================================================
+// A race puts several players on the same puzzle at once, for workshops. One
+// tab hosts a room and the others join it with its code. Tabs on the same
+// computer talk over a BroadcastChannel, so no server is needed; for players
+// on other computers everyone enters the address of a relay started with
+// `node race-relay.js`, which passes the same messages over a WebSocket.
+//
+// The host keeps the room: the players, the puzzle of the current round and
+// every player's peek and result. Players send what they do to the host, and
+// the host sends the whole room back after every change. Every message carries
+// { source, version, code, from, type }, where code is the room code and from
+// the player who sent it, plus:
+//   join    { name }                 a player enters the room
+//   peek    { boxId }                a player drew a marble from a box
+//   finish  { correct, total, time } a player checked their answers; time is
+//                                    measured from when the puzzle appeared
+//   leave   {}                       a player left
+//   room    { room }                 the host's copy of the room, sent to everyone
+//   closed  {}                       the host left and the room is gone
+// Every player builds the round's puzzle from the same puzzle link, so the
+// configuration generatePuzzleConfiguration dealt the host is the one everyone plays.
+
+const RACE_CONFIG = {
+  MESSAGE_SOURCE: 'box-and-marble-race',
+  PROTOCOL_VERSION: 1,
+  CHANNEL_PREFIX: 'box-and-marble-race-',  // BroadcastChannel name, followed by the room code
+  MESSAGE_TYPES: ['join', 'peek', 'finish', 'leave', 'room', 'closed'],
+  PLAYER_MESSAGE_TYPES: ['join', 'peek', 'finish', 'leave'],
+  CODE_LETTERS: 'ABCDEFGHJKLMNPQRSTUVWXYZ', // No I or O, which look like 1 and 0
+  CODE_LENGTH: 4,
+  MAX_NAME_LENGTH: 20,
+  JOIN_TIMEOUT_MS: 3000  // How long a player waits for the host to answer
+};
+
+const RaceState = {
+  transport: null,   // How messages reach the other players (see createBroadcastTransport)
+  room: null,        // The room, as last sent by the host (see createRaceRoom)
+  playerId: null,    // This tab's player
+  isHost: false,
+  seed: null,        // Seed of the race puzzle being played here, to tell it from other games
+  joinTimerId: null, // Gives up on a room whose host never answers
+  notice: null       // Why the last room ended, as { key, params } for translate
+};
+
+// ============================================================================
+// ROOMS
+// ============================================================================
+
+/**
+ * Makes up a room code that is easy to read out loud
+ * @param {Function} [random] - Random number generator returning values in [0, 1)
+ * @returns {string} A code such as "KXWR"
+ */
+function generateRoomCode(random = Math.random) {
+  return Array.from({ length: RACE_CONFIG.CODE_LENGTH },
+    () => RACE_CONFIG.CODE_LETTERS[Math.floor(random() * RACE_CONFIG.CODE_LETTERS.length)]).join('');
+}
+
+/**
+ * Tidies a room code typed by a player
+ * @param {string} code - The code as typed
+ * @returns {string} The code in capitals, without spaces
+ */
+function normalizeRoomCode(code) {
+  return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Tidies a player name
+ * @param {*} name - The name as typed or received
+ * @returns {string} The name, trimmed and cut to RACE_CONFIG.MAX_NAME_LENGTH
+ */
+function normalizePlayerName(name) {
+  return String(name || '').trim().slice(0, RACE_CONFIG.MAX_NAME_LENGTH);
+}
+
+/**
+ * Creates a room with its host as the only player
+ * @param {string} code - The room code
+ * @param {Object} host - The host, as { id, name }
+ * @returns {Object} The room: { code, hostId, round, puzzle, players }, where round counts
+ * the races started (0 before the first) and puzzle is the puzzle link of the current round
+ */
+function createRaceRoom(code, host) {
+  return addRacePlayer({ code, hostId: host.id, round: 0, puzzle: null, players: [] }, host);
+}
+
+/**
+ * Adds a player to a room
+ * @param {Object} room - The room
+ * @param {Object} player - The player, as { id, name }
+ * @returns {Object} The new room, or the same room if the player is already in it or has no name
+ */
+function addRacePlayer(room, player) {
+  const name = normalizePlayerName(player.name);
+  if (!player.id || !name || room.players.some(existing => existing.id === player.id)) {
+    return room;
+  }
+
+  return {
+    ...room,
+    players: [...room.players, { id: player.id, name, peeks: [], result: null }]
+  };
+}
+
+/**
+ * Removes a player from a room
+ * @param {Object} room - The room
+ * @param {string} playerId - The player who left
+ * @returns {Object} The new room, or the same room if the player was not in it
+ */
+function removeRacePlayer(room, playerId) {
+  if (playerId === room.hostId || !room.players.some(player => player.id === playerId)) {
+    return room;
+  }
+  return { ...room, players: room.players.filter(player => player.id !== playerId) };
+}
+
+/**
+ * Starts a round: every player gets the puzzle and starts again without a peek or a result
+ * @param {Object} room - The room
+ * @param {string} puzzle - The puzzle link of the round (see encodePuzzleHash)
+ * @returns {Object} The new room
+ */
+function startRaceRound(room, puzzle) {
+  return {
+    ...room,
+    round: room.round + 1,
+    puzzle,
+    players: room.players.map(player => ({ ...player, peeks: [], result: null }))
+  };
+}
+
+/**
+ * Changes one player of a room
+ * @param {Object} room - The room
+ * @param {string} playerId - The player
+ * @param {Function} update - Returns the changed player, or the same player to change nothing
+ * @returns {Object} The new room, or the same room if nothing changed
+ */
+function updateRacePlayer(room, playerId, update) {
+  const index = room.players.findIndex(player => player.id === playerId);
+  if (index === -1) {
+    return room;
+  }
+
+  const player = update(room.players[index]);
+  if (player === room.players[index]) {
+    return room;
+  }
+  return { ...room, players: room.players.map((existing, i) => (i === index ? player : existing)) };
+}
+
+/**
+ * Records a marble a player drew, until they have finished the round
+ * @param {Object} room - The room
+ * @param {string} playerId - The player
+ * @param {string} boxId - The box they drew from
+ * @returns {Object} The new room, or the same room if the draw doesn't count
+ */
+function recordRacePeek(room, playerId, boxId) {
+  if (room.round === 0 || typeof boxId !== 'string') {
+    return room;
+  }
+  return updateRacePlayer(room, playerId, player => (player.result
+    ? player
+    : { ...player, peeks: [...player.peeks, boxId] }));
+}
+
+/**
+ * Records a player's answers; only their first submission of a round counts
+ * @param {Object} room - The room
+ * @param {string} playerId - The player
+ * @param {Object} result - { correct, total, time }, time in milliseconds
+ * @returns {Object} The new room, or the same room if the result doesn't count
+ */
+function recordRaceFinish(room, playerId, result) {
+  const { correct, total, time } = result;
+  const isValid = [correct, total, time].every(value => Number.isFinite(value) && value >= 0) && correct <= total;
+  if (room.round === 0 || !isValid) {
+    return room;
+  }
+  return updateRacePlayer(room, playerId, player => (player.result
+    ? player
+    : { ...player, result: { correct, total, time } }));
+}
+
+/**
+ * Applies a player's message to the host's room
+ * @param {Object} room - The room
+ * @param {Object} message - A message read with parseRaceMessage
+ * @returns {Object} The new room, or the same room if the message changed nothing
+ */
+function applyRaceMessage(room, message) {
+  switch (message.type) {
+    case 'join':
+      return addRacePlayer(room, { id: message.from, name: message.name });
+    case 'peek':
+      return recordRacePeek(room, message.from, message.boxId);
+    case 'finish':
+      return recordRaceFinish(room, message.from, message);
+    case 'leave':
+      return removeRacePlayer(room, message.from);
+    default:
+      return room;
+  }
+}
+
+/**
+ * Orders the players for the scoreboard: those who finished by boxes correct and then
+ * by time, followed by those still playing in the order they joined
+ * @param {Object} room - The room
+ * @returns {Array<Object>} The players, each with a rank (null while still playing)
+ */
+function rankRacePlayers(room) {
+  const finished = room.players
+    .filter(player => player.result)
+    .sort((a, b) => b.result.correct - a.result.correct || a.result.time - b.result.time);
+
+  return [
+    ...finished.map((player, index) => ({ ...player, rank: index + 1 })),
+    ...room.players.filter(player => !player.result).map(player => ({ ...player, rank: null }))
+  ];
+}
+
+// ============================================================================
+// MESSAGES & TRANSPORTS
+// ============================================================================
+
+/**
+ * Builds a message for the other players in a room
+ * @param {string} code - The room code
+ * @param {string} from - The id of the player sending it
+ * @param {string} type - One of RACE_CONFIG.MESSAGE_TYPES
+ * @param {Object} [details] - The rest of the message (see the list at the top of this file)
+ * @returns {Object} The message
+ */
+function createRaceMessage(code, from, type, details = {}) {
+  return {
+    ...details,
+    source: RACE_CONFIG.MESSAGE_SOURCE,
+    version: RACE_CONFIG.PROTOCOL_VERSION,
+    code,
+    from,
+    type
+  };
+}
+
+/**
+ * Reads a message received from another player
+ * @param {*} data - The message, as an object or as JSON text from the relay
+ * @param {string} code - The code of the room this tab is in
+ * @returns {Object|null} The message, or null if it is not a race message for the room
+ */
+function parseRaceMessage(data, code) {
+  let message = data;
+  if (typeof data === 'string') {
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!message || typeof message !== 'object' ||
+    message.source !== RACE_CONFIG.MESSAGE_SOURCE ||
+    message.version !== RACE_CONFIG.PROTOCOL_VERSION ||
+    message.code !== code ||
+    typeof message.from !== 'string' ||
+    !RACE_CONFIG.MESSAGE_TYPES.includes(message.type)) {
+    return null;
+  }
+  return message;
+}
+
+/**
+ * Connects to the other tabs of this browser in a room
+ * @param {string} code - The room code
+ * @param {Function} onMessage - Called with the data of every message from another tab
+ * @returns {Object} The transport, as { send(message), close() }
+ */
+function createBroadcastTransport(code, onMessage) {
+  const channel = new BroadcastChannel(RACE_CONFIG.CHANNEL_PREFIX + code);
+  channel.onmessage = event => onMessage(event.data);
+
+  return {
+    send: message => channel.postMessage(message),
+    close: () => channel.close()
+  };
+}
+
+/**
+ * Connects to the other players in a room through a relay (see race-relay.js)
+ * @param {string} url - The relay address, such as "ws://192.168.1.10:8787"
+ * @param {string} code - The room code
+ * @param {Function} onMessage - Called with the data of every message from another player
+ * @param {Function} onClose - Called if the relay can't be reached or drops the connection
+ * @returns {Object} The transport, as { send(message), close() }
+ */
+function createRelayTransport(url, code, onMessage, onClose) {
+  const address = new URL(url);
+  address.searchParams.set('room', code);
+  const socket = new WebSocket(address.href);
+
+  // Messages sent before the connection is open wait for it
+  const waiting = [];
+  let closedByUs = false;
+  socket.addEventListener('open', () => {
+    waiting.splice(0).forEach(text => socket.send(text));
+  });
+  socket.addEventListener('message', event => onMessage(event.data));
+  socket.addEventListener('close', () => {
+    if (!closedByUs) {
+      onClose();
+    }
+  });
+
+  return {
+    send: message => {
+      const text = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(text);
+      } else {
+        waiting.push(text);
+      }
+    },
+    close: () => {
+      closedByUs = true;
+      socket.close();
+    }
+  };
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+/**
+ * Adds the listeners of the race panel and leaves the room when the page is closed
+ */
+function initializeRaceControls() {
+  const nameInput = document.getElementById('race-name-input');
+  if (!nameInput) return;
+
+  nameInput.value = loadPlayerName();
+  document.getElementById('race-create-btn').addEventListener('click', hostRace);
+  document.getElementById('race-join-btn').addEventListener('click', joinRace);
+  document.getElementById('race-start-btn').addEventListener('click', startRaceAsHost);
+  document.getElementById('race-leave-btn').addEventListener('click', () => leaveRace());
+  window.addEventListener('pagehide', () => leaveRace());
+
+  renderRacePanel();
+}
+
+/**
+ * Reads the name typed in the race panel, remembering it for next time
+ * @returns {string} The name, or '' if none was typed (the field is then marked invalid)
+ */
+function readRacePlayerName() {
+  const nameInput = document.getElementById('race-name-input');
+  const name = normalizePlayerName(nameInput.value);
+  nameInput.setAttribute('aria-invalid', String(!name));
+  if (name) {
+    savePlayerName(name);
+  } else {
+    nameInput.focus();
+  }
+  return name;
+}
+
+/**
+ * Connects this tab to a room over the relay typed in the panel, or over a BroadcastChannel
+ * @param {string} code - The room code
+ */
+function connectToRoom(code) {
+  const relayUrl = document.getElementById('race-relay-input').value.trim();
+  const onMessage = data => receiveRaceMessage(data);
+
+  if (!relayUrl) {
+    RaceState.transport = createBroadcastTransport(code, onMessage);
+    return;
+  }
+
+  RaceState.transport = createRelayTransport(relayUrl, code, onMessage, () => {
+    closeRace({ key: 'race.relayLost', params: { address: relayUrl } });
+  });
+}
+
+/**
+ * Opens a room hosted by this tab
+ */
+function hostRace() {
+  const name = readRacePlayerName();
+  if (!name || RaceState.room) return;
+
+  RaceState.playerId = generateRoomCode() + Date.now().toString(36);
+  RaceState.isHost = true;
+  RaceState.notice = null;
+  RaceState.room = createRaceRoom(generateRoomCode(), { id: RaceState.playerId, name });
+
+  try {
+    connectToRoom(RaceState.room.code);
+  } catch (error) {
+    closeRace({ key: 'race.relayLost', params: { address: document.getElementById('race-relay-input').value } });
+    return;
+  }
+  renderRacePanel();
+}
+
+/**
+ * Asks the host of the room typed in the panel to let this tab in
+ */
+function joinRace() {
+  const name = readRacePlayerName();
+  const code = normalizeRoomCode(document.getElementById('race-code-input').value);
+  if (!name || !code || RaceState.room) return;
+
+  RaceState.playerId = generateRoomCode() + Date.now().toString(36);
+  RaceState.isHost = false;
+  RaceState.notice = { key: 'race.joining', params: { code } };
+
+  try {
+    connectToRoom(code);
+  } catch (error) {
+    closeRace({ key: 'race.relayLost', params: { address: document.getElementById('race-relay-input').value } });
+    return;
+  }
+  RaceState.transport.send(createRaceMessage(code, RaceState.playerId, 'join', { name }));
+  RaceState.joinTimerId = setTimeout(() => closeRace({ key: 'race.notFound', params: { code } }), RACE_CONFIG.JOIN_TIMEOUT_MS);
+  renderRacePanel();
+}
+
+/**
+ * Starts a round as the host: deals a new puzzle here and sends it to everyone
+ */
+function startRaceAsHost() {
+  if (!RaceState.isHost || !RaceState.room) return;
+
+  exitReplay();
+  if (isChallengeActive()) {
+    quitChallenge();
+  }
+  GameState.definition = null;
+  updatePuzzleFileStatus();
+  resetGame();
+
+  RaceState.seed = GameState.current.seed;
+  RaceState.room = startRaceRound(RaceState.room, encodePuzzleHash(GameState.current));
+  publishRaceRoom();
+}
+
+/**
+ * Plays the puzzle of a round the host has just started
+ * @param {Object} room - The room, as received from the host
+ */
+function playRaceRound(room) {
+  const puzzleLink = parsePuzzleHash(room.puzzle);
+  if (!puzzleLink) return;
+
+  exitReplay();
+  if (isChallengeActive()) {
+    quitChallenge();
+  }
+  GameState.definition = null;
+  updatePuzzleFileStatus();
+  resetGame(puzzleLink);
+  RaceState.seed = GameState.current.seed;
+}
+
+/**
+ * Handles a message from another player
+ * @param {*} data - The message data
+ */
+function receiveRaceMessage(data) {
+  const { room } = RaceState;
+  const code = room ? room.code : normalizeRoomCode(document.getElementById('race-code-input').value);
+  const message = parseRaceMessage(data, code);
+  if (!message || message.from === RaceState.playerId) return;
+
+  if (RaceState.isHost) {
+    if (!RACE_CONFIG.PLAYER_MESSAGE_TYPES.includes(message.type)) return;
+
+    const updated = applyRaceMessage(room, message);
+    // A player joining again (after reloading, say) still needs a copy of the room
+    if (updated !== room || message.type === 'join') {
+      RaceState.room = updated;
+      publishRaceRoom();
+    }
+    return;
+  }
+
+  if (message.type === 'closed') {
+    closeRace({ key: 'race.closed', params: {} });
+    return;
+  }
+  const isForThisPlayer = message.room && Array.isArray(message.room.players) &&
+    message.room.players.some(player => player.id === RaceState.playerId);
+  if (message.type !== 'room' || !isForThisPlayer) {
+    return;
+  }
+
+  clearTimeout(RaceState.joinTimerId);
+  const isNewRound = !room || message.room.round > room.round;
+  RaceState.room = message.room;
+  RaceState.notice = null;
+  if (isNewRound && message.room.round > 0) {
+    playRaceRound(message.room);
+  }
+  renderRacePanel();
+}
+
+/**
+ * Sends the host's room to every player and shows it here
+ */
+function publishRaceRoom() {
+  RaceState.transport.send(createRaceMessage(RaceState.room.code, RaceState.playerId, 'room', { room: RaceState.room }));
+  renderRacePanel();
+}
+
+/**
+ * Tells the room what the player did in the race puzzle (called for every game event)
+ * @param {Object} event - The event, as added to the game log
+ * @param {Object} state - The game state after the event
+ */
+function reportRaceEvent(event, state) {
+  if (!RaceState.room || RaceState.room.round === 0 || state.seed !== RaceState.seed) return;
+
+  let message = null;
+  if (event.type === LOG_EVENT_TYPES.BOX_CHECKED) {
+    message = createRaceMessage(RaceState.room.code, RaceState.playerId, 'peek', { boxId: event.boxId });
+  } else if (event.type === LOG_EVENT_TYPES.ANSWERS_SUBMITTED) {
+    message = createRaceMessage(RaceState.room.code, RaceState.playerId, 'finish',
+      { correct: event.correct, total: event.total, time: event.time });
+  }
+  if (!message) return;
+
+  // The host's own moves go straight into the room
+  if (RaceState.isHost) {
+    const updated = applyRaceMessage(RaceState.room, message);
+    if (updated !== RaceState.room) {
+      RaceState.room = updated;
+      publishRaceRoom();
+    }
+    return;
+  }
+  RaceState.transport.send(message);
+}
+
+/**
+ * Leaves the room, telling the others: the host closes it for everyone
+ */
+function leaveRace() {
+  if (!RaceState.transport) return;
+
+  const code = RaceState.room ? RaceState.room.code : normalizeRoomCode(document.getElementById('race-code-input').value);
+  RaceState.transport.send(createRaceMessage(code, RaceState.playerId, RaceState.isHost ? 'closed' : 'leave'));
+  closeRace(null);
+}
+
+/**
+ * Disconnects from the room; the puzzle on screen stays to be finished alone
+ * @param {Object|null} notice - Why the room ended, as { key, params }, or null
+ */
+function closeRace(notice) {
+  clearTimeout(RaceState.joinTimerId);
+  if (RaceState.transport) {
+    RaceState.transport.close();
+  }
+
+  RaceState.transport = null;
+  RaceState.room = null;
+  RaceState.isHost = false;
+  RaceState.seed = null;
+  RaceState.notice = notice;
+  renderRacePanel();
+}
+
+/**
+ * Describes how far a player has got in the current round
+ * @param {Object} player - A player from rankRacePlayers
+ * @param {Object} room - The room
+ * @returns {string} The peek and the result, such as "Box 2 · 3 of 3 in 0:42"
+ */
+function describeRaceProgress(player, room) {
+  if (room.round === 0) {
+    return translate('race.waiting');
+  }
+
+  // Box ids are numbered like the boxes on screen ("matchbox-2" is Box 2)
+  const peekedBoxes = [...new Set(player.peeks)]
+    .map(boxId => translate('box.number', { number: Number(boxId.split('-')[1]) }));
+  const peek = peekedBoxes.length > 0 ? formatList(peekedBoxes) : translate('race.notPeeked');
+  const result = player.result
+    ? translate('race.finished', { correct: player.result.correct, total: player.result.total, time: formatDuration(player.result.time) })
+    : translate('race.playing');
+  return `${peek} · ${result}`;
+}
+
+/**
+ * Shows the race panel: the forms to host or join a room, or the room and its scoreboard
+ */
+function renderRacePanel() {
+  const setup = document.getElementById('race-setup');
+  const roomElement = document.getElementById('race-room');
+  const status = document.getElementById('race-status');
+  if (!setup || !roomElement) return;
+
+  const { room, notice } = RaceState;
+  setup.hidden = room !== null || RaceState.transport !== null;
+  roomElement.hidden = room === null;
+  status.textContent = notice ? translate(notice.key, notice.params) : '';
+  if (!room) return;
+
+  const me = room.players.find(player => player.id === RaceState.playerId);
+  let summary;
+  if (room.round === 0) {
+    summary = translate(RaceState.isHost ? 'race.lobbyHost' : 'race.lobbyPlayer', { code: room.code });
+  } else if (me && me.result) {
+    summary = translate('race.done', { code: room.code, round: room.round });
+  } else {
+    summary = translate('race.racing', { code: room.code, round: room.round });
+  }
+  document.getElementById('race-summary').textContent = summary;
+
+  const startButton = document.getElementById('race-start-btn');
+  startButton.hidden = !RaceState.isHost;
+  startButton.textContent = translate(room.round === 0 ? 'race.start' : 'race.nextRound');
+  document.getElementById('race-leave-btn').textContent = translate(RaceState.isHost ? 'race.close' : 'race.leave');
+
+  const rows = rankRacePlayers(room).map(player => `
+    <tr class="${player.id === RaceState.playerId ? 'race-me' : ''}">
+      <td>${player.rank === null ? '–' : player.rank}</td>
+      <td>${escapeHtml(player.name)}${player.id === room.hostId ? ` <span class="race-host">${translate('race.host')}</span>` : ''}</td>
+      <td>${describeRaceProgress(player, room)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('race-scoreboard').innerHTML = `
+    <table class="stats-table race-table">
+      <thead>
+        <tr>
+          <th>${translate('race.rankColumn')}</th>
+          <th>${translate('race.playerColumn')}</th>
+          <th>${translate('race.progressColumn')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RACE_CONFIG,
+    generateRoomCode,
+    normalizeRoomCode,
+    normalizePlayerName,
+    createRaceRoom,
+    addRacePlayer,
+    removeRacePlayer,
+    startRaceRound,
+    recordRacePeek,
+    recordRaceFinish,
+    applyRaceMessage,
+    rankRacePlayers,
+    createRaceMessage,
+    parseRaceMessage,
+    createBroadcastTransport
+  };
+}
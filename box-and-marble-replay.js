@@ -0,0 +1,629 @@
+// ============================================================================
+// GAME LOG & REPLAY
+// ============================================================================
+// Each round is recorded as an ordered list of events: the puzzle that was
+// dealt, the box checked and the marble drawn, every label chosen in a dropdown
+// or moved between matchboxes and the final submission. The log can be downloaded as JSON, and replay mode loads such a
+// file and steps through the round in the real page, forwards and backwards.
+//
+// A log looks like:
+//   {
+//     version: 2,
+//     startedAt: '2024-01-01T12:00:00.000Z',
+//     events: [
+//       { type: 'puzzleGenerated', time: 0, puzzle: 'seed=1&layout=...', settings },
+//       { type: 'boxChecked', time: 2100, boxId: 'matchbox-1', marble: 'red' },
+//       { type: 'labelChanged', time: 5400, boxId: 'matchbox-2', label: 'red-red' },
+//       { type: 'labelMoved', time: 7200, fromBoxId: 'matchbox-1', toBoxId: 'matchbox-3' },
+//       { type: 'answersSubmitted', time: 9000, correct: 3, total: 3 }
+//     ]
+//   }
+// where time is milliseconds since the round started. Undoing and redoing a
+// label change are logged too ({ type: 'undone', time } and { type: 'redone', time }),
+// so the events are the complete list of actions behind every state of the round,
+// as are the hints taken ({ type: 'hintTaken', time }).
+// Version 1 logs stored labels as English text ('Red and Red') and are upgraded
+// when replayed.
+
+// In the browser the game core is loaded by its own script tag and shares the
+// global scope; under Node it is required like any other module
+const Core = typeof module !== 'undefined' && module.exports
+  ? require('./box-and-marble-core.js')
+  : globalThis;
+
+const REPLAY_CONFIG = {
+  LOG_VERSION: 2,
+  FILENAME_PREFIX: 'box-and-marble-log'
+};
+
+const LOG_EVENT_TYPES = {
+  PUZZLE_GENERATED: 'puzzleGenerated',
+  BOX_CHECKED: 'boxChecked',
+  LABEL_CHANGED: 'labelChanged',
+  LABEL_MOVED: 'labelMoved',
+  ANSWERS_SUBMITTED: 'answersSubmitted',
+  UNDONE: 'undone',
+  REDONE: 'redone',
+  HINT_TAKEN: 'hintTaken'
+};
+
+// The actions undo steps back over; drawing a marble or submitting cannot be taken back
+const UNDOABLE_EVENT_TYPES = [LOG_EVENT_TYPES.LABEL_CHANGED, LOG_EVENT_TYPES.LABEL_MOVED];
+
+const ReplayState = {
+  log: null,       // Event log of the round being played
+  steps: null,     // Replayed steps ({ event, state }) while replay mode is active, else null
+  stepIndex: 0,    // The step currently shown in replay mode
+  savedGame: null  // The game to return to when replay mode ends
+};
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Starts the event log for a newly dealt puzzle
+ * @param {Object} state - The new game state from the game core
+ * @param {number} [startedAt] - When the round started, in milliseconds since the epoch
+ * @returns {Object} A log holding the puzzleGenerated event
+ */
+function createGameLog(state, startedAt = Date.now()) {
+  return {
+    version: REPLAY_CONFIG.LOG_VERSION,
+    startedAt: new Date(startedAt).toISOString(),
+    events: [{
+      type: LOG_EVENT_TYPES.PUZZLE_GENERATED,
+      time: 0,
+      puzzle: Core.encodePuzzleHash(state),
+      settings: { ...state.settings }
+    }]
+  };
+}
+
+/**
+ * Adds an event to a log
+ * @param {Object} log - The log to extend
+ * @param {string} type - One of LOG_EVENT_TYPES
+ * @param {Object} details - The event's data (e.g., { boxId, label })
+ * @param {number} [now] - When the event happened, in milliseconds since the epoch
+ * @returns {Object} A new log with the event appended
+ */
+function addLogEvent(log, type, details, now = Date.now()) {
+  const time = Math.max(0, now - Date.parse(log.startedAt));
+  return {
+    ...log,
+    events: [...log.events, { type, time, ...details }]
+  };
+}
+
+/**
+ * Starts recording a new round (called whenever a puzzle is dealt)
+ * @param {Object} state - The new game state
+ */
+function startGameLog(state) {
+  ReplayState.log = createGameLog(state);
+}
+
+/**
+ * Records an event of the round being played
+ * @param {string} type - One of LOG_EVENT_TYPES
+ * @param {Object} details - The event's data
+ * @returns {Object|null} The event as logged, with its time, or null if no round is being recorded
+ */
+function recordGameEvent(type, details) {
+  if (!ReplayState.log) {
+    return null;
+  }
+
+  ReplayState.log = addLogEvent(ReplayState.log, type, details);
+  return ReplayState.log.events[ReplayState.log.events.length - 1];
+}
+
+// ============================================================================
+// REPLAYING
+// ============================================================================
+
+/**
+ * Creates the error thrown for a log that cannot be replayed. The code names the
+ * problem so the page can explain it in the player's language.
+ * @param {string} code - 'invalid-log', 'no-puzzle', 'invalid-puzzle', 'event-mismatch' or 'marble-mismatch'
+ * @param {string} message - English description of the problem
+ * @param {number} [eventNumber] - The 1-based number of the event at fault
+ * @returns {Error} The error, with code and eventNumber properties
+ */
+function createReplayError(code, message, eventNumber) {
+  const error = new Error(message);
+  error.code = code;
+  error.eventNumber = eventNumber;
+  return error;
+}
+
+/**
+ * Upgrades a version 1 log, whose labels were English text, to label ids
+ * @param {Object} log - A parsed game log of any version
+ * @returns {Object} The log in the current version (unchanged if it already is)
+ */
+function upgradeGameLog(log) {
+  if (!log || log.version !== 1 || !Array.isArray(log.events)) {
+    return log;
+  }
+
+  const toLabelId = label => String(label).toLowerCase().split(' and ').join('-');
+  return {
+    ...log,
+    version: REPLAY_CONFIG.LOG_VERSION,
+    events: log.events.map(event => (event.type === LOG_EVENT_TYPES.LABEL_CHANGED && event.label
+      ? { ...event, label: toLabelId(event.label) }
+      : event))
+  };
+}
+
+/**
+ * Rebuilds every state of a logged round by running its events through the game core
+ * @param {Object} log - A parsed game log
+ * @returns {Array<Object>} One { event, state } step per event
+ * @throws {Error} If the log is malformed or its events do not fit the game (see createReplayError)
+ */
+function replayGameLog(log) {
+  return runGameLog(log).steps;
+}
+
+/**
+ * Rebuilds the undo history a logged round ended with, to carry on playing it
+ * @param {Object} log - A parsed game log
+ * @returns {Object} The history (see createGameHistory), at the state the log ends in
+ * @throws {Error} If the log is malformed or its events do not fit the game (see createReplayError)
+ */
+function restoreGameHistory(log) {
+  return runGameLog(log).history;
+}
+
+/**
+ * Runs the events of a logged round through the game core and the undo history
+ * @param {Object} log - A parsed game log
+ * @returns {Object} { steps, history }: one { event, state } step per event, and the history after the last
+ * @throws {Error} If the log is malformed or its events do not fit the game (see createReplayError)
+ */
+function runGameLog(log) {
+  log = upgradeGameLog(log);
+  if (!log || log.version !== REPLAY_CONFIG.LOG_VERSION || !Array.isArray(log.events)) {
+    throw createReplayError('invalid-log', `Not a version ${REPLAY_CONFIG.LOG_VERSION} game log.`);
+  }
+
+  const [firstEvent, ...events] = log.events;
+  if (!firstEvent || firstEvent.type !== LOG_EVENT_TYPES.PUZZLE_GENERATED) {
+    throw createReplayError('no-puzzle', 'The log does not start with a puzzle.');
+  }
+
+  const puzzleLink = Core.parsePuzzleHash(String(firstEvent.puzzle || ''));
+  if (!puzzleLink || !puzzleLink.layout) {
+    throw createReplayError('invalid-puzzle', 'The puzzle in the log is not valid.');
+  }
+
+  let history = createGameHistory(Core.createGame({
+    settings: { ...firstEvent.settings, ...puzzleLink.rules },
+    seed: puzzleLink.seed,
+    layout: puzzleLink.layout
+  }));
+  const steps = [{ event: firstEvent, state: getHistoryState(history) }];
+
+  events.forEach((event, index) => {
+    const nextHistory = applyHistoryEvent(history, event);
+    if (nextHistory === history) {
+      throw createReplayError('event-mismatch', `Event ${index + 2} (${event.type}) does not fit the game at that point.`, index + 2);
+    }
+
+    const state = getHistoryState(nextHistory);
+    if (event.type === LOG_EVENT_TYPES.BOX_CHECKED &&
+      state.observations[state.observations.length - 1].marble !== event.marble) {
+      throw createReplayError('marble-mismatch', `Event ${index + 2} records a marble this puzzle could not have drawn.`, index + 2);
+    }
+
+    history = nextHistory;
+    steps.push({ event, state });
+  });
+
+  return { steps, history };
+}
+
+/**
+ * Applies one logged event to a game state
+ * @param {Object} state - The game state before the event
+ * @param {Object} event - The logged event
+ * @returns {Object} The game state after the event (unchanged if the event does not apply)
+ */
+function applyLogEvent(state, event) {
+  switch (event.type) {
+    case LOG_EVENT_TYPES.BOX_CHECKED:
+      return Core.peekIntoBox(state, event.boxId);
+    case LOG_EVENT_TYPES.LABEL_CHANGED:
+      return Core.assignLabel(state, event.boxId, event.label);
+    case LOG_EVENT_TYPES.LABEL_MOVED:
+      return Core.moveLabel(state, event.fromBoxId, event.toBoxId);
+    case LOG_EVENT_TYPES.ANSWERS_SUBMITTED:
+      return Core.submitAnswers(state);
+    case LOG_EVENT_TYPES.HINT_TAKEN:
+      return Core.takeHint(state);
+    default:
+      return state;
+  }
+}
+
+/**
+ * Adds what an action turned out to do to its event, so the log can be checked
+ * when it is replayed: the marble a peek drew and the score of a submission
+ * @param {Object} event - The action as dispatched (e.g., { type: 'boxChecked', boxId })
+ * @param {Object} state - The game state after the action
+ * @returns {Object} The event to log
+ */
+function completeLogEvent(event, state) {
+  switch (event.type) {
+    case LOG_EVENT_TYPES.BOX_CHECKED:
+      return { ...event, marble: state.observations[state.observations.length - 1].marble };
+    case LOG_EVENT_TYPES.ANSWERS_SUBMITTED:
+      return { ...event, correct: state.results.correct, total: state.results.total };
+    default:
+      return event;
+  }
+}
+
+// ============================================================================
+// UNDO & REDO
+// ============================================================================
+// The history of a round keeps the state after each action, so label changes
+// can be undone and redone without the game core knowing about either.
+//
+// A history looks like:
+//   { entries: [{ event, state }, ...], index: 2 }
+// where entries[0] holds the dealt puzzle and index is the entry being played.
+// The entries after index are the ones redo brings back; any other action
+// replaces them.
+
+/**
+ * Starts the history of a newly dealt puzzle
+ * @param {Object} state - The new game state
+ * @returns {Object} A history holding only that state
+ */
+function createGameHistory(state) {
+  return { entries: [{ event: null, state }], index: 0 };
+}
+
+/**
+ * Gets the game state a history is at
+ * @param {Object} history - The history of the round
+ * @returns {Object} The current game state
+ */
+function getHistoryState(history) {
+  return history.entries[history.index].state;
+}
+
+/**
+ * Checks whether the last action can be undone, which is only the case for label changes and moves
+ * @param {Object} history - The history of the round
+ * @returns {boolean} True if undo would change the game
+ */
+function canUndo(history) {
+  const { event } = history.entries[history.index];
+  return history.index > 0 && UNDOABLE_EVENT_TYPES.includes(event.type);
+}
+
+/**
+ * Checks whether an undone action can be done again
+ * @param {Object} history - The history of the round
+ * @returns {boolean} True if redo would change the game
+ */
+function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+/**
+ * Applies one action to a history: undo and redo move along it, any other
+ * action goes through the game core and drops what could have been redone
+ * @param {Object} history - The history before the action
+ * @param {Object} event - The action, shaped like a logged event
+ * @returns {Object} The history after the action (the same object if the action does not apply)
+ */
+function applyHistoryEvent(history, event) {
+  if (event.type === LOG_EVENT_TYPES.UNDONE) {
+    return canUndo(history) ? { ...history, index: history.index - 1 } : history;
+  }
+  if (event.type === LOG_EVENT_TYPES.REDONE) {
+    return canRedo(history) ? { ...history, index: history.index + 1 } : history;
+  }
+
+  const state = getHistoryState(history);
+  const nextState = applyLogEvent(state, event);
+  if (nextState === state) {
+    return history;
+  }
+
+  return {
+    entries: [...history.entries.slice(0, history.index + 1), { event, state: nextState }],
+    index: history.index + 1
+  };
+}
+
+// ============================================================================
+// REPLAY CONTROLS
+// ============================================================================
+
+/**
+ * Adds listeners to the replay toolbar and the game log file picker
+ */
+function initializeReplayControls() {
+  const fileInput = document.getElementById('replay-file-input');
+  if (!fileInput) return;
+
+  fileInput.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    if (file) {
+      loadGameLogFile(file);
+    }
+    // Allow the same file to be chosen again
+    fileInput.value = '';
+  });
+
+  document.getElementById('replay-prev-btn').addEventListener('click', () => showReplayStep(ReplayState.stepIndex - 1));
+  document.getElementById('replay-next-btn').addEventListener('click', () => showReplayStep(ReplayState.stepIndex + 1));
+  document.getElementById('replay-exit-btn').addEventListener('click', exitReplay);
+}
+
+/**
+ * Reads a game log file and starts replaying it
+ * @param {File} file - The JSON file chosen by the user
+ */
+function loadGameLogFile(file) {
+  file.text()
+    .then(text => startReplay(JSON.parse(text)))
+    .catch(error => {
+      // JSON.parse fails with a SyntaxError, which has no code of its own
+      const reason = translate(`replay.error.${error.code || 'unreadable'}`, { number: error.eventNumber });
+      showReplayError(translate('replay.error', { file: quote(file.name), reason }));
+    });
+}
+
+/**
+ * Enters replay mode for a log, remembering the game in progress
+ * @param {Object} log - A parsed game log
+ * @throws {Error} If the log cannot be replayed
+ */
+function startReplay(log) {
+  const steps = replayGameLog(log);
+
+  if (!isReplaying()) {
+    ReplayState.savedGame = GameState.current;
+  }
+  ReplayState.steps = steps;
+
+  showReplayError('');
+  document.getElementById('replay-toolbar').classList.add('active');
+  showReplayStep(0);
+}
+
+/**
+ * Shows one step of the replay in the page
+ * @param {number} index - The step to show
+ */
+function showReplayStep(index) {
+  if (!isReplaying() || index < 0 || index >= ReplayState.steps.length) return;
+
+  ReplayState.stepIndex = index;
+  const { event, state } = ReplayState.steps[index];
+  GameState.current = state;
+  renderGameState(false);
+
+  document.getElementById('replay-step-count').innerText =
+    translate('replay.stepCount', { number: index + 1, total: ReplayState.steps.length });
+  document.getElementById('replay-step-description').innerText = describeLogEvent(event, state);
+  document.getElementById('replay-prev-btn').disabled = index === 0;
+  document.getElementById('replay-next-btn').disabled = index === ReplayState.steps.length - 1;
+}
+
+/**
+ * Leaves replay mode and returns to the game that was in progress
+ */
+function exitReplay() {
+  if (!isReplaying()) return;
+
+  ReplayState.steps = null;
+  ReplayState.stepIndex = 0;
+  GameState.current = ReplayState.savedGame;
+  ReplayState.savedGame = null;
+
+  document.getElementById('replay-toolbar').classList.remove('active');
+  renderGameState(true);
+}
+
+/**
+ * Checks whether replay mode is active
+ * @returns {boolean} True while a log is being replayed
+ */
+function isReplaying() {
+  return ReplayState.steps !== null;
+}
+
+/**
+ * Shows (or clears) a message about a log that could not be replayed
+ * @param {string} message - The message, or '' to clear it
+ */
+function showReplayError(message) {
+  const errorElement = document.getElementById('replay-error');
+  if (errorElement) {
+    errorElement.innerText = message;
+  }
+}
+
+/**
+ * Describes a logged event for the replay toolbar
+ * @param {Object} event - The logged event
+ * @param {Object} state - The game state after the event
+ * @returns {string} A short description, including when the event happened
+ */
+function describeLogEvent(event, state) {
+  const boxNumber = boxId => state.boxes.findIndex(box => box.id === boxId) + 1;
+  const seconds = Math.round(event.time / 1000);
+  const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  switch (event.type) {
+    case LOG_EVENT_TYPES.PUZZLE_GENERATED:
+      return translate('replay.event.puzzleGenerated', { time, count: state.boxes.length });
+    case LOG_EVENT_TYPES.BOX_CHECKED:
+      return translate('replay.event.boxChecked', {
+        time,
+        number: boxNumber(event.boxId),
+        label: quote(formatLabel(Core.getBox(state, event.boxId).label)),
+        marble: translate(`marbleColor.${event.marble}`)
+      });
+    case LOG_EVENT_TYPES.LABEL_CHANGED:
+      return event.label
+        ? translate('replay.event.labelChanged', { time, number: boxNumber(event.boxId), label: quote(formatLabel(event.label)) })
+        : translate('replay.event.labelCleared', { time, number: boxNumber(event.boxId) });
+    case LOG_EVENT_TYPES.LABEL_MOVED:
+      return translate('replay.event.labelMoved', {
+        time,
+        label: quote(formatLabel(Core.getLabelOnBox(state, event.toBoxId))),
+        from: boxNumber(event.fromBoxId),
+        to: boxNumber(event.toBoxId)
+      });
+    case LOG_EVENT_TYPES.ANSWERS_SUBMITTED:
+      return translate('replay.event.answersSubmitted', { time, correct: state.results.correct, total: state.results.total });
+    case LOG_EVENT_TYPES.UNDONE:
+      return translate('replay.event.undone', { time });
+    case LOG_EVENT_TYPES.REDONE:
+      return translate('replay.event.redone', { time });
+    case LOG_EVENT_TYPES.HINT_TAKEN:
+      return translate('replay.event.hintTaken', { time, level: state.hints[state.hints.length - 1].level });
+    default:
+      return time;
+  }
+}
+
+/**
+ * Downloads the log of the round being played as a JSON file
+ */
+function downloadGameLog() {
+  const log = ReplayState.log;
+  if (!log) return;
+
+  const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const puzzleLink = Core.parsePuzzleHash(log.events[0].puzzle);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${REPLAY_CONFIG.FILENAME_PREFIX}-${puzzleLink ? puzzleLink.seed : 'puzzle'}-${Date.parse(log.startedAt)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// TIME TRAVEL
+// ============================================================================
+// Opening the page with ?debug in its address shows a panel listing every
+// action of the round. Choosing one shows the game as it was right after it
+// (in replay mode, so Exit replay comes back), and the actions can be copied as
+// a game log to attach to a bug report: replaying that log rebuilds the same states.
+
+/**
+ * Shows the time travel panel if the page was opened with ?debug, and adds its listeners
+ */
+function initializeTimeTravelPanel() {
+  const panel = document.getElementById('time-travel-panel');
+  if (!panel || !new URLSearchParams(window.location.search).has('debug')) return;
+
+  panel.hidden = false;
+  document.getElementById('time-travel-list').addEventListener('click', event => {
+    const button = event.target.closest('button[data-step]');
+    if (button) {
+      travelToStep(Number(button.dataset.step));
+    }
+  });
+  document.getElementById('time-travel-copy-btn').addEventListener('click', event => copyGameLog(event.currentTarget));
+  renderTimeTravelPanel();
+}
+
+/**
+ * Lists every action of the round being played in the time travel panel
+ */
+function renderTimeTravelPanel() {
+  const panel = document.getElementById('time-travel-panel');
+  const list = document.getElementById('time-travel-list');
+  if (!panel || panel.hidden || !list || !ReplayState.log) return;
+
+  list.innerHTML = '';
+  let steps;
+  try {
+    steps = replayGameLog(ReplayState.log);
+  } catch (error) {
+    // A log that does not replay is exactly what this panel is for finding
+    const item = document.createElement('li');
+    item.className = 'replay-error';
+    item.innerText = translate(`replay.error.${error.code}`, { number: error.eventNumber });
+    list.appendChild(item);
+    return;
+  }
+
+  steps.forEach(({ event, state }, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'time-travel-step';
+    button.dataset.step = index;
+    button.innerText = describeLogEvent(event, state);
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Shows the game as it was right after one action of the round being played
+ * @param {number} index - The action to go to, 0 being the dealt puzzle
+ */
+function travelToStep(index) {
+  if (!ReplayState.log) return;
+
+  // Travel within the round being played even if another log is being replayed
+  startReplay(ReplayState.log);
+  showReplayStep(index);
+}
+
+/**
+ * Copies the log of the round being played to the clipboard, falling back to downloading it
+ * @param {HTMLButtonElement} button - The button that triggered the copy, used for feedback
+ */
+function copyGameLog(button) {
+  const log = ReplayState.log;
+  if (!log) return;
+
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    downloadGameLog();
+    return;
+  }
+
+  navigator.clipboard.writeText(JSON.stringify(log, null, 2))
+    .then(() => {
+      button.innerText = translate('debug.copied');
+    })
+    .catch(downloadGameLog);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPLAY_CONFIG,
+    LOG_EVENT_TYPES,
+    createGameLog,
+    addLogEvent,
+    upgradeGameLog,
+    replayGameLog,
+    restoreGameHistory,
+    applyLogEvent,
+    completeLogEvent,
+    createGameHistory,
+    getHistoryState,
+    canUndo,
+    canRedo,
+    applyHistoryEvent
+  };
+}
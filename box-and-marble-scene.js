@@ -0,0 +1,235 @@
+// ============================================================================
+// MATCHBOX SCENES
+// ============================================================================
+// Every matchbox is drawn as a small SVG scene: a sleeve with a drawer inside.
+// Opening a box slides its drawer out, the marbles in it are shuffled and the
+// marble drawn rolls out in front of the box. Once the answers are checked
+// every drawer opens and the marbles nobody saw show their colors.
+//
+// The scenes are decoration: the label on the box and the detail display say
+// the same thing in words. Players who ask their device for reduced motion, or
+// who turn the animations off, get the same scenes standing still.
+
+const SCENE_CONFIG = {
+  STORAGE_KEY: 'box-and-marble-motion',
+  MOTION_CHOICES: ['auto', 'on', 'off'], // Follow the device, or always / never animate
+  WIDTH: 160,
+  HEIGHT: 104,
+  MARBLE_RADIUS: 9,
+  DRAWER_SLIDE: 48,     // How far an open drawer sticks out of its sleeve
+  TRAY_Y: 36,           // Height of the marbles in the drawer...
+  DRAWN_Y: 86,          // ...and of the marbles rolled out in front of the box
+  MARBLE_SPACING: 22
+};
+
+const SceneState = {
+  motion: 'auto'  // The player's choice among SCENE_CONFIG.MOTION_CHOICES
+};
+
+// ============================================================================
+// SCENES
+// ============================================================================
+
+/**
+ * Describes what the scene of one matchbox shows
+ * @param {Object} box - The box, as { contents }
+ * @param {Array<string>} marbles - The marbles drawn from it, in order
+ * @param {Object} options - { revealed, drawWithReplacement }: whether the answers are
+ * in (so the contents may be shown) and whether drawn marbles went back in the box
+ * @returns {Object} { open, tray, drawn }: whether the drawer is out, the marbles left
+ * in the drawer (a color, or null while it is still hidden) and the marbles drawn
+ */
+function getMatchboxScene(box, marbles, { revealed = false, drawWithReplacement = false } = {}) {
+  // Marbles drawn without replacement have left the drawer
+  const left = [...box.contents];
+  if (!drawWithReplacement) {
+    marbles.forEach(marble => {
+      const index = left.indexOf(marble);
+      left.splice(index === -1 ? left.length - 1 : index, 1);
+    });
+  }
+
+  return {
+    open: revealed || marbles.length > 0,
+    tray: revealed ? left : left.map(() => null),
+    drawn: [...marbles]
+  };
+}
+
+/**
+ * Works out how a scene moves from one state to the next
+ * @param {Object} before - The scene before (see getMatchboxScene)
+ * @param {Object} after - The scene after
+ * @returns {Array<string>} The effects to play: 'open' (the drawer slides out), 'draw'
+ * (the drawer is shaken and the last marble rolls out) and 'reveal' (the hidden marbles
+ * show their colors); empty when nothing changed
+ */
+function getSceneAnimation(before, after) {
+  const effects = [];
+  if (!before.open && after.open) {
+    effects.push('open');
+  }
+  if (before.open && after.drawn.length > before.drawn.length) {
+    effects.push('draw');
+  }
+  if (after.tray.some(Boolean) && !before.tray.some(Boolean)) {
+    effects.push('reveal');
+  }
+  return effects;
+}
+
+/**
+ * Draws the SVG of one marble
+ * @param {string|null} color - The marble color, or null for a marble not seen yet
+ * @param {number} x - Where its center goes
+ * @param {number} y - Where its center goes
+ * @param {string} [className] - More classes for the marble (e.g., 'rolling')
+ * @param {Object} [roll] - Where a rolling marble starts from, relative to where it ends ({ x, y })
+ * @returns {string} SVG markup
+ */
+function buildMarbleSvg(color, x, y, className = '', roll = null) {
+  const classes = ['scene-marble', color || 'hidden', className].filter(Boolean).join(' ');
+  const style = roll ? ` style="--roll-x: ${roll.x}px; --roll-y: ${roll.y}px"` : '';
+  const r = SCENE_CONFIG.MARBLE_RADIUS;
+
+  // The marble moves inside a group placed at its spot, so CSS can animate it
+  // without undoing the placement
+  return `<g transform="translate(${x} ${y})"><g class="${classes}"${style}>` +
+    `<circle class="scene-ball" r="${r}"></circle>` +
+    `<circle class="scene-shine" cx="${-r / 3}" cy="${-r / 3}" r="${r / 4}"></circle>` +
+    '</g></g>';
+}
+
+/**
+ * Draws the SVG scene of one matchbox
+ * @param {Object} scene - The scene (see getMatchboxScene)
+ * @param {Array<string>} [effects] - The effects to animate (see getSceneAnimation)
+ * @returns {string} SVG markup
+ */
+function buildMatchboxSvg(scene, effects = []) {
+  const { WIDTH, HEIGHT, DRAWER_SLIDE, TRAY_Y, DRAWN_Y, MARBLE_SPACING } = SCENE_CONFIG;
+  const classes = ['matchbox-svg', scene.open ? 'open' : '', ...effects.map(effect => `animate-${effect}`)]
+    .filter(Boolean).join(' ');
+
+  // The drawer lies under the sleeve; its marbles sit at the end that comes out first
+  const trayMarbles = scene.tray
+    .map((color, index) => buildMarbleSvg(color, 96 - index * MARBLE_SPACING, TRAY_Y))
+    .join('');
+
+  // A new marble rolls from the mouth of the open drawer to its place in the row
+  const rolls = effects.includes('open') || effects.includes('draw');
+  const drawnMarbles = scene.drawn
+    .map((color, index) => {
+      const x = 20 + index * (MARBLE_SPACING + 2);
+      const isNew = rolls && index === scene.drawn.length - 1;
+      return buildMarbleSvg(color, x, DRAWN_Y, isNew ? 'rolling' : '',
+        isNew ? { x: 96 + DRAWER_SLIDE - x, y: TRAY_Y - DRAWN_Y } : null);
+    })
+    .join('');
+
+  return `<svg class="${classes}" viewBox="0 0 ${WIDTH} ${HEIGHT}" focusable="false" aria-hidden="true">` +
+    `<g class="scene-drawer" style="--drawer-slide: ${DRAWER_SLIDE}px">` +
+    '<rect class="scene-tray" x="20" y="18" width="90" height="36" rx="3"></rect>' +
+    trayMarbles +
+    '</g>' +
+    '<rect class="scene-sleeve" x="10" y="12" width="100" height="48" rx="4"></rect>' +
+    '<rect class="scene-striker" x="10" y="12" width="100" height="7" rx="3"></rect>' +
+    drawnMarbles +
+    '</svg>';
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+/**
+ * Reads the saved animation choice and listens to the Animations dropdown
+ */
+function initializeMotionSetting() {
+  try {
+    const saved = localStorage.getItem(SCENE_CONFIG.STORAGE_KEY);
+    SceneState.motion = SCENE_CONFIG.MOTION_CHOICES.includes(saved) ? saved : 'auto';
+  } catch (error) {
+    // Without storage the device decides
+  }
+
+  const motionSelect = document.getElementById('motion-select');
+  if (!motionSelect) return;
+
+  motionSelect.value = SceneState.motion;
+  motionSelect.addEventListener('change', () => {
+    SceneState.motion = motionSelect.value;
+    try {
+      localStorage.setItem(SCENE_CONFIG.STORAGE_KEY, SceneState.motion);
+    } catch (error) {
+      // The choice lasts until the page is closed
+    }
+  });
+}
+
+/**
+ * Checks whether the scenes should move
+ * @returns {boolean} True unless the player turned animations off, or left it to a
+ * device that asks for reduced motion
+ */
+function shouldAnimateScenes() {
+  if (SceneState.motion !== 'auto') {
+    return SceneState.motion === 'on';
+  }
+  return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Describes the scene of a box in a game
+ * @param {Object} state - The game state
+ * @param {string} boxId - The id of the box
+ * @returns {Object} The scene (see getMatchboxScene)
+ */
+function getBoxScene(state, boxId) {
+  return getMatchboxScene(getBox(state, boxId), getObservedMarbles(state, boxId), {
+    revealed: state.phase === GAME_PHASES.SUBMITTED,
+    drawWithReplacement: state.settings.drawWithReplacement
+  });
+}
+
+/**
+ * Creates the element that holds the scene of a matchbox, drawn still
+ * @param {Object} box - The box
+ * @returns {HTMLDivElement} The scene element
+ */
+function createMatchboxScene(box) {
+  const div = document.createElement('div');
+  div.className = 'matchbox-scene';
+  div.id = box.id + '-scene';
+  div.innerHTML = buildMatchboxSvg(getBoxScene(GameState.current, box.id));
+  return div;
+}
+
+/**
+ * Redraws the scenes of every matchbox, animating what changed since a previous state
+ * @param {Object|null} [previousState] - The game state before the change; without it
+ * (or without animations) the scenes are drawn still
+ */
+function updateMatchboxScenes(previousState = null) {
+  const state = GameState.current;
+  const animate = previousState !== null && shouldAnimateScenes();
+
+  state.boxes.forEach(box => {
+    const sceneElement = document.getElementById(box.id + '-scene');
+    if (!sceneElement) return;
+
+    const scene = getBoxScene(state, box.id);
+    const effects = animate ? getSceneAnimation(getBoxScene(previousState, box.id), scene) : [];
+    sceneElement.innerHTML = buildMatchboxSvg(scene, effects);
+  });
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCENE_CONFIG,
+    getMatchboxScene,
+    getSceneAnimation,
+    buildMatchboxSvg
+  };
+}
@@ -1,51 +1,30 @@
 // ============================================================================
-// GAME CONFIGURATION & CONSTANTS
+// GAME STATE MANAGEMENT
 // ============================================================================
-// All game configuration values are centralized here for easy modification
+// The rules live in the game core (box-and-marble-core.js). The page keeps the
+// current game state here; every change the player makes is an action passed to
+// dispatchGameAction, which replaces it with whatever the transition returns.
 
-const GAME_CONFIG = {
-  BOX_LABELS: ['White and White', 'Red and Red', 'Red and White'],
-  BOX_CONTENTS: ['white-white', 'red-red', 'red-white'],
-  MAX_ATTEMPTS: 50, // Maximum attempts to generate a valid puzzle configuration
-  BOX_COUNT: 3       // Number of matchboxes in the puzzle
+const GameState = {
+  settings: getDefaultSettings(), // Size of the next puzzle to generate
+  current: null,                  // The current game state from the core
+  history: null,                  // Every state of the round so far, for undo and redo
+  definition: null,               // Puzzle loaded from a file, dealt again every round, or null
+  restored: false                 // Whether the round was saved before the page was reloaded
 };
 
-const BOX_IDS = ['matchbox-1', 'matchbox-2', 'matchbox-3'];
+// Pixels a pointer must travel on a label before a tap becomes a drag
+const LABEL_DRAG_THRESHOLD = 8;
 
-// ============================================================================
-// GAME STATE MANAGEMENT
-// ============================================================================
-// Centralized state management object that tracks all game state
-// This replaces multiple global variables for better organization
+// Most arrangements listed in the probability panel before the rest are summarized
+const POSTERIOR_MAX_ROWS = 12;
 
-const GameState = {
-  boxes: BOX_IDS.map(id => ({
-    id,
-    contents: '',
-    label: '',
-    element: null
-  })),
-
-  selectedBox: null,
-  hasCheckedBox: false,
-  userLabelSelections: BOX_IDS.reduce((acc, id) => {
-    acc[id] = '';
-    return acc;
-  }, {}),
-
-  reset() {
-    this.selectedBox = null;
-    this.hasCheckedBox = false;
-    this.userLabelSelections = BOX_IDS.reduce((acc, id) => {
-      acc[id] = '';
-      return acc;
-    }, {});
-    this.boxes.forEach(box => {
-      box.contents = '';
-      box.label = '';
-      box.element = null;
-    });
-  }
+// A label being moved between matchboxes, either picked up with a tap or a key
+// press and waiting for the box to put it on, or being dragged with a pointer
+const LabelDragState = {
+  pickedBoxId: null,     // Box whose label has been picked up, or null
+  drag: null,            // { boxId, pointerId, startX, startY, ghost } while a pointer is down on a label
+  suppressClick: false   // Set after a drag so the click that ends it is not taken as a tap
 };
 
 // ============================================================================
@@ -53,9 +32,154 @@ const GameState = {
 // ============================================================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  initializeGame();
+  initializeEmbedApi();
+  initializeLanguageSwitcher(renderAfterLocaleChange);
+  initializeMotionSetting();
+  initializeSettings();
+  initializeStatsPanel();
+  initializeReplayControls();
+  initializeChallengeControls();
+  initializeRaceControls();
+  initializePuzzleFileControls();
+  initializeUndoControls();
+  initializeHintButton();
+  if (!restoreSavedRound()) {
+    resetGame(parsePuzzleHash(window.location.hash));
+  }
+  initializeTimeTravelPanel();
+  announceEmbedReady();
+  loadPuzzleFileFromUrl();
+  registerServiceWorker();
 });
 
+// Opening a shared link in an already loaded tab only changes the hash
+window.addEventListener('hashchange', () => {
+  const puzzleLink = parsePuzzleHash(window.location.hash);
+  if (puzzleLink) {
+    exitReplay();
+    // A shared puzzle is not part of the challenge in progress
+    if (isChallengeActive()) {
+      quitChallenge();
+    }
+  }
+  if (puzzleLink && window.location.hash !== '#' + encodePuzzleHash(GameState.current)) {
+    // Later rounds go back to generated puzzles rather than the loaded puzzle file
+    GameState.definition = null;
+    updatePuzzleFileStatus();
+    resetGame(puzzleLink);
+  }
+});
+
+// ============================================================================
+// GAME ACTIONS
+// ============================================================================
+// An action is shaped like an event of the game log (see box-and-marble-replay.js):
+// { type: 'labelChanged', boxId, label }, { type: 'undone' } and so on. Passing
+// every action through one function keeps the state, the undo history and the
+// log in step, so the log alone is enough to rebuild what the player saw.
+
+/**
+ * Applies an action to the game being played and records it in the game log
+ * @param {string} type - One of LOG_EVENT_TYPES
+ * @param {Object} [details] - The action's data (e.g., { boxId, label })
+ * @returns {boolean} True if the action changed the game
+ */
+function dispatchGameAction(type, details = {}) {
+  if (!GameState.history || isReplaying()) {
+    return false;
+  }
+
+  const action = { type, ...details };
+  const history = applyHistoryEvent(GameState.history, action);
+  if (history === GameState.history) {
+    return false;
+  }
+
+  GameState.history = history;
+  GameState.current = getHistoryState(history);
+
+  const event = recordGameEvent(type, completeLogEvent(action, GameState.current));
+  if (event) {
+    emitGameEvent(event, GameState.current);
+    reportRaceEvent(event, GameState.current);
+  }
+  updateUndoButtons();
+  renderTimeTravelPanel();
+  saveRoundProgress();
+  return true;
+}
+
+/**
+ * Adds listeners to the undo and redo buttons and their keyboard shortcuts:
+ * Ctrl+Z (Cmd+Z on a Mac) to undo, Ctrl+Y or Ctrl+Shift+Z to redo
+ */
+function initializeUndoControls() {
+  const undoButton = document.getElementById('undo-btn');
+  const redoButton = document.getElementById('redo-btn');
+  if (!undoButton || !redoButton) return;
+
+  undoButton.addEventListener('click', undoLabelChange);
+  redoButton.addEventListener('click', redoLabelChange);
+
+  document.addEventListener('keydown', event => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    // Text fields keep their own undo
+    if (event.target.closest && event.target.closest('input, textarea, [contenteditable]')) return;
+    if (!GameState.current || !canMoveLabels()) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undoLabelChange();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      redoLabelChange();
+    }
+  });
+}
+
+/**
+ * Takes back the last label change or move
+ */
+function undoLabelChange() {
+  if (dispatchGameAction(LOG_EVENT_TYPES.UNDONE)) {
+    showLabelHistoryChange(translate('labels.undone'));
+  }
+}
+
+/**
+ * Makes the last label change or move that was undone again
+ */
+function redoLabelChange() {
+  if (dispatchGameAction(LOG_EVENT_TYPES.REDONE)) {
+    showLabelHistoryChange(translate('labels.redone'));
+  }
+}
+
+/**
+ * Shows the labels after an undo or redo and tells screen reader users what happened
+ * @param {string} message - The announcement
+ */
+function showLabelHistoryChange(message) {
+  LabelDragState.pickedBoxId = null;
+  updateMatchboxLabels();
+  updateDropdownOptions();
+  updateSubmitButtonState();
+  announceLabelMove(message);
+}
+
+/**
+ * Enables the undo and redo buttons only when they would change the game
+ */
+function updateUndoButtons() {
+  const undoButton = document.getElementById('undo-btn');
+  const redoButton = document.getElementById('redo-btn');
+  if (!undoButton || !redoButton || !GameState.history) return;
+
+  undoButton.disabled = !canUndo(GameState.history);
+  redoButton.disabled = !canRedo(GameState.history);
+}
+
 // ============================================================================
 // DOM ELEMENT CREATION
 // ============================================================================
@@ -64,9 +188,9 @@ document.addEventListener('DOMContentLoaded', () => {
  * Creates a matchbox div element with label and specified properties
  * @param {Object} box - The box object containing properties for the matchbox
  * @param {string} box.id - The ID to assign to the matchbox element
- * @param {string} box.label - The label text to display on the matchbox
- * @param {string} box.contents - The contents of the box (used for validation)
- * @returns {HTMLDivElement} A div element with class 'matchbox', specified ID, and label
+ * @param {string} box.label - The label id to display on the matchbox
+ * @param {Array<string>} box.contents - The marble colors in the box (used for validation)
+ * @returns {HTMLDivElement} A div element with class 'matchbox', specified ID, label and scene
  */
 function createMatchboxDiv(box) {
   const div = document.createElement('div');
@@ -76,9 +200,16 @@ function createMatchboxDiv(box) {
   const h4 = document.createElement('h4');
   h4.id = box.id + '-label';
   h4.className = 'matchbox-label';
-  h4.innerText = box.label;
+  h4.innerText = formatLabel(box.label);
   div.appendChild(h4);
 
+  div.appendChild(createMatchboxScene(box));
+
+  const number = document.createElement('span');
+  number.className = 'matchbox-number';
+  number.innerText = translate('box.number', { number: GameState.current.boxes.indexOf(box) + 1 });
+  div.appendChild(number);
+
   return div;
 }
 
@@ -86,8 +217,8 @@ function createMatchboxDiv(box) {
  * Creates a list item element containing a matchbox div
  * @param {Object} box - The box object containing properties for the matchbox
  * @param {string} box.id - The ID to assign to the matchbox element
- * @param {string} box.label - The label text to display on the matchbox
- * @param {string} box.contents - The contents of the box (used for validation)
+ * @param {string} box.label - The label id to display on the matchbox
+ * @param {Array<string>} box.contents - The marble colors in the box (used for validation)
  * @returns {HTMLLIElement} A list item element with class 'matchbox-list-item' containing the matchbox div
  */
 function createMatchboxListItem(box) {
@@ -100,7 +231,7 @@ function createMatchboxListItem(box) {
 
   const checkButton = document.createElement('button');
   checkButton.className = 'matchbox-check-btn';
-  checkButton.innerText = 'Check Box';
+  checkButton.innerText = translate('matchbox.check');
   checkButton.id = box.id + '-check-btn';
   listItem.appendChild(checkButton);
 
@@ -115,83 +246,75 @@ function getMatchboxesList() {
   return document.getElementById('matchboxes-list');
 }
 
-// ============================================================================
-// GAME LOGIC & VALIDATION
-// ============================================================================
-
-/**
- * Validates that a box's contents match its label
- * @param {Object} box - The box object to validate
- * @param {string} box.label - The label on the box (e.g., "Red and White")
- * @param {string} box.contents - The actual contents of the box (e.g., "red-white")
- * @returns {boolean} True if the contents match the label, false otherwise
- */
-function checkContentsMatchLabel(box) {
-  const normalizedLabel = box.label.toLowerCase().replace(' and ', '-');
-  return normalizedLabel === box.contents;
-}
-
 // ============================================================================
 // EVENT HANDLERS
 // ============================================================================
 
 /**
  * Adds click event listeners to all matchbox check buttons
+ * @param {AbortSignal} signal - Removes the listeners when the matchboxes are unmounted
  */
-function addCheckButtonListeners() {
-  GameState.boxes.forEach(box => {
+function addCheckButtonListeners(signal) {
+  GameState.current.boxes.forEach(box => {
     const checkButton = document.getElementById(box.id + '-check-btn');
     if (checkButton) {
-      checkButton.addEventListener('click', () => selectMatchbox(box));
+      checkButton.addEventListener('click', () => selectMatchbox(box), { signal });
     }
   });
 }
 
 /**
- * Selects a matchbox and updates the detail display
- * @param {Object} box - The box object to select
+ * Draws a marble from a matchbox and updates the detail display
+ * @param {Object} box - The box object to draw from
  */
 function selectMatchbox(box) {
-  // If a box has already been checked, don't allow another selection
-  if (GameState.hasCheckedBox) {
+  const previousState = GameState.current;
+  const previousPhase = previousState.phase;
+
+  // Draw the next marble the player gets to see. If the peek rules don't allow
+  // drawing from this box, ignore the click
+  if (!dispatchGameAction(LOG_EVENT_TYPES.BOX_CHECKED, { boxId: box.id })) {
     return;
   }
 
-  // Mark that a box has been checked
-  GameState.hasCheckedBox = true;
+  updateCheckButtons();
+  updateMatchboxScenes(previousState);
 
-  // Set new selection
-  GameState.selectedBox = box;
-
-  // Add visual feedback to selected button and matchbox
-  const checkButton = document.getElementById(box.id + '-check-btn');
-  const matchboxElement = document.getElementById(box.id);
+  // Update detail display
+  updateDetailDisplay();
 
-  if (checkButton) {
-    checkButton.classList.add('selected');
-    checkButton.disabled = true;
+  // Show label selection interface after the first marble; later draws leave it as it is
+  if (previousPhase === GAME_PHASES.PEEK) {
+    displayLabelSelectionInterface();
+    updateMatchboxLabels();
   }
+}
 
-  if (matchboxElement) {
-    matchboxElement.classList.add('checked');
-  }
+/**
+ * Marks the matchboxes that have been drawn from and disables the check buttons
+ * of boxes the peek rules no longer allow
+ */
+function updateCheckButtons() {
+  const state = GameState.current;
+  const peekedBoxIds = getPeekedBoxIds(state);
 
-  // Disable all other check buttons
-  GameState.boxes.forEach(otherBox => {
-    if (otherBox.id !== box.id) {
-      const otherButton = document.getElementById(otherBox.id + '-check-btn');
-      if (otherButton) {
-        otherButton.disabled = true;
-        otherButton.classList.add('disabled');
-      }
-    }
-  });
+  state.boxes.forEach(box => {
+    const checkButton = document.getElementById(box.id + '-check-btn');
+    const matchboxElement = document.getElementById(box.id);
+    const isPeeked = peekedBoxIds.includes(box.id);
+    const canPeek = canPeekIntoBox(state, box.id);
 
-  // Update detail display
-  updateDetailDisplay(box);
+    if (checkButton) {
+      checkButton.innerText = translate(isPeeked && canPeek ? 'matchbox.drawAgain' : 'matchbox.check');
+      checkButton.disabled = !canPeek;
+      checkButton.classList.toggle('selected', isPeeked);
+      checkButton.classList.toggle('disabled', !canPeek && !isPeeked);
+    }
 
-  // Show label selection interface
-  displayLabelSelectionInterface();
+    if (matchboxElement) {
+      matchboxElement.classList.toggle('checked', isPeeked);
+    }
+  });
 }
 
 // ============================================================================
@@ -199,39 +322,56 @@ function selectMatchbox(box) {
 // ============================================================================
 
 /**
- * Updates the detail display with the selected matchbox's content
- * @param {Object} box - The box object to display details for
+ * Updates the detail display with every marble drawn so far, grouped by box
  */
-function updateDetailDisplay(box) {
+function updateDetailDisplay() {
   const detailDisplay = document.querySelector('.matchbox-detail-display');
   if (!detailDisplay) return;
 
-  // Create content based on box properties
-  const content = `
-    <div class="detail-content">
-      <h3>Selected Box: ${box.label}</h3>
+  const state = GameState.current;
+  const peekedBoxes = getPeekedBoxIds(state).map(boxId => getBox(state, boxId));
+  const remainingDraws = getRemainingDraws(state);
+
+  const observations = peekedBoxes.map(box => {
+    const marbles = getObservedMarbles(state, box.id);
+    const heading = peekedBoxes.length > 1
+      ? quote(formatLabel(box.label))
+      : translate('detail.marbles', { count: marbles.length });
+    return `
       <div class="marble-visualization">
-        <h4>Marble:</h4>
+        <h4>${heading}:</h4>
         <div class="marbles">
-          ${getMarbleVisualization(box.contents)}
+          ${marbles.map(getMarbleVisualization).join('')}
         </div>
       </div>
+    `;
+  }).join('');
+
+  // Create content based on what has been drawn
+  const content = `
+    <div class="detail-content">
+      <h3>${peekedBoxes.length > 1
+        ? translate('detail.selectedBoxes')
+        : translate('detail.selectedBox', { label: formatLabel(peekedBoxes[0].label) })}</h3>
+      ${observations}
+      ${remainingDraws > 0 && state.phase !== GAME_PHASES.SUBMITTED
+        ? `<p class="draws-left">${translate('detail.drawsLeft', { count: remainingDraws })}</p>`
+        : ''}
     </div>
   `;
 
   detailDisplay.innerHTML = content;
+  renderPosteriorPanel();
+  renderHint();
 }
 
 /**
- * Creates a visual representation of the marbles in a box
- * @param {string} contents - The contents string (e.g., "red-white", "white-white", "red-red")
- * @returns {string} HTML string representing the marbles
+ * Creates a visual representation of a marble
+ * @param {string} marble - The marble color (e.g., "red")
+ * @returns {string} HTML string representing the marble
  */
-function getMarbleVisualization(contents) {
-  const marbles = contents.split('-');
-  const randomIndex = Math.floor(Math.random() * marbles.length);
-  const marble = marbles[randomIndex]; // Show a random marble
-  return `<div class="marble ${marble}">${marble.charAt(0).toUpperCase() + marble.slice(1)}</div>`;
+function getMarbleVisualization(marble) {
+  return `<div class="marble ${marble}">${formatColor(marble)}</div>`;
 }
 
 /**
@@ -241,16 +381,22 @@ function displayPlaceholderMessage() {
   const detailDisplay = document.querySelector('.matchbox-detail-display');
   if (!detailDisplay) return;
 
+  const { settings } = GameState.current;
+  const hint = describePeekRules(settings) +
+    (settings.peekBoxes === 1 ? ' ' + translate('rules.oneBoxOnly') : '');
+
   const placeholderContent = `
 		<div class="placeholder-content">
 			<div class="placeholder-icon">🎯</div>
-			<h3>Select a Matchbox</h3>
-			<p>Click on any "Check Box" button above to see the contents of that matchbox.</p>
-			<p class="placeholder-hint">Remember: You can only peek inside ONE box and look at exactly ONE marble! Once you check a box, you cannot check any others.</p>
+			<h3>${translate('placeholder.title')}</h3>
+			<p>${translate('placeholder.body', { button: quote(translate('matchbox.check')) })}</p>
+			<p class="placeholder-hint">${translate('placeholder.remember', { rules: hint })}</p>
 		</div>
 	`;
 
   detailDisplay.innerHTML = placeholderContent;
+  renderPosteriorPanel();
+  renderHint();
 }
 
 /**
@@ -263,15 +409,181 @@ function displayLabelSelectionInterface() {
 
     // Initialize dropdown options (all available initially)
     updateDropdownOptions();
+    updateSubmitButtonState();
+  }
+}
 
-    // Add event listeners to label selectors
-    addLabelSelectionListeners();
+// ============================================================================
+// PROBABILITY PANEL
+// ============================================================================
+// An optional table of every arrangement with all labels wrong, showing how
+// likely each was before the first marble and how likely it is now. It stays
+// hidden until a marble has been drawn, and during a timed challenge.
 
-    // Add event listener to submit button
-    addSubmitButtonListener();
+/**
+ * Fills the probability panel for the current game, or hides it when there is nothing to show
+ */
+function renderPosteriorPanel() {
+  const panel = document.getElementById('posterior-panel');
+  const content = document.getElementById('posterior-content');
+  if (!panel || !content) return;
+
+  const state = GameState.current;
+  panel.hidden = state.observations.length === 0 || isChallengeActive();
+  if (panel.hidden) {
+    content.innerHTML = '';
+    return;
+  }
 
-    // Add event listener to reset button
-    addResetButtonListener();
+  // Stable sort keeps arrangements with equal chances in the order the solver found them
+  const entries = [...analyzePosterior(state)].sort((a, b) => b.posterior - a.posterior);
+  const possible = entries.filter(entry => entry.posterior > 0);
+  const shown = entries.slice(0, POSTERIOR_MAX_ROWS);
+
+  const summary = possible.length === 1
+    ? translate('posterior.certain')
+    : translate('posterior.uncertain', { count: possible.length, chance: formatProbability(possible[0].posterior) });
+
+  const headings = state.boxes.map(box =>
+    `<th scope="col">${translate('box.number', { number: state.boxes.indexOf(box) + 1 })}<br>${quote(formatLabel(box.label))}</th>`
+  ).join('');
+
+  const rows = shown.map((entry, index) => `
+    <tr class="${entry.posterior > 0 ? '' : 'ruled-out'}">
+      <th scope="row">${index + 1}</th>
+      ${entry.assignment.map(contents => `<td>${formatContents(contents)}</td>`).join('')}
+      <td>${formatProbability(entry.prior)}</td>
+      <td>
+        <div class="stats-bar"><div class="stats-bar-fill" style="width: ${Math.round(entry.posterior * 100)}%"></div></div>
+        ${formatProbability(entry.posterior)}
+      </td>
+    </tr>
+  `).join('');
+
+  content.innerHTML = `
+    <p>${translate('posterior.intro', { count: entries.length })}</p>
+    <p class="posterior-summary ${possible.length === 1 ? 'certain' : ''}">${summary}</p>
+    ${state.settings.adversarial ? `<p class="posterior-note">${translate('posterior.adversarial')}</p>` : ''}
+    <div class="posterior-table-wrapper">
+      <table class="stats-table posterior-table">
+        <thead>
+          <tr>
+            <th scope="col">${translate('posterior.arrangement')}</th>
+            ${headings}
+            <th scope="col">${translate('posterior.prior')}</th>
+            <th scope="col">${translate('posterior.posterior')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${entries.length > shown.length
+      ? `<p class="posterior-note">${translate('posterior.more', { count: entries.length - shown.length })}</p>`
+      : ''}
+  `;
+}
+
+/**
+ * Formats a probability as a percentage in the current locale
+ * @param {number} probability - A probability between 0 and 1
+ * @returns {string} The percentage (e.g., "66.7%")
+ */
+function formatProbability(probability) {
+  const value = new Intl.NumberFormat(I18nState.locale, { maximumFractionDigits: 1 }).format(probability * 100);
+  return translate('stats.percent', { value });
+}
+
+// ============================================================================
+// HINTS
+// ============================================================================
+// The Hint button gives the hint the game core picks for the phase (see getHint),
+// one level more specific each time it is pressed. The hint shown is worded
+// when it is taken and stays until the next one or the next phase.
+
+/**
+ * Adds the listener to the Hint button
+ */
+function initializeHintButton() {
+  const hintButton = document.getElementById('hint-btn');
+  if (hintButton) {
+    hintButton.addEventListener('click', showNextHint);
+  }
+}
+
+/**
+ * Takes the next hint and shows it
+ */
+function showNextHint() {
+  if (dispatchGameAction(LOG_EVENT_TYPES.HINT_TAKEN)) {
+    renderHint();
+  }
+}
+
+/**
+ * Shows the last hint taken in the current phase, if any
+ */
+function renderHint() {
+  const hintText = document.getElementById('hint-text');
+  if (!hintText) return;
+
+  const state = GameState.current;
+  const lastHint = state.hints[state.hints.length - 1];
+  updateHintButton();
+
+  if (!lastHint || lastHint.phase !== state.phase) {
+    hintText.innerHTML = '';
+    return;
+  }
+
+  hintText.innerHTML = `
+    <strong>${translate('hint.heading', { level: lastHint.level, total: GAME_CONFIG.HINT_LEVELS })}</strong>
+    ${describeHint(getHint(state), state)}
+  `;
+}
+
+/**
+ * Enables the Hint button until the answers are submitted
+ */
+function updateHintButton() {
+  const hintButton = document.getElementById('hint-btn');
+  if (hintButton) {
+    hintButton.disabled = GameState.current.phase === GAME_PHASES.SUBMITTED;
+  }
+}
+
+/**
+ * Words a hint from the game core
+ * @param {Object} hint - The hint from getHint
+ * @param {Object} state - The game state the hint is about
+ * @returns {string} The hint in the current language
+ */
+function describeHint(hint, state) {
+  const number = hint.boxIndex + 1;
+  const label = hint.boxIndex === undefined ? '' : quote(formatLabel(state.boxes[hint.boxIndex].label));
+
+  switch (hint.type) {
+    case 'first-box':
+      return translate('hint.first-box', { number, label });
+    case 'opened':
+      return translate('hint.opened', {
+        number,
+        label,
+        marbles: formatList(hint.marbles.map(marble => translate(`marbleColor.${marble}`)))
+      });
+    case 'contents':
+      return translate('hint.contents', {
+        count: hint.options.length,
+        number,
+        options: formatList(hint.options.map(option => quote(formatLabel(option))), 'disjunction')
+      });
+    case 'contradiction':
+      return translate(`hint.contradiction.${hint.reason}`, {
+        number,
+        label: quote(formatLabel(hint.label)),
+        marble: hint.marble && translate(`marbleColor.${hint.marble}`)
+      });
+    default:
+      return translate(`hint.${hint.type}`);
   }
 }
 
@@ -284,24 +596,25 @@ function displayLabelSelectionInterface() {
  */
 function updateDropdownOptions() {
   // Get all currently selected values
-  const selectedValues = Object.values(GameState.userLabelSelections).filter(value => value !== '');
+  const { userLabelSelections } = GameState.current;
+  const selectedValues = Object.values(userLabelSelections).filter(value => value !== '');
 
-  GameState.boxes.forEach((box, index) => {
+  GameState.current.boxes.forEach((box, index) => {
     const selectElement = document.getElementById(`box-${index + 1}-label-select`);
     if (selectElement) {
-      const currentValue = GameState.userLabelSelections[box.id];
+      const currentValue = userLabelSelections[box.id];
 
       // Clear all options except the placeholder
-      selectElement.innerHTML = '<option value="">Select label...</option>';
+      selectElement.innerHTML = `<option value="">${translate('labels.placeholder')}</option>`;
 
       // Add options that are not selected by other dropdowns
-      GAME_CONFIG.BOX_LABELS.forEach(label => {
+      getPuzzleLabels(GameState.current).forEach(label => {
         // Only add this label if it's not selected by another dropdown
         // OR if it's the current selection for this dropdown
         if (!selectedValues.includes(label) || label === currentValue) {
           const option = document.createElement('option');
           option.value = label;
-          option.textContent = label;
+          option.textContent = formatLabel(label);
           selectElement.appendChild(option);
         }
       });
@@ -314,39 +627,70 @@ function updateDropdownOptions() {
   });
 }
 
+/**
+ * Builds one label dropdown per box in the label selection interface
+ */
+function createLabelSelectionBoxes() {
+  const selectionBoxes = document.getElementById('label-selection-boxes');
+  if (!selectionBoxes) return;
+
+  selectionBoxes.innerHTML = '';
+  GameState.current.boxes.forEach((box, index) => {
+    const selectionBox = document.createElement('div');
+    selectionBox.className = 'label-selection-box';
+
+    const heading = document.createElement('h4');
+    heading.innerText = translate('box.number', { number: index + 1 });
+    selectionBox.appendChild(heading);
+
+    const selectElement = document.createElement('select');
+    selectElement.id = `box-${index + 1}-label-select`;
+    selectElement.className = 'label-select';
+    selectionBox.appendChild(selectElement);
+
+    selectionBoxes.appendChild(selectionBox);
+  });
+
+  updateDropdownOptions();
+}
+
 /**
  * Adds event listeners to all label select elements
+ * @param {AbortSignal} signal - Removes the listeners when the label selection is unmounted
  */
-function addLabelSelectionListeners() {
-  GameState.boxes.forEach((box, index) => {
+function addLabelSelectionListeners(signal) {
+  GameState.current.boxes.forEach((box, index) => {
     const selectElement = document.getElementById(`box-${index + 1}-label-select`);
     if (selectElement) {
       selectElement.addEventListener('change', (e) => {
-        GameState.userLabelSelections[box.id] = e.target.value;
+        dispatchGameAction(LOG_EVENT_TYPES.LABEL_CHANGED, { boxId: box.id, label: e.target.value });
         updateDropdownOptions();
         updateSubmitButtonState();
-      });
+        updateMatchboxLabels();
+      }, { signal });
     }
   });
 }
 
 /**
  * Adds event listener to the submit answers button
+ * @param {AbortSignal} signal - Removes the listener when the label selection is unmounted
  */
-function addSubmitButtonListener() {
+function addSubmitButtonListener(signal) {
   const submitButton = document.getElementById('submit-answers-btn');
   if (submitButton) {
-    submitButton.addEventListener('click', checkAnswers);
+    submitButton.addEventListener('click', checkAnswers, { signal });
   }
 }
 
 /**
- * Adds event listener to the reset puzzle button
+ * Adds event listener to the reset puzzle button, which deals a new puzzle
+ * @param {AbortSignal} signal - Removes the listener when the label selection is unmounted
  */
-function addResetButtonListener() {
+function addResetButtonListener(signal) {
   const resetButton = document.getElementById('reset-puzzle-btn');
   if (resetButton) {
-    resetButton.addEventListener('click', resetPuzzle);
+    resetButton.addEventListener('click', () => resetGame(), { signal });
   }
 }
 
@@ -357,76 +701,309 @@ function updateSubmitButtonState() {
   const submitButton = document.getElementById('submit-answers-btn');
   if (!submitButton) return;
 
-  const allSelected = Object.values(GameState.userLabelSelections).every(label => label !== '');
+  const allSelected = areAllLabelsSelected(GameState.current);
   submitButton.disabled = !allSelected;
   submitButton.classList.toggle('disabled', !allSelected);
 }
 
 // ============================================================================
-// ANSWER CHECKING & RESULTS
+// MOVING LABELS BETWEEN MATCHBOXES
 // ============================================================================
+// Once a marble has been drawn the labels on the matchboxes can be peeled off
+// and rearranged like on the real boxes: drag a label onto another box (mouse,
+// pen or touch), or tap or press Enter on a label and then on the box it goes
+// to. Putting a label on a box that has one swaps the two. The labels a player
+// moves become their answers, the same ones the dropdowns show.
 
 /**
- * Checks the user's answers and displays results
+ * Checks whether the labels on the matchboxes can be moved right now
+ * @returns {boolean} True while labelling a game that is not being replayed
  */
-function checkAnswers() {
-  const results = calculateResults();
-  displayResults(results);
+function canMoveLabels() {
+  return GameState.current.phase === GAME_PHASES.LABEL && !isReplaying();
 }
 
 /**
- * Calculates the results of the user's label selections
- * @returns {Object} Results object with correct/incorrect information
+ * Adds the pointer, tap and keyboard listeners that move labels between matchboxes
+ * @param {AbortSignal} signal - Removes the listeners when the matchboxes are unmounted
  */
-function calculateResults() {
-  const results = {
-    correct: 0,
-    total: GameState.boxes.length,
-    details: []
-  };
+function addLabelMoveListeners(signal) {
+  GameState.current.boxes.forEach(box => {
+    const matchbox = document.getElementById(box.id);
+    const label = document.getElementById(box.id + '-label');
+    if (!matchbox || !label) return;
+
+    label.addEventListener('pointerdown', event => startLabelDrag(event, box.id), { signal });
+    label.addEventListener('pointermove', moveLabelDrag, { signal });
+    label.addEventListener('pointerup', endLabelDrag, { signal });
+    label.addEventListener('pointercancel', cancelLabelDrag, { signal });
+
+    label.addEventListener('keydown', event => {
+      if (!canMoveLabels()) return;
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        activateMatchboxLabel(box.id);
+      } else if (event.key === 'Escape') {
+        putBackPickedLabel();
+      } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(event.key)) {
+        event.preventDefault();
+        focusNeighbourLabel(box.id, event.key === 'ArrowRight' || event.key === 'ArrowDown' ? 1 : -1);
+      }
+    }, { signal });
 
-  GameState.boxes.forEach((box, index) => {
-    const userSelection = GameState.userLabelSelections[box.id];
-    const correctLabel = getCorrectLabelForBox(box);
-    const isCorrect = userSelection === correctLabel;
+    matchbox.addEventListener('click', () => {
+      if (LabelDragState.suppressClick) {
+        LabelDragState.suppressClick = false;
+        return;
+      }
+      if (canMoveLabels()) {
+        activateMatchboxLabel(box.id);
+      }
+    }, { signal });
+  });
+}
 
-    if (isCorrect) {
-      results.correct++;
-    }
+/**
+ * Picks up the label of a box, or puts the label already picked up onto it
+ * @param {string} boxId - The box that was tapped or activated with the keyboard
+ */
+function activateMatchboxLabel(boxId) {
+  const { pickedBoxId } = LabelDragState;
+
+  if (pickedBoxId === boxId) {
+    putBackPickedLabel();
+  } else if (pickedBoxId) {
+    moveMatchboxLabel(pickedBoxId, boxId);
+  } else if (getLabelOnBox(GameState.current, boxId)) {
+    LabelDragState.pickedBoxId = boxId;
+    announceLabelMove(translate('labels.picked', { label: quote(formatLabel(getLabelOnBox(GameState.current, boxId))) }));
+    updateMatchboxLabels();
+  }
+}
 
-    results.details.push({
-      boxId: box.id,
-      boxNumber: index + 1,
-      userSelection: userSelection,
-      correctLabel: correctLabel,
-      actualContents: box.contents,
-      isCorrect: isCorrect
-    });
+/**
+ * Drops the label that was picked up without moving it
+ */
+function putBackPickedLabel() {
+  const { pickedBoxId } = LabelDragState;
+  if (!pickedBoxId) return;
+
+  LabelDragState.pickedBoxId = null;
+  announceLabelMove(translate('labels.putBack', { label: quote(formatLabel(getLabelOnBox(GameState.current, pickedBoxId))) }));
+  updateMatchboxLabels();
+}
+
+/**
+ * Moves a label from one matchbox to another and records the move
+ * @param {string} fromBoxId - The box whose label is moved
+ * @param {string} toBoxId - The box the label is put on
+ */
+function moveMatchboxLabel(fromBoxId, toBoxId) {
+  LabelDragState.pickedBoxId = null;
+  if (dispatchGameAction(LOG_EVENT_TYPES.LABEL_MOVED, { fromBoxId, toBoxId })) {
+    const nextState = GameState.current;
+    announceLabelMove(translate('labels.moved', {
+      label: quote(formatLabel(getLabelOnBox(nextState, toBoxId))),
+      number: nextState.boxes.findIndex(box => box.id === toBoxId) + 1
+    }));
+  }
+
+  updateMatchboxLabels();
+  updateDropdownOptions();
+  updateSubmitButtonState();
+  document.getElementById(toBoxId + '-label').focus();
+}
+
+/**
+ * Starts following a pointer that went down on a matchbox label
+ * @param {PointerEvent} event - The pointerdown event
+ * @param {string} boxId - The box the label is on
+ */
+function startLabelDrag(event, boxId) {
+  if (!canMoveLabels() || !getLabelOnBox(GameState.current, boxId) || event.button !== 0) return;
+
+  event.currentTarget.setPointerCapture(event.pointerId);
+  LabelDragState.drag = { boxId, pointerId: event.pointerId, startX: event.clientX, startY: event.clientY, ghost: null };
+}
+
+/**
+ * Moves the dragged label with the pointer and highlights the box under it
+ * @param {PointerEvent} event - The pointermove event
+ */
+function moveLabelDrag(event) {
+  const { drag } = LabelDragState;
+  if (!drag || drag.pointerId !== event.pointerId) return;
+
+  // Small movements are still taps
+  if (!drag.ghost) {
+    const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+    if (distance < LABEL_DRAG_THRESHOLD) return;
+
+    const label = event.currentTarget;
+    drag.ghost = label.cloneNode(true);
+    drag.ghost.removeAttribute('id');
+    drag.ghost.classList.add('label-ghost');
+    drag.ghost.style.width = `${label.offsetWidth}px`;
+    document.body.appendChild(drag.ghost);
+    label.classList.add('dragging');
+  }
+
+  drag.ghost.style.left = `${event.clientX}px`;
+  drag.ghost.style.top = `${event.clientY}px`;
+
+  const target = getMatchboxAt(event.clientX, event.clientY);
+  document.querySelectorAll('.matchbox.drop-target').forEach(matchbox => {
+    matchbox.classList.toggle('drop-target', matchbox === target);
   });
+  if (target) {
+    target.classList.add('drop-target');
+  }
+}
 
-  return results;
+/**
+ * Drops the dragged label on the box under the pointer
+ * @param {PointerEvent} event - The pointerup event
+ */
+function endLabelDrag(event) {
+  const { drag } = LabelDragState;
+  if (!drag || drag.pointerId !== event.pointerId) return;
+
+  const wasDragged = drag.ghost !== null;
+  cancelLabelDrag();
+  if (!wasDragged) return;
+
+  LabelDragState.suppressClick = true;
+  const target = getMatchboxAt(event.clientX, event.clientY);
+  if (target && target.id !== drag.boxId) {
+    moveMatchboxLabel(drag.boxId, target.id);
+  }
 }
 
 /**
- * Determines the correct label for a box based on its actual contents
- * @param {Object} box - The box object
- * @returns {string} The correct label for the box
+ * Stops a drag without moving the label
  */
-function getCorrectLabelForBox(box) {
-  const contentsToLabel = {
-    'white-white': 'White and White',
-    'red-red': 'Red and Red',
-    'red-white': 'Red and White'
-  };
+function cancelLabelDrag() {
+  const { drag } = LabelDragState;
+  if (!drag) return;
+
+  if (drag.ghost) {
+    drag.ghost.remove();
+  }
+  LabelDragState.drag = null;
+  document.querySelectorAll('.matchbox-label.dragging').forEach(label => label.classList.remove('dragging'));
+  document.querySelectorAll('.matchbox.drop-target').forEach(matchbox => matchbox.classList.remove('drop-target'));
+}
+
+/**
+ * Finds the matchbox at a point on the screen
+ * @param {number} x - Horizontal position in the viewport
+ * @param {number} y - Vertical position in the viewport
+ * @returns {HTMLElement|null} The matchbox element, or null if there is none
+ */
+function getMatchboxAt(x, y) {
+  const element = document.elementFromPoint(x, y);
+  return element ? element.closest('.matchbox') : null;
+}
+
+/**
+ * Moves keyboard focus to the label of the previous or next matchbox
+ * @param {string} boxId - The box whose label has focus
+ * @param {number} step - 1 for the next box, -1 for the previous one
+ */
+function focusNeighbourLabel(boxId, step) {
+  const { boxes } = GameState.current;
+  const index = boxes.findIndex(box => box.id === boxId);
+  const neighbour = boxes[(index + step + boxes.length) % boxes.length];
+  document.getElementById(neighbour.id + '-label').focus();
+}
+
+/**
+ * Shows on each matchbox the label it carries now and whether it can be moved
+ */
+function updateMatchboxLabels() {
+  const state = GameState.current;
+  const movable = canMoveLabels();
+  if (!movable) {
+    LabelDragState.pickedBoxId = null;
+  }
 
-  return contentsToLabel[box.contents] || '';
+  state.boxes.forEach((box, index) => {
+    const label = document.getElementById(box.id + '-label');
+    if (!label) return;
+
+    // Before labelling starts, and in replays of it, every box shows its printed label
+    const shownLabel = state.phase === GAME_PHASES.PEEK ? box.label : getLabelOnBox(state, box.id);
+    const isPicked = LabelDragState.pickedBoxId === box.id;
+
+    label.innerText = shownLabel ? formatLabel(shownLabel) : translate('labels.empty');
+    label.classList.toggle('empty', !shownLabel);
+    label.classList.toggle('movable', movable);
+    label.classList.toggle('picked', isPicked);
+    label.classList.toggle('answered', state.phase !== GAME_PHASES.PEEK && state.userLabelSelections[box.id] !== '');
+
+    if (movable) {
+      label.tabIndex = 0;
+      label.setAttribute('role', 'button');
+      label.setAttribute('aria-pressed', String(isPicked));
+      label.setAttribute('aria-label', translate('labels.labelOnBox', {
+        label: shownLabel ? formatLabel(shownLabel) : translate('labels.empty'),
+        number: index + 1
+      }));
+    } else {
+      label.removeAttribute('tabindex');
+      label.removeAttribute('role');
+      label.removeAttribute('aria-pressed');
+      label.removeAttribute('aria-label');
+    }
+  });
+
+  const matchboxesList = getMatchboxesList();
+  if (matchboxesList) {
+    matchboxesList.classList.toggle('label-picked', LabelDragState.pickedBoxId !== null);
+  }
+}
+
+/**
+ * Tells screen reader users what happened to a label
+ * @param {string} message - The announcement
+ */
+function announceLabelMove(message) {
+  const status = document.getElementById('label-move-status');
+  if (status) {
+    status.innerText = message;
+  }
+}
+
+// ============================================================================
+// ANSWER CHECKING & RESULTS
+// ============================================================================
+
+/**
+ * Checks the user's answers, saves the finished round and displays results
+ */
+function checkAnswers() {
+  const previousState = GameState.current;
+
+  // Nothing to do unless this click actually finished the round
+  if (!dispatchGameAction(LOG_EVENT_TYPES.ANSWERS_SUBMITTED)) {
+    return;
+  }
+
+  recordFinishedRound(GameState.current);
+  recordChallengeRound(GameState.current);
+  renderStatsPanel();
+  renderHint();
+  updateMatchboxLabels();
+  updateMatchboxScenes(previousState);
+  mountResults();
 }
 
 /**
  * Displays the results of the answer checking
  * @param {Object} results - The results object from calculateResults
+ * @param {AbortSignal} signal - Removes the listeners of its buttons when the results are unmounted
  */
-function displayResults(results) {
+function displayResults(results, signal) {
   const resultDisplay = document.getElementById('result-display');
   if (!resultDisplay) return;
 
@@ -436,8 +1013,14 @@ function displayResults(results) {
   let resultContent = `
     <div class="result-content ${resultClass}">
       <div class="result-header">
-        <h3>${isPerfect ? '🎉 Congratulations!' : '📝 Results'}</h3>
-        <p class="score">You got ${results.correct} out of ${results.total} correct!</p>
+        <h3>${translate(isPerfect ? 'results.perfect' : 'results.heading')}</h3>
+        <p class="score">${translate('results.score', { correct: results.correct, total: results.total })}</p>
+        <p class="hint-usage">${results.hintsUsed > 0
+          ? translate('results.hintsUsed', { count: results.hintsUsed })
+          : translate('results.noHints')}</p>
+        ${getChallengeResultSummary(GameState.current)}
+        ${getDeductionSummary(results)}
+        ${getReasoningExplanation(results.deduction)}
       </div>
       <div class="result-details">
   `;
@@ -450,12 +1033,12 @@ function displayResults(results) {
       <div class="result-detail ${statusClass}">
         <div class="detail-header">
           <span class="status-icon">${statusIcon}</span>
-          <span class="box-name">Box ${detail.boxNumber}</span>
+          <span class="box-name">${translate('box.number', { number: detail.boxNumber })}</span>
         </div>
         <div class="detail-content">
-          <p><strong>Your answer:</strong> ${detail.userSelection}</p>
-          <p><strong>Correct answer:</strong> ${detail.correctLabel}</p>
-          <p><strong>Actual contents:</strong> ${formatContents(detail.actualContents)}</p>
+          <p><strong>${translate('results.yourAnswer')}</strong> ${formatLabel(detail.userSelection)}</p>
+          <p><strong>${translate('results.correctAnswer')}</strong> ${formatLabel(detail.correctLabel)}</p>
+          <p><strong>${translate('results.actualContents')}</strong> ${formatContents(detail.actualContents)}</p>
         </div>
       </div>
     `;
@@ -464,7 +1047,15 @@ function displayResults(results) {
   resultContent += `
       </div>
       <div class="result-actions">
-        <button id="play-again-btn" class="play-again-btn">Play Again</button>
+        <button id="play-again-btn" class="play-again-btn">${translate(hasChallengeRoundsLeft() ? 'challenge.nextRound' : 'results.playAgain')}</button>
+        <button id="copy-link-btn" class="copy-link-btn">${translate('results.copyLink')}</button>
+        <button id="download-log-btn" class="copy-link-btn">${translate('results.downloadLog')}</button>
+        <button id="share-result-btn" class="copy-link-btn">${translate('results.share')}</button>
+        <button id="download-card-btn" class="copy-link-btn">${translate('results.downloadCard')}</button>
+      </div>
+      <div class="share-fallback" id="share-fallback" hidden>
+        <label for="share-fallback-text">${translate('share.fallback')}</label>
+        <textarea id="share-fallback-text" class="share-fallback-text" readonly></textarea>
       </div>
     </div>
   `;
@@ -475,224 +1066,875 @@ function displayResults(results) {
   // Add event listener to play again button
   const playAgainBtn = document.getElementById('play-again-btn');
   if (playAgainBtn) {
-    playAgainBtn.addEventListener('click', resetGame);
+    playAgainBtn.addEventListener('click', () => {
+      // A finished challenge ends when the player moves on, whether or not it was saved
+      if (isChallengeActive() && !hasChallengeRoundsLeft()) {
+        quitChallenge();
+      }
+      resetGame();
+    }, { signal });
+  }
+
+  // Add event listener to copy link button
+  const copyLinkBtn = document.getElementById('copy-link-btn');
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener('click', () => copyPuzzleLink(copyLinkBtn), { signal });
+  }
+
+  // Add event listener to download log button
+  const downloadLogBtn = document.getElementById('download-log-btn');
+  if (downloadLogBtn) {
+    downloadLogBtn.addEventListener('click', downloadGameLog, { signal });
   }
+
+  // Add event listeners to the share buttons, which never show what the boxes hold
+  const shareResultBtn = document.getElementById('share-result-btn');
+  if (shareResultBtn) {
+    shareResultBtn.addEventListener('click', () => copyShareText(shareResultBtn), { signal });
+  }
+  const downloadCardBtn = document.getElementById('download-card-btn');
+  if (downloadCardBtn) {
+    downloadCardBtn.addEventListener('click', downloadShareCard, { signal });
+  }
+
+  addChallengeResultListeners(signal);
+}
+
+/**
+ * Describes whether the player's peek logically forced the answer or left room for guessing
+ * @param {Object} results - The results object from calculateResults
+ * @returns {string} HTML string summarizing the deduction
+ */
+function getDeductionSummary(results) {
+  const { remainingCount, isForced } = results.deduction;
+  const isPerfect = results.correct === results.total;
+
+  if (isForced) {
+    return `
+      <p class="deduction-summary forced">${translate('deduction.forced', { count: GameState.current.observations.length })}</p>
+    `;
+  }
+
+  const outcome = translate(isPerfect ? 'deduction.luckyGuess' : 'deduction.noGuarantee');
+  const professorNote = GameState.current.settings.adversarial
+    ? ' ' + translate('deduction.adversarial')
+    : '';
+  return `
+    <p class="deduction-summary guessed">${translate('deduction.remaining', { count: remainingCount })} ${outcome}${professorNote}</p>
+  `;
 }
 
 /**
- * Formats the contents string for display
- * @param {string} contents - The contents string (e.g., "red-white")
- * @returns {string} Formatted contents string
+ * Words the solver's deduction steps as a numbered explanation of the puzzle
+ * @param {Object} deduction - The analysis from explainDeduction
+ * @returns {string} HTML string with the step-by-step reasoning
  */
-function formatContents(contents) {
-  return contents.split('-').map(color =>
-    color.charAt(0).toUpperCase() + color.slice(1)
-  ).join(' and ');
+function getReasoningExplanation(deduction) {
+  const { boxes } = GameState.current;
+  const describeBox = boxIndex => describeLabelledBox(boxes[boxIndex]);
+  const formatMarble = marble => translate(`marbleColor.${marble}`);
+
+  const sentences = describeDeductionSteps(deduction.steps, boxes, deduction.everyLabelWrong);
+
+  // Explain why the chosen box could not guarantee a solution, and which box could have.
+  // The advice is about a single marble, so it only applies to the classic peek rules.
+  if (GameState.current.settings.peekDraws === 1 && deduction.peekedBoxes.length > 0 && !deduction.peekWasGuaranteed) {
+    let advice = translate(deduction.isForced ? 'reasoning.notGuaranteedLucky' : 'reasoning.notGuaranteed', {
+      boxes: formatList(deduction.peekedBoxes.map(describeBox)),
+      marbles: formatList(deduction.ambiguousMarbles.map(formatMarble), 'disjunction')
+    });
+    advice += ' ' + (deduction.guaranteedPeeks.length > 0
+      ? translate('reasoning.betterPeek', { boxes: formatList(deduction.guaranteedPeeks.map(describeBox), 'disjunction') })
+      : translate('reasoning.noGuaranteedPeek'));
+    sentences.push(advice);
+  }
+
+  return `
+    <div class="reasoning-explanation">
+      <h4>${translate('reasoning.heading')}</h4>
+      <ol>
+        ${sentences.map(sentence => `<li>${sentence}</li>`).join('')}
+      </ol>
+    </div>
+  `;
 }
 
 // ============================================================================
 // GAME CONTROL FUNCTIONS
 // ============================================================================
 
+// A round is on the page as four views (see box-and-marble-views.js). Dealing
+// a puzzle, following a shared link, stepping through a replay and switching
+// language all unmount them and mount them again from GameState.current.
+
 /**
- * Resets the puzzle to allow user to make a new selection
+ * Starts a round from scratch, with a new puzzle or the puzzle of a link. The
+ * Play Again and Reset Puzzle buttons, shared links and every mode go through here.
+ * @param {Object|null} [puzzleLink] - Parsed puzzle link to load instead of a new puzzle
  */
-function resetPuzzle() {
-  // Reset all variables
-  GameState.reset();
+function resetGame(puzzleLink = null) {
+  unmountRoundViews();
 
-  // Clear the matchboxes list
-  const matchboxesList = getMatchboxesList();
-  matchboxesList.innerHTML = '';
+  // Generate a valid puzzle configuration ensuring no duplicates
+  startPuzzle(puzzleLink);
 
-  // Hide result and label selection displays
-  const resultDisplay = document.getElementById('result-display');
-  const labelSelectionContainer = document.getElementById('label-selection-container');
+  // Build the parts of the page that depend on the puzzle size and colors
+  updatePuzzleDescription();
+  updateSettingsControls();
+  mountRoundViews();
 
-  if (resultDisplay) resultDisplay.style.display = 'none';
-  if (labelSelectionContainer) labelSelectionContainer.style.display = 'none';
+  startRoundTimer();
+}
 
-  // Reset label selectors
-  for (let i = 1; i <= GAME_CONFIG.BOX_COUNT; i++) {
-    const selectElement = document.getElementById(`box-${i}-label-select`);
-    if (selectElement) {
-      selectElement.value = '';
+/**
+ * Mounts every view of the round on screen
+ */
+function mountRoundViews() {
+  mountMatchboxes();
+  mountDetailDisplay();
+  mountLabelSelection();
+  mountResults();
+}
+
+/**
+ * Unmounts every view of the round, removing their listeners
+ */
+function unmountRoundViews() {
+  ['results', 'labelSelection', 'detail', 'matchboxes'].forEach(unmountView);
+}
+
+/**
+ * Mounts the matchboxes, with their check buttons and movable labels
+ */
+function mountMatchboxes() {
+  mountView('matchboxes', signal => {
+    const matchboxesList = getMatchboxesList();
+    GameState.current.boxes.forEach(box => {
+      matchboxesList.appendChild(createMatchboxListItem(box));
+    });
+
+    addCheckButtonListeners(signal);
+    addLabelMoveListeners(signal);
+    updateCheckButtons();
+    updateMatchboxLabels();
+
+    return () => {
+      cancelLabelDrag();
+      LabelDragState.pickedBoxId = null;
+      matchboxesList.innerHTML = '';
+    };
+  });
+}
+
+/**
+ * Mounts the detail display: the marbles drawn so far, or what to do first
+ */
+function mountDetailDisplay() {
+  mountView('detail', () => {
+    if (GameState.current.observations.length > 0) {
+      updateDetailDisplay();
+    } else {
+      displayPlaceholderMessage();
+    }
+
+    return () => {
+      const detailDisplay = document.querySelector('.matchbox-detail-display');
+      if (detailDisplay) detailDisplay.innerHTML = '';
+    };
+  });
+}
+
+/**
+ * Mounts the label dropdowns and the submit and reset buttons, which are only
+ * shown once a marble has been drawn
+ */
+function mountLabelSelection() {
+  mountView('labelSelection', signal => {
+    const labelSelectionContainer = document.getElementById('label-selection-container');
+    const selectionBoxes = document.getElementById('label-selection-boxes');
+
+    createLabelSelectionBoxes();
+    addLabelSelectionListeners(signal);
+    addSubmitButtonListener(signal);
+    addResetButtonListener(signal);
+    if (labelSelectionContainer) {
+      labelSelectionContainer.style.display = GameState.current.phase === GAME_PHASES.PEEK ? 'none' : 'block';
+    }
+    updateSubmitButtonState();
+
+    return () => {
+      if (labelSelectionContainer) labelSelectionContainer.style.display = 'none';
+      if (selectionBoxes) selectionBoxes.innerHTML = '';
+    };
+  });
+}
+
+/**
+ * Mounts the results, which are only shown once the answers have been checked
+ */
+function mountResults() {
+  mountView('results', signal => {
+    const resultDisplay = document.getElementById('result-display');
+    if (!resultDisplay) return null;
+
+    const state = GameState.current;
+    if (state.phase === GAME_PHASES.SUBMITTED) {
+      displayResults(state.results, signal);
+    } else {
+      resultDisplay.style.display = 'none';
     }
+
+    return () => {
+      resultDisplay.style.display = 'none';
+      resultDisplay.innerHTML = '';
+    };
+  });
+}
+
+/**
+ * Seeds the game and sets up the boxes, either from a shared link or freshly generated
+ * @param {Object|null} puzzleLink - Parsed puzzle link ({ seed, layout }) or null for a new puzzle
+ */
+function startPuzzle(puzzleLink) {
+  // Every round of a timed challenge is a generated puzzle
+  if (isChallengeActive() && GameState.definition) {
+    GameState.definition = null;
+    updatePuzzleFileStatus();
   }
 
-  // Restore all dropdown options
-  updateDropdownOptions();
+  // A shared link or a puzzle file also brings the peek rules (and the professor) it is played with
+  const source = puzzleLink || GameState.definition;
+  GameState.current = createGame({
+    settings: source ? { ...GameState.settings, ...source.rules } : GameState.settings,
+    seed: puzzleLink ? puzzleLink.seed : generateSeed(),
+    layout: source ? source.layout : null
+  });
 
-  // Generate a new puzzle configuration
-  generatePuzzleConfiguration();
+  // A shared layout brings its own puzzle size and rules
+  GameState.settings = { ...GameState.current.settings };
 
-  // Recreate the matchboxes
-  GameState.boxes.forEach((box, index) => {
-    box.element = createMatchboxListItem(box);
-    matchboxesList.appendChild(box.element);
+  // Keep the address bar pointing at the puzzle on screen
+  updatePuzzleHash();
+
+  GameState.history = createGameHistory(GameState.current);
+  GameState.restored = false;
+  startGameLog(GameState.current);
+  emitGameEvent(ReplayState.log.events[0], GameState.current);
+  updateUndoButtons();
+  renderTimeTravelPanel();
+  saveRoundProgress();
+}
+
+/**
+ * Redraws the whole game from GameState.current, whatever phase it is in. Used to
+ * show the steps of a replay and to return to the game in progress afterwards.
+ * @param {boolean} interactive - Whether the player may act on the game shown
+ */
+function renderGameState(interactive) {
+  updatePuzzleDescription();
+  updateSettingsControls(GameState.current.settings);
+  mountRoundViews();
+
+  // Every control of the game stays visible but frozen while it is only being watched
+  document.querySelectorAll('.puzzle-container button, .puzzle-container select').forEach(control => {
+    control.disabled = !interactive;
   });
+  if (!interactive) return;
+
+  // Restore the states the controls had before they were frozen
+  updateCheckButtons();
+  updateSettingsControls();
+  updateSubmitButtonState();
+  updateUndoButtons();
+  renderHint();
+}
 
-  // Add click event listeners to all check buttons
-  addCheckButtonListeners();
+// ============================================================================
+// PUZZLE LINKS
+// ============================================================================
+// The link format itself is defined by encodePuzzleHash in the game core
 
-  // Initialize detail display with placeholder
-  displayPlaceholderMessage();
+/**
+ * Writes the current puzzle into the URL hash without adding a history entry
+ */
+function updatePuzzleHash() {
+  const hash = '#' + encodePuzzleHash(GameState.current);
+  try {
+    history.replaceState(null, '', hash);
+  } catch (error) {
+    // Some browsers refuse replaceState for pages opened from file://
+    window.location.replace(hash);
+  }
 }
 
 /**
- * Resets the game to its initial state
+ * Builds a shareable link to the current puzzle
+ * @returns {string} The full URL including the puzzle hash
  */
-function resetGame() {
-  // Reset all variables
-  GameState.reset();
+function getPuzzleLink() {
+  return window.location.href.split('#')[0] + '#' + encodePuzzleHash(GameState.current);
+}
 
-  // Clear the matchboxes list
-  const matchboxesList = getMatchboxesList();
-  matchboxesList.innerHTML = '';
+/**
+ * Copies the puzzle link to the clipboard, falling back to a prompt the user can copy from
+ * @param {HTMLButtonElement} button - The button that triggered the copy, used for feedback
+ */
+function copyPuzzleLink(button) {
+  const link = getPuzzleLink();
+  const showManualCopy = () => window.prompt(translate('results.copyLinkPrompt'), link);
 
-  // Hide result and label selection displays
-  const resultDisplay = document.getElementById('result-display');
-  const labelSelectionContainer = document.getElementById('label-selection-container');
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    showManualCopy();
+    return;
+  }
 
-  if (resultDisplay) resultDisplay.style.display = 'none';
-  if (labelSelectionContainer) labelSelectionContainer.style.display = 'none';
+  navigator.clipboard.writeText(link)
+    .then(() => {
+      button.innerText = translate('results.linkCopied');
+    })
+    .catch(showManualCopy);
+}
 
-  // Reset label selectors
-  for (let i = 1; i <= GAME_CONFIG.BOX_COUNT; i++) {
-    const selectElement = document.getElementById(`box-${i}-label-select`);
-    if (selectElement) {
-      selectElement.value = '';
+// ============================================================================
+// PUZZLE FILES
+// ============================================================================
+// Puzzle authors write puzzles as JSON (the format is described with
+// validatePuzzleDefinition in the game core). A puzzle file is loaded with the
+// file picker or from the page address, e.g. index.html?puzzle=puzzles/classic.json,
+// and every round then deals its boxes again with a fresh seed until the player
+// goes back to generated puzzles or changes the settings.
+
+/**
+ * Adds listeners to the puzzle file picker and the button that puts it away
+ */
+function initializePuzzleFileControls() {
+  const fileInput = document.getElementById('puzzle-file-input');
+  if (!fileInput) return;
+
+  fileInput.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    if (file) {
+      file.text()
+        .then(text => loadPuzzleDefinition(text, file.name))
+        .catch(() => showPuzzleFileErrors(file.name, [{ code: 'unreadable', params: {} }]));
     }
+    // Allow the same file to be chosen again, e.g. after fixing it
+    fileInput.value = '';
+  });
+
+  document.getElementById('puzzle-file-clear-btn').addEventListener('click', startPuzzleWithSettings);
+  updatePuzzleFileStatus();
+}
+
+/**
+ * Loads the puzzle file named by the "puzzle" parameter of the page address, if any
+ */
+function loadPuzzleFileFromUrl() {
+  const url = new URLSearchParams(window.location.search).get('puzzle');
+  if (!url) return;
+
+  fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.text();
+    })
+    .then(text => loadPuzzleDefinition(text, url))
+    .catch(() => showPuzzleFileErrors(url, [{ code: 'download', params: {} }]));
+}
+
+/**
+ * Checks the text of a puzzle file and, if it is a valid puzzle, starts playing it
+ * @param {string} text - The contents of the file
+ * @param {string} name - The file name or address, to tell the player which file was loaded
+ */
+function loadPuzzleDefinition(text, name) {
+  let definition;
+  try {
+    definition = JSON.parse(text);
+  } catch (error) {
+    showPuzzleFileErrors(name, [{ code: 'unreadable', params: {} }]);
+    return;
   }
 
-  // Restore all dropdown options
-  updateDropdownOptions();
+  playPuzzleDefinition(definition, name);
+}
+
+/**
+ * Checks a parsed puzzle definition and, if it is a valid puzzle, starts playing it
+ * @param {Object} definition - The puzzle, in the format checked by validatePuzzleDefinition
+ * @param {string} name - Where the puzzle came from, shown if it has no title
+ * @returns {Array<Object>} The problems found ({ code, params }), empty if the puzzle was started
+ */
+function playPuzzleDefinition(definition, name) {
+  const { errors, puzzle } = validatePuzzleDefinition(definition);
+  showPuzzleFileErrors(name, errors);
+  if (errors.length > 0) {
+    return errors;
+  }
 
-  // Reinitialize the game
-  initializeGame();
+  // A puzzle from a file replaces whatever was being played
+  exitReplay();
+  if (isChallengeActive()) {
+    quitChallenge();
+  }
+  GameState.definition = { ...puzzle, name };
+  updatePuzzleFileStatus();
+
+  // Reloading a page opened with ?puzzle= brings back the round of that puzzle rather than dealing it again
+  if (GameState.restored && getActiveDefinition()) {
+    GameState.restored = false;
+    updatePuzzleDescription();
+    return errors;
+  }
+  resetGame();
+  return errors;
 }
 
 /**
- * Initializes the game (extracted from DOMContentLoaded for reuse)
+ * Starts a generated puzzle with the current settings, putting away any puzzle file
  */
-function initializeGame() {
-  const matchboxesList = getMatchboxesList();
+function startPuzzleWithSettings() {
+  GameState.definition = null;
+  updatePuzzleFileStatus();
+  resetGame();
+}
 
-  // Generate a valid puzzle configuration ensuring no duplicates
-  generatePuzzleConfiguration();
+/**
+ * Gets the loaded puzzle file if it is the puzzle being played
+ * @returns {Object|null} The puzzle from validatePuzzleDefinition with its name, or null
+ */
+function getActiveDefinition() {
+  const { definition, current } = GameState;
+  const isSamePuzzle = definition && current &&
+    definition.layout.length === current.boxes.length &&
+    definition.layout.every((box, index) =>
+      box.label === current.boxes[index].label &&
+      getLabelId(box.contents) === getLabelId(current.boxes[index].contents));
+  return isSamePuzzle ? definition : null;
+}
 
-  GameState.boxes.forEach((box, index) => {
-    box.element = createMatchboxListItem(box);
-    matchboxesList.appendChild(box.element);
-  });
+/**
+ * Picks the text for the current language from a puzzle file's title or intro
+ * @param {string|Object} text - A text, or an object of texts by language code
+ * @returns {string} The text to show
+ */
+function getDefinitionText(text) {
+  if (typeof text === 'string') {
+    return text;
+  }
+  return text[I18nState.locale] ?? text[I18N_CONFIG.DEFAULT_LOCALE] ?? Object.values(text)[0] ?? '';
+}
 
-  // Add click event listeners to all check buttons
-  addCheckButtonListeners();
+/**
+ * Shows why a puzzle file could not be loaded, or clears the message
+ * @param {string} name - The file name or address
+ * @param {Array<Object>} errors - The problems found (see createDefinitionError); empty to clear
+ */
+function showPuzzleFileErrors(name, errors) {
+  const errorsElement = document.getElementById('puzzle-file-errors');
+  if (!errorsElement) return;
+
+  if (errors.length === 0) {
+    errorsElement.innerHTML = '';
+    return;
+  }
 
-  // Initialize detail display with placeholder
-  displayPlaceholderMessage();
+  const describe = ({ code, params }) => translate(`definition.error.${code}`, {
+    ...params,
+    color: params.color && translate(`marbleColor.${params.color}`),
+    colors: params.colors && formatList(params.colors.map(formatColor)),
+    rules: params.rules && params.rules.map(rule => `"${rule}"`).join(', ')
+  });
+  errorsElement.innerHTML = `
+    <p>${translate('definition.error', { file: quote(escapeHtml(name)) })}</p>
+    <ul>${errors.map(error => `<li>${escapeHtml(describe(error))}</li>`).join('')}</ul>
+  `;
+}
+
+/**
+ * Shows which puzzle file is being played, if any
+ */
+function updatePuzzleFileStatus() {
+  const status = document.getElementById('puzzle-file-status');
+  if (!status) return;
+
+  const { definition } = GameState;
+  status.classList.toggle('active', definition !== null);
+  document.getElementById('puzzle-file-name').textContent = definition
+    ? translate('definition.playing', {
+      name: quote(definition.title ? getDefinitionText(definition.title) : definition.name)
+    })
+    : '';
 }
 
 // ============================================================================
-// PUZZLE GENERATION
+// PUZZLE SETTINGS
 // ============================================================================
+// Players choose the number of boxes and marble colors; changing either starts
+// a new puzzle. The classic puzzle is three boxes of red and white marbles.
+// They may also ask for easy, medium or hard boards, which the core deals
+// when the other settings allow them (see PUZZLE GENERATION there).
 
 /**
- * Generates a valid puzzle configuration ensuring no duplicate labels or contents
- * and that no box has matching contents and labels
+ * Fills the settings dropdowns from GAME_CONFIG and listens for changes
  */
-function generatePuzzleConfiguration() {
-  let attempts = 0;
-  const maxAttempts = GAME_CONFIG.MAX_ATTEMPTS;
+function initializeSettings() {
+  const boxCountSelect = document.getElementById('box-count-select');
+  const colorCountSelect = document.getElementById('color-count-select');
+  if (!boxCountSelect || !colorCountSelect) return;
 
-  while (attempts < maxAttempts) {
-    if (tryGenerateValidConfiguration()) {
-      return; // Success!
-    }
-    attempts++;
+  for (let count = GAME_CONFIG.MIN_BOX_COUNT; count <= GAME_CONFIG.MAX_BOX_COUNT; count++) {
+    boxCountSelect.appendChild(new Option('', count));
   }
+  for (let count = GAME_CONFIG.MIN_COLOR_COUNT; count <= GAME_CONFIG.COLORS.length; count++) {
+    colorCountSelect.appendChild(new Option('', count));
+  }
+
+  initializePeekRuleSettings();
+  initializeTruthRuleSetting();
+  initializeProfessorSetting();
+  initializeDifficultySetting();
+
+  boxCountSelect.addEventListener('change', () => {
+    GameState.settings.boxCount = Number(boxCountSelect.value);
+    startPuzzleWithSettings();
+  });
 
-  // Fallback to guaranteed valid configuration
-  setFallbackConfiguration();
+  colorCountSelect.addEventListener('change', () => {
+    GameState.settings.colorCount = Number(colorCountSelect.value);
+    // Fewer colors allow fewer distinct boxes
+    GameState.settings.boxCount = Math.min(
+      GameState.settings.boxCount,
+      getMaxBoxCount(GameState.settings.colorCount)
+    );
+    startPuzzleWithSettings();
+  });
 }
 
 /**
- * Attempts to generate a valid configuration by shuffling and assigning contents/labels
- * @returns {boolean} True if a valid configuration was found, false otherwise
+ * Shows the current settings, disables box counts the chosen colors cannot fill and
+ * says when the settings allow no puzzle that can be solved by logic
+ * @param {Object} [settings] - The settings to show (defaults to those of the next puzzle)
  */
-function tryGenerateValidConfiguration() {
-  // Reset all boxes
-  GameState.boxes.forEach(box => {
-    box.contents = '';
-    box.label = '';
+function updateSettingsControls(settings = GameState.settings) {
+  const boxCountSelect = document.getElementById('box-count-select');
+  const colorCountSelect = document.getElementById('color-count-select');
+  if (!boxCountSelect || !colorCountSelect) return;
+
+  // Option text is set here rather than when the options are created so it follows the language
+  translateSettingsOptions();
+
+  const maxBoxCount = getMaxBoxCount(settings.colorCount);
+  [...boxCountSelect.options].forEach(option => {
+    option.disabled = Number(option.value) > maxBoxCount;
   });
 
-  // Shuffle available contents and labels
-  const shuffledContents = [...GAME_CONFIG.BOX_CONTENTS].sort(() => Math.random() - 0.5);
-  const shuffledLabels = [...GAME_CONFIG.BOX_LABELS].sort(() => Math.random() - 0.5);
+  boxCountSelect.value = settings.boxCount;
+  colorCountSelect.value = settings.colorCount;
 
-  const usedContents = new Set();
-  const usedLabels = new Set();
+  updatePeekRuleControls(settings);
 
-  // Try to assign contents and labels to each box
-  for (const box of GameState.boxes) {
-    if (!assignContentToBox(box, shuffledContents, usedContents) ||
-      !assignLabelToBox(box, shuffledLabels, usedLabels)) {
-      return false; // Failed to assign valid content/label
-    }
+  const truthRuleSelect = document.getElementById('truth-rule-select');
+  if (truthRuleSelect) {
+    truthRuleSelect.value = settings.truthRule;
+  }
+
+  const professorSelect = document.getElementById('professor-select');
+  if (professorSelect) {
+    professorSelect.value = settings.adversarial ? 'adversarial' : 'fair';
   }
 
-  return true; // Successfully assigned all boxes
+  const difficultySelect = document.getElementById('difficulty-select');
+  if (difficultySelect) {
+    difficultySelect.value = normalizeDifficulty(settings.difficulty);
+  }
+
+  updateUnsolvableSettingsNote(settings);
+
+  // Every round of a timed challenge is played under the same settings, without starting over
+  document.querySelectorAll('#puzzle-settings select, #reset-puzzle-btn').forEach(control => {
+    control.disabled = isChallengeActive();
+  });
 }
 
 /**
- * Assigns a content to a box from the available shuffled contents
- * @param {Object} box - The box to assign content to
- * @param {Array} shuffledContents - Array of shuffled contents
- * @param {Set} usedContents - Set of already used contents
- * @returns {boolean} True if content was assigned, false otherwise
+ * Says in the settings panel when no board of the chosen size and truth rule can be
+ * solved by logic under the chosen peek rules, and which peek rules would be enough.
+ * The settings are kept as chosen: the puzzle dealt may need a guess, as it says.
+ * @param {Object} settings - The settings shown
  */
-function assignContentToBox(box, shuffledContents, usedContents) {
-  for (const content of shuffledContents) {
-    if (!usedContents.has(content)) {
-      box.contents = content;
-      usedContents.add(content);
-      return true;
-    }
+function updateUnsolvableSettingsNote(settings) {
+  const note = document.getElementById('unsolvable-settings-note');
+  if (!note) return;
+
+  note.hidden = hasSolvableBoard(settings);
+  if (note.hidden) {
+    note.textContent = '';
+    return;
   }
-  return false;
+
+  const peekRules = findSolvablePeekRules(settings);
+  note.textContent = peekRules
+    ? translate('settings.unsolvablePeekRules', {
+      peekRules: [
+        translate('settings.peekDraws', { count: peekRules.peekDraws }),
+        translate('settings.peekBoxes', { count: peekRules.peekBoxes }),
+        translate(peekRules.drawWithReplacement ? 'settings.withReplacement' : 'settings.withoutReplacement')
+      ].join(' ')
+    })
+    : translate('settings.unsolvableSize');
 }
 
 /**
- * Assigns a label to a box from the available shuffled labels
- * @param {Object} box - The box to assign label to
- * @param {Array} shuffledLabels - Array of shuffled labels
- * @param {Set} usedLabels - Set of already used labels
- * @returns {boolean} True if label was assigned, false otherwise
+ * Writes the text of every settings option in the current language
  */
-function assignLabelToBox(box, shuffledLabels, usedLabels) {
-  for (const label of shuffledLabels) {
-    if (!usedLabels.has(label)) {
-      // Check if this label would match the content (we want mismatches)
-      const testBox = { contents: box.contents, label: label };
-      if (!checkContentsMatchLabel(testBox)) {
-        box.label = label;
-        usedLabels.add(label);
-        return true;
-      }
+function translateSettingsOptions() {
+  const optionKeys = {
+    'box-count-select': option => translate('settings.boxCount', { count: Number(option.value) }),
+    'color-count-select': option => translate('settings.colorCount', { count: Number(option.value) }),
+    'peek-draws-select': option => translate('settings.peekDraws', { count: Number(option.value) }),
+    'peek-boxes-select': option => translate('settings.peekBoxes', { count: Number(option.value) }),
+    'peek-replacement-select': option => translate(option.value === 'with' ? 'settings.withReplacement' : 'settings.withoutReplacement'),
+    'truth-rule-select': option => translate(`settings.truth.${option.value}`),
+    'professor-select': option => translate(option.value === 'adversarial' ? 'settings.adversarialProfessor' : 'settings.fairProfessor'),
+    'difficulty-select': option => translate(`settings.difficulty.${option.value}`)
+  };
+
+  Object.entries(optionKeys).forEach(([selectId, getText]) => {
+    const select = document.getElementById(selectId);
+    if (select) {
+      [...select.options].forEach(option => {
+        option.textContent = getText(option);
+      });
     }
+  });
+}
+
+/**
+ * Fills the truth rule dropdown and listens for changes
+ */
+function initializeTruthRuleSetting() {
+  const truthRuleSelect = document.getElementById('truth-rule-select');
+  if (!truthRuleSelect) return;
+
+  TRUTH_RULES.forEach(truthRule => {
+    truthRuleSelect.appendChild(new Option('', truthRule));
+  });
+
+  truthRuleSelect.addEventListener('change', () => {
+    GameState.settings.truthRule = truthRuleSelect.value;
+    startPuzzleWithSettings();
+  });
+}
+
+/**
+ * Fills the professor dropdown and listens for changes
+ */
+function initializeProfessorSetting() {
+  const professorSelect = document.getElementById('professor-select');
+  if (!professorSelect) return;
+
+  professorSelect.appendChild(new Option('', 'fair'));
+  professorSelect.appendChild(new Option('', 'adversarial'));
+
+  professorSelect.addEventListener('change', () => {
+    GameState.settings.adversarial = professorSelect.value === 'adversarial';
+    startPuzzleWithSettings();
+  });
+}
+
+/**
+ * Fills the difficulty dropdown and listens for changes
+ */
+function initializeDifficultySetting() {
+  const difficultySelect = document.getElementById('difficulty-select');
+  if (!difficultySelect) return;
+
+  ['any', ...DIFFICULTIES].forEach(difficulty => {
+    difficultySelect.appendChild(new Option('', difficulty));
+  });
+
+  difficultySelect.addEventListener('change', () => {
+    GameState.settings.difficulty = difficultySelect.value;
+    startPuzzleWithSettings();
+  });
+}
+
+/**
+ * Fills the peek rule dropdowns and listens for changes
+ */
+function initializePeekRuleSettings() {
+  const drawsSelect = document.getElementById('peek-draws-select');
+  const boxesSelect = document.getElementById('peek-boxes-select');
+  const replacementSelect = document.getElementById('peek-replacement-select');
+  if (!drawsSelect || !boxesSelect || !replacementSelect) return;
+
+  for (let count = 1; count <= GAME_CONFIG.MAX_PEEK_DRAWS; count++) {
+    drawsSelect.appendChild(new Option('', count));
+  }
+  for (let count = 1; count <= GAME_CONFIG.MAX_PEEK_BOXES; count++) {
+    boxesSelect.appendChild(new Option('', count));
+  }
+  replacementSelect.appendChild(new Option('', 'without'));
+  replacementSelect.appendChild(new Option('', 'with'));
+
+  drawsSelect.addEventListener('change', () => {
+    GameState.settings.peekDraws = Number(drawsSelect.value);
+    // Every box opened takes at least one draw
+    GameState.settings.peekBoxes = Math.min(GameState.settings.peekBoxes, GameState.settings.peekDraws);
+    startPuzzleWithSettings();
+  });
+
+  boxesSelect.addEventListener('change', () => {
+    GameState.settings.peekBoxes = Number(boxesSelect.value);
+    startPuzzleWithSettings();
+  });
+
+  replacementSelect.addEventListener('change', () => {
+    GameState.settings.drawWithReplacement = replacementSelect.value === 'with';
+    startPuzzleWithSettings();
+  });
+}
+
+/**
+ * Shows the current peek rules and disables box limits the number of draws cannot reach
+ * @param {Object} settings - The settings to show
+ */
+function updatePeekRuleControls(settings) {
+  const drawsSelect = document.getElementById('peek-draws-select');
+  const boxesSelect = document.getElementById('peek-boxes-select');
+  const replacementSelect = document.getElementById('peek-replacement-select');
+  if (!drawsSelect || !boxesSelect || !replacementSelect) return;
+
+  [...boxesSelect.options].forEach(option => {
+    option.disabled = Number(option.value) > settings.peekDraws;
+  });
+
+  drawsSelect.value = settings.peekDraws;
+  boxesSelect.value = settings.peekBoxes;
+  replacementSelect.value = settings.drawWithReplacement ? 'with' : 'without';
+}
+
+/**
+ * Describes the peek rules to the player
+ * @param {Object} settings - The game settings holding the peek rules
+ * @returns {string} A sentence such as "You can peek inside ONE box and look at exactly ONE marble."
+ */
+function describePeekRules(settings) {
+  const { peekDraws, peekBoxes, drawWithReplacement } = settings;
+  const putBack = drawWithReplacement ? 'WithReplacement' : '';
+
+  if (peekDraws === 1) {
+    return translate('rules.classic');
   }
-  return false;
+  if (peekBoxes === 1 && peekDraws === GAME_CONFIG.MARBLES_PER_BOX && !drawWithReplacement) {
+    return translate('rules.bothMarbles');
+  }
+  if (peekBoxes === 1) {
+    return translate(`rules.oneBox${putBack}`, { count: peekDraws });
+  }
+  return translate(`rules.severalBoxes${putBack}`, { count: peekDraws, boxes: peekBoxes });
+}
+
+/**
+ * Describes the truth rule the labels follow
+ * @param {Object} state - The game state
+ * @returns {string} HTML sentence such as "...but are currently <strong>incorrect</strong>."
+ */
+function describeTruthRule(state) {
+  const { truthRule } = state.settings;
+  if (truthRule === 'card') {
+    return translate('truth.card', { count: countCorrectLabels(state.boxes) });
+  }
+  return truthRule === TRUTH_RULES[0]
+    ? translate('description.labelsWrong')
+    : translate(`truth.${truthRule}`);
 }
 
 /**
- * Sets a fallback configuration that is guaranteed to be valid
+ * Describes how hard the puzzle is, and whether it is the difficulty the player asked for
+ * @param {Object} state - The game state
+ * @returns {string} HTML for the end of the challenge paragraph
  */
-function setFallbackConfiguration() {
-  GameState.boxes[0].contents = 'white-white';
-  GameState.boxes[0].label = 'Red and Red';
-  GameState.boxes[1].contents = 'red-red';
-  GameState.boxes[1].label = 'Red and White';
-  GameState.boxes[2].contents = 'red-white';
-  GameState.boxes[2].label = 'White and White';
+function describeDifficulty(state) {
+  const wanted = state.settings.difficulty;
+  const unavailable = wanted !== 'any' && wanted !== state.difficulty
+    ? ` ${translate('description.difficultyUnavailable')}`
+    : '';
+  return `<span class="difficulty-note">${translate('description.difficulty', {
+    difficulty: translate(`settings.difficulty.${state.difficulty}`)
+  })}${unavailable}</span>`;
+}
+
+/**
+ * Updates the puzzle description with the current box count, colors and labels
+ */
+function updatePuzzleDescription() {
+  const title = document.getElementById('puzzle-title');
+  const intro = document.getElementById('puzzle-intro');
+  const labelList = document.getElementById('puzzle-label-list');
+  const truthRule = document.getElementById('puzzle-truth-rule');
+  const challenge = document.getElementById('puzzle-challenge');
+  const state = GameState.current;
+
+  // A puzzle file may bring its own title and introduction
+  const definition = getActiveDefinition();
+  if (title) {
+    title.textContent = definition && definition.title
+      ? getDefinitionText(definition.title)
+      : translate('description.heading');
+  }
+
+  if (intro && definition && definition.intro) {
+    intro.textContent = getDefinitionText(definition.intro);
+  } else if (intro) {
+    // The classic introduction already says the labels are wrong
+    intro.innerHTML = translate(state.settings.truthRule === TRUTH_RULES[0] ? 'description.intro' : 'description.introLabelled', {
+      count: state.boxes.length,
+      marbles: GAME_CONFIG.MARBLES_PER_BOX,
+      colors: formatList(state.colors.map(color => translate(`marbleColor.${color}`)), 'disjunction')
+    });
+  }
+
+  if (labelList) {
+    labelList.innerHTML = getPuzzleLabels(state)
+      .map(label => `<li><strong>${quote(formatLabel(label))}</strong></li>`)
+      .join('');
+  }
+
+  if (truthRule) {
+    truthRule.innerHTML = describeTruthRule(state);
+  }
+
+  // Some settings allow no puzzle that logic alone can solve; the player is told rather than left to guess
+  if (challenge) {
+    challenge.innerHTML = translate('description.challenge', { rules: describePeekRules(state.settings) }) +
+      (isPuzzleSolvable(state) ? '' : `<span class="unsolvable-warning">${translate('description.unsolvable')}</span>`) +
+      describeDifficulty(state);
+  }
+}
+
+// ============================================================================
+// LANGUAGE
+// ============================================================================
+// The language switcher itself lives in box-and-marble-i18n.js; switching
+// language redraws everything the page has built from the game state.
+
+/**
+ * Redraws the game, the statistics and the replay toolbar in the new language
+ */
+function renderAfterLocaleChange() {
+  if (isReplaying()) {
+    showReplayStep(ReplayState.stepIndex);
+  } else {
+    renderGameState(true);
+  }
+  renderStatsPanel();
+  updateChallengeBar();
+  renderLeaderboard();
+  renderRacePanel();
+  updatePuzzleFileStatus();
+  renderTimeTravelPanel();
 }
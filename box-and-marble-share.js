@@ -0,0 +1,244 @@
+// ============================================================================
+// SHARING RESULTS
+// ============================================================================
+// A finished round can be shared without spoiling the puzzle for whoever
+// reads it: "Share result" copies a short text with emoji, and "Download
+// result card" saves the same summary drawn as a PNG. Both are built from the
+// share result alone (see createShareResult), which holds the labels of the
+// boxes peeked into, whether each box was answered correctly, the time and the
+// hints taken, and never the marbles drawn, the answers or what the boxes hold.
+// The puzzle link is left out for the same reason, since its layout names the
+// contents of every box.
+
+const SHARE_CONFIG = {
+  FILENAME_PREFIX: 'box-and-marble-result',
+  CARD_WIDTH: 600,
+  CARD_HEIGHT: 340,
+  FONT_FAMILY: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  COLORS: {
+    backgroundStart: '#2563eb',  // --primary-blue
+    backgroundEnd: '#7c3aed',    // --secondary-purple
+    text: '#ffffff',
+    correct: '#059669',          // --success
+    incorrect: '#dc2626'         // --danger
+  }
+};
+
+const SHARE_MARKS = {
+  correct: '✅',
+  incorrect: '❌'
+};
+
+// ============================================================================
+// SHARE RESULTS
+// ============================================================================
+
+/**
+ * Picks what may be shared of a submitted round
+ * @param {Object} state - A submitted game state from the game core
+ * @param {number} elapsedMs - How long the round took, in milliseconds
+ * @returns {Object} { peekedLabels, marks, correct, total, elapsedMs, hintsUsed }: the
+ * label ids of the boxes peeked into, in the order they were first opened, and whether
+ * each box was answered correctly, in box order
+ */
+function createShareResult(state, elapsedMs) {
+  const peekedLabels = [];
+  state.observations.forEach(observation => {
+    const box = state.boxes.find(candidate => candidate.id === observation.boxId);
+    if (box && !peekedLabels.includes(box.label)) {
+      peekedLabels.push(box.label);
+    }
+  });
+
+  const { results } = state;
+  return {
+    peekedLabels,
+    marks: [...results.details]
+      .sort((a, b) => a.boxNumber - b.boxNumber)
+      .map(detail => detail.isCorrect),
+    correct: results.correct,
+    total: results.total,
+    elapsedMs: Math.max(0, elapsedMs),
+    hintsUsed: results.hintsUsed
+  };
+}
+
+/**
+ * Writes the marks of a share result as a row of emoji
+ * @param {Array<boolean>} marks - Whether each box was answered correctly
+ * @returns {string} E.g. "✅✅❌"
+ */
+function formatShareMarks(marks) {
+  return marks.map(isCorrect => (isCorrect ? SHARE_MARKS.correct : SHARE_MARKS.incorrect)).join('');
+}
+
+// ============================================================================
+// SHARING FROM THE PAGE
+// ============================================================================
+
+/**
+ * Gets the share result of the round on screen
+ * @returns {Object|null} The share result (see createShareResult), or null before the answers are checked
+ */
+function getCurrentShareResult() {
+  const state = GameState.current;
+  if (!state || !state.results || !ReplayState.log) return null;
+
+  // Events are timed from the puzzle being dealt, leaving out any time the page was
+  // closed in between (see getSavedRoundHistory)
+  const submitted = ReplayState.log.events.find(event => event.type === LOG_EVENT_TYPES.ANSWERS_SUBMITTED);
+  return createShareResult(state, submitted ? submitted.time : 0);
+}
+
+/**
+ * Writes a share result as text in the current language
+ * @param {Object} share - The share result
+ * @returns {string} A few lines to paste into a chat, ending with the address of the game
+ */
+function getShareText(share) {
+  const labels = share.peekedLabels.map(label => quote(formatLabel(label)));
+  return [
+    translate('header.title'),
+    translate('share.peeked', { labels: formatList(labels) }),
+    translate('share.score', { marks: formatShareMarks(share.marks), correct: share.correct, total: share.total }),
+    [
+      translate('share.time', { time: formatDuration(share.elapsedMs) }),
+      share.hintsUsed > 0 ? translate('share.hints', { count: share.hintsUsed }) : translate('share.noHints')
+    ].join(' · '),
+    window.location.href.split(/[?#]/)[0]
+  ].join('\n');
+}
+
+/**
+ * Copies the result of the round to the clipboard, or shows it to copy by hand
+ * when the browser has no clipboard or the player denies it
+ * @param {HTMLButtonElement} button - The Share result button, used for feedback
+ */
+function copyShareText(button) {
+  const share = getCurrentShareResult();
+  if (!share) return;
+
+  const text = getShareText(share);
+  const showManualCopy = () => showShareFallback(text);
+
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    showManualCopy();
+    return;
+  }
+
+  navigator.clipboard.writeText(text)
+    .then(() => {
+      button.innerText = translate('share.copied');
+    })
+    .catch(showManualCopy);
+}
+
+/**
+ * Shows the share text in the results, selected, for the player to copy themselves
+ * @param {string} text - The share text
+ */
+function showShareFallback(text) {
+  const fallback = document.getElementById('share-fallback');
+  const textArea = document.getElementById('share-fallback-text');
+  if (!fallback || !textArea) return;
+
+  textArea.value = text;
+  textArea.rows = text.split('\n').length;
+  fallback.hidden = false;
+  textArea.focus();
+  textArea.select();
+}
+
+/**
+ * Draws the result of the round as a card and downloads it as a PNG
+ */
+function downloadShareCard() {
+  const share = getCurrentShareResult();
+  if (!share) return;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = SHARE_CONFIG.CARD_WIDTH;
+  canvas.height = SHARE_CONFIG.CARD_HEIGHT;
+  const context = canvas.getContext('2d');
+  if (!context) return;
+
+  drawShareCard(context, share);
+  canvas.toBlob(blob => {
+    if (!blob) return;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${SHARE_CONFIG.FILENAME_PREFIX}-${Date.now()}.png`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers only start the download after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, 'image/png');
+}
+
+/**
+ * Draws a share result on a canvas: the title, the labels peeked at, a tile
+ * per box marked right or wrong, the score, the time and the hints
+ * @param {CanvasRenderingContext2D} context - The context of a canvas of the card's size
+ * @param {Object} share - The share result
+ */
+function drawShareCard(context, share) {
+  const { CARD_WIDTH: width, CARD_HEIGHT: height, FONT_FAMILY: font, COLORS: colors } = SHARE_CONFIG;
+  const center = width / 2;
+
+  const background = context.createLinearGradient(0, 0, width, height);
+  background.addColorStop(0, colors.backgroundStart);
+  background.addColorStop(1, colors.backgroundEnd);
+  context.fillStyle = background;
+  context.fillRect(0, 0, width, height);
+
+  // Arabic is written right to left on the card as on the page, box 1 included
+  const isRightToLeft = document.documentElement.dir === 'rtl';
+  context.direction = isRightToLeft ? 'rtl' : 'ltr';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = colors.text;
+
+  context.font = `bold 28px ${font}`;
+  context.fillText(translate('header.title'), center, 44, width - 40);
+
+  const labels = share.peekedLabels.map(label => quote(formatLabel(label)));
+  context.font = `20px ${font}`;
+  context.fillText(translate('share.peeked', { labels: formatList(labels) }), center, 92, width - 40);
+
+  // One tile per box, side by side
+  const tileSize = 64;
+  const gap = 16;
+  const rowWidth = share.marks.length * tileSize + (share.marks.length - 1) * gap;
+  share.marks.forEach((isCorrect, index) => {
+    const position = isRightToLeft ? share.marks.length - 1 - index : index;
+    const x = center - rowWidth / 2 + position * (tileSize + gap);
+    context.fillStyle = isCorrect ? colors.correct : colors.incorrect;
+    context.fillRect(x, 130, tileSize, tileSize);
+
+    context.fillStyle = colors.text;
+    context.font = `bold 36px ${font}`;
+    context.fillText(isCorrect ? '✓' : '✗', x + tileSize / 2, 130 + tileSize / 2);
+  });
+
+  context.font = `bold 26px ${font}`;
+  context.fillText(translate('share.cardScore', { correct: share.correct, total: share.total }), center, 240, width - 40);
+
+  context.font = `20px ${font}`;
+  const details = [
+    translate('share.time', { time: formatDuration(share.elapsedMs) }),
+    share.hintsUsed > 0 ? translate('share.hints', { count: share.hintsUsed }) : translate('share.noHints')
+  ].join('   ');
+  context.fillText(details, center, 290, width - 40);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHARE_CONFIG,
+    createShareResult,
+    formatShareMarks
+  };
+}
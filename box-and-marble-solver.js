@@ -0,0 +1,444 @@
+// ============================================================================
+// DEDUCTION SOLVER
+// ============================================================================
+// Reasons about a puzzle the way a player has to: from the labels, the rule
+// saying how many of them tell the truth, and the marbles observed. The solver never looks
+// at the real contents of the boxes, so it can tell a logically forced answer
+// apart from a lucky guess.
+//
+// Boxes are identified by their index. A label or a box's contents is an array
+// of marble colors (e.g., ['red', 'white']); the order of colors is irrelevant.
+//
+// The truth rule is given as the numbers of labels that may be correct, e.g. [0]
+// for the classic puzzle where every label is wrong, or [1] when exactly one is right.
+
+/**
+ * Checks whether two marble combinations hold the same colors
+ * @param {Array<string>} first - The first combination
+ * @param {Array<string>} second - The second combination
+ * @returns {boolean} True if both hold the same marbles in any order
+ */
+function isSameCombination(first, second) {
+  return [...first].sort().join() === [...second].sort().join();
+}
+
+/**
+ * Checks whether a box with the given contents could have produced the observed marbles
+ * @param {Array<string>} contents - The marble colors in the box
+ * @param {Array<string>} marbles - The marble colors observed in that box
+ * @param {boolean} [drawWithReplacement] - Whether each marble was put back before the next draw
+ * @returns {boolean} True if every observed marble could have come from the box
+ */
+function isConsistentWithObservations(contents, marbles, drawWithReplacement = false) {
+  if (drawWithReplacement) {
+    return marbles.every(marble => contents.includes(marble));
+  }
+
+  // Without replacement every drawn marble is a different marble of the box
+  const remaining = [...contents];
+  return marbles.every(marble => {
+    const index = remaining.indexOf(marble);
+    if (index === -1) {
+      return false;
+    }
+    remaining.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Lists every assignment of contents to boxes that is consistent with what the player knows:
+ * the contents are the labelled combinations, the number of boxes holding what their label
+ * says is allowed by the truth rule, and every observed marble came from the box it was drawn from
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Array<Object>} [observations] - Marbles seen, as { boxIndex, marble }
+ * @param {boolean} [drawWithReplacement] - Whether each marble was put back before the next draw
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<Array<Array<string>>>} Each consistent assignment as the contents of every box
+ */
+function findConsistentAssignments(labels, observations = [], drawWithReplacement = false, correctCounts = [0]) {
+  const observedMarbles = labels.map((_, boxIndex) =>
+    observations.filter(observation => observation.boxIndex === boxIndex).map(observation => observation.marble)
+  );
+
+  // Whether each combination would make each box's label right, and could have
+  // produced its marbles, worked out once rather than on every branch of the search
+  const isCorrectFor = labels.map(label => labels.map(contents => isSameCombination(contents, label)));
+  const fitsObservations = observedMarbles.map(marbles =>
+    labels.map(contents => isConsistentWithObservations(contents, marbles, drawWithReplacement)));
+
+  const assignments = [];
+  const used = labels.map(() => false);
+  const current = [];
+  const maxCorrect = Math.max(...correctCounts);
+
+  // Depth-first search over permutations of the labelled combinations,
+  // pruning a branch as soon as one box breaks a rule
+  const assignBox = (boxIndex, correctCount) => {
+    if (boxIndex === labels.length) {
+      if (correctCounts.includes(correctCount)) {
+        assignments.push([...current]);
+      }
+      return;
+    }
+
+    labels.forEach((contents, contentsIndex) => {
+      const isCorrect = isCorrectFor[boxIndex][contentsIndex];
+      if (used[contentsIndex] ||
+        (isCorrect && correctCount === maxCorrect) ||
+        !fitsObservations[boxIndex][contentsIndex]) {
+        return;
+      }
+
+      used[contentsIndex] = true;
+      current.push(contents);
+      assignBox(boxIndex + 1, correctCount + (isCorrect ? 1 : 0));
+      current.pop();
+      used[contentsIndex] = false;
+    });
+  };
+
+  assignBox(0, 0);
+  return assignments;
+}
+
+/**
+ * Computes the chance that a box with the given contents produces the observed marbles
+ * @param {Array<string>} contents - The marble colors in the box
+ * @param {Array<string>} marbles - The marble colors drawn from that box, in order
+ * @param {boolean} [drawWithReplacement] - Whether each marble was put back before the next draw
+ * @returns {number} The probability of drawing exactly those marbles in that order
+ */
+function getObservationLikelihood(contents, marbles, drawWithReplacement = false) {
+  const remaining = [...contents];
+  return marbles.reduce((probability, marble) => {
+    const index = remaining.indexOf(marble);
+    if (index === -1) {
+      return 0;
+    }
+    const chance = remaining.filter(color => color === marble).length / remaining.length;
+    if (!drawWithReplacement) {
+      remaining.splice(index, 1);
+    }
+    return probability * chance;
+  }, 1);
+}
+
+/**
+ * Weighs every assignment allowed by the labels against the marbles observed (Bayes' rule).
+ * Before any marble is seen each assignment the truth rule allows is equally likely; each
+ * is then weighted by the chance it would have produced the marbles that were drawn.
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Array<Object>} observations - Marbles seen, as { boxIndex, marble }, in order
+ * @param {boolean} [drawWithReplacement] - Whether each marble was put back before the next draw
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<Object>} One { assignment, prior, likelihood, posterior } per assignment
+ */
+function computePosterior(labels, observations, drawWithReplacement = false, correctCounts = [0]) {
+  const assignments = findConsistentAssignments(labels, [], false, correctCounts);
+  const prior = 1 / assignments.length;
+
+  const weighted = assignments.map(assignment => ({
+    assignment,
+    prior,
+    likelihood: assignment.reduce((probability, contents, boxIndex) => probability * getObservationLikelihood(
+      contents,
+      observations.filter(observation => observation.boxIndex === boxIndex).map(observation => observation.marble),
+      drawWithReplacement
+    ), 1)
+  }));
+
+  const evidence = weighted.reduce((sum, entry) => sum + entry.prior * entry.likelihood, 0);
+  return weighted.map(entry => ({
+    ...entry,
+    posterior: evidence > 0 ? entry.prior * entry.likelihood / evidence : 0
+  }));
+}
+
+/**
+ * Analyzes what a peek tells the player
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Array<Object>} observations - Marbles seen, as { boxIndex, marble }
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Object} The consistent assignments and whether they force a unique answer
+ */
+function analyzePeek(labels, observations, correctCounts = [0]) {
+  const assignments = findConsistentAssignments(labels, observations, false, correctCounts);
+  return {
+    assignments,
+    isForced: assignments.length === 1
+  };
+}
+
+/**
+ * Lists the marble colors that could be drawn from a box given only the labels
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {number} boxIndex - The box to draw from
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<string>} The possible marble colors
+ */
+function getPossibleMarbles(labels, boxIndex, correctCounts = [0]) {
+  const marbles = findConsistentAssignments(labels, [], false, correctCounts).flatMap(assignment => assignment[boxIndex]);
+  return [...new Set(marbles)];
+}
+
+/**
+ * Checks whether peeking at a box guarantees a unique answer whatever marble is drawn
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {number} boxIndex - The box the player would peek into
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {boolean} True if every possible marble from the box forces a unique answer
+ */
+function isGuaranteedPeek(labels, boxIndex, correctCounts = [0]) {
+  return getPossibleMarbles(labels, boxIndex, correctCounts)
+    .every(marble => analyzePeek(labels, [{ boxIndex, marble }], correctCounts).isForced);
+}
+
+/**
+ * Finds every box whose peek guarantees a unique answer
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<number>} The indexes of the boxes worth peeking into
+ */
+function findGuaranteedPeeks(labels, correctCounts = [0]) {
+  return labels
+    .map((_, boxIndex) => boxIndex)
+    .filter(boxIndex => isGuaranteedPeek(labels, boxIndex, correctCounts));
+}
+
+/**
+ * Lists the marbles that, if drawn from a box, would not force a unique answer
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {number} boxIndex - The box the player would peek into
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<string>} The marble colors that leave more than one arrangement
+ */
+function getAmbiguousMarbles(labels, boxIndex, correctCounts = [0]) {
+  return getPossibleMarbles(labels, boxIndex, correctCounts)
+    .filter(marble => !analyzePeek(labels, [{ boxIndex, marble }], correctCounts).isForced);
+}
+
+/**
+ * Checks whether some way of peeking within the peek rules always settles every box.
+ * Each draw may depend on the marbles seen so far; the answer is guaranteed only if
+ * every marble each draw could produce still leads to a single arrangement.
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Object} rules - The peek rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {boolean} True if a player following the best strategy never has to guess
+ */
+function canGuaranteeSolution(labels, rules, correctCounts = [0]) {
+  const assignments = findConsistentAssignments(labels, [], false, correctCounts);
+  return canSettleByDrawing(labels, rules, assignments, labels.map(() => []), rules.peekDraws);
+}
+
+/**
+ * Finds every box a player can open first and still be sure to settle every box
+ * within the peek rules, drawing wisely afterwards
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Object} rules - The peek rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Array<number>} The indexes of the boxes worth starting with
+ */
+function findGuaranteedFirstBoxes(labels, rules, correctCounts = [0]) {
+  const assignments = findConsistentAssignments(labels, [], false, correctCounts);
+  return labels
+    .map((_, boxIndex) => boxIndex)
+    .filter(boxIndex => assignments.length <= 1 ||
+      canSettleByDrawingFrom(labels, rules, assignments, labels.map(() => []), rules.peekDraws, boxIndex));
+}
+
+/**
+ * Checks whether the draws left always narrow some arrangements down to one
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Object} rules - The peek rules
+ * @param {Array<Array<Array<string>>>} assignments - The arrangements still possible
+ * @param {Array<Array<string>>} drawn - The marbles drawn so far, by box index
+ * @param {number} drawsLeft - The marbles that may still be drawn
+ * @returns {boolean} True if some next draw leads to a single arrangement whatever it shows
+ */
+function canSettleByDrawing(labels, rules, assignments, drawn, drawsLeft) {
+  if (assignments.length <= 1) {
+    return true;
+  }
+  // Each draw shows one of the colors, so the draws left can tell apart at most
+  // colorCount ** drawsLeft arrangements
+  const colorCount = new Set(labels.flat()).size;
+  if (assignments.length > colorCount ** drawsLeft) {
+    return false;
+  }
+
+  return labels.some((_, boxIndex) => canSettleByDrawingFrom(labels, rules, assignments, drawn, drawsLeft, boxIndex));
+}
+
+/**
+ * Checks whether drawing next from one box, and wisely after that, always leads to a single arrangement
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Object} rules - The peek rules
+ * @param {Array<Array<Array<string>>>} assignments - The arrangements still possible
+ * @param {Array<Array<string>>} drawn - The marbles drawn so far, by box index
+ * @param {number} drawsLeft - The marbles that may still be drawn
+ * @param {number} boxIndex - The box to draw from next
+ * @returns {boolean} True if every marble the box could show leads to a single arrangement
+ */
+function canSettleByDrawingFrom(labels, rules, assignments, drawn, drawsLeft, boxIndex) {
+  const openedCount = drawn.filter(marbles => marbles.length > 0).length;
+  if (drawsLeft === 0 || (drawn[boxIndex].length === 0 && openedCount >= rules.peekBoxes)) {
+    return false;
+  }
+
+  // Group the arrangements by the marbles this box could show next
+  const outcomes = new Map();
+  assignments.forEach(assignment => {
+    const remaining = [...assignment[boxIndex]];
+    if (!rules.drawWithReplacement) {
+      drawn[boxIndex].forEach(marble => remaining.splice(remaining.indexOf(marble), 1));
+    }
+    new Set(remaining).forEach(marble => {
+      outcomes.set(marble, [...(outcomes.get(marble) || []), assignment]);
+    });
+  });
+
+  // A draw whose marble is already certain tells nothing and only uses up a draw
+  if (outcomes.size <= 1) {
+    return false;
+  }
+  return [...outcomes].every(([marble, outcomeAssignments]) => canSettleByDrawing(
+    labels,
+    rules,
+    outcomeAssignments,
+    drawn.map((marbles, index) => (index === boxIndex ? [...marbles, marble] : marbles)),
+    drawsLeft - 1
+  ));
+}
+
+// ============================================================================
+// STEP-BY-STEP EXPLANATION
+// ============================================================================
+// Replays the deduction as a sequence of steps a person could follow. Steps are
+// plain data so the page can word them however it likes:
+//   { type: 'peek', boxIndex, marbles, options }   - what a peek narrowed a box down to
+//   { type: 'settle', boxIndex, contents, reason, taken } - a box whose contents are now certain,
+//     either because it has one option left ('only-option') or because a combination fits
+//     no other box ('only-box'); taken lists combinations already placed elsewhere
+//   { type: 'case-analysis', boxIndexes, assignment } - the remaining boxes only fit one way,
+//     found by trying every arrangement rather than by simple elimination
+//   { type: 'stuck', boxIndexes, remainingCount } - logic cannot go further
+
+/**
+ * Explains, step by step, what can be deduced from the labels and the observed marbles
+ * @param {Array<Array<string>>} labels - The colors named on each box's label, by box index
+ * @param {Array<Object>} observations - Marbles seen, as { boxIndex, marble }
+ * @param {boolean} [drawWithReplacement] - Whether each marble was put back before the next draw
+ * @param {Array<number>} [correctCounts] - How many labels may be correct (the truth rule)
+ * @returns {Object} The steps, whether the answer is forced, and advice about the peek:
+ * { steps, isForced, remainingCount, peekedBoxes, peekWasGuaranteed, ambiguousMarbles, guaranteedPeeks,
+ * everyLabelWrong }. The advice is about single-marble peeks: whether any box opened was one where
+ * one marble suffices. everyLabelWrong tells whether the steps ruled boxes out of their own label.
+ */
+function explainDeduction(labels, observations, drawWithReplacement = false, correctCounts = [0]) {
+  const steps = [];
+  const solved = labels.map(() => null);
+  const observedMarbles = labels.map((_, boxIndex) =>
+    observations.filter(observation => observation.boxIndex === boxIndex).map(observation => observation.marble)
+  );
+  // A box can only be ruled out of its own label when every label is wrong;
+  // other truth rules are left to the case analysis at the end
+  const everyLabelWrong = Math.max(...correctCounts) === 0;
+  const domains = labels.map((label, boxIndex) => labels.filter(contents =>
+    !(everyLabelWrong && isSameCombination(contents, label)) &&
+    isConsistentWithObservations(contents, observedMarbles[boxIndex], drawWithReplacement)
+  ));
+
+  const settle = (boxIndex, contents) => {
+    solved[boxIndex] = contents;
+    domains.forEach((domain, otherIndex) => {
+      domains[otherIndex] = otherIndex === boxIndex
+        ? [contents]
+        : domain.filter(option => !isSameCombination(option, contents));
+    });
+  };
+  const placedCombinations = () => solved.filter(contents => contents !== null);
+
+  // Each peek narrows down the box it was taken from; when only one option is
+  // left, the peek step itself already says what the box holds
+  const peekedBoxes = [...new Set(observations.map(observation => observation.boxIndex))];
+  peekedBoxes.forEach(boxIndex => {
+    steps.push({ type: 'peek', boxIndex, marbles: observedMarbles[boxIndex], options: domains[boxIndex] });
+    if (domains[boxIndex].length === 1) {
+      settle(boxIndex, domains[boxIndex][0]);
+    }
+  });
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+
+    // A box with a single option left must hold it
+    const boxIndex = domains.findIndex((domain, index) => solved[index] === null && domain.length === 1);
+    if (boxIndex !== -1) {
+      steps.push({ type: 'settle', boxIndex, contents: domains[boxIndex][0], reason: 'only-option', taken: placedCombinations() });
+      settle(boxIndex, domains[boxIndex][0]);
+      progress = true;
+      continue;
+    }
+
+    // A combination that fits a single box must be in it
+    for (const contents of labels) {
+      if (placedCombinations().some(placed => isSameCombination(placed, contents))) continue;
+
+      const fits = domains
+        .map((domain, index) => index)
+        .filter(index => solved[index] === null && domains[index].some(option => isSameCombination(option, contents)));
+      if (fits.length === 1) {
+        steps.push({ type: 'settle', boxIndex: fits[0], contents, reason: 'only-box', taken: placedCombinations() });
+        settle(fits[0], contents);
+        progress = true;
+        break;
+      }
+    }
+  }
+
+  const assignments = findConsistentAssignments(labels, observations, drawWithReplacement, correctCounts);
+  const unsolved = solved.map((contents, index) => index).filter(index => solved[index] === null);
+  if (unsolved.length > 0 && assignments.length === 1) {
+    steps.push({ type: 'case-analysis', boxIndexes: unsolved, assignment: assignments[0] });
+  } else if (unsolved.length > 0) {
+    steps.push({ type: 'stuck', boxIndexes: unsolved, remainingCount: assignments.length });
+  }
+
+  const guaranteedPeeks = findGuaranteedPeeks(labels, correctCounts);
+  const peekWasGuaranteed = peekedBoxes.some(boxIndex => guaranteedPeeks.includes(boxIndex));
+
+  return {
+    steps,
+    isForced: assignments.length === 1,
+    remainingCount: assignments.length,
+    peekedBoxes,
+    peekWasGuaranteed,
+    ambiguousMarbles: peekWasGuaranteed
+      ? []
+      : [...new Set(peekedBoxes.flatMap(boxIndex => getAmbiguousMarbles(labels, boxIndex, correctCounts)))],
+    guaranteedPeeks,
+    everyLabelWrong
+  };
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isSameCombination,
+    isConsistentWithObservations,
+    findConsistentAssignments,
+    getObservationLikelihood,
+    computePosterior,
+    analyzePeek,
+    getPossibleMarbles,
+    isGuaranteedPeek,
+    findGuaranteedPeeks,
+    getAmbiguousMarbles,
+    canGuaranteeSolution,
+    findGuaranteedFirstBoxes,
+    explainDeduction
+  };
+}
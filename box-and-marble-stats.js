@@ -0,0 +1,280 @@
+// ============================================================================
+// PLAYER STATISTICS & HISTORY
+// ============================================================================
+// Every finished round is saved to localStorage so players can follow their
+// progress across visits. The statistics are computed from the saved history
+// on demand, so the history is the only thing ever stored.
+
+const STATS_CONFIG = {
+  STORAGE_KEY: 'box-and-marble-history',
+  EXPORT_FILENAME: 'box-and-marble-history.json'
+};
+
+// ============================================================================
+// HISTORY STORAGE
+// ============================================================================
+
+/**
+ * Builds the history entry for a finished round
+ * @param {Object} state - A submitted game state from the game core
+ * @param {number} [timestamp] - When the round finished, in milliseconds since the epoch
+ * @returns {Object} The history entry
+ */
+function createHistoryEntry(state, timestamp = Date.now()) {
+  const { results } = state;
+  const [firstObservation] = state.observations;
+  const peekedBox = firstObservation && state.boxes.find(box => box.id === firstObservation.boxId);
+
+  return {
+    timestamp: new Date(timestamp).toISOString(),
+    seed: state.seed,
+    settings: { ...state.settings },
+    peekedLabel: peekedBox ? peekedBox.label : '',
+    observedMarbles: state.observations.map(observation => observation.marble),
+    answers: { ...state.userLabelSelections },
+    correct: results.correct,
+    total: results.total,
+    isPerfect: results.correct === results.total,
+    peekWasGuaranteed: results.firstPeek.wasGuaranteed,
+    hintsUsed: results.hintsUsed
+  };
+}
+
+/**
+ * Loads the saved history of finished rounds
+ * @returns {Array<Object>} History entries, oldest first
+ */
+function loadHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(STATS_CONFIG.STORAGE_KEY));
+    return Array.isArray(history) ? history.map(upgradeHistoryEntry) : [];
+  } catch (error) {
+    // Storage can be unavailable (private browsing) or hold unreadable data
+    return [];
+  }
+}
+
+/**
+ * Converts an entry saved when labels were stored as English text ("Red and White")
+ * to label ids ("red-white"); entries that already use ids are returned unchanged
+ * @param {Object} entry - A saved history entry
+ * @returns {Object} The entry with label ids
+ */
+function upgradeHistoryEntry(entry) {
+  const toLabelId = label => String(label).toLowerCase().split(' and ').join('-');
+  const answers = {};
+  Object.entries(entry.answers || {}).forEach(([boxId, label]) => {
+    answers[boxId] = toLabelId(label);
+  });
+
+  return { ...entry, peekedLabel: toLabelId(entry.peekedLabel || ''), answers };
+}
+
+/**
+ * Saves the history of finished rounds
+ * @param {Array<Object>} history - History entries, oldest first
+ */
+function saveHistory(history) {
+  try {
+    localStorage.setItem(STATS_CONFIG.STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    // Without storage the statistics simply won't outlive the page
+  }
+}
+
+/**
+ * Adds a finished round to the saved history
+ * @param {Object} state - A submitted game state from the game core
+ */
+function recordFinishedRound(state) {
+  saveHistory([...loadHistory(), createHistoryEntry(state)]);
+}
+
+/**
+ * Deletes the saved history
+ */
+function clearHistory() {
+  try {
+    localStorage.removeItem(STATS_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    // Nothing was stored in the first place
+  }
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Computes the player's statistics from their history
+ * @param {Array<Object>} history - History entries, oldest first
+ * @returns {Object} Statistics: gamesPlayed, perfectCount, perfectRate, currentStreak,
+ * bestStreak, byPeekedLabel (one row per label opened first) and byGuarantee (rounds where
+ * the box opened first did or did not guarantee a solution under the round's peek rules)
+ */
+function computeStatistics(history) {
+  const perfectCount = history.filter(entry => entry.isPerfect).length;
+
+  // A streak is a run of consecutive perfect solves
+  let currentStreak = 0;
+  let bestStreak = 0;
+  history.forEach(entry => {
+    currentStreak = entry.isPerfect ? currentStreak + 1 : 0;
+    bestStreak = Math.max(bestStreak, currentStreak);
+  });
+
+  const labels = [...new Set(history.map(entry => entry.peekedLabel))].sort();
+  const byPeekedLabel = labels
+    .map(label => ({ label, ...summarizeRounds(history.filter(entry => entry.peekedLabel === label)) }))
+    .sort((a, b) => b.perfectRate - a.perfectRate || b.games - a.games);
+
+  return {
+    gamesPlayed: history.length,
+    perfectCount,
+    perfectRate: history.length > 0 ? perfectCount / history.length : 0,
+    currentStreak,
+    bestStreak,
+    byPeekedLabel,
+    byGuarantee: {
+      guaranteed: summarizeRounds(history.filter(entry => entry.peekWasGuaranteed)),
+      notGuaranteed: summarizeRounds(history.filter(entry => !entry.peekWasGuaranteed))
+    }
+  };
+}
+
+/**
+ * Summarizes a group of rounds
+ * @param {Array<Object>} entries - History entries
+ * @returns {Object} The number of games, perfect solves, perfect rate and box accuracy
+ */
+function summarizeRounds(entries) {
+  const perfect = entries.filter(entry => entry.isPerfect).length;
+  const correctBoxes = entries.reduce((sum, entry) => sum + entry.correct, 0);
+  const totalBoxes = entries.reduce((sum, entry) => sum + entry.total, 0);
+
+  return {
+    games: entries.length,
+    perfect,
+    perfectRate: entries.length > 0 ? perfect / entries.length : 0,
+    accuracy: totalBoxes > 0 ? correctBoxes / totalBoxes : 0
+  };
+}
+
+// ============================================================================
+// STATISTICS PANEL
+// ============================================================================
+
+/**
+ * Adds listeners to the statistics panel buttons and shows the saved statistics
+ */
+function initializeStatsPanel() {
+  const exportButton = document.getElementById('export-history-btn');
+  const clearButton = document.getElementById('clear-history-btn');
+
+  if (exportButton) {
+    exportButton.addEventListener('click', exportHistory);
+  }
+
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      if (window.confirm(translate('stats.confirmClear'))) {
+        clearHistory();
+        renderStatsPanel();
+      }
+    });
+  }
+
+  renderStatsPanel();
+}
+
+/**
+ * Renders the statistics panel from the saved history
+ */
+function renderStatsPanel() {
+  const statsContent = document.getElementById('stats-content');
+  if (!statsContent) return;
+
+  const history = loadHistory();
+  const stats = computeStatistics(history);
+  const formatPercent = rate => translate('stats.percent', { value: Math.round(rate * 100) });
+
+  document.getElementById('export-history-btn').disabled = history.length === 0;
+  document.getElementById('clear-history-btn').disabled = history.length === 0;
+
+  if (history.length === 0) {
+    statsContent.innerHTML = `
+      <p class="stats-empty">${translate('stats.empty')}</p>
+    `;
+    return;
+  }
+
+  const labelRows = stats.byPeekedLabel.map(row => `
+    <tr>
+      <td>${quote(formatLabel(row.label))}</td>
+      <td>${row.games}</td>
+      <td>
+        <div class="stats-bar"><div class="stats-bar-fill" style="width: ${Math.round(row.perfectRate * 100)}%"></div></div>
+        ${formatPercent(row.perfectRate)}
+      </td>
+      <td>${formatPercent(row.accuracy)}</td>
+    </tr>
+  `).join('');
+
+  const { guaranteed, notGuaranteed } = stats.byGuarantee;
+
+  statsContent.innerHTML = `
+    <div class="stats-summary">
+      <div class="stats-tile"><span class="stats-value">${stats.gamesPlayed}</span><span class="stats-name">${translate('stats.gamesPlayed')}</span></div>
+      <div class="stats-tile"><span class="stats-value">${formatPercent(stats.perfectRate)}</span><span class="stats-name">${translate('stats.perfectSolves')}</span></div>
+      <div class="stats-tile"><span class="stats-value">${stats.currentStreak}</span><span class="stats-name">${translate('stats.currentStreak')}</span></div>
+      <div class="stats-tile"><span class="stats-value">${stats.bestStreak}</span><span class="stats-name">${translate('stats.bestStreak')}</span></div>
+    </div>
+    <h4>${translate('stats.byLabelHeading')}</h4>
+    <table class="stats-table">
+      <thead>
+        <tr>
+          <th>${translate('stats.labelColumn')}</th>
+          <th>${translate('stats.gamesColumn')}</th>
+          <th>${translate('stats.perfectColumn')}</th>
+          <th>${translate('stats.accuracyColumn')}</th>
+        </tr>
+      </thead>
+      <tbody>${labelRows}</tbody>
+    </table>
+    <p class="stats-insight">
+      ${translate('stats.insight', {
+        guaranteedRate: formatPercent(guaranteed.perfectRate),
+        guaranteedGames: guaranteed.games,
+        otherRate: formatPercent(notGuaranteed.perfectRate),
+        otherGames: notGuaranteed.games
+      })}
+    </p>
+  `;
+}
+
+/**
+ * Downloads the saved history as a JSON file
+ */
+function exportHistory() {
+  const blob = new Blob([JSON.stringify(loadHistory(), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = STATS_CONFIG.EXPORT_FILENAME;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STATS_CONFIG,
+    createHistoryEntry,
+    upgradeHistoryEntry,
+    computeStatistics,
+    summarizeRounds
+  };
+}
@@ -0,0 +1,63 @@
+// ============================================================================
+// VIEWS
+// ============================================================================
+// The page shows a round through four views: the matchboxes, the detail
+// display, the label selection and the results. Every round mounts them again,
+// and many of their listeners sit on elements that stay in index.html from
+// one round to the next (the submit and reset buttons, for one). A view is
+// therefore mounted with an AbortSignal to add its listeners with; unmounting
+// it aborts the signal, which removes them all, and runs whatever teardown the
+// view returned. Mounting a view that is already mounted unmounts it first, so
+// no listener outlives its round.
+
+const ViewState = {
+  mounted: {}  // View name -> { controller, teardown } of the views on the page
+};
+
+/**
+ * Mounts a view, unmounting the view of the same name first if there is one
+ * @param {string} name - The name of the view
+ * @param {Function} mount - Draws the view; called with the AbortSignal to add its
+ * listeners with, and may return a function that clears what it drew
+ */
+function mountView(name, mount) {
+  unmountView(name);
+
+  const controller = new AbortController();
+  const teardown = mount(controller.signal);
+  ViewState.mounted[name] = { controller, teardown: typeof teardown === 'function' ? teardown : null };
+}
+
+/**
+ * Removes the listeners of a view and runs its teardown. Does nothing if the view isn't mounted.
+ * @param {string} name - The name of the view
+ */
+function unmountView(name) {
+  const view = ViewState.mounted[name];
+  if (!view) return;
+
+  delete ViewState.mounted[name];
+  view.controller.abort();
+  if (view.teardown) {
+    view.teardown();
+  }
+}
+
+/**
+ * Checks whether a view is on the page
+ * @param {string} name - The name of the view
+ * @returns {boolean} True if the view is mounted
+ */
+function isViewMounted(name) {
+  return Object.prototype.hasOwnProperty.call(ViewState.mounted, name);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ViewState,
+    mountView,
+    unmountView,
+    isViewMounted
+  };
+}
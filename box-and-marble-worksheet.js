@@ -0,0 +1,399 @@
+// ============================================================================
+// TEACHER WORKSHEETS
+// ============================================================================
+// The teacher page (teacher.html) prints a batch of puzzles as a worksheet and
+// a separate answer key. Each puzzle is dealt by the game core exactly like a
+// game, then opens some of its boxes and shows the marbles drawn from them.
+// Only puzzles where those marbles settle every box are kept, so the answer
+// key always has a single solution and can justify it step by step.
+//
+// A worksheet is rebuilt from its settings and seed, which the page keeps in
+// the URL hash ('#worksheet=<seed>-<difficulty>-<count>') and prints as a code.
+
+// In the browser the game core is loaded by its own script tag and shares the
+// global scope; under Node it is required like any other module
+const Core = typeof module !== 'undefined' && module.exports
+  ? require('./box-and-marble-core.js')
+  : globalThis;
+
+const WORKSHEET_CONFIG = {
+  PUZZLE_COUNTS: [4, 6, 8, 12],
+  DEFAULT_PUZZLE_COUNT: 6,
+  DEFAULT_DIFFICULTY: 'easy',
+  DEFAULT_PAPER: 'a4',
+  PAPER_SIZES: { a4: 'A4', letter: 'letter' }, // CSS @page sizes
+  MAX_ATTEMPTS: 200, // Puzzles dealt per worksheet puzzle before giving up on a fresh one
+  // Each difficulty deals puzzles of one size and opens the same number of boxes,
+  // drawing marblesPerBox marbles from each without putting them back
+  DIFFICULTIES: {
+    easy: { boxCount: 3, colorCount: 2, boxesOpened: 1, marblesPerBox: 1 },
+    medium: { boxCount: 4, colorCount: 3, boxesOpened: 2, marblesPerBox: 2 },
+    hard: { boxCount: 4, colorCount: 4, boxesOpened: 3, marblesPerBox: 1 }
+  }
+};
+
+const WorksheetState = {
+  worksheet: null,                       // The worksheet on the page (see createWorksheet)
+  paper: WORKSHEET_CONFIG.DEFAULT_PAPER  // Paper size to print on
+};
+
+// ============================================================================
+// GENERATING WORKSHEETS
+// ============================================================================
+
+/**
+ * Gets the game settings a worksheet difficulty deals its puzzles with
+ * @param {string} difficulty - A key of WORKSHEET_CONFIG.DIFFICULTIES
+ * @returns {Object} Game settings whose peek rules allow the marbles the worksheet shows
+ */
+function getWorksheetSettings(difficulty) {
+  const { boxCount, colorCount, boxesOpened, marblesPerBox } = WORKSHEET_CONFIG.DIFFICULTIES[difficulty];
+  return {
+    ...Core.getDefaultSettings(),
+    boxCount,
+    colorCount,
+    peekDraws: boxesOpened * marblesPerBox,
+    peekBoxes: boxesOpened
+  };
+}
+
+/**
+ * Lists every way to choose a number of boxes, in order
+ * @param {number} boxCount - Number of boxes in the puzzle
+ * @param {number} size - How many boxes to choose
+ * @param {number} [first] - The lowest box index that may be chosen
+ * @returns {Array<Array<number>>} The choices, as ascending box indexes
+ */
+function getBoxChoices(boxCount, size, first = 0) {
+  if (size === 0) {
+    return [[]];
+  }
+  const choices = [];
+  for (let boxIndex = first; boxIndex <= boxCount - size; boxIndex++) {
+    getBoxChoices(boxCount, size - 1, boxIndex + 1).forEach(rest => choices.push([boxIndex, ...rest]));
+  }
+  return choices;
+}
+
+/**
+ * Deals a puzzle and opens boxes whose marbles settle every box
+ * @param {number} seed - The puzzle seed
+ * @param {string} difficulty - A key of WORKSHEET_CONFIG.DIFFICULTIES
+ * @returns {Object|null} The game state after the draws, or null if no choice of boxes
+ * settles this puzzle
+ */
+function createWorksheetPuzzle(seed, difficulty) {
+  const { boxesOpened, marblesPerBox } = WORKSHEET_CONFIG.DIFFICULTIES[difficulty];
+  const dealt = Core.createGame({ settings: getWorksheetSettings(difficulty), seed });
+
+  for (const boxIndexes of getBoxChoices(dealt.boxes.length, boxesOpened)) {
+    let state = dealt;
+    boxIndexes.forEach(boxIndex => {
+      for (let draw = 0; draw < marblesPerBox; draw++) {
+        state = Core.peekIntoBox(state, state.boxes[boxIndex].id);
+      }
+    });
+    if (Core.getConsistentArrangements(state, state.observations).length === 1) {
+      return state;
+    }
+  }
+  return null;
+}
+
+/**
+ * Identifies what a worksheet puzzle shows, so a batch doesn't print the same one twice
+ * @param {Object} state - A worksheet puzzle
+ * @returns {string} The labels, contents and marbles drawn
+ */
+function getWorksheetPuzzleKey(state) {
+  return JSON.stringify([state.boxes.map(box => [box.label, box.contents]), state.observations]);
+}
+
+/**
+ * Generates a worksheet: a batch of puzzles that can each be solved from the marbles shown
+ * @param {Object} options - The worksheet settings
+ * @param {number} options.seed - Seed the whole batch is derived from
+ * @param {string} [options.difficulty] - A key of WORKSHEET_CONFIG.DIFFICULTIES
+ * @param {number} [options.count] - Number of puzzles
+ * @returns {Object} The worksheet, as { seed, difficulty, count, puzzles }
+ */
+function createWorksheet({
+  seed,
+  difficulty = WORKSHEET_CONFIG.DEFAULT_DIFFICULTY,
+  count = WORKSHEET_CONFIG.DEFAULT_PUZZLE_COUNT
+}) {
+  const random = Core.createSeededRandom(seed);
+  const nextSeed = () => Math.floor(random() * 4294967296);
+  const puzzles = [];
+  const seen = new Set();
+
+  while (puzzles.length < count) {
+    // Small puzzles only come in a few layouts; after enough tries a repeat is allowed
+    let fallback = null;
+    let puzzle = null;
+    for (let attempt = 0; attempt < WORKSHEET_CONFIG.MAX_ATTEMPTS && !puzzle; attempt++) {
+      const candidate = createWorksheetPuzzle(nextSeed(), difficulty);
+      if (candidate && seen.has(getWorksheetPuzzleKey(candidate))) {
+        fallback = fallback || candidate;
+      } else {
+        puzzle = candidate;
+      }
+    }
+
+    puzzle = puzzle || fallback;
+    if (!puzzle) {
+      break;
+    }
+    seen.add(getWorksheetPuzzleKey(puzzle));
+    puzzles.push(puzzle);
+  }
+
+  return { seed, difficulty, count, puzzles };
+}
+
+/**
+ * Writes the settings a worksheet was generated from for the URL hash
+ * @param {Object} worksheet - The worksheet
+ * @returns {string} E.g. "worksheet=123-easy-6"
+ */
+function encodeWorksheetHash(worksheet) {
+  return `worksheet=${worksheet.seed}-${worksheet.difficulty}-${worksheet.count}`;
+}
+
+/**
+ * Reads worksheet settings from a URL hash
+ * @param {string} hash - The URL hash, with or without the leading '#'
+ * @returns {Object|null} The settings ({ seed, difficulty, count }), or null if the hash is not valid
+ */
+function parseWorksheetHash(hash) {
+  const match = /^#?worksheet=(\d+)-([a-z]+)-(\d+)$/.exec(hash);
+  if (!match) {
+    return null;
+  }
+
+  const settings = { seed: Number(match[1]), difficulty: match[2], count: Number(match[3]) };
+  const isValid = settings.seed < 4294967296 &&
+    settings.difficulty in WORKSHEET_CONFIG.DIFFICULTIES &&
+    WORKSHEET_CONFIG.PUZZLE_COUNTS.includes(settings.count);
+  return isValid ? settings : null;
+}
+
+// ============================================================================
+// TEACHER PAGE
+// ============================================================================
+
+/**
+ * Sets up the teacher page: the language, the worksheet settings and the print buttons
+ */
+function initializeWorksheetPage() {
+  initializeLanguageSwitcher(() => {
+    fillWorksheetSelects();
+    renderWorksheet();
+  });
+  fillWorksheetSelects();
+
+  const settings = parseWorksheetHash(window.location.hash);
+  document.getElementById('worksheet-difficulty-select').value = settings ? settings.difficulty : WORKSHEET_CONFIG.DEFAULT_DIFFICULTY;
+  document.getElementById('worksheet-count-select').value = settings ? settings.count : WORKSHEET_CONFIG.DEFAULT_PUZZLE_COUNT;
+  document.getElementById('worksheet-paper-select').value = WorksheetState.paper;
+  setPaperSize(WorksheetState.paper);
+
+  ['worksheet-difficulty-select', 'worksheet-count-select'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => generateWorksheet());
+  });
+  document.getElementById('worksheet-paper-select').addEventListener('change', event => {
+    setPaperSize(event.target.value);
+  });
+  document.getElementById('worksheet-generate-btn').addEventListener('click', () => generateWorksheet());
+  document.getElementById('print-worksheet-btn').addEventListener('click', () => printSheet('worksheet'));
+  document.getElementById('print-answers-btn').addEventListener('click', () => printSheet('answers'));
+  window.addEventListener('afterprint', () => {
+    delete document.body.dataset.print;
+  });
+
+  generateWorksheet(settings ? settings.seed : Core.generateSeed());
+}
+
+/**
+ * Fills the difficulty, puzzle count and paper size dropdowns in the current language
+ */
+function fillWorksheetSelects() {
+  const fill = (id, options) => {
+    const select = document.getElementById(id);
+    const value = select.value;
+    select.innerHTML = '';
+    options.forEach(([optionValue, text]) => select.appendChild(new Option(text, optionValue)));
+    if (value) {
+      select.value = value;
+    }
+  };
+
+  fill('worksheet-difficulty-select', Object.keys(WORKSHEET_CONFIG.DIFFICULTIES)
+    .map(difficulty => [difficulty, translate(`worksheet.difficulty.${difficulty}`)]));
+  fill('worksheet-count-select', WORKSHEET_CONFIG.PUZZLE_COUNTS
+    .map(count => [String(count), translate('worksheet.puzzleCount', { count })]));
+  fill('worksheet-paper-select', Object.keys(WORKSHEET_CONFIG.PAPER_SIZES)
+    .map(paper => [paper, translate(`worksheet.paper.${paper}`)]));
+}
+
+/**
+ * Generates the worksheet chosen in the settings and shows it
+ * @param {number} [seed] - Seed for the batch; a fresh one is picked if omitted
+ */
+function generateWorksheet(seed = Core.generateSeed()) {
+  WorksheetState.worksheet = createWorksheet({
+    seed,
+    difficulty: document.getElementById('worksheet-difficulty-select').value,
+    count: Number(document.getElementById('worksheet-count-select').value)
+  });
+  const hash = '#' + encodeWorksheetHash(WorksheetState.worksheet);
+  try {
+    history.replaceState(null, '', hash);
+  } catch (error) {
+    // Some browsers refuse replaceState for pages opened from file://
+    window.location.replace(hash);
+  }
+  renderWorksheet();
+}
+
+/**
+ * Prints the paper size chosen for the page; the sheets are laid out to fit both sizes
+ * @param {string} paper - A key of WORKSHEET_CONFIG.PAPER_SIZES
+ */
+function setPaperSize(paper) {
+  WorksheetState.paper = paper in WORKSHEET_CONFIG.PAPER_SIZES ? paper : WORKSHEET_CONFIG.DEFAULT_PAPER;
+  document.getElementById('page-size-style').textContent =
+    `@page { size: ${WORKSHEET_CONFIG.PAPER_SIZES[WorksheetState.paper]} portrait; margin: 15mm; }`;
+}
+
+/**
+ * Prints either the worksheet or the answer key
+ * @param {string} sheet - 'worksheet' or 'answers'
+ */
+function printSheet(sheet) {
+  document.body.dataset.print = sheet;
+  window.print();
+}
+
+/**
+ * Draws the worksheet and its answer key
+ */
+function renderWorksheet() {
+  const { worksheet } = WorksheetState;
+  if (!worksheet) return;
+
+  const { marblesPerBox } = WORKSHEET_CONFIG.DIFFICULTIES[worksheet.difficulty];
+  const code = translate('worksheet.code', { code: encodeWorksheetHash(worksheet).replace('worksheet=', '') });
+
+  document.getElementById('worksheet-sheet').innerHTML = `
+    <div class="sheet-header">
+      <h2>${translate('worksheet.title')}</h2>
+      <p class="sheet-name-line">${translate('worksheet.nameLine')}</p>
+    </div>
+    <p class="sheet-instructions">
+      ${translate('worksheet.instructions')}
+      ${marblesPerBox > 1 ? translate('worksheet.noReplacement') : ''}
+    </p>
+    <div class="sheet-puzzles">
+      ${worksheet.puzzles.map(getWorksheetPuzzleHtml).join('')}
+    </div>
+    <footer class="sheet-footer">${code}</footer>
+  `;
+
+  document.getElementById('answer-key-sheet').innerHTML = `
+    <div class="sheet-header">
+      <h2>${translate('worksheet.answerTitle')}</h2>
+    </div>
+    <div class="sheet-answers">
+      ${worksheet.puzzles.map(getAnswerKeyHtml).join('')}
+    </div>
+    <footer class="sheet-footer">${code}</footer>
+  `;
+}
+
+/**
+ * Draws one puzzle of the worksheet: its boxes with their labels and the marbles drawn
+ * @param {Object} state - The worksheet puzzle
+ * @param {number} index - Position of the puzzle on the worksheet
+ * @returns {string} HTML string for the puzzle
+ */
+function getWorksheetPuzzleHtml(state, index) {
+  const boxes = state.boxes.map((box, boxIndex) => {
+    const marbles = Core.getObservedMarbles(state, box.id);
+    return `
+      <div class="sheet-box ${marbles.length > 0 ? 'opened' : ''}">
+        <div class="sheet-box-drawing">
+          <span class="sheet-box-number">${translate('box.number', { number: boxIndex + 1 })}</span>
+          <span class="sheet-box-label">${formatLabel(box.label)}</span>
+        </div>
+        <div class="sheet-box-marbles">
+          ${marbles.length > 0
+            ? `${translate('worksheet.drawn', { count: marbles.length })}
+              ${marbles.map(marble => `<span class="sheet-marble ${marble}">${formatColor(marble)}</span>`).join('')}`
+            : ''}
+        </div>
+        <div class="sheet-answer-line">${translate('worksheet.answerLine')}</div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <section class="sheet-puzzle">
+      <h3>${translate('worksheet.puzzle', { number: index + 1 })}</h3>
+      <div class="sheet-boxes">${boxes}</div>
+    </section>
+  `;
+}
+
+/**
+ * Writes the answer to one puzzle with the reasoning that leads to it
+ * @param {Object} state - The worksheet puzzle
+ * @param {number} index - Position of the puzzle on the worksheet
+ * @returns {string} HTML string for the answer
+ */
+function getAnswerKeyHtml(state, index) {
+  const rows = state.boxes.map((box, boxIndex) => `
+    <tr>
+      <td>${translate('box.number', { number: boxIndex + 1 })}</td>
+      <td>${quote(formatLabel(box.label))}</td>
+      <td><strong>${formatContents(box.contents)}</strong></td>
+    </tr>
+  `).join('');
+  const reasons = describeDeductionSteps(Core.analyzeDeduction(state).steps, state.boxes);
+
+  return `
+    <section class="sheet-answer">
+      <h3>${translate('worksheet.puzzle', { number: index + 1 })}</h3>
+      <table class="sheet-answer-table">
+        <thead>
+          <tr>
+            <th scope="col">${translate('worksheet.answerBox')}</th>
+            <th scope="col">${translate('worksheet.answerLabel')}</th>
+            <th scope="col">${translate('worksheet.answerContents')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <ol class="sheet-reasons">
+        ${reasons.map(reason => `<li>${reason}</li>`).join('')}
+      </ol>
+    </section>
+  `;
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', initializeWorksheetPage);
+}
+
+// Export for Node (tests); in the browser these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WORKSHEET_CONFIG,
+    getWorksheetSettings,
+    getBoxChoices,
+    createWorksheetPuzzle,
+    createWorksheet,
+    encodeWorksheetHash,
+    parseWorksheetHash
+  };
+}
@@ -0,0 +1,214 @@
+// ============================================================================
+// RACE RELAY
+// ============================================================================
+// A small WebSocket relay for race mode on a local network (see
+// box-and-marble-race.js). Start it on one computer with
+//
+//   node race-relay.js [port]
+//
+// and have every player enter ws://<that computer's address>:<port> as the
+// relay in the race panel. Players connect with ?room=CODE and every message
+// one of them sends is passed on to the others in the same room, unread, just
+// like a BroadcastChannel does between tabs. It only uses Node's own modules.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const RELAY_CONFIG = {
+  DEFAULT_PORT: 8787,
+  HANDSHAKE_GUID: '258EAFA5-E914-47DA-95CA-C5AB0DC85B11', // Fixed by the WebSocket protocol (RFC 6455)
+  MAX_MESSAGE_BYTES: 64 * 1024  // Rooms are small; anything bigger is not a race message
+};
+
+// Frame opcodes of the WebSocket protocol
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+/**
+ * Computes the key the server answers a WebSocket handshake with
+ * @param {string} key - The Sec-WebSocket-Key header sent by the client
+ * @returns {string} The Sec-WebSocket-Accept header
+ */
+function createAcceptKey(key) {
+  return crypto.createHash('sha1').update(key + RELAY_CONFIG.HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encodes a frame. Servers send frames unmasked; clients must mask theirs.
+ * @param {string|Buffer} payload - The text, or the raw payload of a control frame
+ * @param {number} [opcode] - One of OPCODES
+ * @param {Buffer} [mask] - Four bytes to mask the payload with, for frames sent by a client
+ * @returns {Buffer} The frame
+ */
+function encodeFrame(payload, opcode = OPCODES.TEXT, mask = null) {
+  const data = Buffer.from(payload);
+  const lengthBytes = data.length < 126 ? 0 : data.length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+  header[0] = 0x80 | opcode; // Always the final frame of its message
+  if (lengthBytes === 0) {
+    header[1] = data.length;
+  } else if (lengthBytes === 2) {
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+
+  header[1] |= 0x80;
+  mask.copy(header, 2 + lengthBytes);
+  return Buffer.concat([header, data.map((byte, index) => byte ^ mask[index % 4])]);
+}
+
+/**
+ * Decodes the complete frames at the start of the bytes received so far
+ * @param {Buffer} buffer - The bytes received and not decoded yet
+ * @returns {Object} { frames, rest, error }: the frames as { opcode, payload }, the bytes
+ * of an incomplete frame to keep for later, and whether a frame was too large
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    if (length > RELAY_CONFIG.MAX_MESSAGE_BYTES) {
+      return { frames, rest: Buffer.alloc(0), error: true };
+    }
+
+    const maskLength = masked ? 4 : 0;
+    const frameLength = headerLength + maskLength + length;
+    if (buffer.length - offset < frameLength) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+    if (masked) {
+      payload.forEach((byte, index) => {
+        payload[index] = byte ^ mask[index % 4];
+      });
+    }
+
+    frames.push({ opcode, payload });
+    offset += frameLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset), error: false };
+}
+
+// ============================================================================
+// RELAY
+// ============================================================================
+
+/**
+ * Creates the relay server; call listen(port) on it to start it
+ * @returns {http.Server} The server, which also answers plain HTTP requests with a short note
+ */
+function createRelayServer() {
+  const rooms = new Map(); // Room code -> the sockets in it
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Box and Marble race relay. Enter this address, starting with ws://, as the relay in the race panel.\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const room = new URL(request.url, 'http://relay').searchParams.get('room');
+    const key = request.headers['sec-websocket-key'];
+    if (!room || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${createAcceptKey(key)}`,
+      '', ''
+    ].join('\r\n'));
+
+    if (!rooms.has(room)) {
+      rooms.set(room, new Set());
+    }
+    const peers = rooms.get(room);
+    peers.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const { frames, rest, error } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      if (error) {
+        socket.destroy();
+        return;
+      }
+
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === OPCODES.TEXT) {
+          const frame = encodeFrame(payload);
+          peers.forEach(peer => {
+            if (peer !== socket) {
+              peer.write(frame);
+            }
+          });
+        } else if (opcode === OPCODES.PING) {
+          socket.write(encodeFrame(payload, OPCODES.PONG));
+        } else if (opcode === OPCODES.CLOSE) {
+          socket.end(encodeFrame(payload, OPCODES.CLOSE));
+        }
+      });
+    });
+
+    const leave = () => {
+      peers.delete(socket);
+      if (peers.size === 0) {
+        rooms.delete(room);
+      }
+    };
+    socket.on('close', leave);
+    socket.on('error', leave);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || RELAY_CONFIG.DEFAULT_PORT;
+  createRelayServer().listen(port, () => {
+    console.log(`Race relay listening on ws://0.0.0.0:${port} (press Ctrl+C to stop)`);
+  });
+}
+
+module.exports = {
+  RELAY_CONFIG,
+  OPCODES,
+  createAcceptKey,
+  encodeFrame,
+  decodeFrames,
+  createRelayServer
+};
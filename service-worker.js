@@ -0,0 +1,115 @@
+// ============================================================================
+// SERVICE WORKER
+// ============================================================================
+// Keeps every file of the site in a cache so the puzzle works without a
+// connection (registered by box-and-marble-offline.js). Files are answered from
+// the cache first, so a deployed change only reaches players once CACHE_VERSION
+// changes: the browser then installs this worker again next to the old one,
+// the page offers the new version, and the new worker only takes over (and
+// deletes the old cache) once the player accepts.
+//
+// Bump CACHE_VERSION with every deploy that changes a file below, and add new
+// files to PRECACHE_URLS.
+
+const CACHE_VERSION = 3;
+const CACHE_PREFIX = 'box-and-marble-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Relative to this file, which sits next to index.html
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'teacher.html',
+  'embed-demo.html',
+  'styles.css',
+  'manifest.webmanifest',
+  'icon.svg',
+  'box-and-marble-solver.js',
+  'box-and-marble-core.js',
+  'box-and-marble-i18n.js',
+  'box-and-marble-stats.js',
+  'box-and-marble-replay.js',
+  'box-and-marble-challenge.js',
+  'box-and-marble-race.js',
+  'box-and-marble-embed.js',
+  'box-and-marble-scene.js',
+  'box-and-marble-views.js',
+  'box-and-marble-offline.js',
+  'box-and-marble-share.js',
+  'box-and-marble-script.js',
+  'box-and-marble-worksheet.js',
+  'puzzles/classic.json',
+  'puzzles/four-boxes.json'
+];
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Downloads every file of this version into its own cache. The worker then waits
+ * for the page to ask it to take over, so an open round isn't switched to new files.
+ * @param {ExtendableEvent} event - The install event
+ */
+function handleInstall(event) {
+  // Past the browser's HTTP cache, which could still hold the previous version's files
+  const requests = PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }));
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(requests)));
+}
+
+/**
+ * Deletes the caches of earlier versions and takes over the open pages
+ * @param {ExtendableEvent} event - The activate event
+ */
+function handleActivate(event) {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+}
+
+/**
+ * Takes over when the page asks for it (the player chose to load the new version)
+ * @param {ExtendableMessageEvent} event - The message event
+ */
+function handleMessage(event) {
+  if (event.data && event.data.type === 'skipWaiting') {
+    self.skipWaiting();
+  }
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Answers the site's own files from the cache, falling back to the network for
+ * anything not cached. Other requests (a race relay, another site) are left alone.
+ * @param {FetchEvent} event - The fetch event
+ */
+function handleFetch(event) {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages are opened with parameters (?puzzle=..., ?parentOrigin=...) the cache doesn't know
+  const options = request.mode === 'navigate' ? { ignoreSearch: true } : {};
+  event.respondWith(caches.open(CACHE_NAME)
+    .then(cache => cache.match(request, options))
+    .then(response => response || fetch(request)));
+}
+
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+  self.addEventListener('install', handleInstall);
+  self.addEventListener('activate', handleActivate);
+  self.addEventListener('message', handleMessage);
+  self.addEventListener('fetch', handleFetch);
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CACHE_VERSION,
+    PRECACHE_URLS
+  };
+}
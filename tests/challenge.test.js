@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getDefaultSettings,
+  createGame,
+  peekIntoBox,
+  assignLabel,
+  submitAnswers,
+  getCorrectLabelForBox,
+  analyzeFirstPeek
+} = require('../box-and-marble-core.js');
+const {
+  CHALLENGE_CONFIG,
+  scoreRound,
+  getChallengeModeId,
+  createSeries,
+  addSeriesRound,
+  isSeriesFinished,
+  createLeaderboardEntry,
+  addLeaderboardEntry,
+  getLeaderboardTable
+} = require('../box-and-marble-challenge.js');
+
+/**
+ * Builds the results of a round for scoring tests
+ * @param {number} correct - Boxes answered correctly out of three
+ * @param {boolean} peekWasGuaranteed - Whether the box opened guaranteed the answer
+ * @param {boolean} [puzzleHasGuaranteedPeek] - Whether any box could have guaranteed it
+ * @returns {Object} Results shaped like calculateResults output
+ */
+function results(correct, peekWasGuaranteed, puzzleHasGuaranteedPeek = true) {
+  return {
+    correct,
+    total: 3,
+    firstPeek: { wasGuaranteed: peekWasGuaranteed, guaranteedBoxes: puzzleHasGuaranteedPeek ? [0] : [] }
+  };
+}
+
+test('rounds score correct boxes, speed and a penalty for avoidable guesses', () => {
+  const fast = scoreRound(results(3, true), 20000);
+  assert.deepEqual(fast, { boxPoints: 300, perfectBonus: 200, timeBonus: 500, guessPenalty: 0, total: 1000 });
+
+  // Slower than the time limit earns no time bonus; partial answers earn part of it
+  assert.equal(scoreRound(results(3, true), 300000).timeBonus, 0);
+  assert.equal(scoreRound(results(1, true), 20000).timeBonus, 167);
+
+  assert.equal(scoreRound(results(3, false), 20000).guessPenalty, CHALLENGE_CONFIG.GUESS_PENALTY);
+  assert.equal(scoreRound(results(3, false, false), 20000).guessPenalty, 0);
+  assert.equal(scoreRound(results(0, false), 300000).total, 0);
+});
+
+test('a guess is judged by the peek rules of the round, not by what one marble shows', () => {
+  const settings = { ...getDefaultSettings(), boxCount: 4, colorCount: 3, peekDraws: 3, peekBoxes: 2 };
+  const game = createGame({ settings, seed: 1 });
+  const play = boxIndex => {
+    let state = peekIntoBox(game, game.boxes[boxIndex].id);
+    state.boxes.forEach(box => {
+      state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+    });
+    return submitAnswers(state).results;
+  };
+
+  // No single marble settles this board, but the draws allowed do when they start from box 3
+  assert.deepEqual(analyzeFirstPeek(game).guaranteedBoxes, [2]);
+  assert.equal(scoreRound(play(2), 20000).guessPenalty, 0);
+  assert.equal(scoreRound(play(0), 20000).guessPenalty, CHALLENGE_CONFIG.GUESS_PENALTY);
+});
+
+test('each mode keeps its own ranked leaderboard table', () => {
+  const settings = getDefaultSettings();
+  const finish = (series, score, elapsedMs) => addSeriesRound(series, {
+    seed: 1, elapsedMs, correct: 3, total: 3, score: { total: score }
+  });
+
+  const series = createSeries(settings, 1);
+  assert.equal(isSeriesFinished(series), false);
+  assert.equal(isSeriesFinished(finish(series, 0, 0)), true);
+  assert.notEqual(getChallengeModeId(settings, 1), getChallengeModeId({ ...settings, adversarial: true }, 1));
+  assert.notEqual(getChallengeModeId(settings, 1), getChallengeModeId(settings, 5));
+  assert.equal(getChallengeModeId(settings, 5), '3x2-1.1-fair-5');
+  assert.equal(getChallengeModeId({ ...settings, truthRule: 'card' }, 5), '3x2-1.1-fair-card-5');
+  assert.equal(getChallengeModeId({ ...settings, difficulty: 'hard' }, 5), '3x2-1.1-fair-hard-5');
+
+  let leaderboard = [];
+  leaderboard = addLeaderboardEntry(leaderboard, createLeaderboardEntry('Slow', finish(series, 800, 60000), 1));
+  leaderboard = addLeaderboardEntry(leaderboard, createLeaderboardEntry('Fast', finish(series, 800, 30000), 2));
+  leaderboard = addLeaderboardEntry(leaderboard, createLeaderboardEntry('  Best  ', finish(series, 900, 90000), 3));
+  leaderboard = addLeaderboardEntry(leaderboard, createLeaderboardEntry('Other', finish(createSeries(settings, 3), 5, 0), 4));
+
+  assert.deepEqual(getLeaderboardTable(leaderboard, series.modeId).map(entry => entry.name), ['Best', 'Fast', 'Slow']);
+  assert.equal(getLeaderboardTable(leaderboard, getChallengeModeId(settings, 3)).length, 1);
+
+  for (let index = 0; index < CHALLENGE_CONFIG.LEADERBOARD_SIZE; index++) {
+    leaderboard = addLeaderboardEntry(leaderboard, createLeaderboardEntry('Pro', finish(series, 1000, 0), 10 + index));
+  }
+  const table = getLeaderboardTable(leaderboard, series.modeId);
+  assert.equal(table.length, CHALLENGE_CONFIG.LEADERBOARD_SIZE);
+  assert.ok(table.every(entry => entry.name === 'Pro'));
+  assert.equal(getLeaderboardTable(leaderboard, getChallengeModeId(settings, 3)).length, 1);
+});
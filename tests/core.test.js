@@ -0,0 +1,502 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  GAME_PHASES,
+  createSeededRandom,
+  checkContentsMatchLabel,
+  getMarbleCombinations,
+  getMaxBoxCount,
+  normalizePuzzleSize,
+  hasSolvableBoard,
+  findSolvablePeekRules,
+  generatePuzzleConfiguration,
+  encodePuzzleHash,
+  encodePeekRules,
+  parsePuzzleHash,
+  createGame,
+  peekIntoBox,
+  assignLabel,
+  moveLabel,
+  getLabelOnBox,
+  submitAnswers,
+  restartGame,
+  getPuzzleLabels,
+  getRemainingDraws,
+  getDefaultSettings,
+  decodeLayout,
+  getLabelId,
+  getConsistentArrangements,
+  getCorrectLabelForBox,
+  validatePuzzleDefinition,
+  TRUTH_RULES,
+  countCorrectLabels,
+  getPuzzleCorrectCounts,
+  isPuzzleSolvable,
+  takeHint,
+  getHint,
+  listBoardFamilies
+} = require('../box-and-marble-core.js');
+
+/**
+ * Plays a game through to submission, answering every box with the given labels
+ * @param {Object} state - A game waiting for a peek
+ * @param {Array<string>} labels - The answer for each box, in box order
+ * @returns {Object} The submitted game state
+ */
+function playRound(state, labels) {
+  let next = peekIntoBox(state, state.boxes[0].id);
+  state.boxes.forEach((box, index) => {
+    next = assignLabel(next, box.id, labels[index]);
+  });
+  return submitAnswers(next);
+}
+
+test('seeded random streams are reproducible', () => {
+  const first = createSeededRandom(1234);
+  const second = createSeededRandom(1234);
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal(first(), second());
+  }
+});
+
+test('marble combinations cover every pair of colors', () => {
+  assert.equal(getMarbleCombinations(['red', 'white']).length, 3);
+  assert.equal(getMarbleCombinations(['red', 'white', 'blue']).length, 6);
+  assert.equal(getMaxBoxCount(2), 3);
+  assert.equal(getMaxBoxCount(3), 6);
+  assert.deepEqual(normalizePuzzleSize({ boxCount: 6, colorCount: 2 }), { boxCount: 3, colorCount: 2 });
+  assert.deepEqual(normalizePuzzleSize({ boxCount: 9, colorCount: 9 }), { boxCount: 6, colorCount: 4 });
+  assert.deepEqual(normalizePuzzleSize({}), { boxCount: 3, colorCount: 2 });
+});
+
+test('generated puzzles have every label wrong for every supported size', () => {
+  for (let colorCount = 2; colorCount <= 4; colorCount++) {
+    for (let boxCount = 3; boxCount <= getMaxBoxCount(colorCount); boxCount++) {
+      for (let seed = 0; seed < 20; seed++) {
+        const { boxes, combinations } = generatePuzzleConfiguration(
+          { boxCount, colorCount },
+          createSeededRandom(seed)
+        );
+        const labels = boxes.map(box => box.label).sort();
+        const contents = boxes.map(getCorrectLabelForBox).sort();
+
+        assert.equal(boxes.length, boxCount);
+        assert.equal(combinations.length, boxCount);
+        assert.deepEqual(labels, contents);
+        assert.equal(new Set(labels).size, boxCount);
+        assert.equal(boxes.some(checkContentsMatchLabel), false);
+      }
+    }
+  }
+});
+
+test('the same seed and settings build the same game', () => {
+  const settings = { boxCount: 4, colorCount: 3 };
+  assert.deepEqual(createGame({ settings, seed: 99 }), createGame({ settings, seed: 99 }));
+});
+
+test('a puzzle link rebuilds the same boxes and marble draws', () => {
+  const game = createGame({ seed: 2024 });
+  const link = parsePuzzleHash('#' + encodePuzzleHash(game));
+  const rebuilt = createGame({ seed: link.seed, layout: link.layout });
+
+  assert.deepEqual(rebuilt.boxes, game.boxes);
+  game.boxes.forEach(box => {
+    assert.deepEqual(peekIntoBox(rebuilt, box.id).observations, peekIntoBox(game, box.id).observations);
+  });
+});
+
+test('invalid puzzle links are rejected', () => {
+  assert.equal(parsePuzzleHash('#layout=red-red.white-white'), null);
+  assert.equal(parsePuzzleHash('#seed=abc'), null);
+  assert.equal(parsePuzzleHash('#seed=1&layout=red-red.red-red,red-white.white-white,white-white.red-white').layout, null);
+});
+
+test('a game moves from peek to label to submitted', () => {
+  const game = createGame({ seed: 7 });
+  assert.equal(game.phase, GAME_PHASES.PEEK);
+
+  const peeked = peekIntoBox(game, game.boxes[1].id);
+  assert.equal(peeked.phase, GAME_PHASES.LABEL);
+  assert.equal(peeked.observations.length, 1);
+  assert.equal(peeked.observations[0].boxId, game.boxes[1].id);
+  assert.ok(game.boxes[1].contents.includes(peeked.observations[0].marble));
+
+  // The original state is left untouched
+  assert.equal(game.phase, GAME_PHASES.PEEK);
+
+  const submitted = playRound(game, game.boxes.map(getCorrectLabelForBox));
+  assert.equal(submitted.phase, GAME_PHASES.SUBMITTED);
+  assert.equal(submitted.results.correct, submitted.results.total);
+});
+
+test('transitions that break the rules leave the state unchanged', () => {
+  const game = createGame({ seed: 7 });
+  const [firstBox, secondBox] = game.boxes;
+  const label = getPuzzleLabels(game)[0];
+
+  // Labels before peeking, a second peek, duplicate labels and early submission
+  assert.equal(assignLabel(game, firstBox.id, label), game);
+
+  const peeked = peekIntoBox(game, firstBox.id);
+  assert.equal(peekIntoBox(peeked, secondBox.id), peeked);
+
+  const labelled = assignLabel(peeked, firstBox.id, label);
+  assert.equal(assignLabel(labelled, secondBox.id, label), labelled);
+  assert.equal(assignLabel(labelled, secondBox.id, 'purple-purple'), labelled);
+  assert.equal(submitAnswers(labelled), labelled);
+});
+
+test('moving labels between boxes swaps them and scores like chosen answers', () => {
+  const game = peekIntoBox(createGame({ seed: 7 }), 'matchbox-1');
+  const [first, second, third] = game.boxes;
+
+  // Every box starts out showing its printed label, which is not yet an answer
+  assert.deepEqual(game.boxes.map(box => getLabelOnBox(game, box.id)), game.boxes.map(box => box.label));
+  assert.equal(moveLabel(game, first.id, first.id), game);
+  assert.equal(moveLabel(createGame({ seed: 7 }), first.id, second.id).phase, GAME_PHASES.PEEK);
+
+  const swapped = moveLabel(game, first.id, second.id);
+  assert.equal(swapped.userLabelSelections[first.id], second.label);
+  assert.equal(swapped.userLabelSelections[second.id], first.label);
+  assert.equal(swapped.userLabelSelections[third.id], '');
+
+  // A label chosen in a dropdown peels the same printed label off its box
+  const chosen = assignLabel(game, first.id, third.label);
+  assert.equal(getLabelOnBox(chosen, third.id), '');
+  const moved = moveLabel(chosen, first.id, third.id);
+  assert.equal(moved.userLabelSelections[first.id], '');
+  assert.equal(moved.userLabelSelections[third.id], third.label);
+  assert.equal(getLabelOnBox(moved, first.id), first.label);
+
+  // Rearranging every label into place scores like choosing the answers
+  let state = game;
+  game.boxes.forEach(box => {
+    const holder = state.boxes.find(other => getLabelOnBox(state, other.id) === getCorrectLabelForBox(box));
+    state = moveLabel(state, holder.id, box.id);
+  });
+  assert.equal(submitAnswers(state).results.correct, game.boxes.length);
+});
+
+test('results score each box and report whether the peek forced the answer', () => {
+  const game = createGame({ seed: 11 });
+  const wrongAnswers = game.boxes.map(box => box.label);
+  const submitted = playRound(game, wrongAnswers);
+
+  assert.equal(submitted.results.correct, 0);
+  assert.equal(submitted.results.details.length, game.boxes.length);
+  assert.equal(typeof submitted.results.deduction.isForced, 'boolean');
+});
+
+test('restarting keeps the settings and deals a new puzzle', () => {
+  const game = createGame({ settings: { boxCount: 5, colorCount: 3 }, seed: 1 });
+  const restarted = restartGame(game, 2);
+
+  assert.deepEqual(restarted.settings, game.settings);
+  assert.equal(restarted.phase, GAME_PHASES.PEEK);
+  assert.equal(restarted.seed, 2);
+});
+
+test('the peek rules limit how many marbles and boxes can be drawn from', () => {
+  const game = createGame({ seed: 3, settings: { ...getDefaultSettings(), peekDraws: 3, peekBoxes: 2 } });
+  const [firstBox, secondBox, thirdBox] = game.boxes;
+
+  // Without replacement a box runs out after both of its marbles
+  const emptied = peekIntoBox(peekIntoBox(game, firstBox.id), firstBox.id);
+  assert.deepEqual(emptied.observations.map(observation => observation.marble).sort(), [...firstBox.contents].sort());
+  assert.equal(peekIntoBox(emptied, firstBox.id), emptied);
+
+  // A second box may be opened, a third may not
+  const twoBoxes = peekIntoBox(emptied, secondBox.id);
+  assert.equal(getRemainingDraws(twoBoxes), 0);
+  assert.equal(peekIntoBox(peekIntoBox(game, firstBox.id), secondBox.id).observations.length, 2);
+  assert.equal(peekIntoBox(peekIntoBox(peekIntoBox(game, firstBox.id), secondBox.id), thirdBox.id).observations.length, 2);
+
+  // Labelling can start after the first marble without ending the peeks
+  const labelled = assignLabel(peekIntoBox(game, firstBox.id), firstBox.id, getPuzzleLabels(game)[0]);
+  assert.equal(peekIntoBox(labelled, firstBox.id).observations.length, 2);
+});
+
+test('drawing with replacement can keep drawing from one box', () => {
+  const game = createGame({ seed: 3, settings: { ...getDefaultSettings(), peekDraws: 4, drawWithReplacement: true } });
+  let state = game;
+  for (let draw = 0; draw < 4; draw++) {
+    state = peekIntoBox(state, game.boxes[0].id);
+  }
+
+  assert.equal(state.observations.length, 4);
+  assert.ok(state.observations.every(observation => game.boxes[0].contents.includes(observation.marble)));
+});
+
+test('puzzle links carry peek rules other than the classic ones', () => {
+  const classic = createGame({ seed: 5 });
+  assert.ok(!encodePuzzleHash(classic).includes('peeks'));
+  assert.deepEqual(parsePuzzleHash('#' + encodePuzzleHash(classic)).rules, { peekDraws: 1, peekBoxes: 1, drawWithReplacement: false, truthRule: 'all-labels-wrong', adversarial: false });
+
+  const relaxed = createGame({ seed: 5, settings: { ...getDefaultSettings(), peekDraws: 2, peekBoxes: 2, drawWithReplacement: true } });
+  const link = parsePuzzleHash('#' + encodePuzzleHash(relaxed));
+  assert.deepEqual(link.rules, { peekDraws: 2, peekBoxes: 2, drawWithReplacement: true, truthRule: 'all-labels-wrong', adversarial: false });
+
+  // Impossible rules fall back to the classic ones
+  assert.equal(parsePuzzleHash('#seed=5&peeks=1-3').rules.peekBoxes, 1);
+});
+
+test('the adversarial professor defeats guesses but not deduction', () => {
+  const layout = decodeLayout('red-white.red-red,red-red.white-white,white-white.red-white');
+  const settings = { ...getDefaultSettings(), adversarial: true };
+  const mixedBox = 'matchbox-1';
+
+  for (let seed = 0; seed < 20; seed++) {
+    const game = createGame({ settings, seed, layout });
+
+    // Peeking in a single-color box always leaves two arrangements, and every answer loses
+    const guessed = peekIntoBox(game, 'matchbox-2');
+    assert.equal(getConsistentArrangements(guessed, guessed.observations).length, 2);
+    const guessedResults = playRound(guessed, guessed.boxes.map(getCorrectLabelForBox)).results;
+    assert.ok(guessedResults.correct < guessedResults.total);
+
+    // Peeking in the mixed-label box forces the answer, which the professor must accept
+    const deduced = peekIntoBox(game, mixedBox);
+    const [arrangement] = getConsistentArrangements(deduced, deduced.observations);
+    const deducedResults = playRound(deduced, arrangement.map(getLabelId)).results;
+    assert.equal(deducedResults.correct, deducedResults.total);
+    assert.ok(deducedResults.details[0].actualContents.includes(deduced.observations[0].marble));
+  }
+});
+
+test('the example puzzle files are valid definitions', () => {
+  const { errors, puzzle } = validatePuzzleDefinition(require('../puzzles/classic.json'));
+  assert.deepEqual(errors, []);
+
+  const game = createGame({ layout: puzzle.layout, settings: { ...getDefaultSettings(), ...puzzle.rules }, seed: 1 });
+  assert.deepEqual(game.boxes.map(box => box.label), ['red-white', 'red-red', 'white-white']);
+  assert.deepEqual(game.boxes[0].contents, ['red', 'red']);
+  assert.equal(puzzle.title.es, 'El clásico');
+
+  assert.deepEqual(validatePuzzleDefinition(require('../puzzles/four-boxes.json')).errors, []);
+});
+
+test('puzzle definitions that contradict themselves or cannot be solved are rejected', () => {
+  const classic = require('../puzzles/classic.json');
+  const codes = definition => validatePuzzleDefinition(definition).errors.map(error => error.code);
+
+  assert.deepEqual(codes('not a puzzle'), ['not-object']);
+  assert.deepEqual(codes({ ...classic, version: 2 }), ['format']);
+
+  // A box whose label is right breaks the rule; two boxes with the same contents leave a label unused
+  const honest = { ...classic, boxes: [{ label: ['red', 'white'], contents: ['red', 'white'] }, ...classic.boxes.slice(1)] };
+  assert.ok(codes(honest).includes('rule-broken'));
+  assert.ok(codes(honest).includes('duplicate-contents'));
+  assert.deepEqual(codes({ ...classic, rule: 'one-label-right' }), ['rule-count']);
+
+  // Four boxes and three colors can't be settled by a single marble
+  const four = require('../puzzles/four-boxes.json');
+  assert.deepEqual(codes({ ...four, peek: { draws: 1, boxes: 1 } }), ['unsolvable']);
+});
+
+test('generated puzzles follow their truth rule and can be solved by logic', () => {
+  TRUTH_RULES.forEach(truthRule => {
+    const settings = { ...getDefaultSettings(), colorCount: 3, peekDraws: 2, truthRule };
+    for (let seed = 0; seed < 10; seed++) {
+      const game = createGame({ settings, seed });
+      assert.ok(getPuzzleCorrectCounts(game).includes(countCorrectLabels(game.boxes)), `${truthRule} seed ${seed}`);
+      assert.ok(isPuzzleSolvable(game), `${truthRule} seed ${seed}`);
+
+      const link = parsePuzzleHash('#' + encodePuzzleHash(game));
+      assert.equal(link.rules.truthRule, truthRule);
+      assert.deepEqual(link.layout.map(box => box.label), game.boxes.map(box => box.label));
+    }
+  });
+
+  // One wrong label always makes another wrong, so "at most one wrong" leaves every label right
+  const honest = createGame({ settings: { ...getDefaultSettings(), truthRule: 'at-most-one-wrong' }, seed: 3 });
+  assert.equal(countCorrectLabels(honest.boxes), honest.boxes.length);
+
+  // A link whose labels break its truth rule regenerates the puzzle from the seed
+  assert.equal(parsePuzzleHash('#seed=1&layout=red-white.red-white,red-red.white-white,white-white.red-red').layout, null);
+});
+
+test('the generator skips puzzles that need a guess and flags settings that allow no other', () => {
+  // With three colors some sets of labels can't be settled by one marble; those are never dealt
+  const settings = { ...getDefaultSettings(), colorCount: 3 };
+  for (let seed = 0; seed < 20; seed++) {
+    assert.ok(isPuzzleSolvable(createGame({ settings, seed })));
+  }
+
+  // With exactly one label right, a single marble never settles the classic puzzle. The
+  // puzzle is still dealt under the rules asked for, and two marbles are suggested.
+  const oneRightSettings = { ...getDefaultSettings(), truthRule: 'one-label-right' };
+  const oneRight = createGame({ settings: oneRightSettings, seed: 1 });
+  assert.equal(countCorrectLabels(oneRight.boxes), 1);
+  assert.equal(oneRight.settings.peekDraws, 1);
+  assert.equal(isPuzzleSolvable(oneRight), false);
+  assert.equal(hasSolvableBoard(oneRightSettings), false);
+  assert.deepEqual(findSolvablePeekRules(oneRightSettings), { peekDraws: 2, peekBoxes: 1, drawWithReplacement: false });
+
+  // Drawing with replacement is kept in the suggestion when it is enough
+  const withReplacement = { ...getDefaultSettings(), boxCount: 4, colorCount: 4, drawWithReplacement: true };
+  assert.deepEqual(findSolvablePeekRules(withReplacement), { peekDraws: 2, peekBoxes: 2, drawWithReplacement: true });
+
+  // No peek rules solve five boxes of three colors, and the five boxes are dealt all the same
+  const fiveBoxes = { ...getDefaultSettings(), boxCount: 5, colorCount: 3, peekDraws: 4, peekBoxes: 3 };
+  assert.equal(hasSolvableBoard(fiveBoxes), false);
+  assert.equal(findSolvablePeekRules(fiveBoxes), null);
+  assert.equal(createGame({ settings: fiveBoxes, seed: 1 }).boxes.length, 5);
+});
+
+/**
+ * Lists every set of peek rules the settings offer
+ * @returns {Array<Object>} The rules, as { peekDraws, peekBoxes, drawWithReplacement }
+ */
+function listOfferedPeekRules() {
+  const rules = [];
+  for (let peekDraws = 1; peekDraws <= 4; peekDraws++) {
+    for (let peekBoxes = 1; peekBoxes <= Math.min(peekDraws, 3); peekBoxes++) {
+      rules.push({ peekDraws, peekBoxes, drawWithReplacement: false }, { peekDraws, peekBoxes, drawWithReplacement: true });
+    }
+  }
+  return rules;
+}
+
+test('the settings say a board can be solved by logic exactly when one of the boards listed can', () => {
+  for (let colorCount = 2; colorCount <= 4; colorCount++) {
+    for (let boxCount = 3; boxCount <= getMaxBoxCount(colorCount); boxCount++) {
+      TRUTH_RULES.forEach(truthRule => {
+        listOfferedPeekRules().forEach(peekRules => {
+          const settings = { boxCount, colorCount, truthRule, ...peekRules };
+          const name = `${boxCount}x${colorCount} ${truthRule} ${encodePeekRules(peekRules)}`;
+          assert.equal(hasSolvableBoard(settings), listBoardFamilies(settings).some(family => family.solvable), name);
+
+          // The peek rules suggested are no stricter than those chosen, and are enough
+          const suggested = findSolvablePeekRules(settings);
+          if (suggested) {
+            assert.ok(suggested.peekDraws >= peekRules.peekDraws && suggested.peekBoxes >= peekRules.peekBoxes, name);
+            assert.ok(hasSolvableBoard({ ...settings, ...suggested }), name);
+          }
+        });
+      });
+    }
+  }
+});
+
+/**
+ * Deals a puzzle from many seeds and counts how often each board comes up
+ * @param {Object} settings - The game settings
+ * @param {number} deals - How many puzzles to deal
+ * @returns {Map<string, number>} The number of deals of each board, by its labels and contents
+ */
+function countDealtBoards(settings, deals) {
+  const counts = new Map();
+  for (let seed = 0; seed < deals; seed++) {
+    const key = createGame({ settings, seed }).boxes.map(box => `${box.label}:${getCorrectLabelForBox(box)}`).join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+test('every valid board is dealt equally often', () => {
+  // 12 classic boards; and with a card, 12 with no label right and 18 with one right.
+  // The chi-squared statistic stays under its 0.1% critical value for 11 and 29 degrees of freedom.
+  [
+    { settings: getDefaultSettings(), boards: 12, critical: 31.26 },
+    { settings: { ...getDefaultSettings(), truthRule: 'card', peekDraws: 2 }, boards: 30, critical: 58.3 }
+  ].forEach(({ settings, boards, critical }) => {
+    const deals = 200 * boards;
+    const counts = countDealtBoards(settings, deals);
+    const expected = deals / boards;
+    const chiSquared = [...counts.values()].reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+
+    assert.equal(counts.size, boards);
+    assert.equal(listBoardFamilies(settings).reduce((sum, family) => sum + family.boardCount, 0), boards);
+    assert.ok(chiSquared < critical, `chi-squared ${chiSquared.toFixed(1)} for ${settings.truthRule}`);
+  });
+});
+
+test('every size and truth rule deals boards that follow the rule, without falling back', () => {
+  for (let colorCount = 2; colorCount <= 4; colorCount++) {
+    for (let boxCount = 3; boxCount <= getMaxBoxCount(colorCount); boxCount++) {
+      TRUTH_RULES.forEach(truthRule => {
+        const settings = { ...getDefaultSettings(), boxCount, colorCount, truthRule };
+        for (let seed = 0; seed < 3; seed++) {
+          const game = createGame({ settings, seed });
+          const labels = game.boxes.map(box => box.label);
+          assert.equal(new Set(labels).size, boxCount);
+          assert.deepEqual([...labels].sort(), game.boxes.map(getCorrectLabelForBox).sort());
+          assert.ok(getPuzzleCorrectCounts(game).includes(countCorrectLabels(game.boxes)), `${boxCount}x${colorCount} ${truthRule}`);
+        }
+      });
+    }
+  }
+});
+
+test('every board dealt under the settings asked for can be solved by logic when the settings allow it', () => {
+  for (let colorCount = 2; colorCount <= 4; colorCount++) {
+    for (let boxCount = 3; boxCount <= getMaxBoxCount(colorCount); boxCount++) {
+      TRUTH_RULES.forEach(truthRule => {
+        listOfferedPeekRules().forEach(peekRules => {
+          const settings = { ...getDefaultSettings(), boxCount, colorCount, truthRule, ...peekRules };
+          for (let seed = 0; seed < 2; seed++) {
+            const game = createGame({ settings, seed });
+            const name = `${boxCount}x${colorCount} ${truthRule} ${encodePeekRules(peekRules)} seed ${seed}`;
+            assert.deepEqual(game.settings, settings, name);
+            assert.equal(isPuzzleSolvable(game), hasSolvableBoard(settings), name);
+          }
+        });
+      });
+    }
+  }
+});
+
+test('boards are graded and players can ask for a difficulty', () => {
+  assert.equal(createGame({ seed: 1 }).difficulty, 'medium');
+  assert.equal(createGame({ settings: { ...getDefaultSettings(), truthRule: 'at-most-one-wrong' }, seed: 1 }).difficulty, 'easy');
+
+  // Three colors and one marble allow easy and medium boards, but no hard one that logic can solve
+  const settings = { ...getDefaultSettings(), colorCount: 3 };
+  for (let seed = 0; seed < 10; seed++) {
+    assert.equal(createGame({ settings: { ...settings, difficulty: 'easy' }, seed }).difficulty, 'easy');
+    assert.equal(createGame({ settings: { ...settings, difficulty: 'medium' }, seed }).difficulty, 'medium');
+
+    const hard = createGame({ settings: { ...settings, difficulty: 'hard' }, seed });
+    assert.equal(hard.difficulty, 'medium');
+    assert.ok(isPuzzleSolvable(hard));
+  }
+
+  // A shared layout is graded too
+  const game = createGame({ seed: 5 });
+  const link = parsePuzzleHash('#' + encodePuzzleHash(game));
+  assert.equal(createGame({ seed: link.seed, layout: link.layout }).difficulty, game.difficulty);
+});
+
+test('hints get more specific within a phase and stop once answers are in', () => {
+  let game = createGame({ seed: 7 });
+  assert.equal(getHint(game), null);
+
+  game = takeHint(takeHint(takeHint(takeHint(game))));
+  assert.deepEqual(game.hints.map(hint => hint.level), [1, 2, 3, 3]);
+  const hint = getHint(game);
+  assert.equal(hint.type, 'first-box');
+  assert.deepEqual(game.boxes[hint.boxIndex].label.split('-').sort(), ['red', 'white']);
+
+  // The count starts again after the peek
+  game = peekIntoBox(game, game.boxes[hint.boxIndex].id);
+  game = takeHint(game);
+  assert.equal(game.hints[game.hints.length - 1].level, 1);
+  assert.deepEqual(getHint(game), { type: 'opened', boxIndex: hint.boxIndex, marbles: [game.observations[0].marble] });
+  game = takeHint(game);
+  assert.deepEqual(getHint(game).options, [getCorrectLabelForBox(game.boxes[hint.boxIndex])]);
+
+  // A box keeping its own label breaks the rule that every label is wrong
+  const other = game.boxes.find((box, boxIndex) => boxIndex !== hint.boxIndex);
+  game = takeHint(assignLabel(game, other.id, other.label));
+  assert.deepEqual(getHint(game), { type: 'contradiction', boxIndex: game.boxes.indexOf(other), label: other.label, reason: 'rule', marble: null });
+
+  const solved = game.boxes.reduce((state, box) => assignLabel(state, box.id, getCorrectLabelForBox(box)), game);
+  assert.equal(getHint(takeHint(solved)).type, 'consistent');
+
+  const submitted = submitAnswers(solved);
+  assert.equal(takeHint(submitted), submitted);
+  assert.equal(submitted.results.hintsUsed, 7);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGame, peekIntoBox, assignLabel, submitAnswers, getCorrectLabelForBox, getDefaultSettings, parsePuzzleHash } = require('../box-and-marble-core.js');
+const {
+  EMBED_CONFIG,
+  createEmbedMessage,
+  hideEmbedAnswers,
+  parseEmbedCommand,
+  mergeRequestedSettings,
+  getEmbedState,
+  getEmbedEventData
+} = require('../box-and-marble-embed.js');
+
+test('only commands addressed to the puzzle are read', () => {
+  assert.equal(parseEmbedCommand(null), null);
+  assert.equal(parseEmbedCommand('newPuzzle'), null);
+  assert.equal(parseEmbedCommand({ type: 'command', command: 'getState' }), null);
+  assert.equal(parseEmbedCommand({ target: EMBED_CONFIG.MESSAGE_TARGET, type: 'event', command: 'getState' }), null);
+
+  assert.deepEqual(
+    parseEmbedCommand({ target: 'box-and-marble', type: 'command', id: 7, command: 'newPuzzle', params: { settings: { boxCount: 4 } } }),
+    { id: 7, command: 'newPuzzle', params: { settings: { boxCount: 4 } } }
+  );
+  assert.deepEqual(parseEmbedCommand({ target: 'box-and-marble', type: 'command', command: 'getState', params: 'x' }),
+    { id: null, command: 'getState', params: {} });
+
+  assert.deepEqual(createEmbedMessage('event', { event: 'ready', data: {} }),
+    { source: 'box-and-marble', version: EMBED_CONFIG.PROTOCOL_VERSION, type: 'event', event: 'ready', data: {} });
+});
+
+test('requested settings keep the puzzle size within what the settings offer', () => {
+  const settings = getDefaultSettings();
+
+  assert.deepEqual(mergeRequestedSettings(settings, { boxCount: 4, colorCount: 3, adversarial: true, theme: 'dark' }),
+    { ...settings, boxCount: 4, colorCount: 3, adversarial: true });
+  // Two colors only make three different boxes
+  assert.equal(mergeRequestedSettings(settings, { boxCount: 6 }).boxCount, 3);
+  assert.equal(mergeRequestedSettings(settings, { colorCount: 9 }).colorCount, 4);
+  assert.equal(mergeRequestedSettings({ ...settings, boxCount: 6, colorCount: 4 }, { colorCount: 2 }).boxCount, 3);
+  assert.deepEqual(mergeRequestedSettings(settings, null), settings);
+});
+
+test('event data carries the state after the event and, at the end, the results', () => {
+  let state = createGame({ seed: 12 });
+  const ready = getEmbedState(state);
+  assert.equal(parsePuzzleHash(ready.puzzle).seed, 12);
+  assert.equal(ready.phase, 'peek');
+  assert.deepEqual(JSON.parse(JSON.stringify(ready)), ready);
+
+  state = peekIntoBox(state, 'matchbox-2');
+  const peek = getEmbedEventData({ type: 'boxChecked', time: 900, boxId: 'matchbox-2', marble: state.observations[0].marble }, state);
+  assert.equal(peek.boxId, 'matchbox-2');
+  assert.equal(peek.type, undefined);
+  assert.deepEqual(peek.state.observations, state.observations);
+  assert.equal(peek.results, undefined);
+
+  state.boxes.forEach(box => {
+    state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+  });
+  state = submitAnswers(state);
+  const submitted = getEmbedEventData({ type: 'answersSubmitted', time: 5000, correct: 3, total: 3 }, state);
+  assert.equal(submitted.results, state.results);
+  assert.equal(submitted.results.correct, 3);
+  assert.deepEqual(submitted.state.labels, state.userLabelSelections);
+});
+
+test('a parent of any origin is not told what the boxes hold until the answers are checked', () => {
+  let state = createGame({ seed: 12 });
+  const generated = hideEmbedAnswers(createEmbedMessage('event', {
+    event: 'puzzleGenerated',
+    data: getEmbedEventData({ type: 'puzzleGenerated', time: 0, puzzle: 'seed=12', settings: state.settings }, state)
+  }));
+  assert.equal(generated.data.puzzle, undefined);
+  assert.deepEqual(generated.data.settings, state.settings);
+  assert.deepEqual(generated.data.state.boxes, state.boxes.map(box => ({ id: box.id, label: box.label })));
+  assert.equal(generated.data.state.puzzle, undefined);
+  assert.equal(generated.data.state.seed, undefined);
+
+  const response = hideEmbedAnswers(createEmbedMessage('response', { id: 1, command: 'getState', result: getEmbedState(state) }));
+  assert.ok(response.result.boxes.every(box => box.contents === undefined));
+  const failed = createEmbedMessage('response', { id: 2, command: 'loadPuzzle', error: { code: 'invalid-link' } });
+  assert.equal(hideEmbedAnswers(failed), failed);
+
+  state = peekIntoBox(state, 'matchbox-1');
+  state.boxes.forEach(box => {
+    state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+  });
+  state = submitAnswers(state);
+  const submitted = createEmbedMessage('event', { event: 'answersSubmitted', data: getEmbedEventData({ type: 'answersSubmitted', time: 5000 }, state) });
+  assert.equal(hideEmbedAnswers(submitted), submitted);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { I18N_CONFIG, LOCALES, translate } = require('../box-and-marble-i18n.js');
+
+test('every locale translates every English message with the same placeholders', () => {
+  const english = LOCALES[I18N_CONFIG.DEFAULT_LOCALE].messages;
+  const placeholders = message => [...new Set(
+    (typeof message === 'object' ? Object.values(message).join(' ') : message).match(/\{\w+\}/g) || []
+  )].filter(placeholder => placeholder !== '{count}').sort();
+
+  Object.entries(LOCALES).forEach(([locale, { dir, messages }]) => {
+    assert.ok(dir === 'ltr' || dir === 'rtl', `${locale} has a text direction`);
+    Object.entries(english).forEach(([key, message]) => {
+      assert.ok(key in messages, `${locale} translates ${key}`);
+      assert.ok(typeof messages[key] === 'string' || 'other' in messages[key], `${locale} ${key} has an "other" form`);
+      assert.deepEqual(placeholders(messages[key]), placeholders(message), `${locale} ${key} keeps its placeholders`);
+    });
+  });
+
+  assert.equal(LOCALES.ar.dir, 'rtl');
+});
+
+test('messages fill in placeholders, choose plural forms and fall back to English', () => {
+  assert.equal(translate('results.score', { correct: 2, total: 3 }), 'You got 2 out of 3 correct!');
+  assert.equal(translate('detail.drawsLeft', { count: 1 }), 'You may draw 1 more marble.');
+  assert.equal(translate('detail.drawsLeft', { count: 3 }), 'You may draw 3 more marbles.');
+
+  assert.equal(translate('settings.boxCount', { count: 4 }, 'es'), '4 cajas');
+  assert.equal(translate('detail.drawsLeft', { count: 2 }, 'ar'), 'يمكنك سحب كرتين أخريين.');
+  assert.equal(translate('detail.drawsLeft', { count: 3 }, 'ar'), 'يمكنك سحب 3 كرات أخرى.');
+
+  assert.equal(translate('results.score', { correct: 1, total: 3 }, 'xx'), 'You got 1 out of 3 correct!');
+  assert.equal(translate('no.such.key'), 'no.such.key');
+});
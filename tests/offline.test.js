@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createGame, getCorrectLabelForBox } = require('../box-and-marble-core.js');
+const {
+  LOG_EVENT_TYPES,
+  createGameLog,
+  addLogEvent,
+  completeLogEvent,
+  createGameHistory,
+  getHistoryState,
+  applyHistoryEvent,
+  canRedo
+} = require('../box-and-marble-replay.js');
+const { getSavedRoundHistory } = require('../box-and-marble-offline.js');
+const { PRECACHE_URLS } = require('../service-worker.js');
+
+/**
+ * Plays part of a round the way the page does, keeping its history and log
+ * @returns {Object} The history and the log of the unfinished round
+ */
+function playUnfinishedRound() {
+  let history = createGameHistory(createGame({ seed: 7, settings: { boxCount: 4, colorCount: 3 } }));
+  let log = createGameLog(getHistoryState(history), 1000);
+
+  /**
+   * Applies an action to the history and logs it, like dispatchGameAction
+   * @param {Object} action - The action ({ type, ...details })
+   */
+  const dispatch = action => {
+    history = applyHistoryEvent(history, action);
+    const { type, ...details } = completeLogEvent(action, getHistoryState(history));
+    log = addLogEvent(log, type, details, 2000 + log.events.length * 1000);
+  };
+
+  dispatch({ type: LOG_EVENT_TYPES.BOX_CHECKED, boxId: 'matchbox-2' });
+  getHistoryState(history).boxes.slice(0, 2).forEach(box => {
+    dispatch({ type: LOG_EVENT_TYPES.LABEL_CHANGED, boxId: box.id, label: getCorrectLabelForBox(box) });
+  });
+  dispatch({ type: LOG_EVENT_TYPES.UNDONE });
+
+  return { history, log };
+}
+
+test('an unfinished round comes back after a reload as it was left', () => {
+  const { history, log } = playUnfinishedRound();
+  const saved = getSavedRoundHistory(JSON.stringify({ log, playedMs: 8000 }), '', 100000);
+
+  const state = getHistoryState(saved.history);
+  const expected = getHistoryState(history);
+  assert.deepEqual(state.observations, expected.observations);
+  assert.deepEqual(state.userLabelSelections, expected.userLabelSelections);
+  assert.ok(canRedo(saved.history));
+  assert.deepEqual(saved.log.events, log.events);
+
+  // The clock carries on from the time played, leaving out the time the page was closed
+  assert.equal(Date.parse(saved.log.startedAt), 100000 - 8000);
+  assert.equal(addLogEvent(saved.log, LOG_EVENT_TYPES.UNDONE, {}, 101500).events.pop().time, 9500);
+
+  // The address bar still points at the saved puzzle after a reload
+  assert.ok(getSavedRoundHistory(JSON.stringify({ log, playedMs: 8000 }), '#' + log.events[0].puzzle));
+
+  // A round saved as the log alone carries on from its last event
+  assert.equal(Date.parse(getSavedRoundHistory(JSON.stringify(log), '', 100000).log.startedAt), 100000 - 5000);
+});
+
+test('finished rounds, rounds of other puzzles and unreadable saves are not brought back', () => {
+  const { history, log } = playUnfinishedRound();
+  let finishedHistory = history;
+  let finished = log;
+  getHistoryState(history).boxes.forEach(box => {
+    const action = { type: LOG_EVENT_TYPES.LABEL_CHANGED, boxId: box.id, label: getCorrectLabelForBox(box) };
+    finishedHistory = applyHistoryEvent(finishedHistory, action);
+    finished = addLogEvent(finished, action.type, { boxId: box.id, label: action.label });
+  });
+  finishedHistory = applyHistoryEvent(finishedHistory, { type: LOG_EVENT_TYPES.ANSWERS_SUBMITTED });
+  const { results } = getHistoryState(finishedHistory);
+  finished = addLogEvent(finished, LOG_EVENT_TYPES.ANSWERS_SUBMITTED, { correct: results.correct, total: results.total });
+
+  assert.equal(getSavedRoundHistory(JSON.stringify({ log: finished, playedMs: 9000 }), ''), null);
+  assert.equal(getSavedRoundHistory(JSON.stringify({ log, playedMs: 9000 }), '#seed=8'), null);
+  assert.equal(getSavedRoundHistory(null, ''), null);
+  assert.equal(getSavedRoundHistory('{"version":2,"events":[]}', ''), null);
+  assert.equal(getSavedRoundHistory('not json', ''), null);
+});
+
+test('the service worker caches every file the pages load', () => {
+  const root = path.join(__dirname, '..');
+  const pages = ['index.html', 'teacher.html', 'embed-demo.html'];
+  const referenced = new Set(pages);
+  pages.forEach(page => {
+    const html = fs.readFileSync(path.join(root, page), 'utf8');
+    for (const [, url] of html.matchAll(/(?:src|href)=['"]([^'"#]+)['"]/g)) {
+      if (!/^[a-z]+:/.test(url)) referenced.add(url);
+    }
+  });
+
+  referenced.forEach(url => assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`));
+  PRECACHE_URLS.filter(url => url !== './').forEach(url => {
+    assert.ok(fs.existsSync(path.join(root, url)), `${url} does not exist`);
+  });
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const {
+  generateRoomCode,
+  normalizeRoomCode,
+  createRaceRoom,
+  startRaceRound,
+  applyRaceMessage,
+  rankRacePlayers,
+  createRaceMessage,
+  parseRaceMessage,
+  createBroadcastTransport
+} = require('../box-and-marble-race.js');
+const { OPCODES, createAcceptKey, encodeFrame, decodeFrames, createRelayServer } = require('../race-relay.js');
+
+/**
+ * Waits for the next message a transport receives
+ * @param {Function} subscribe - Called with the listener to register
+ * @returns {Promise<*>} The message data
+ */
+function nextMessage(subscribe) {
+  return new Promise(resolve => subscribe(resolve));
+}
+
+test('room codes are easy to read and typed codes are tidied', () => {
+  assert.equal(generateRoomCode(() => 0), 'AAAA');
+  assert.match(generateRoomCode(), /^[A-HJ-NP-Z]{4}$/);
+  assert.equal(normalizeRoomCode(' kx wr '), 'KXWR');
+});
+
+test('the host keeps the room from the players\' messages and ranks finishers by correctness, then time', () => {
+  const message = (from, type, details) => parseRaceMessage(createRaceMessage('ROOM', from, type, details), 'ROOM');
+  let room = createRaceRoom('ROOM', { id: 'host', name: 'Ada' });
+  room = applyRaceMessage(room, message('p1', 'join', { name: '  Brook  ' }));
+  room = applyRaceMessage(room, message('p2', 'join', { name: 'Cy' }));
+  assert.deepEqual(room.players.map(player => player.name), ['Ada', 'Brook', 'Cy']);
+
+  // Nothing counts before the first round
+  assert.equal(applyRaceMessage(room, message('p1', 'peek', { boxId: 'matchbox-1' })), room);
+
+  room = startRaceRound(room, 'seed=5');
+  room = applyRaceMessage(room, message('p1', 'peek', { boxId: 'matchbox-1' }));
+  room = applyRaceMessage(room, message('p1', 'finish', { correct: 3, total: 3, time: 40000 }));
+  room = applyRaceMessage(room, message('host', 'finish', { correct: 3, total: 3, time: 30000 }));
+  room = applyRaceMessage(room, message('p2', 'finish', { correct: 1, total: 3, time: 10000 }));
+
+  // A second submission of the round, or a made-up score, changes nothing
+  assert.equal(applyRaceMessage(room, message('p1', 'finish', { correct: 3, total: 3, time: 1 })), room);
+  assert.equal(applyRaceMessage(room, message('p3', 'finish', { correct: 9, total: 3, time: 1 })), room);
+
+  assert.deepEqual(rankRacePlayers(room).map(player => [player.name, player.rank]), [['Ada', 1], ['Brook', 2], ['Cy', 3]]);
+  assert.deepEqual(room.players[1].peeks, ['matchbox-1']);
+
+  room = applyRaceMessage(room, message('p2', 'leave'));
+  assert.equal(room.players.length, 2);
+  room = startRaceRound(room, 'seed=6');
+  assert.equal(room.round, 2);
+  assert.ok(rankRacePlayers(room).every(player => player.rank === null && player.result === null));
+});
+
+test('only race messages for the room are read', () => {
+  const sent = createRaceMessage('ROOM', 'p1', 'join', { name: 'Brook' });
+  assert.deepEqual(parseRaceMessage(JSON.stringify(sent), 'ROOM'), sent);
+  assert.equal(parseRaceMessage(sent, 'OTHR'), null);
+  assert.equal(parseRaceMessage({ ...sent, type: 'cheat' }, 'ROOM'), null);
+  assert.equal(parseRaceMessage('not json', 'ROOM'), null);
+});
+
+test('tabs in the same room reach each other over a BroadcastChannel', async () => {
+  let receive = () => {};
+  const host = createBroadcastTransport('ROOM', data => receive(data));
+  const player = createBroadcastTransport('ROOM', () => {});
+  const stranger = createBroadcastTransport('OTHR', () => assert.fail('another room heard the message'));
+
+  try {
+    const received = nextMessage(resolve => {
+      receive = resolve;
+    });
+    player.send(createRaceMessage('ROOM', 'p1', 'join', { name: 'Brook' }));
+    assert.equal((await received).name, 'Brook');
+  } finally {
+    [host, player, stranger].forEach(transport => transport.close());
+  }
+});
+
+test('the relay frames messages as WebSocket frames', () => {
+  // The example handshake of RFC 6455
+  assert.equal(createAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+  const long = 'x'.repeat(300);
+  const bytes = Buffer.concat([
+    encodeFrame('hello', OPCODES.TEXT, Buffer.from([1, 2, 3, 4])),
+    encodeFrame(long)
+  ]);
+  const { frames, rest } = decodeFrames(bytes.subarray(0, bytes.length - 10));
+  assert.deepEqual(frames.map(frame => frame.payload.toString()), ['hello']);
+
+  const decoded = decodeFrames(Buffer.concat([rest, bytes.subarray(bytes.length - 10)]));
+  assert.equal(decoded.frames[0].payload.toString(), long);
+  assert.equal(decoded.rest.length, 0);
+});
+
+test('the relay passes messages to the other players in the same room only', async () => {
+  const server = createRelayServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  /**
+   * Opens a WebSocket to the relay the way a browser would
+   * @param {string} room - The room code
+   * @returns {Promise<net.Socket>} The connected socket
+   */
+  const connect = room => new Promise((resolve, reject) => {
+    http.request({
+      port,
+      host: '127.0.0.1',
+      path: `/?room=${room}`,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+    }).on('upgrade', (response, socket) => resolve(socket)).on('error', reject).end();
+  });
+
+  const sockets = await Promise.all(['ROOM', 'ROOM', 'OTHR'].map(connect));
+  const [host, player, stranger] = sockets;
+  try {
+    let strangerHeard = false;
+    stranger.on('data', () => {
+      strangerHeard = true;
+    });
+    const received = nextMessage(resolve => host.once('data', resolve));
+    player.write(encodeFrame('{"type":"join"}', OPCODES.TEXT, Buffer.from([9, 8, 7, 6])));
+
+    assert.equal(decodeFrames(await received).frames[0].payload.toString(), '{"type":"join"}');
+    assert.equal(strangerHeard, false);
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  }
+});
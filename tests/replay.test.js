@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGame, peekIntoBox, assignLabel, submitAnswers, getCorrectLabelForBox, GAME_PHASES } = require('../box-and-marble-core.js');
+const {
+  LOG_EVENT_TYPES,
+  createGameLog,
+  addLogEvent,
+  upgradeGameLog,
+  replayGameLog,
+  completeLogEvent,
+  createGameHistory,
+  getHistoryState,
+  canUndo,
+  canRedo,
+  applyHistoryEvent
+} = require('../box-and-marble-replay.js');
+
+/**
+ * Plays a whole round while logging it the way the page does
+ * @returns {Object} The final game state and the log of the round
+ */
+function playLoggedRound() {
+  let state = createGame({ seed: 99, settings: { boxCount: 4, colorCount: 3 } });
+  let log = createGameLog(state, 1000);
+
+  state = peekIntoBox(state, 'matchbox-3');
+  log = addLogEvent(log, LOG_EVENT_TYPES.BOX_CHECKED, { boxId: 'matchbox-3', marble: state.observations[0].marble }, 3000);
+
+  state.boxes.forEach((box, index) => {
+    state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+    log = addLogEvent(log, LOG_EVENT_TYPES.LABEL_CHANGED, { boxId: box.id, label: getCorrectLabelForBox(box) }, 4000 + index * 1000);
+  });
+
+  state = submitAnswers(state);
+  log = addLogEvent(log, LOG_EVENT_TYPES.ANSWERS_SUBMITTED, { correct: state.results.correct, total: state.results.total }, 9000);
+
+  return { state, log };
+}
+
+test('a logged round survives JSON and replays to the same final state', () => {
+  const { state, log } = playLoggedRound();
+  const steps = replayGameLog(JSON.parse(JSON.stringify(log)));
+
+  assert.equal(steps.length, log.events.length);
+  assert.equal(steps[0].state.phase, GAME_PHASES.PEEK);
+  assert.equal(steps[1].event.time, 2000);
+
+  const finalState = steps[steps.length - 1].state;
+  assert.equal(finalState.phase, GAME_PHASES.SUBMITTED);
+  assert.deepEqual(finalState.boxes, state.boxes);
+  assert.deepEqual(finalState.userLabelSelections, state.userLabelSelections);
+  assert.equal(finalState.results.correct, finalState.results.total);
+});
+
+test('replaying rejects logs that are malformed or do not fit the puzzle', () => {
+  const { log } = playLoggedRound();
+
+  assert.throws(() => replayGameLog({ version: 3, events: [] }), { code: 'invalid-log' });
+  assert.throws(() => replayGameLog({ ...log, events: log.events.slice(1) }), { code: 'no-puzzle' });
+
+  const wrongMarble = log.events[1].marble === 'red' ? 'white' : 'red';
+  const tampered = { ...log, events: log.events.map((event, index) => (index === 1 ? { ...event, marble: wrongMarble } : event)) };
+  assert.throws(() => replayGameLog(tampered), { code: 'marble-mismatch', eventNumber: 2 });
+
+  const submittedEarly = { ...log, events: [log.events[0], log.events[log.events.length - 1]] };
+  assert.throws(() => replayGameLog(submittedEarly), { code: 'event-mismatch', eventNumber: 2 });
+});
+
+test('logs from before labels were ids still replay', () => {
+  const { state, log } = playLoggedRound();
+  const toEnglish = label => label.split('-').map(color => color[0].toUpperCase() + color.slice(1)).join(' and ');
+  const oldLog = {
+    ...log,
+    version: 1,
+    events: log.events.map(event => (event.label ? { ...event, label: toEnglish(event.label) } : event))
+  };
+
+  assert.deepEqual(upgradeGameLog(oldLog), log);
+  const steps = replayGameLog(oldLog);
+  assert.deepEqual(steps[steps.length - 1].state.userLabelSelections, state.userLabelSelections);
+});
+
+test('undo and redo step through label changes but never past a peek or a submission', () => {
+  let history = createGameHistory(createGame({ seed: 7 }));
+  const [first, second] = getHistoryState(history).boxes;
+
+  assert.equal(applyHistoryEvent(history, { type: LOG_EVENT_TYPES.UNDONE }), history);
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.BOX_CHECKED, boxId: first.id });
+  assert.equal(canUndo(history), false);
+
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.LABEL_CHANGED, boxId: first.id, label: 'red-red' });
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.LABEL_MOVED, fromBoxId: first.id, toBoxId: second.id });
+  assert.equal(getHistoryState(history).userLabelSelections[second.id], 'red-red');
+
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.UNDONE });
+  assert.equal(getHistoryState(history).userLabelSelections[first.id], 'red-red');
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.UNDONE });
+  assert.equal(getHistoryState(history).userLabelSelections[first.id], '');
+  assert.equal(canUndo(history), false);
+
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.REDONE });
+  assert.equal(getHistoryState(history).userLabelSelections[first.id], 'red-red');
+  assert.equal(canRedo(history), true);
+
+  // A new change drops what could have been redone
+  history = applyHistoryEvent(history, { type: LOG_EVENT_TYPES.LABEL_CHANGED, boxId: second.id, label: 'white-white' });
+  assert.equal(canRedo(history), false);
+  assert.equal(applyHistoryEvent(history, { type: LOG_EVENT_TYPES.REDONE }), history);
+});
+
+test('a round with undos replays from its actions alone', () => {
+  let history = createGameHistory(createGame({ seed: 99, settings: { boxCount: 4, colorCount: 3 } }));
+  let log = createGameLog(getHistoryState(history), 1000);
+  const dispatch = (type, details = {}) => {
+    history = applyHistoryEvent(history, { type, ...details });
+    log = addLogEvent(log, type, completeLogEvent({ type, ...details }, getHistoryState(history)), 2000);
+  };
+
+  const boxes = getHistoryState(history).boxes;
+  dispatch(LOG_EVENT_TYPES.BOX_CHECKED, { boxId: boxes[0].id });
+  boxes.forEach(box => dispatch(LOG_EVENT_TYPES.LABEL_CHANGED, { boxId: box.id, label: getCorrectLabelForBox(box) }));
+  dispatch(LOG_EVENT_TYPES.UNDONE);
+  dispatch(LOG_EVENT_TYPES.UNDONE);
+  dispatch(LOG_EVENT_TYPES.REDONE);
+  dispatch(LOG_EVENT_TYPES.REDONE);
+  dispatch(LOG_EVENT_TYPES.LABEL_MOVED, { fromBoxId: boxes[0].id, toBoxId: boxes[3].id });
+  dispatch(LOG_EVENT_TYPES.ANSWERS_SUBMITTED);
+
+  const steps = replayGameLog(JSON.parse(JSON.stringify(log)));
+  const finalState = steps[steps.length - 1].state;
+  assert.deepEqual(finalState, getHistoryState(history));
+  assert.equal(finalState.phase, GAME_PHASES.SUBMITTED);
+  assert.equal(log.events[log.events.length - 1].total, 4);
+  assert.equal(finalState.userLabelSelections[boxes[2].id], getCorrectLabelForBox(boxes[2]));
+});
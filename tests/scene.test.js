@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getMatchboxScene, getSceneAnimation, buildMatchboxSvg } = require('../box-and-marble-scene.js');
+
+const BOX = { contents: ['red', 'white'] };
+
+test('a scene hides the contents of a box until the answers are in', () => {
+  assert.deepEqual(getMatchboxScene(BOX, []), { open: false, tray: [null, null], drawn: [] });
+  assert.deepEqual(getMatchboxScene(BOX, ['white']), { open: true, tray: [null], drawn: ['white'] });
+  assert.deepEqual(getMatchboxScene(BOX, ['white'], { drawWithReplacement: true }),
+    { open: true, tray: [null, null], drawn: ['white'] });
+
+  // Once revealed, the drawer holds what was not drawn
+  assert.deepEqual(getMatchboxScene(BOX, ['white'], { revealed: true }), { open: true, tray: ['red'], drawn: ['white'] });
+  assert.deepEqual(getMatchboxScene(BOX, [], { revealed: true }), { open: true, tray: ['red', 'white'], drawn: [] });
+
+  // The colors stay out of the markup until then
+  assert.doesNotMatch(buildMatchboxSvg(getMatchboxScene(BOX, ['white'])), /red/);
+  assert.match(buildMatchboxSvg(getMatchboxScene(BOX, ['white'], { revealed: true })), /scene-marble red/);
+});
+
+test('only what changed between two scenes is animated', () => {
+  const closed = getMatchboxScene(BOX, []);
+  const opened = getMatchboxScene(BOX, ['red']);
+  const drawnAgain = getMatchboxScene(BOX, ['red', 'white'], { drawWithReplacement: true });
+
+  assert.deepEqual(getSceneAnimation(closed, opened), ['open']);
+  assert.deepEqual(getSceneAnimation(opened, drawnAgain), ['draw']);
+  assert.deepEqual(getSceneAnimation(opened, opened), []);
+  assert.deepEqual(getSceneAnimation(closed, getMatchboxScene(BOX, [], { revealed: true })), ['open', 'reveal']);
+  assert.deepEqual(getSceneAnimation(opened, getMatchboxScene(BOX, ['red'], { revealed: true })), ['reveal']);
+
+  // Only the marble just drawn rolls, and a still scene has no animation at all
+  const svg = buildMatchboxSvg(drawnAgain, ['draw']);
+  assert.equal(svg.match(/rolling/g).length, 1);
+  assert.doesNotMatch(buildMatchboxSvg(drawnAgain), /animate-|rolling/);
+});
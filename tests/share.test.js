@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGame, peekIntoBox, assignLabel, submitAnswers, takeHint, getCorrectLabelForBox } = require('../box-and-marble-core.js');
+const { createShareResult, formatShareMarks } = require('../box-and-marble-share.js');
+
+test('a shared result tells the labels peeked at and the marks per box, not what the boxes hold', () => {
+  let state = createGame({ seed: 11, settings: { boxCount: 4, colorCount: 3, peekDraws: 2, peekBoxes: 2 } });
+  state = takeHint(state);
+  state = peekIntoBox(state, 'matchbox-3');
+  state = peekIntoBox(state, 'matchbox-1');
+
+  // The answers for the first two boxes are swapped
+  const answers = state.boxes.map(getCorrectLabelForBox);
+  [answers[0], answers[1]] = [answers[1], answers[0]];
+  state.boxes.forEach((box, index) => {
+    state = assignLabel(state, box.id, answers[index]);
+  });
+  state = submitAnswers(state);
+
+  const share = createShareResult(state, 42500);
+  assert.deepEqual(share, {
+    peekedLabels: [state.boxes[2].label, state.boxes[0].label],
+    marks: [false, false, true, true],
+    correct: 2,
+    total: 4,
+    elapsedMs: 42500,
+    hintsUsed: 1
+  });
+  assert.equal(formatShareMarks(share.marks), '❌❌✅✅');
+});
+
+test('peeking into the same box twice names its label once', () => {
+  let state = createGame({ seed: 3, settings: { peekDraws: 2 } });
+  state = peekIntoBox(state, 'matchbox-2');
+  state = peekIntoBox(state, 'matchbox-2');
+  state.boxes.forEach(box => {
+    state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+  });
+
+  const share = createShareResult(submitAnswers(state), -5);
+  assert.deepEqual(share.peekedLabels, [state.boxes[1].label]);
+  assert.equal(share.elapsedMs, 0);
+  assert.equal(formatShareMarks(share.marks), '✅✅✅');
+});
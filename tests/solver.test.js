@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isSameCombination,
+  findConsistentAssignments,
+  computePosterior,
+  analyzePeek,
+  findGuaranteedPeeks,
+  getAmbiguousMarbles,
+  explainDeduction,
+  canGuaranteeSolution,
+  findGuaranteedFirstBoxes
+} = require('../box-and-marble-solver.js');
+
+// The classic puzzle: box 0 is labelled "Red and White", box 1 "Red and Red", box 2 "White and White"
+const CLASSIC_LABELS = [['red', 'white'], ['red', 'red'], ['white', 'white']];
+
+test('only two arrangements have every label wrong in the classic puzzle', () => {
+  const assignments = findConsistentAssignments(CLASSIC_LABELS);
+
+  assert.equal(assignments.length, 2);
+  assignments.forEach(assignment => {
+    assignment.forEach((contents, boxIndex) => {
+      assert.notDeepEqual(contents, CLASSIC_LABELS[boxIndex]);
+    });
+  });
+});
+
+test('peeking in the mixed-label box forces a unique answer', () => {
+  const { assignments, isForced } = analyzePeek(CLASSIC_LABELS, [{ boxIndex: 0, marble: 'red' }]);
+
+  assert.equal(isForced, true);
+  assert.deepEqual(assignments[0], [['red', 'red'], ['white', 'white'], ['red', 'white']]);
+});
+
+test('peeking in a same-color box can leave two arrangements', () => {
+  const { assignments, isForced } = analyzePeek(CLASSIC_LABELS, [{ boxIndex: 1, marble: 'white' }]);
+
+  assert.equal(isForced, false);
+  assert.equal(assignments.length, 2);
+});
+
+test('only the mixed-label box guarantees a solution', () => {
+  assert.deepEqual(findGuaranteedPeeks(CLASSIC_LABELS), [0]);
+  assert.deepEqual(getAmbiguousMarbles(CLASSIC_LABELS, 1), ['white']);
+  assert.deepEqual(getAmbiguousMarbles(CLASSIC_LABELS, 0), []);
+});
+
+test('the explanation settles every box after a guaranteed peek', () => {
+  const deduction = explainDeduction(CLASSIC_LABELS, [{ boxIndex: 0, marble: 'white' }]);
+
+  assert.equal(deduction.isForced, true);
+  assert.equal(deduction.peekWasGuaranteed, true);
+  assert.deepEqual(deduction.steps.map(step => step.type), ['peek', 'settle', 'settle']);
+  assert.deepEqual(deduction.steps[0].options, [['white', 'white']]);
+});
+
+test('the explanation stops and suggests a better box after an ambiguous peek', () => {
+  const deduction = explainDeduction(CLASSIC_LABELS, [{ boxIndex: 2, marble: 'red' }]);
+
+  assert.equal(deduction.isForced, false);
+  assert.equal(deduction.peekWasGuaranteed, false);
+  assert.equal(deduction.steps[deduction.steps.length - 1].type, 'stuck');
+  assert.deepEqual(deduction.ambiguousMarbles, ['red']);
+  assert.deepEqual(deduction.guaranteedPeeks, [0]);
+});
+
+test('two marbles of one color prove a double box only when drawn without replacement', () => {
+  const observations = [{ boxIndex: 2, marble: 'red' }, { boxIndex: 2, marble: 'red' }];
+
+  assert.equal(findConsistentAssignments(CLASSIC_LABELS, observations).length, 1);
+  assert.equal(findConsistentAssignments(CLASSIC_LABELS, observations, true).length, 2);
+});
+
+test('the posterior weighs each arrangement by how likely it made the marble', () => {
+  const prior = computePosterior(CLASSIC_LABELS, []);
+  assert.deepEqual(prior.map(entry => entry.posterior), [0.5, 0.5]);
+
+  // The mixed-label box holds two marbles of one color, so any marble from it settles everything
+  const mixed = computePosterior(CLASSIC_LABELS, [{ boxIndex: 0, marble: 'red' }]);
+  assert.deepEqual(mixed.map(entry => entry.posterior).sort(), [0, 1]);
+
+  // A white marble from "Red and Red" is certain if it holds two whites, but only a coin flip if mixed
+  const same = computePosterior(CLASSIC_LABELS, [{ boxIndex: 1, marble: 'white' }]);
+  const whiteWhite = same.find(entry => entry.assignment[1].every(color => color === 'white'));
+  assert.ok(Math.abs(whiteWhite.posterior - 2 / 3) < 1e-9);
+  assert.ok(same.every(entry => entry.prior === 0.5));
+});
+
+test('a solution can be guaranteed only when the peek rules allow a forcing draw', () => {
+  assert.ok(canGuaranteeSolution(CLASSIC_LABELS, { peekDraws: 1, peekBoxes: 1, drawWithReplacement: false }));
+
+  // With four boxes and three colors, a single marble never settles every box, but three from two boxes can
+  const labels = [['white', 'white'], ['blue', 'blue'], ['red', 'white'], ['red', 'red']];
+  assert.equal(canGuaranteeSolution(labels, { peekDraws: 1, peekBoxes: 1, drawWithReplacement: false }), false);
+  assert.ok(canGuaranteeSolution(labels, { peekDraws: 3, peekBoxes: 2, drawWithReplacement: false }));
+});
+
+test('the truth rule decides which assignments fit the labels', () => {
+  // Exactly one label right: the three arrangements that swap two boxes
+  const oneRight = findConsistentAssignments(CLASSIC_LABELS, [], false, [1]);
+  assert.equal(oneRight.length, 3);
+  oneRight.forEach(assignment => {
+    assert.equal(assignment.filter((contents, boxIndex) => isSameCombination(contents, CLASSIC_LABELS[boxIndex])).length, 1);
+  });
+
+  // One marble can't tell those apart, but two from one box can
+  assert.equal(canGuaranteeSolution(CLASSIC_LABELS, { peekDraws: 1, peekBoxes: 1, drawWithReplacement: false }, [1]), false);
+  assert.ok(canGuaranteeSolution(CLASSIC_LABELS, { peekDraws: 2, peekBoxes: 1, drawWithReplacement: false }, [1]));
+});
+
+test('the boxes worth opening first depend on the peek rules', () => {
+  const rules = { peekDraws: 1, peekBoxes: 1, drawWithReplacement: false };
+  assert.deepEqual(findGuaranteedFirstBoxes(CLASSIC_LABELS, rules), [0]);
+  assert.deepEqual(findGuaranteedFirstBoxes(CLASSIC_LABELS, { ...rules, peekDraws: 2 }), [0, 1, 2]);
+  assert.deepEqual(findGuaranteedFirstBoxes(CLASSIC_LABELS, rules, [1]), []);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getDefaultSettings,
+  createGame,
+  peekIntoBox,
+  assignLabel,
+  submitAnswers,
+  getCorrectLabelForBox
+} = require('../box-and-marble-core.js');
+const { createHistoryEntry, upgradeHistoryEntry, computeStatistics } = require('../box-and-marble-stats.js');
+
+/**
+ * Builds a minimal history entry for statistics tests
+ * @param {string} peekedLabel - The label of the box opened first
+ * @param {boolean} isPerfect - Whether every box was answered correctly
+ * @returns {Object} The history entry
+ */
+function entry(peekedLabel, isPerfect) {
+  return {
+    peekedLabel,
+    correct: isPerfect ? 3 : 1,
+    total: 3,
+    isPerfect,
+    peekWasGuaranteed: peekedLabel === 'red-white'
+  };
+}
+
+test('history entries record the peek, answers and score of a round', () => {
+  let state = peekIntoBox(createGame({ seed: 5 }), 'matchbox-2');
+  state.boxes.forEach(box => {
+    state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+  });
+  const historyEntry = createHistoryEntry(submitAnswers(state), 0);
+
+  assert.equal(historyEntry.timestamp, '1970-01-01T00:00:00.000Z');
+  assert.equal(historyEntry.peekedLabel, state.boxes[1].label);
+  assert.deepEqual(historyEntry.observedMarbles, state.observations.map(observation => observation.marble));
+  assert.deepEqual(historyEntry.answers, state.userLabelSelections);
+  assert.equal(historyEntry.isPerfect, true);
+});
+
+test('history entries say whether the box opened first was sure to settle the board under the round\'s peek rules', () => {
+  const settings = { ...getDefaultSettings(), boxCount: 4, colorCount: 3, peekDraws: 3, peekBoxes: 2 };
+  const game = createGame({ settings, seed: 1 });
+  const play = boxIndex => {
+    let state = peekIntoBox(game, game.boxes[boxIndex].id);
+    state.boxes.forEach(box => {
+      state = assignLabel(state, box.id, getCorrectLabelForBox(box));
+    });
+    return createHistoryEntry(submitAnswers(state), 0);
+  };
+
+  // One marble settles no box of this board; three drawn starting from box 3 do
+  assert.equal(play(2).peekWasGuaranteed, true);
+  assert.equal(play(0).peekWasGuaranteed, false);
+});
+
+test('history saved with English label text is read as label ids', () => {
+  const saved = { peekedLabel: 'Red and White', answers: { 'matchbox-1': 'White and White', 'matchbox-2': '' }, correct: 1 };
+  const upgraded = upgradeHistoryEntry(saved);
+
+  assert.equal(upgraded.peekedLabel, 'red-white');
+  assert.deepEqual(upgraded.answers, { 'matchbox-1': 'white-white', 'matchbox-2': '' });
+  assert.deepEqual(upgradeHistoryEntry(upgraded), upgraded);
+});
+
+test('statistics are empty without history', () => {
+  const stats = computeStatistics([]);
+
+  assert.equal(stats.gamesPlayed, 0);
+  assert.equal(stats.perfectRate, 0);
+  assert.deepEqual(stats.byPeekedLabel, []);
+});
+
+test('streaks count consecutive perfect solves', () => {
+  const stats = computeStatistics([
+    entry('red-white', true),
+    entry('red-white', true),
+    entry('red-white', true),
+    entry('red-red', false),
+    entry('red-white', true)
+  ]);
+
+  assert.equal(stats.gamesPlayed, 5);
+  assert.equal(stats.perfectCount, 4);
+  assert.equal(stats.bestStreak, 3);
+  assert.equal(stats.currentStreak, 1);
+});
+
+test('results are broken down by the label of the box opened first', () => {
+  const stats = computeStatistics([
+    entry('red-red', false),
+    entry('red-white', true),
+    entry('white-white', true),
+    entry('red-white', true),
+    entry('white-white', false)
+  ]);
+
+  assert.deepEqual(stats.byPeekedLabel.map(row => row.label), ['red-white', 'white-white', 'red-red']);
+  assert.equal(stats.byPeekedLabel[0].perfectRate, 1);
+  assert.equal(stats.byPeekedLabel[1].perfectRate, 0.5);
+  assert.equal(stats.byGuarantee.guaranteed.games, 2);
+  assert.equal(stats.byGuarantee.notGuaranteed.perfect, 1);
+});
@@ -0,0 +1,306 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const events = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { mountView, unmountView, isViewMounted } = require('../box-and-marble-views.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// An opening tag with an id, in index.html or in HTML the page scripts write
+const ELEMENT_ID_PATTERN = /<(\w+)[^>]*?\sid=['"]([^'"]+)['"]/g;
+
+/**
+ * Just enough of a DOM element for the page scripts to deal and play a round: it
+ * takes listeners, holds children and values, and registers itself by id with
+ * its page. Elements written as HTML exist only if they have an id.
+ */
+class StubElement extends EventTarget {
+  /**
+   * @param {Object} page - The page the element belongs to ({ elements, createElement, window })
+   * @param {string} tagName - The element's tag name
+   */
+  constructor(page, tagName) {
+    super();
+    Object.assign(this, {
+      page,
+      tagName: tagName.toUpperCase(),
+      children: [],
+      parentNode: null,
+      style: {},
+      dataset: {},
+      attributes: {},
+      classList: new StubClassList(),
+      textContent: '',
+      innerText: '',
+      value: '',
+      disabled: false,
+      hidden: false,
+      elementId: '',
+      html: ''
+    });
+  }
+
+  get id() {
+    return this.elementId;
+  }
+
+  set id(id) {
+    this.elementId = id;
+    this.page.elements.set(id, this);
+  }
+
+  get className() {
+    return [...this.classList.names].join(' ');
+  }
+
+  set className(className) {
+    this.classList = new StubClassList(className.split(/\s+/).filter(Boolean));
+  }
+
+  get innerHTML() {
+    return this.html;
+  }
+
+  set innerHTML(html) {
+    this.html = String(html);
+    this.children = [];
+    for (const [, tagName, id] of this.html.matchAll(ELEMENT_ID_PATTERN)) {
+      this.page.createElement(tagName).id = id;
+    }
+  }
+
+  get options() {
+    return this.children.filter(child => child.tagName === 'OPTION');
+  }
+
+  appendChild(child) {
+    child.remove();
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  append(...children) {
+    children.filter(child => child instanceof StubElement).forEach(child => this.appendChild(child));
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+    this.parentNode = null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  focus() {}
+
+  click() {
+    this.dispatchEvent(new Event('click'));
+  }
+}
+
+/**
+ * The class names of a stub element
+ */
+class StubClassList {
+  /**
+   * @param {Array<string>} [names] - The class names to start with
+   */
+  constructor(names = []) {
+    this.names = new Set(names);
+  }
+
+  add(...names) {
+    names.forEach(name => this.names.add(name));
+  }
+
+  remove(...names) {
+    names.forEach(name => this.names.delete(name));
+  }
+
+  contains(name) {
+    return this.names.has(name);
+  }
+
+  toggle(name, force = !this.names.has(name)) {
+    if (force) {
+      this.names.add(name);
+    } else {
+      this.names.delete(name);
+    }
+    return force;
+  }
+}
+
+/**
+ * An AbortController whose signal takes as many listeners as a view adds to it
+ * without Node warning of a leak, leaving the limit elsewhere as it was
+ */
+class StubAbortController extends AbortController {
+  constructor() {
+    super();
+    events.setMaxListeners(0, this.signal);
+  }
+}
+
+/**
+ * Loads the scripts of index.html, in its order, into a page of stub elements
+ * with the ids index.html gives them, and fires DOMContentLoaded
+ * @returns {Object} The page's global scope
+ */
+function loadPage() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const storage = new Map();
+  const page = { elements: new Map() };
+  page.createElement = tagName => new StubElement(page, tagName);
+
+  const document = new EventTarget();
+  Object.assign(document, {
+    body: page.createElement('body'),
+    documentElement: page.createElement('html'),
+    createElement: page.createElement,
+    getElementById: id => page.elements.get(id) || null,
+    querySelector: () => null,
+    querySelectorAll: () => []
+  });
+
+  const window = vm.createContext({
+    document,
+    location: { hash: '', search: '', href: 'https://example.com/', origin: 'https://example.com', protocol: 'https:' },
+    history: { replaceState() {} },
+    navigator: { language: 'en', languages: ['en'] },
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    matchMedia: () => ({ matches: false, addEventListener() {} }),
+    Option: function Option(text, value) {
+      return Object.assign(page.createElement('option'), { textContent: text, value: String(value) });
+    },
+    addEventListener() {},
+    postMessage() {},
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    Event,
+    AbortController: StubAbortController,
+    URL,
+    URLSearchParams
+  });
+  Object.assign(window, { window, parent: window });
+
+  for (const [, tagName, id] of html.matchAll(ELEMENT_ID_PATTERN)) {
+    page.createElement(tagName).id = id;
+  }
+  for (const [, src] of html.matchAll(/<script src="([^"]+)"/g)) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), window, { filename: src });
+  }
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  return window;
+}
+
+test('a button that stays on the page fires its handler once however many rounds mount it', () => {
+  // Like the submit button of index.html, which every round's label selection listens to
+  const submitButton = new EventTarget();
+  let clicks = 0;
+  let teardowns = 0;
+
+  for (let round = 0; round < 25; round++) {
+    mountView('labelSelection', signal => {
+      submitButton.addEventListener('click', () => clicks++, { signal });
+      return () => teardowns++;
+    });
+  }
+
+  submitButton.dispatchEvent(new Event('click'));
+  assert.equal(clicks, 1);
+  assert.equal(teardowns, 24);
+});
+
+test('unmounting a view removes its listeners and clears it once', () => {
+  const select = new EventTarget();
+  let changes = 0;
+  let teardowns = 0;
+
+  mountView('matchboxes', signal => {
+    select.addEventListener('change', () => changes++, { signal });
+    return () => teardowns++;
+  });
+  assert.ok(isViewMounted('matchboxes'));
+
+  unmountView('matchboxes');
+  unmountView('matchboxes');
+  select.dispatchEvent(new Event('change'));
+
+  assert.equal(changes, 0);
+  assert.equal(teardowns, 1);
+  assert.equal(isViewMounted('matchboxes'), false);
+});
+
+test('after many resets of the page, one click or choice acts once', () => {
+  const window = loadPage();
+  const { document } = window;
+
+  // Count what the page's listeners call, then reset the round many times over
+  const calls = vm.runInContext(`
+    const calls = { checkAnswers: 0, dispatchGameAction: 0, resetGame: 0 };
+    const countedCheckAnswers = checkAnswers;
+    const countedDispatchGameAction = dispatchGameAction;
+    checkAnswers = () => {
+      calls.checkAnswers++;
+      countedCheckAnswers();
+    };
+    dispatchGameAction = (type, details) => {
+      calls.dispatchGameAction++;
+      return countedDispatchGameAction(type, details);
+    };
+    for (let round = 0; round < 20; round++) {
+      resetGame();
+    }
+    calls;
+  `, window);
+
+  document.getElementById('matchbox-1-check-btn').click();
+  assert.equal(calls.dispatchGameAction, 1);
+
+  const { boxes } = vm.runInContext('GameState.current', window);
+  boxes.forEach((box, index) => {
+    const select = document.getElementById(`box-${index + 1}-label-select`);
+    select.value = window.getCorrectLabelForBox(box);
+    select.dispatchEvent(new Event('change'));
+    assert.equal(calls.dispatchGameAction, index + 2);
+  });
+
+  document.getElementById('submit-answers-btn').click();
+  assert.equal(calls.checkAnswers, 1);
+  assert.equal(vm.runInContext('GameState.current.results.correct', window), boxes.length);
+
+  // Only counted, since a listener left behind would have each reset add another
+  vm.runInContext('resetGame = () => calls.resetGame++', window);
+  document.getElementById('reset-puzzle-btn').click();
+  assert.equal(calls.resetGame, 1);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getConsistentArrangements, getPeekedBoxIds } = require('../box-and-marble-core.js');
+const {
+  WORKSHEET_CONFIG,
+  createWorksheet,
+  encodeWorksheetHash,
+  parseWorksheetHash
+} = require('../box-and-marble-worksheet.js');
+
+test('every worksheet puzzle can be solved from the marbles it shows', () => {
+  Object.entries(WORKSHEET_CONFIG.DIFFICULTIES).forEach(([difficulty, { boxCount, boxesOpened, marblesPerBox }]) => {
+    const worksheet = createWorksheet({ seed: 2024, difficulty, count: 6 });
+
+    assert.equal(worksheet.puzzles.length, 6, difficulty);
+    worksheet.puzzles.forEach(puzzle => {
+      assert.equal(puzzle.boxes.length, boxCount);
+      assert.equal(getPeekedBoxIds(puzzle).length, boxesOpened);
+      assert.equal(puzzle.observations.length, boxesOpened * marblesPerBox);
+      assert.equal(getConsistentArrangements(puzzle, puzzle.observations).length, 1);
+    });
+
+    // The same seed gives the same worksheet
+    assert.deepEqual(createWorksheet({ seed: 2024, difficulty, count: 6 }), worksheet);
+  });
+});
+
+test('worksheet settings round-trip through the URL hash', () => {
+  const worksheet = createWorksheet({ seed: 7, difficulty: 'medium', count: 4 });
+  assert.equal(encodeWorksheetHash(worksheet), 'worksheet=7-medium-4');
+  assert.deepEqual(parseWorksheetHash('#worksheet=7-medium-4'), { seed: 7, difficulty: 'medium', count: 4 });
+
+  assert.equal(parseWorksheetHash('#worksheet=7-impossible-4'), null);
+  assert.equal(parseWorksheetHash('#worksheet=7-easy-5'), null);
+  assert.equal(parseWorksheetHash('#seed=7'), null);
+});